@@ -0,0 +1,99 @@
+#!/usr/bin/env node
+/**
+ * fotoperiodo-driver — Servicio local que enciende/apaga enchufes siguiendo el SuperCiclo
+ *
+ * Uso:
+ *   fotoperiodo-driver <driver.json> [--dry-run] [--once]
+ *
+ * driver.json:
+ *   {
+ *     "superciclo": "./2025-03-01_Carpa_1_SUPERCICLO.json",
+ *     "reconcileMinutes": 5,
+ *     "retry": { "attempts": 5, "delayMs": 2000 },
+ *     "devices": [
+ *       { "type": "tasmota", "host": "192.168.1.50" },
+ *       { "type": "shelly", "host": "192.168.1.51", "gen": 2, "channel": 0 },
+ *       { "type": "mqtt", "url": "mqtt://localhost:1883", "topic": "cmnd/carpa1/POWER" }
+ *     ]
+ *   }
+ */
+
+import { readFileSync } from "node:fs";
+import { dirname, resolve } from "node:path";
+import { createDevice } from "../src/driver/devices.js";
+import { createDriver } from "../src/driver/driver.js";
+import { migrateConfig } from "../src/lib/config.js";
+
+const USAGE = `Uso: fotoperiodo-driver <driver.json> [opciones]
+
+Opciones:
+  --dry-run   No envía comandos: solo muestra lo que haría
+  --once      Reconcilia el estado actual una vez y termina (útil con cron)
+  -h, --help  Muestra esta ayuda`;
+
+function fail(message) {
+  console.error(`⚠️ ${message}`);
+  process.exit(1);
+}
+
+function readJSON(file) {
+  try {
+    return JSON.parse(readFileSync(file, "utf8"));
+  } catch (err) {
+    fail(`No se pudo leer ${file}: ${err.message}`);
+  }
+}
+
+async function main() {
+  const argv = process.argv.slice(2);
+  if (argv.includes("-h") || argv.includes("--help")) return console.log(USAGE);
+  const file = argv.find((a) => !a.startsWith("-"));
+  if (!file) fail(`Falta el archivo de configuración.\n\n${USAGE}`);
+
+  const settings = readJSON(file);
+  if (!settings.superciclo) fail("Falta `superciclo` (ruta al _SUPERCICLO.json) en la configuración");
+  if (!Array.isArray(settings.devices) || settings.devices.length === 0) fail("No hay dispositivos en `devices`");
+
+  let config;
+  try {
+    config = migrateConfig(readJSON(resolve(dirname(file), settings.superciclo))).config;
+  } catch (err) {
+    fail(err.message);
+  }
+  let devices;
+  try {
+    devices = settings.devices.map((spec) => createDevice(spec));
+  } catch (err) {
+    fail(err.message);
+  }
+
+  let driver;
+  try {
+    driver = createDriver({
+      config,
+      devices,
+      dryRun: argv.includes("--dry-run") || Boolean(settings.dryRun),
+      retry: settings.retry,
+      reconcileMinutes: settings.reconcileMinutes,
+    });
+  } catch (err) {
+    fail(`Superciclo inválido: ${err.message}`);
+  }
+
+  if (argv.includes("--once")) {
+    const result = await driver.tick(true);
+    await driver.stop();
+    process.exit(result.ok ? 0 : 2);
+  }
+
+  const shutdown = async () => {
+    await driver.stop();
+    process.exit(0);
+  };
+  process.on("SIGINT", shutdown);
+  process.on("SIGTERM", shutdown);
+
+  await driver.start();
+}
+
+main().catch((err) => fail(err.message));
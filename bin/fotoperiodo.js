@@ -0,0 +1,153 @@
+#!/usr/bin/env node
+/**
+ * fotoperiodo — CLI del SuperCiclo
+ * Lee un `_SUPERCICLO.json` exportado desde la app y usa el mismo motor
+ * (src/lib/schedule.js) para mostrar el estado, los próximos cambios o el programa diario.
+ *
+ * Uso:
+ *   fotoperiodo <archivo.json> [state|next|table|profile] [--n 10] [--at "2025-03-01T12:00"] [--step 1] [--json]
+ */
+
+import { readFileSync } from "node:fs";
+import { stateAt, nextTransitions, timerProgram, intensityProfile, hasRamps, loadConfig, dliStatus, formatInZone, parseZonedDateTime, toZonedInputValue } from "../src/lib/schedule.js";
+import { migrateConfig } from "../src/lib/config.js";
+
+const USAGE = `Uso: fotoperiodo <archivo.json> [state|next|table|profile] [opciones]
+
+Comandos:
+  state   Estado actual: ON/OFF, fase, días superciclo, próximo cambio e hitos (por defecto)
+  next    Próximos cambios ON/OFF
+  table   Programa diario completo (horarios ON/OFF por día)
+  profile Perfil hora → % del dimmer de todo el cultivo, con rampas (CSV)
+
+Opciones:
+  --n <N>       Cantidad de cambios para "next" (por defecto 10)
+  --step <min>  Resolución de las rampas para "profile" (por defecto 1)
+  --at <fecha>  Momento de referencia en lugar de ahora (ej. 2025-03-01T12:00,
+                hora de la zona del superciclo)
+  --json        Salida en JSON (para scripts)
+  -h, --help    Muestra esta ayuda`;
+
+// Fechas siempre en la zona del superciclo (no la del sistema donde corre el comando)
+function fmtDate(d, timeZone, withTime = true) {
+  const opts = { day: "2-digit", month: "2-digit", year: "numeric", hourCycle: "h23" };
+  return formatInZone(d, timeZone, withTime ? { ...opts, hour: "2-digit", minute: "2-digit" } : opts, "es-AR").replace(",", "");
+}
+
+function parseArgs(argv) {
+  const args = { positional: [], n: 10, at: null, step: 1, json: false, help: false };
+  for (let i = 0; i < argv.length; i++) {
+    const a = argv[i];
+    if (a === "--n" || a === "-n") args.n = Number(argv[++i]);
+    else if (a === "--at") args.at = argv[++i];
+    else if (a === "--step") args.step = Number(argv[++i]);
+    else if (a === "--json") args.json = true;
+    else if (a === "-h" || a === "--help") args.help = true;
+    else args.positional.push(a);
+  }
+  return args;
+}
+
+function fail(message) {
+  console.error(`⚠️ ${message}`);
+  process.exit(1);
+}
+
+function main() {
+  const args = parseArgs(process.argv.slice(2));
+  if (args.help || args.positional.length === 0) {
+    console.log(USAGE);
+    process.exit(args.help ? 0 : 1);
+  }
+
+  const [file, command = "state"] = args.positional;
+  let config;
+  try {
+    config = loadConfig(migrateConfig(JSON.parse(readFileSync(file, "utf8"))).config);
+  } catch (err) {
+    fail(`No se pudo leer ${file}: ${err.message}`);
+  }
+
+  const at = args.at ? parseZonedDateTime(args.at, config.timeZone) : new Date();
+  if (isNaN(at.getTime())) fail(`Fecha inválida: ${args.at}`);
+
+  if (command === "state") {
+    const s = stateAt(config, at);
+    if (args.json) return console.log(JSON.stringify(s, null, 2));
+    console.log(`Superciclo: ${config.nombreCiclo || "(sin nombre)"}`);
+    console.log(`Momento:    ${fmtDate(s.date, config.timeZone)} (${config.timeZone})`);
+    console.log(`Estado:     ${s.isLight ? "ON 🔆" : "OFF 🌙"}${s.started ? "" : " (todavía no comenzó)"}`);
+    console.log(`Fase:       ${s.phaseIndex + 1}/${config.timeline.length} · ciclos de ${s.cycleLength.toFixed(1)}h`);
+    console.log(`Días Super Ciclo: ${s.superCycleDays}`);
+    console.log(`Balance vs 12/12: ${s.energyBalance >= 0 ? "ahorro" : "gasto extra"} de ${Math.abs(s.energyBalance).toFixed(2)}h`);
+    if (config.deviations.length > 0) {
+      const reanchors = config.history.overrides.filter((o) => o.reanchor).length;
+      console.log(`Desvíos:    ${config.deviations.length} registrados${reanchors ? ` · ${reanchors} re-anclan el plan` : ""} (estado y contadores según lo real)`);
+    }
+    if (s.energy.watts > 0) {
+      const money = (n) => `${config.energy.currency} ${n.toFixed(2)}`;
+      console.log(`Consumo:    ${s.energy.kwhSoFar.toFixed(1)} kWh (${money(s.energy.costSoFar)}) · proyección ${s.energy.kwhTotal.toFixed(1)} kWh (${money(s.energy.costTotal)})`);
+      s.energy.references.forEach((ref) => {
+        console.log(`  vs ${ref.label.padEnd(5)}: ${ref.kwhSaved >= 0 ? "ahorro" : "gasto extra"} de ${Math.abs(ref.kwhSaved).toFixed(1)} kWh (${money(Math.abs(ref.costSaved))})`);
+      });
+    }
+    if (hasRamps(config.light.ramps)) console.log(`Dimmer:     ${s.light.intensity.toFixed(1)}%`);
+    if (s.light.molesSoFar > 0 || config.light.ppfd > 0) {
+      const status = dliStatus(s.light.molesLast24h, config.light);
+      const flag = status === "low" ? " ⚠️ bajo" : status === "high" ? " ⚠️ alto" : "";
+      console.log(`DLI:        ${s.light.molesLast24h.toFixed(1)} mol/m² últimas 24h${flag} · PPFD ahora ${s.light.ppfd.toFixed(0)} · acumulado ${s.light.molesSoFar.toFixed(0)} mol/m²`);
+    }
+    console.log(s.next
+      ? `Próximo:    ${s.next.isLight ? "ON" : "OFF"} — ${fmtDate(s.next.date, config.timeZone)} (en ${s.next.hoursToNext.toFixed(2)} hrs)`
+      : "Próximo:    sin cambios programados");
+    s.milestones.forEach((m, i) => {
+      const left = m.hoursTo > 0 ? `en ${Math.floor(m.hoursTo / 24)} d ${Math.floor(m.hoursTo % 24)} h` : "✓ alcanzado";
+      console.log(`${i === 0 ? "Hitos:     " : "           "} 🏁 ${m.name} — ${fmtDate(m.date, config.timeZone)} (${left})`);
+    });
+    return;
+  }
+
+  if (command === "next") {
+    if (!Number.isFinite(args.n) || args.n < 1) fail("--n debe ser un número >= 1");
+    const events = nextTransitions(config, at, Math.floor(args.n));
+    if (args.json) return console.log(JSON.stringify(events, null, 2));
+    events.forEach((ev) => console.log(`${fmtDate(ev.date, config.timeZone)}  ${ev.isLight ? "ON " : "OFF"}`));
+    return;
+  }
+
+  if (command === "table") {
+    const rows = timerProgram(config);
+    if (args.json) return console.log(JSON.stringify(rows, null, 2));
+    console.log("Día  Fecha       00:00  Luz ON a las        Luz OFF a las       Programa");
+    rows.forEach((r) => {
+      const date = fmtDate(r.date, config.timeZone, false);
+      const flag = (r.day === 1 ? "Inicio" : r.changed ? "⚠️ Reprogramar" : "Igual")
+        + (r.dstShift ? ` · cambio de horario (${r.dstShift > 0 ? "+" : ""}${r.dstShift}h)` : "");
+      console.log([
+        String(r.day).padEnd(4),
+        date.padEnd(11),
+        (r.startsLight ? "ON" : "OFF").padEnd(6),
+        (r.onTimes.join(" ") || "—").padEnd(19),
+        (r.offTimes.join(" ") || "—").padEnd(19),
+        flag,
+      ].join(" "));
+    });
+    return;
+  }
+
+  if (command === "profile") {
+    if (!Number.isFinite(args.step) || args.step < 1) fail("--step debe ser un número de minutos >= 1");
+    const points = intensityProfile(config, args.step);
+    if (args.json) return console.log(JSON.stringify(points, null, 2));
+    // Cada fila rige hasta la siguiente
+    console.log("fecha_hora,utc,horas_desde_inicio,intensidad_pct");
+    points.forEach((p) => {
+      console.log([toZonedInputValue(p.date, config.timeZone).replace("T", " "), p.date.toISOString(), p.hoursSinceStart.toFixed(4), p.percent].join(","));
+    });
+    return;
+  }
+
+  fail(`Comando desconocido: ${command}\n\n${USAGE}`);
+}
+
+main();
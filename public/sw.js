@@ -0,0 +1,99 @@
+/**
+ * sw.js — Service worker de Fotoperiodo (PWA)
+ * - Funciona offline: al instalarse guarda la app (HTML, JS y CSS del build, íconos);
+ *   las fuentes y lo que falte se guardan la primera vez que se piden
+ * - Muestra los avisos previos a cada cambio ON/OFF que le envía la app
+ */
+
+// Los completa el build (vite.config.js): archivos con hash y versión de la caché
+const BUILD_FILES = [];
+const CACHE_VERSION = "dev";
+const CACHE = `fotoperiodo-${CACHE_VERSION}`;
+const APP_SHELL = [...new Set(["/", "/index.html", "/manifest.webmanifest", "/favicon.png", ...BUILD_FILES])];
+
+self.addEventListener("install", (event) => {
+  event.waitUntil(caches.open(CACHE).then((cache) => cache.addAll(APP_SHELL)));
+  self.skipWaiting();
+});
+
+self.addEventListener("activate", (event) => {
+  event.waitUntil(
+    caches.keys()
+      .then((keys) => Promise.all(keys.filter((k) => k !== CACHE).map((k) => caches.delete(k))))
+      .then(() => self.clients.claim())
+  );
+});
+
+// Navegación: red primero (para recibir actualizaciones) con respaldo en caché.
+// Recursos: caché primero y actualización en segundo plano.
+self.addEventListener("fetch", (event) => {
+  const { request } = event;
+  if (request.method !== "GET") return;
+  const url = new URL(request.url);
+  const isFont = /fonts\.(googleapis|gstatic)\.com$/.test(url.hostname);
+  if (url.origin !== self.location.origin && !isFont) return;
+
+  if (request.mode === "navigate") {
+    event.respondWith(
+      fetch(request)
+        .then((res) => {
+          const copy = res.clone();
+          caches.open(CACHE).then((cache) => cache.put("/index.html", copy));
+          return res;
+        })
+        .catch(() => caches.match("/index.html"))
+    );
+    return;
+  }
+
+  event.respondWith(
+    caches.match(request).then((cached) => {
+      const network = fetch(request)
+        .then((res) => {
+          if (res.ok || res.type === "opaque") {
+            const copy = res.clone();
+            caches.open(CACHE).then((cache) => cache.put(request, copy));
+          }
+          return res;
+        })
+        .catch(() => cached);
+      return cached || network;
+    })
+  );
+});
+
+/* ---------- Avisos programados ---------- */
+// La app envía { type: "schedule-notifications", notifications: [{ at, title, body, tag }] }
+self.addEventListener("message", (event) => {
+  const data = event.data || {};
+  if (data.type !== "schedule-notifications") return;
+  // TimestampTrigger (Notification Triggers) quedó como prueba de origen abandonada:
+  // casi ningún navegador lo tiene y en ese caso la app muestra los avisos
+  if (!("TimestampTrigger" in self)) return;
+
+  event.waitUntil((async () => {
+    // Reemplaza los avisos pendientes por los nuevos
+    const pending = await self.registration.getNotifications({ includeTriggered: false });
+    pending.filter((n) => n.tag?.startsWith("fotoperiodo-")).forEach((n) => n.close());
+    const nowMs = Date.now();
+    await Promise.all((data.notifications || [])
+      .filter((n) => n.at > nowMs)
+      .map((n) => self.registration.showNotification(n.title, {
+        body: n.body,
+        tag: n.tag,
+        icon: "/favicon.png",
+        badge: "/favicon.png",
+        showTrigger: new self.TimestampTrigger(n.at),
+      })));
+  })());
+});
+
+self.addEventListener("notificationclick", (event) => {
+  event.notification.close();
+  event.waitUntil(
+    self.clients.matchAll({ type: "window", includeUncontrolled: true }).then((clients) => {
+      const open = clients.find((c) => "focus" in c);
+      return open ? open.focus() : self.clients.openWindow("/");
+    })
+  );
+});
@@ -6,25 +6,191 @@
  * - Celda actual con contorno llamativo
  * - Export PNG/JPEG del calendario con html2canvas (scale=3)
  * - CSS separado en src/App.css
+ * - Paneles y diálogos en src/components; acá el estado y la composición
  *
  * Requisitos:
  * npm i html2canvas lucide-react
  */
 
-import React, { useCallback, useEffect, useMemo, useRef, useState } from "react";
+import React, { useCallback, useEffect, useLayoutEffect, useMemo, useRef, useState } from "react";
+import { flushSync } from "react-dom";
 import { Sun, Moon, Download, Upload, RefreshCw, Zap } from "lucide-react";
 import html2canvas from "html2canvas";
 import "./App.css";
-import domtoimage from "dom-to-image-more";
 import html2pdf from "html2pdf.js";
-
-const STORAGE_KEY = "fotoperiodo_settings_v1";
+import QRCode from "qrcode";
+import {
+  DEFAULT_PHASES,
+  describeSegments,
+  buildPhaseTimeline,
+  phaseAtHours,
+  loadConfig,
+  switchStateAt,
+  isLightInTimeline,
+  energyBalanceAt,
+  DEFAULT_ENERGY,
+  totalWatts,
+  energyReport,
+  DEFAULT_LIGHT,
+  phasePpfd,
+  molesBetween,
+  buildDailyDli,
+  buildCycleDli,
+  RAMP_CURVES,
+  normalizeRamps,
+  hasRamps,
+  rampLevelAt,
+  listRamps,
+  rampWindowLevel,
+  listTransitions,
+  litHoursBetween,
+  MAX_SCENARIOS,
+  scenarioReport,
+  buildMilestones,
+  buildGrid,
+  buildTimerProgram,
+  buildCycleRows,
+  buildHistory,
+  historyPlanHours,
+  historyIsLight,
+  historyLitHours,
+  historyTransitions,
+  historyNextTransition,
+  historyCompletedCycles,
+  dayLightWindows,
+  isValidTimeZone,
+  parseZonedDateTime,
+  toZonedInputValue,
+  formatInZone,
+} from "./lib/schedule";
+import { validateConfig, serializeConfig } from "./lib/config";
+import { buildShareUrl, readShareHash, hasShareHash } from "./lib/share";
+import { toCSV, toXLSX } from "./lib/spreadsheet";
+import { buildICS } from "./lib/ics";
+import { SHEET_LABELS, PROFILE_STEP_MINUTES, round2, buildGridSheet, buildTransitionSheet, buildProfileSheet } from "./lib/sheets";
+import {
+  journalType,
+  journalDayKey,
+  journalEntries,
+  addJournalEntry,
+  removeJournalEntry,
+  journalStats,
+} from "./lib/journal";
+import {
+  createUndo,
+  sameConfig,
+  recordUndo,
+  undoStep,
+  redoStep,
+  addSnapshot,
+  snapshotDue,
+  normalizeSnapshots,
+  restoreJournalPhotos,
+} from "./lib/snapshots";
+import {
+  createLibrary,
+  normalizeLibrary,
+  addCycle,
+  setCycleArchived,
+  removeCycle,
+  fallbackCycleId,
+  buildLibraryFile,
+  isLibraryFile,
+  libraryFileCycles,
+  normalizeCircuitWatts,
+} from "./lib/library";
+import { roomLoad, loadTimeline, peakLoad, suggestOffsets } from "./lib/peakload";
+import {
+  notificationsSupported,
+  requestNotificationPermission,
+  upcomingNotifications,
+  scheduleInServiceWorker,
+  showNotification,
+} from "./notifications";
+import { LANGUAGES, normalizeLanguage, createTranslator } from "./i18n";
+import { I18nContext } from "./components/i18n";
+import { LOCAL_TIME_ZONE, clamp, fmtMoney, milestoneRule, milestoneCountdown, visibleRange } from "./components/helpers";
+import { CycleView, ClockView } from "./components/CalendarViews";
+import DeviationLog from "./components/DeviationLog";
+import ImportPreviewDialog from "./components/ImportPreviewDialog";
+import JournalDialog from "./components/JournalDialog";
+import LibraryPanel from "./components/LibraryPanel";
+import LoadPanel from "./components/LoadPanel";
+import { MilestoneEditor, MilestoneList } from "./components/Milestones";
+import ScenarioPanel from "./components/ScenarioPanel";
+import ShareDialog from "./components/ShareDialog";
+import SnapshotDialog from "./components/SnapshotDialog";
+import TimerSheet from "./components/TimerSheet";
+
+const STORAGE_KEY = "fotoperiodo_settings_v2";
+const LEGACY_STORAGE_KEY = "fotoperiodo_settings_v1"; // formato v1 (se migra al abrir)
+const NOTIFY_STORAGE_KEY = "fotoperiodo_notify_v1";
+const VIEW_STORAGE_KEY = "fotoperiodo_view_v1";
+const SNAPSHOTS_STORAGE_KEY = "fotoperiodo_snapshots_v1";
+// Biblioteca de ciclos: el índice va aparte; el ciclo activo sigue en STORAGE_KEY y
+// cada uno de los demás en su propia clave
+const LIBRARY_STORAGE_KEY = "fotoperiodo_library_v1";
+const cycleStorageKey = (id) => `fotoperiodo_cycle_${id}`;
+// Los cambios seguidos (tipear un nombre) se juntan en un solo paso de deshacer
+const UNDO_DEBOUNCE_MS = 600;
+// En estos campos Ctrl+Z deshace el texto (lo nativo del navegador), no la configuración
+const TEXT_INPUT_TYPES = new Set(["text", "search", "url", "email", "tel", "password"]);
+const CALENDAR_VIEWS = [
+  { id: "grid", label: "view.grid" },
+  { id: "cycles", label: "view.cycles" },
+  { id: "clock", label: "view.clock" },
+];
+
+// Zonas para sugerir en el campo (si el navegador las expone)
+const TIME_ZONE_OPTIONS = typeof Intl.supportedValuesOf === "function" ? Intl.supportedValuesOf("timeZone") : [];
 
 /* ---------- Helpers ---------- */
-function clamp(n, min, max) { return Math.max(min, Math.min(max, n)); }
-
 function safeParseJSON(str, fallback) {
-  try { return JSON.parse(str); } catch (e) { return fallback; }
+  try { return JSON.parse(str); } catch { return fallback; }
+}
+
+// Configuración de fábrica (resetear y ciclos nuevos): arranca hoy a las 00:00 en la zona
+function defaultConfigFields(timeZone) {
+  return {
+    startDate: `${toZonedInputValue(new Date(), timeZone).split("T")[0]}T00:00`,
+    timeZone,
+    phases: DEFAULT_PHASES,
+    durationDays: 60,
+    nombreCiclo: "",
+    energy: DEFAULT_ENERGY,
+    light: DEFAULT_LIGHT,
+    journal: {},
+    deviations: [],
+    scenarios: [],
+    milestones: [],
+  };
+}
+
+// Corre el inicio de un ciclo `hours` horas (escalonar cuartos); los desvíos registrados
+// se corren con él para que el historial de luz/oscuridad quede igual
+function shiftCycleStart(config, hours, fallbackTimeZone) {
+  const tz = config.timeZone || fallbackTimeZone;
+  const ms = hours * 60 * 60 * 1000;
+  return {
+    startDate: toZonedInputValue(new Date(parseZonedDateTime(config.startDate, tz).getTime() + ms), tz),
+    deviations: (config.deviations || []).map((d) => ({ ...d, at: new Date(new Date(d.at).getTime() + ms).toISOString() })),
+  };
+}
+
+// Índice de la biblioteca (si no hay, una nueva con el ciclo que ya estaba guardado)
+function loadLibraryIndex() {
+  return normalizeLibrary(safeParseJSON(localStorage.getItem(LIBRARY_STORAGE_KEY), null)) || createLibrary();
+}
+
+// Configuraciones de los ciclos que no son el activo (id → _SUPERCICLO.json)
+function loadStoredCycles(library) {
+  const out = {};
+  library.cycles.forEach((c) => {
+    if (c.id === library.activeId) return;
+    const config = safeParseJSON(localStorage.getItem(cycleStorageKey(c.id)), null);
+    if (config) out[c.id] = config;
+  });
+  return out;
 }
 
 function fmtDateTimeLocal(d) {
@@ -38,6 +204,212 @@ function fmtDateTimeLocal(d) {
   return `${y}-${m}-${day}T${h}:${min}`;
 }
 
+// Tinte de la columna DLI: azul si falta luz, rojo si sobra, verde en rango
+function dliTint(entry, light) {
+  if (entry.status === "low") return "rgba(59,130,246,0.45)";
+  if (entry.status === "high") return "rgba(239,68,68,0.5)";
+  const ref = Number(light.dliMax) || Number(light.dliMin) || 40;
+  const alpha = clamp(entry.dli / ref, 0.1, 1) * 0.45;
+  return light.dliMin !== null || light.dliMax !== null ? `rgba(16,185,129,${alpha.toFixed(2)})` : `rgba(245,158,11,${alpha.toFixed(2)})`;
+}
+
+/* ---------- Celdas del calendario ---------- */
+const CELL_ON_COLOR = "#f59e0b";
+const CELL_OFF_COLOR = "#4338ca";
+
+// Fondo de una celda horaria: relleno parcial con cortes exactos en cada cambio
+function cellBackground(cell) {
+  if (cell.transitions.length === 0) {
+    return cell.isLight
+      ? "linear-gradient(90deg,#f59e0b,#f472b6)"
+      : "linear-gradient(90deg,#4338ca,#4338ca99)";
+  }
+  const stops = [];
+  let state = cell.isLight;
+  let from = 0;
+  cell.transitions.forEach((t) => {
+    const at = (t.at ?? t.minute / 60) * 100;
+    const color = state ? CELL_ON_COLOR : CELL_OFF_COLOR;
+    stops.push(`${color} ${from.toFixed(2)}%`, `${color} ${at.toFixed(2)}%`);
+    state = t.isLight;
+    from = at;
+  });
+  const color = state ? CELL_ON_COLOR : CELL_OFF_COLOR;
+  stops.push(`${color} ${from.toFixed(2)}%`, `${color} 100%`);
+  return `linear-gradient(90deg,${stops.join(",")})`;
+}
+
+// Texto de la celda: ON / OFF o el minuto exacto del cambio (↑ enciende, ↓ apaga)
+function cellLabel(cell) {
+  if (cell.skipped) return "—";
+  if (cell.transitions.length === 0) return `${cell.isLight ? "ON" : "OFF"}${cell.repeated ? "×2" : ""}`;
+  const t = cell.transitions[0];
+  return `${t.isLight ? "↑" : "↓"}${String(t.minute).padStart(2, "0")}`;
+}
+
+// Lo que pasó de verdad en la celda según los desvíos registrados; null si coincide con el plan
+function actualCell(cell, history) {
+  if (cell.skipped || history.overrides.length === 0) return null;
+  const start = cell.hoursSinceStart;
+  const end = start + cell.duration;
+  const isLight = historyIsLight(history, start);
+  const transitions = historyTransitions(history, start, end)
+    .filter((t) => t.hours < end)
+    .map((t) => ({ at: (t.hours - start) / cell.duration, isLight: t.isLight, hours: t.hours }));
+  // Un cambio justo al comienzo de la celda ya está en `isLight`
+  const planned = cell.transitions.filter((t) => t.hours > start + 1e-9);
+  const same = isLight === cell.isLight
+    && transitions.length === planned.length
+    && transitions.every((t, i) => t.isLight === planned[i].isLight && Math.abs(t.hours - planned[i].hours) < 1e-6);
+  if (same) return null;
+  return { isLight, transitions, litFraction: historyLitHours(history, start, end) / cell.duration };
+}
+
+// La misma celda en otro escenario (`timeline` de sus fases); `differs` si no coincide con el plan
+function scenarioCell(cell, timeline) {
+  if (cell.skipped) return null;
+  const start = cell.hoursSinceStart;
+  const end = start + cell.duration;
+  const isLight = isLightInTimeline(timeline, start);
+  const transitions = listTransitions(timeline, start, end)
+    .filter((t) => t.hours < end)
+    .map((t) => ({ at: (t.hours - start) / cell.duration, isLight: t.isLight, hours: t.hours }));
+  const planned = cell.transitions.filter((t) => t.hours > start + 1e-9);
+  const differs = isLight !== cell.isLight
+    || transitions.length !== planned.length
+    || transitions.some((t, i) => t.isLight !== planned[i].isLight || Math.abs(t.hours - planned[i].hours) > 1e-6);
+  return { isLight, transitions, litFraction: litHoursBetween(timeline, start, end) / cell.duration, differs };
+}
+
+// Detalle legible de la celda (tooltip y tap en móvil); `localLabel` = hora en tu zona,
+// `actual` = lo que pasó de verdad si hubo un desvío (actualCell),
+// `scenario` = { name, cell } del escenario comparado en la grilla (scenarioCell),
+// `milestones` = hitos que caen dentro de la celda
+function cellDetail(t, cell, localLabel = null, actual = null, scenario = null, milestones = []) {
+  const parts = [`${cell.dateDisplay} ${cell.hourLabel}`];
+  if (cell.skipped) return `${parts[0]} · ${t("cell.skipped")}`;
+  if (cell.repeated) parts.push(t("cell.repeated"));
+  cell.transitions.forEach((tr) => parts.push(t(tr.isLight ? "cell.turnsOn" : "cell.turnsOff", { time: tr.time })));
+  parts.push(t("cell.lit", { percent: Math.round(cell.litFraction * 100) }));
+  if (actual) parts.push(t("cell.actual", { percent: Math.round(actual.litFraction * 100) }));
+  if (scenario?.cell) parts.push(t("cell.scenario", { name: scenario.name, percent: Math.round(scenario.cell.litFraction * 100) }));
+  if (localLabel) parts.push(t("cell.local", { time: localLabel }));
+  milestones.forEach((m) => parts.push(`🏁 ${m.name}`));
+  return parts.join(" · ");
+}
+
+/* ---------- Planillas (CSV / XLSX) ---------- */
+// Un renglón por hito con su regla y su fecha real (hoja aparte en el XLSX)
+function buildMilestoneSheet(t, { milestones, timeZone }) {
+  return {
+    name: t("field.milestones"),
+    headers: [t("milestone.name"), t("sheet.rule"), t("sheet.dateTime"), "UTC", t("sheet.hoursSinceStart"), t("sheet.day"), t("sheet.cycle")],
+    rows: milestones.map((m) => [
+      m.name,
+      milestoneRule(t, m),
+      toZonedInputValue(m.date, timeZone).replace("T", " "),
+      m.date.toISOString(),
+      round2(m.hours),
+      m.day < 0 ? "" : m.day + 1,
+      m.cycles,
+    ]),
+  };
+}
+
+// Capa que oscurece la celda durante las rampas (más oscuro = dimmer más bajo)
+function rampOverlay(cell, ramps) {
+  const start = cell.hoursSinceStart;
+  const end = start + cell.duration;
+  const hits = ramps.filter((r) => r.end > start && r.start < end);
+  if (hits.length === 0 || !(cell.duration > 0)) return null;
+  const pos = (h) => `${(((h - start) / cell.duration) * 100).toFixed(2)}%`;
+  const stops = [];
+  hits.forEach((r) => {
+    const a = Math.max(start, r.start);
+    const b = Math.min(end, r.end);
+    stops.push(`transparent ${pos(a)}`);
+    for (let i = 0; i <= 6; i++) {
+      const h = a + ((b - a) * i) / 6;
+      stops.push(`rgba(17,24,39,${(0.75 * (1 - rampWindowLevel(r, h))).toFixed(3)}) ${pos(h)}`);
+    }
+    stops.push(`transparent ${pos(b)}`);
+  });
+  return `linear-gradient(90deg,${stops.join(",")})`;
+}
+
+/* ---------- Diario del cultivo ---------- */
+
+// Las fuentes estándar del PDF no tienen emojis ni caracteres fuera de Latin-1
+const pdfText = (text) => String(text).replace(/[^\n\x20-\x7E\xA0-\xFF]/g, "").trim();
+
+// Anexo del PDF: páginas A4 con todas las notas (y fotos) de cada día
+function appendJournalToPdf(t, pdf, { journal, timeZone, title, dayNumbers }) {
+  const keys = Object.keys(journal).sort();
+  if (keys.length === 0) return;
+  const pageW = 210;
+  const pageH = 297;
+  const margin = 15;
+  const width = pageW - margin * 2;
+  let y = margin;
+  const ensure = (h) => {
+    if (y + h > pageH - margin) {
+      pdf.addPage("a4", "portrait");
+      y = margin;
+    }
+  };
+
+  pdf.addPage("a4", "portrait");
+  pdf.setTextColor(20, 20, 20);
+  pdf.setFont("helvetica", "bold");
+  pdf.setFontSize(16);
+  pdf.text(pdfText(t("journal.pdfTitle", { title })), margin, y + 6);
+  y += 14;
+
+  keys.forEach((key) => {
+    ensure(14);
+    // Mediodía UTC de la clave: la fecha no cambia al formatearla en UTC
+    const date = formatInZone(`${key}T12:00:00Z`, "UTC", { day: "2-digit", month: "2-digit", year: "numeric" }, t.locale);
+    pdf.setFont("helvetica", "bold");
+    pdf.setFontSize(12);
+    pdf.text(pdfText(`${dayNumbers[key] ? `${t("journal.day", { number: dayNumbers[key] })} · ` : ""}${date}`), margin, y + 5);
+    pdf.setDrawColor(180, 180, 180);
+    pdf.line(margin, y + 7, pageW - margin, y + 7);
+    y += 11;
+
+    journalEntries(journal, key).forEach((entry) => {
+      const time = formatInZone(entry.at, timeZone, { hour: "2-digit", minute: "2-digit" }, t.locale);
+      const extra = [entry.ph !== null ? `pH ${entry.ph}` : "", entry.ec !== null ? `EC ${entry.ec}` : ""].filter(Boolean).join(" · ");
+      const lines = entry.text ? pdf.splitTextToSize(pdfText(entry.text), width - 6) : [];
+      ensure(6 + lines.length * 5);
+      pdf.setFont("helvetica", "bold");
+      pdf.setFontSize(10);
+      pdf.text(pdfText(`${time}  ${t.label("journalType", journalType(entry.type))}${extra ? `  (${extra})` : ""}`), margin + 2, y + 4);
+      y += 6;
+      pdf.setFont("helvetica", "normal");
+      lines.forEach((line) => {
+        pdf.text(line, margin + 6, y + 4);
+        y += 5;
+      });
+
+      // Fotos en fila (hasta 4), respetando la proporción
+      if (entry.photos.length > 0) {
+        const size = 42;
+        const heights = entry.photos.map((src) => {
+          const { width: w, height: h } = pdf.getImageProperties(src);
+          return Math.min(size * 1.4, (size * h) / w);
+        });
+        ensure(Math.max(...heights) + 3);
+        entry.photos.forEach((src, i) => {
+          pdf.addImage(src, "JPEG", margin + 6 + i * (size + 3), y + 1, size, heights[i]);
+        });
+        y += Math.max(...heights) + 3;
+      }
+      y += 2;
+    });
+    y += 3;
+  });
+}
+
 /* ---------- Component ---------- */
 export default function App() {
   // ---- State ----
@@ -46,46 +418,435 @@ export default function App() {
     return fmtDateTimeLocal(d);
   });
 
-  const [hoursLight, setHoursLight] = useState(13);
-  const [hoursDark, setHoursDark] = useState(14);
+  const [phases, setPhases] = useState(DEFAULT_PHASES);
   const [durationDays, setDurationDays] = useState(60);
   const [nombreCiclo, setNombreCiclo] = useState("Mi Cultivo");
+  const [energy, setEnergy] = useState(DEFAULT_ENERGY);
+  const [light, setLight] = useState(DEFAULT_LIGHT);
+  const [timeZone, setTimeZone] = useState(LOCAL_TIME_ZONE);
+  const [journal, setJournal] = useState({});
+  // Desvíos reales (cortes, encendidos/apagados manuales, fallas del temporizador)
+  const [deviations, setDeviations] = useState([]);
+  // Escenarios para comparar (otros fotoperiodos; ver scenarioReport)
+  const [scenarios, setScenarios] = useState([]);
+  // Hitos (cambio a floración, fin del estiramiento, lavado, cosecha…)
+  const [milestones, setMilestones] = useState([]);
+  const [timeZoneInput, setTimeZoneInput] = useState(LOCAL_TIME_ZONE);
 
 
   const [now, setNow] = useState(new Date());
   const [errorMsg, setErrorMsg] = useState("");
   const [isExporting, setIsExporting] = useState(false);
+  const [icsMode, setIcsMode] = useState("periods");
+  const [icsAlarmMinutes, setIcsAlarmMinutes] = useState(10);
+  const [selectedCell, setSelectedCell] = useState(null);
+  // Escenario superpuesto en la grilla: "overlay" = franja en todas las celdas, "diff" = solo donde cambia
+  const [compareScenarioId, setCompareScenarioId] = useState(null);
+  const [compareMode, setCompareMode] = useState("overlay");
+  const [importPreview, setImportPreview] = useState(null);
+  const [shareInfo, setShareInfo] = useState(null);
+  const [journalDayIndex, setJournalDayIndex] = useState(null);
+  const [storageError, setStorageError] = useState(false);
+  // Mirando un enlace compartido: los cambios no se guardan en este navegador
+  const [sharedMode, setSharedMode] = useState(false);
+  // Deshacer/rehacer (en memoria) y versiones guardadas (persisten al recargar)
+  const [undo, setUndo] = useState(createUndo);
+  const [snapshots, setSnapshots] = useState(() => normalizeSnapshots(safeParseJSON(localStorage.getItem(SNAPSHOTS_STORAGE_KEY), [])));
+  const [snapshotsOpen, setSnapshotsOpen] = useState(false);
+  // Biblioteca de ciclos (varias carpas); `storedCycles` = configuración de los que no son el activo
+  const [library, setLibrary] = useState(loadLibraryIndex);
+  const [storedCycles, setStoredCycles] = useState(() => loadStoredCycles(library));
+
+  // Avisos antes de cada cambio (preferencia de este dispositivo, no del ciclo)
+  const [notifyEnabled, setNotifyEnabled] = useState(() => Boolean(safeParseJSON(localStorage.getItem(NOTIFY_STORAGE_KEY), {})?.enabled));
+  const [notifyMinutes, setNotifyMinutes] = useState(() => {
+    const saved = safeParseJSON(localStorage.getItem(NOTIFY_STORAGE_KEY), {})?.minutes;
+    return Number.isFinite(Number(saved)) ? Number(saved) : 10;
+  });
+  const notifiedTagsRef = useRef(new Set());
+
+  // Columna "tu hora" (preferencia de este dispositivo)
+  const [showLocalTime, setShowLocalTime] = useState(() => Boolean(safeParseJSON(localStorage.getItem(VIEW_STORAGE_KEY), {})?.showLocalTime));
+  // Vista del calendario: "grid" (días × 24 h), "cycles" (un renglón por ciclo) o "clock" (reloj de 24 h)
+  const [calendarView, setCalendarView] = useState(() => {
+    const saved = safeParseJSON(localStorage.getItem(VIEW_STORAGE_KEY), {})?.calendarView;
+    return CALENDAR_VIEWS.some((v) => v.id === saved) ? saved : "grid";
+  });
+  // Idioma de la interfaz (preferencia de este dispositivo; español si no se eligió otro)
+  const [language, setLanguage] = useState(() => normalizeLanguage(safeParseJSON(localStorage.getItem(VIEW_STORAGE_KEY), {})?.language));
+  const t = useMemo(() => createTranslator(language), [language]);
 
   // ref for calendar export
   const calendarRef = useRef(null);
 
+  // Virtualización de la grilla: solo se renderizan las filas visibles (+ margen).
+  // Para exportar PDF/JPG se renderizan todas (renderAllRows).
+  const [calendarViewport, setCalendarViewport] = useState({ top: 0, height: 800 });
+  const [calendarRowHeight, setCalendarRowHeight] = useState(36);
+  const [renderAllRows, setRenderAllRows] = useState(false);
+  // Programa del temporizador: también virtualizado; la copia completa solo al exportar a PDF
+  const [timerSheetExport, setTimerSheetExport] = useState(false);
+  const scrollFrameRef = useRef(0);
+
+
+// Configuración completa (lo que se guarda, se exporta y se deshace)
+const configFields = useMemo(
+  () => ({ startDate, timeZone, phases, durationDays, nombreCiclo, energy, light, journal, deviations, scenarios, milestones }),
+  [startDate, timeZone, phases, durationDays, nombreCiclo, energy, light, journal, deviations, scenarios, milestones],
+);
+
+// Aplica los campos ya validados (validateConfig); los que faltan no se tocan
+const applyConfig = useCallback((value) => {
+  if (value.nombreCiclo !== undefined) setNombreCiclo(value.nombreCiclo);
+  if (value.startDate !== undefined) setStartDate(value.startDate);
+  if (value.timeZone !== undefined) setTimeZone(value.timeZone);
+  if (value.phases !== undefined) setPhases(value.phases);
+  if (value.durationDays !== undefined) setDurationDays(value.durationDays);
+  if (value.energy !== undefined) setEnergy(value.energy);
+  if (value.light !== undefined) setLight(value.light);
+  if (value.journal !== undefined) setJournal(value.journal);
+  if (value.deviations !== undefined) setDeviations(value.deviations);
+  if (value.scenarios !== undefined) setScenarios(value.scenarios);
+  if (value.milestones !== undefined) setMilestones(value.milestones);
+}, []);
 
-// ---- Load saved settings on mount ----
+// ---- Load saved settings on mount (migra el formato v1 si es lo único guardado) ----
 useEffect(() => {
-  const raw = localStorage.getItem(STORAGE_KEY);
+  const raw = localStorage.getItem(STORAGE_KEY) ?? localStorage.getItem(LEGACY_STORAGE_KEY);
   if (!raw) return;
   const obj = safeParseJSON(raw, null);
   if (!obj) return;
 
-  if (obj.nombreCiclo) setNombreCiclo(String(obj.nombreCiclo));
-  if (obj.startDate) setStartDate(String(obj.startDate));
-  if (Number.isFinite(Number(obj.hoursLight))) setHoursLight(Number(obj.hoursLight));
-  if (Number.isFinite(Number(obj.hoursDark))) setHoursDark(Number(obj.hoursDark));
-  if (Number.isFinite(Number(obj.durationDays))) setDurationDays(Number(obj.durationDays));
-}, []);
+  const { value, errors } = validateConfig(obj);
+  if (errors.length > 0) console.warn("Configuración guardada con campos inválidos (se ignoran):", errors);
+  applyConfig(value);
+}, [applyConfig]);
 
 // ---- Autosave (debounced simple) ----
 useEffect(() => {
-  const payload = { startDate, hoursLight, hoursDark, durationDays, nombreCiclo };
+  if (sharedMode) return;
+  const payload = serializeConfig(configFields);
   const id = setTimeout(() => {
     try {
       localStorage.setItem(STORAGE_KEY, JSON.stringify(payload));
+      setStorageError(false);
     } catch (e) {
+      // Normalmente es el límite de espacio (fotos del diario)
       console.warn("No se pudo guardar en localStorage:", e);
+      setStorageError(true);
     }
+    // Versión automática cada SNAPSHOT_INTERVAL_MINUTES (si cambió algo)
+    setSnapshots((prev) => (snapshotDue(prev) ? addSnapshot(prev, payload) : prev));
   }, 300);
   return () => clearTimeout(id);
-}, [startDate, hoursLight, hoursDark, durationDays, nombreCiclo]);
+}, [sharedMode, configFields]);
+
+// ---- Deshacer / rehacer ----
+useEffect(() => {
+  const id = setTimeout(() => setUndo((prev) => recordUndo(prev, configFields)), UNDO_DEBOUNCE_MS);
+  return () => clearTimeout(id);
+}, [configFields]);
+
+const handleUndo = useCallback(() => {
+  const next = undoStep(undo, configFields);
+  setUndo(next);
+  if (!sameConfig(next.present, configFields)) applyConfig(next.present);
+}, [undo, configFields, applyConfig]);
+
+const handleRedo = useCallback(() => {
+  const next = redoStep(undo, configFields);
+  setUndo(next);
+  if (!sameConfig(next.present, configFields)) applyConfig(next.present);
+}, [undo, configFields, applyConfig]);
+
+// Ctrl+Z / Ctrl+Shift+Z / Ctrl+Y (⌘ en Mac)
+useEffect(() => {
+  const onKeyDown = (e) => {
+    if (!(e.ctrlKey || e.metaKey) || e.altKey) return;
+    const key = e.key.toLowerCase();
+    if (key !== "z" && key !== "y") return;
+    const el = e.target;
+    if (el.isContentEditable || el.tagName === "TEXTAREA" || (el.tagName === "INPUT" && TEXT_INPUT_TYPES.has(el.type))) return;
+    e.preventDefault();
+    if (key === "y" || e.shiftKey) handleRedo();
+    else handleUndo();
+  };
+  window.addEventListener("keydown", onKeyDown);
+  return () => window.removeEventListener("keydown", onKeyDown);
+}, [handleUndo, handleRedo]);
+
+// ---- Versiones guardadas ----
+useEffect(() => {
+  try {
+    localStorage.setItem(SNAPSHOTS_STORAGE_KEY, JSON.stringify(snapshots));
+  } catch (e) {
+    // Sin espacio: se descartan las más viejas hasta que entre
+    console.warn("No se pudo guardar el historial de versiones:", e);
+    if (snapshots.length > 1) setSnapshots((prev) => prev.slice(0, Math.ceil(prev.length / 2)));
+  }
+}, [snapshots]);
+
+const takeSnapshot = useCallback((reason) => {
+  setSnapshots((prev) => addSnapshot(prev, serializeConfig(configFields), { reason }));
+}, [configFields]);
+
+const removeSnapshot = useCallback((id) => setSnapshots((prev) => prev.filter((snap) => snap.id !== id)), []);
+
+// ---- Biblioteca de ciclos ----
+useEffect(() => {
+  try {
+    localStorage.setItem(LIBRARY_STORAGE_KEY, JSON.stringify(library));
+  } catch (e) {
+    console.warn("No se pudo guardar la biblioteca de ciclos:", e);
+  }
+}, [library]);
+
+const writeStoredCycle = useCallback((id, config) => {
+  try {
+    localStorage.setItem(cycleStorageKey(id), JSON.stringify(config));
+  } catch (e) {
+    console.warn("No se pudo guardar el ciclo:", e);
+    setStorageError(true);
+  }
+}, []);
+
+// Configuración del ciclo activo tal como quedó guardada (mirando un enlace compartido,
+// la del navegador y no la del enlace)
+const activeCycleConfig = useCallback(() => {
+  if (!sharedMode) return serializeConfig(configFields);
+  return safeParseJSON(localStorage.getItem(STORAGE_KEY) ?? localStorage.getItem(LEGACY_STORAGE_KEY), null);
+}, [sharedMode, configFields]);
+
+const cycleConfig = useCallback((id) => (id === library.activeId ? activeCycleConfig() : storedCycles[id]), [library.activeId, activeCycleConfig, storedCycles]);
+
+// Pasa a otro ciclo: el actual se guarda en su clave y el nuevo va a STORAGE_KEY.
+// `config` reemplaza lo guardado (ciclos nuevos); `dropCurrent` no guarda el actual (borrarlo)
+const activateCycle = useCallback((id, { config = null, dropCurrent = false } = {}) => {
+  const current = dropCurrent ? null : activeCycleConfig();
+  const target = config || storedCycles[id];
+  const fields = { ...defaultConfigFields(timeZone), ...(target ? validateConfig(target).value : {}) };
+  delete fields.version;
+  const fromId = library.activeId;
+  if (current) writeStoredCycle(fromId, current);
+  try {
+    // Ya mismo (sin esperar el autosave) para que recargar no mezcle los ciclos
+    localStorage.setItem(STORAGE_KEY, JSON.stringify(serializeConfig(fields)));
+    localStorage.removeItem(cycleStorageKey(id));
+  } catch (e) {
+    console.warn("No se pudo guardar en localStorage:", e);
+    setStorageError(true);
+  }
+  setStoredCycles((prev) => {
+    const next = { ...prev };
+    delete next[id];
+    if (current) next[fromId] = current;
+    return next;
+  });
+  setLibrary((prev) => ({ ...prev, activeId: id }));
+  applyConfig(fields);
+  // Deshacer no cruza de un ciclo a otro
+  setUndo(createUndo());
+  setCompareScenarioId(null);
+  setSelectedCell(null);
+  setSharedMode(false);
+}, [activeCycleConfig, storedCycles, timeZone, library.activeId, writeStoredCycle, applyConfig]);
+
+const switchCycle = useCallback((id) => {
+  if (id !== library.activeId) activateCycle(id);
+}, [library.activeId, activateCycle]);
+
+const createCycle = useCallback(() => {
+  const { library: next, id } = addCycle(library);
+  setLibrary(next);
+  activateCycle(id, { config: serializeConfig({ ...defaultConfigFields(timeZone), nombreCiclo: t("library.newName", { number: next.cycles.length }) }) });
+}, [library, activateCycle, timeZone, t]);
+
+const duplicateCycle = useCallback((id) => {
+  const source = cycleConfig(id);
+  if (!source) return;
+  const copy = { ...source, nombreCiclo: t("library.copyName", { name: source.nombreCiclo?.trim() || "Superciclo" }).slice(0, 60) };
+  const { library: next, id: copyId } = addCycle(library, { afterId: id });
+  writeStoredCycle(copyId, copy);
+  setStoredCycles((prev) => ({ ...prev, [copyId]: copy }));
+  setLibrary(next);
+}, [cycleConfig, library, writeStoredCycle, t]);
+
+const renameCycle = useCallback((id) => {
+  const config = cycleConfig(id);
+  const name = window.prompt(t("library.renamePrompt"), config?.nombreCiclo || "");
+  if (name === null) return;
+  const nombre = name.trim().slice(0, 60);
+  if (id === library.activeId) {
+    setNombreCiclo(nombre);
+    return;
+  }
+  const renamed = { ...(config || serializeConfig(defaultConfigFields(timeZone))), nombreCiclo: nombre };
+  writeStoredCycle(id, renamed);
+  setStoredCycles((prev) => ({ ...prev, [id]: renamed }));
+}, [cycleConfig, library.activeId, writeStoredCycle, timeZone, t]);
+
+const archiveCycle = useCallback((id, archived) => setLibrary((prev) => setCycleArchived(prev, id, archived)), []);
+
+const deleteCycle = useCallback((id) => {
+  const name = cycleConfig(id)?.nombreCiclo?.trim() || "Superciclo";
+  if (library.cycles.length <= 1 || !window.confirm(t("library.deleteConfirm", { name }))) return;
+  if (id === library.activeId) {
+    const fallback = fallbackCycleId(library, id);
+    if (!fallback) return;
+    activateCycle(fallback, { dropCurrent: true });
+  } else {
+    try { localStorage.removeItem(cycleStorageKey(id)); } catch { /* sin acceso: queda huérfana */ }
+    setStoredCycles((prev) => {
+      const next = { ...prev };
+      delete next[id];
+      return next;
+    });
+  }
+  // Va después de activateCycle: para entonces ya no es el activo
+  setLibrary((prev) => removeCycle(prev, id));
+}, [cycleConfig, library, activateCycle, t]);
+
+// Descarga de un ciclo (_SUPERCICLO.json) o de toda la biblioteca
+const downloadJSON = useCallback((obj, fileName) => {
+  const blob = new Blob([JSON.stringify(obj, null, 2)], { type: "application/json" });
+  const url = URL.createObjectURL(blob);
+  const a = document.createElement("a");
+  a.href = url;
+  a.download = fileName.replace(/\s+/g, "_");
+  a.click();
+  URL.revokeObjectURL(url);
+}, []);
+
+const exportCycle = useCallback((id) => {
+  const config = cycleConfig(id);
+  if (!config) return;
+  const fecha = (config.startDate || toZonedInputValue(new Date(), timeZone)).split("T")[0];
+  downloadJSON(config, `${fecha}_${config.nombreCiclo?.trim() || "Superciclo"}_SUPERCICLO.json`);
+}, [cycleConfig, downloadJSON, timeZone]);
+
+const exportLibrary = useCallback(() => {
+  const configs = { ...storedCycles };
+  const active = activeCycleConfig();
+  if (active) configs[library.activeId] = active;
+  downloadJSON(buildLibraryFile(library, configs), `${toZonedInputValue(new Date(), timeZone).split("T")[0]}_BIBLIOTECA_SUPERCICLO.json`);
+}, [storedCycles, activeCycleConfig, library, downloadJSON, timeZone]);
+
+// Archivo de biblioteca: cada ciclo válido se agrega como uno nuevo (no pisa los que hay)
+const importLibraryFile = useCallback((obj) => {
+  const valid = [];
+  let invalid = 0;
+  libraryFileCycles(obj).forEach((c) => {
+    const { value, errors, fatal } = validateConfig(c.config);
+    if (errors.length > 0) console.warn("Ciclo importado con campos inválidos (se ignoran):", errors);
+    if (fatal) invalid += 1;
+    else valid.push({ archived: c.archived, config: serializeConfig({ ...defaultConfigFields(timeZone), ...value }) });
+  });
+  if (valid.length === 0) {
+    alert(`⚠️ ${t("library.importEmpty")}`);
+    return;
+  }
+  const names = valid.map((c) => c.config.nombreCiclo?.trim() || "Superciclo").join(", ");
+  if (!window.confirm(t("library.importConfirm", { count: valid.length, names, invalid }))) return;
+  let next = library;
+  const added = {};
+  valid.forEach((c) => {
+    const result = addCycle(next, { archived: c.archived });
+    next = result.library;
+    added[result.id] = c.config;
+    writeStoredCycle(result.id, c.config);
+  });
+  setStoredCycles((prev) => ({ ...prev, ...added }));
+  setLibrary(next);
+}, [library, writeStoredCycle, timeZone, t]);
+
+// Dashboard: estado actual, próximo cambio y día superciclo de cada ciclo. Las
+// configuraciones se cargan una vez (cuando cambian); cada tick solo calcula el estado
+const libraryConfigs = useMemo(() => library.cycles.map((c) => {
+  const active = c.id === library.activeId;
+  const config = active ? serializeConfig(configFields) : storedCycles[c.id];
+  let loaded = null;
+  try {
+    if (config) loaded = loadConfig(config);
+  } catch (e) {
+    console.warn("No se pudo cargar el ciclo:", e);
+  }
+  return {
+    ...c,
+    active,
+    name: config?.nombreCiclo?.trim() || "Superciclo",
+    timeZone: config?.timeZone || timeZone,
+    loaded,
+  };
+}), [library, storedCycles, configFields, timeZone]);
+
+const libraryRows = useMemo(() => libraryConfigs.map(({ loaded, ...row }) => ({
+  ...row,
+  state: loaded ? switchStateAt(loaded, now) : null,
+})), [libraryConfigs, now]);
+
+// ---- Carga eléctrica: los ciclos sin archivar comparten el circuito ----
+const loadRooms = useMemo(() => library.cycles.filter((c) => !c.archived).map((c) => {
+  const config = c.id === library.activeId ? serializeConfig(configFields) : storedCycles[c.id];
+  if (!config) return null;
+  try {
+    return roomLoad(config, { id: c.id });
+  } catch (e) {
+    console.warn("No se pudo calcular la carga del ciclo:", e);
+    return null;
+  }
+}).filter(Boolean), [library.cycles, library.activeId, storedCycles, configFields]);
+
+const loadSegments = useMemo(() => loadTimeline(loadRooms), [loadRooms]);
+const loadPeak = useMemo(() => peakLoad(loadSegments, library.circuitWatts), [loadSegments, library.circuitWatts]);
+
+// Corrimientos sugeridos: la búsqueda corre solo al pedirla (botón) y el resultado queda
+// guardado; se descarta si cambia el límite o la lista de ciclos
+const [loadSuggestion, setLoadSuggestion] = useState(null);
+const suggestLoadOffsets = useCallback(() => {
+  setLoadSuggestion(suggestOffsets(loadRooms, library.circuitWatts));
+}, [loadRooms, library.circuitWatts]);
+
+useEffect(() => {
+  setLoadSuggestion(null);
+}, [library.circuitWatts, library.cycles]);
+
+const setCircuitWatts = useCallback((value) => {
+  setLibrary((prev) => ({ ...prev, circuitWatts: normalizeCircuitWatts(value) }));
+}, []);
+
+const applyLoadOffsets = useCallback((offsets) => {
+  Object.entries(offsets).forEach(([id, hours]) => {
+    if (!hours) return;
+    if (id === library.activeId) {
+      applyConfig(shiftCycleStart({ startDate, timeZone, deviations }, hours, timeZone));
+      return;
+    }
+    const config = storedCycles[id];
+    if (!config) return;
+    const shifted = { ...config, ...shiftCycleStart(config, hours, timeZone) };
+    writeStoredCycle(id, shifted);
+    setStoredCycles((prev) => ({ ...prev, [id]: shifted }));
+  });
+  // Los aplicados quedan en 0 (ya están en la fecha de inicio)
+  setLoadSuggestion((prev) => prev && {
+    ...prev,
+    offsets: { ...prev.offsets, ...Object.fromEntries(Object.keys(offsets).map((id) => [id, 0])) },
+  });
+}, [library.activeId, applyConfig, startDate, timeZone, deviations, storedCycles, writeStoredCycle]);
+
+useEffect(() => {
+  try {
+    localStorage.setItem(VIEW_STORAGE_KEY, JSON.stringify({ showLocalTime, calendarView, language }));
+  } catch (e) {
+    console.warn("No se pudo guardar en localStorage:", e);
+  }
+}, [showLocalTime, calendarView, language]);
+
+// Idioma del documento (lectores de pantalla, separación en sílabas, traductor del navegador)
+useEffect(() => { document.documentElement.lang = t.locale; }, [t]);
+
+// El campo de zona muestra la zona vigente (también al importar o restablecer)
+useEffect(() => { setTimeZoneInput(timeZone); }, [timeZone]);
 
 
   // ---- Tick for 'now' ----
@@ -97,74 +858,60 @@ useEffect(() => {
   // ---- Validation helpers ----
   const validateInputs = useCallback(() => {
     setErrorMsg("");
-    if (!startDate) { setErrorMsg("La fecha de inicio es requerida."); return false; }
-    const d = new Date(startDate);
-    if (isNaN(d.getTime())) { setErrorMsg("Formato de fecha inválido."); return false; }
-    if (!Number.isFinite(Number(hoursLight)) || Number(hoursLight) < 0) { setErrorMsg("Horas de luz inválidas."); return false; }
-    if (!Number.isFinite(Number(hoursDark)) || Number(hoursDark) < 0) { setErrorMsg("Horas de oscuridad inválidas."); return false; }
-    if (!Number.isFinite(Number(durationDays)) || Number(durationDays) < 1) { setErrorMsg("Duración debe ser >= 1 día."); return false; }
+    if (!startDate) { setErrorMsg(t("error.startRequired")); return false; }
+    const d = parseZonedDateTime(startDate, timeZone);
+    if (isNaN(d.getTime())) { setErrorMsg(t("error.startFormat")); return false; }
+    for (let i = 0; i < phases.length; i++) {
+      const segs = phases[i].segments;
+      if (segs.some((seg) => !Number.isFinite(Number(seg.hours)) || Number(seg.hours) < 0)) { setErrorMsg(t("error.segmentHours", { number: i + 1 })); return false; }
+      if (segs.reduce((acc, seg) => acc + Number(seg.hours), 0) <= 0) { setErrorMsg(t("error.cycleZero", { number: i + 1 })); return false; }
+    }
+    if (!Number.isFinite(Number(durationDays)) || Number(durationDays) < 1) { setErrorMsg(t("error.duration")); return false; }
     return true;
-  }, [startDate, hoursLight, hoursDark, durationDays]);
+  }, [startDate, timeZone, phases, durationDays, t]);
 
   // ---- Derived / computed values (same logic original) ----
+  // startDate es la hora de pared del cuarto de cultivo (timeZone)
   const startDateObj = useMemo(() => {
-    const d = new Date(startDate);
+    const d = parseZonedDateTime(startDate, timeZone);
     if (isNaN(d.getTime())) return new Date();
     return d;
-  }, [startDate]);
+  }, [startDate, timeZone]);
 
-  const cycleLength = useMemo(() => {
-    const sum = Number(hoursLight) + Number(hoursDark);
-    return sum > 0 ? sum : 0.0000001; // avoid zero
-  }, [hoursLight, hoursDark]);
+  const phaseTimeline = useMemo(() => buildPhaseTimeline(phases), [phases]);
 
-  const fractionalStartOffset = useMemo(() => {
-    return startDateObj.getHours() + startDateObj.getMinutes() / 60 + startDateObj.getSeconds() / 3600;
-  }, [startDateObj]);
+  // Historial real: el plan más los desvíos registrados (sin desvíos es igual al plan)
+  const history = useMemo(() => buildHistory(phaseTimeline, deviations, startDateObj), [phaseTimeline, deviations, startDateObj]);
 
   const hoursSinceStartNow = useMemo(() => {
     return (now.getTime() - startDateObj.getTime()) / (1000 * 60 * 60);
   }, [now, startDateObj]);
 
-  const currentInCycle = useMemo(() => {
-    return ((hoursSinceStartNow % cycleLength) + cycleLength) % cycleLength;
-  }, [hoursSinceStartNow, cycleLength]);
+  // Fase activa ahora y su largo de ciclo (según el historial real: los re-anclajes la atrasan)
+  const currentPhase = useMemo(() => phaseAtHours(phaseTimeline, historyPlanHours(history, hoursSinceStartNow)), [phaseTimeline, history, hoursSinceStartNow]);
+  const cycleLength = currentPhase.cycleLength;
 
-  const isNowLight = useMemo(() => currentInCycle < Number(hoursLight), [currentInCycle, hoursLight]);
+  const isNowLight = useMemo(() => historyIsLight(history, hoursSinceStartNow), [history, hoursSinceStartNow]);
 
-  // Días "superciclo" (ciclos custom completos)
-  const customCycleDayIndex = useMemo(() => Math.floor(hoursSinceStartNow / cycleLength), [hoursSinceStartNow, cycleLength]);
+  // Días "superciclo" (ciclos custom completos vividos, sumando todas las fases)
+  const customCycleDayIndex = useMemo(() => historyCompletedCycles(history, hoursSinceStartNow), [history, hoursSinceStartNow]);
 
-// === calendar helpers (24h-based) ===
-
-// Cuántas horas reales transcurrieron desde el inicio del ciclo
-const currentHoursElapsed = useMemo(() => {
-  return (now.getTime() - startDateObj.getTime()) / (1000 * 60 * 60);
-}, [now, startDateObj]);
-
-// Día actual dentro del ciclo
-const currentDayIndex24h = Math.floor(currentHoursElapsed / 24);
-
-// Hora actual dentro del ciclo (0–23)
-const currentHourIndex = Math.floor(currentHoursElapsed % 24);
-
-// Determina si en esa hora del ciclo hay luz u oscuridad
-function isLightAtAbsoluteHours(hoursSinceStart) {
-  const inCycle = ((hoursSinceStart % cycleLength) + cycleLength) % cycleLength;
-  return inCycle < Number(hoursLight);
-}
+  // energy balance vs 12/12 (horas de luz que hubo de verdad)
+  const energyBalance = useMemo(() => energyBalanceAt(phaseTimeline, hoursSinceStartNow, history), [phaseTimeline, hoursSinceStartNow, history]);
 
+  // Rampas de amanecer/atardecer del driver (light.ramps)
+  const ramps = useMemo(() => normalizeRamps(light.ramps), [light.ramps]);
+  const updateRamps = useCallback((patch) => {
+    setLight((prev) => {
+      const current = normalizeRamps(prev.ramps);
+      return { ...prev, ramps: normalizeRamps({ ...current, ...patch }) };
+    });
+  }, []);
 
-  // energy balance vs 12/12
-  const energyBalance = useMemo(() => {
-    if (hoursSinceStartNow < 0) return 0;
-    const hoursLightCustom = Number(hoursLight);
-    const cycleLenCustom = cycleLength;
-    const lightHoursConsumedCustom = (hoursLightCustom / cycleLenCustom) * hoursSinceStartNow;
-    const lightHoursConsumedStandard = 0.5 * hoursSinceStartNow;
-    const totalBalance = lightHoursConsumedStandard - lightHoursConsumedCustom;
-    return totalBalance;
-  }, [hoursLight, hoursSinceStartNow, cycleLength]);
+  // consumo y costo (kWh / dinero) con las luminarias cargadas
+  const energyStats = useMemo(() => {
+    return energyReport(phaseTimeline, energy, hoursSinceStartNow, clamp(Number(durationDays) || 0, 1, 9999) * 24, history, ramps);
+  }, [phaseTimeline, energy, hoursSinceStartNow, durationDays, history, ramps]);
 
   // formatted time elapsed
   const formattedTimeElapsed = useMemo(() => {
@@ -178,64 +925,357 @@ function isLightAtAbsoluteHours(hoursSinceStart) {
     if (days > 0) parts.push(`${days} d`);
     if (hours > 0 || (days === 0 && minutes > 0)) parts.push(`${hours} h`);
     if (minutes > 0 && days === 0 && hours === 0) parts.push(`${minutes} m`);
-    return { days, hours, minutes, display: parts.length > 0 ? parts.join(' y ') : '0 d' };
-  }, [hoursSinceStartNow]);
+    return { days, hours, minutes, display: parts.length > 0 ? parts.join(` ${t("common.and")} `) : '0 d' };
+  }, [hoursSinceStartNow, t]);
 
   // ---- Build calendar data (days x 24) ----
+  const gridRows = useMemo(() => buildGrid(phaseTimeline, startDateObj, durationDays, timeZone), [durationDays, phaseTimeline, startDateObj, timeZone]);
+
+  // La misma grilla con los desvíos y re-anclajes: de acá salen el temporizador y las descargas
+  const actualRows = useMemo(
+    () => (history.overrides.length > 0 ? buildGrid(phaseTimeline, startDateObj, durationDays, timeZone, history) : gridRows),
+    [gridRows, history, durationDays, phaseTimeline, startDateObj, timeZone]
+  );
+
+  // Fechas y horas siempre en la zona del cuarto de cultivo ("tu hora" en la del navegador),
+  // con el formato del idioma elegido
+  const formatDayMonth = useCallback((date) => formatInZone(date, timeZone, { day: "2-digit", month: "2-digit" }, t.locale), [timeZone, t]);
+  const formatLocal = useCallback((date) => formatInZone(date, LOCAL_TIME_ZONE, { day: "2-digit", month: "2-digit", hour: "2-digit", minute: "2-digit" }, t.locale), [t]);
+
+  // Una sola pasada por toda la grilla; lo que depende de la hora actual o de la
+  // zona del dispositivo se calcula al renderizar, solo para las filas visibles
   const calendar = useMemo(() => {
-    const rows = [];
-    const days = clamp(Number(durationDays) || 0, 1, 9999);
-    const startOfDayStart = new Date(startDateObj);
-    startOfDayStart.setHours(0, 0, 0, 0);
-    const MS_PER_DAY = 1000 * 60 * 60 * 24;
-    for (let d = 0; d < days; d++) {
-      const row = [];
-      const dateForDay = new Date(startOfDayStart.getTime() + d * MS_PER_DAY);
-      const dateDisplay = dateForDay.toLocaleDateString([], { day: '2-digit', month: '2-digit' }).replace(/\//g, '/');
-      for (let h = 0; h < 24; h++) {
-        const hoursSinceStart = d * 24 + h - fractionalStartOffset;
-        row.push({
-          isLight: Boolean(isLightAtAbsoluteHours(hoursSinceStart)),
-          dateDisplay
-        });
-      }
+    return gridRows.map((row) => {
+      const dateDisplay = formatDayMonth(row.date);
+      return row.cells.map((cell) => ({ ...cell, dateDisplay }));
+    });
+  }, [gridRows, formatDayMonth]);
+
+  // Hora de la celda en la zona del dispositivo (columna / detalle "Tu hora")
+  const cellLocalLabel = useCallback(
+    (cell) => (showLocalTime ? formatLocal(new Date(startDateObj.getTime() + cell.hoursSinceStart * 3600000)) : null),
+    [showLocalTime, formatLocal, startDateObj]
+  );
+
+  // ---- Filas visibles de la grilla (virtualización) ----
+  const visibleRows = useMemo(() => {
+    return visibleRange({ count: calendar.length, ...calendarViewport, rowHeight: calendarRowHeight, all: renderAllRows });
+  }, [renderAllRows, calendar.length, calendarViewport, calendarRowHeight]);
+
+  // Plan vs. real: lo que pasó de verdad en las celdas visibles (null = igual al plan)
+  const actualCells = useMemo(() => {
+    if (history.overrides.length === 0) return null;
+    const out = {};
+    for (let d = visibleRows.first; d < visibleRows.last; d++) out[d] = calendar[d].map((cell) => actualCell(cell, history));
+    return out;
+  }, [history, calendar, visibleRows]);
+
+  // Rampas del plan en las celdas visibles (null = sin rampas)
+  const rampCells = useMemo(() => {
+    if (!hasRamps(ramps)) return null;
+    const plan = { timeline: phaseTimeline, overrides: [] };
+    const out = {};
+    for (let d = visibleRows.first; d < visibleRows.last; d++) {
+      const row = gridRows[d];
+      const from = row.cells[0].hoursSinceStart;
+      const windows = listRamps(plan, ramps, from, from + row.dayHours);
+      out[d] = calendar[d].map((cell) => (windows.length > 0 ? rampOverlay(cell, windows) : null));
+    }
+    return out;
+  }, [ramps, phaseTimeline, visibleRows, gridRows, calendar]);
+
+  // ---- Escenarios: la configuración activa primero, después los guardados ----
+  const scenarioColumns = useMemo(() => {
+    return [{ id: "active", name: nombreCiclo, phases, durationDays, active: true }, ...scenarios]
+      .map((sc) => ({ ...sc, report: scenarioReport(sc, startDateObj, energy, ramps) }));
+  }, [nombreCiclo, phases, durationDays, scenarios, startDateObj, energy, ramps]);
+
+  const comparedScenario = useMemo(
+    () => (calendarView === "grid" && scenarioColumns.find((c) => !c.active && c.id === compareScenarioId)) || null,
+    [calendarView, scenarioColumns, compareScenarioId]
+  );
+
+  // El escenario comparado en las celdas visibles
+  const scenarioCells = useMemo(() => {
+    if (!comparedScenario) return null;
+    const out = {};
+    for (let d = visibleRows.first; d < visibleRows.last; d++) out[d] = calendar[d].map((cell) => scenarioCell(cell, comparedScenario.report.timeline));
+    return out;
+  }, [comparedScenario, visibleRows, calendar]);
+
+  // Scroll dentro del calendario: como mucho una actualización por cuadro
+  const handleCalendarScroll = useCallback((e) => {
+    const node = e.currentTarget;
+    if (scrollFrameRef.current) return;
+    scrollFrameRef.current = requestAnimationFrame(() => {
+      scrollFrameRef.current = 0;
+      const headHeight = node.querySelector("thead")?.offsetHeight || 0;
+      setCalendarViewport({ top: Math.max(0, node.scrollTop - headHeight), height: node.clientHeight });
+    });
+  }, []);
+
+  useEffect(() => () => cancelAnimationFrame(scrollFrameRef.current), []);
+
+  // Alto del contenedor al montar, al cambiar de vista y al redimensionar la ventana
+  useEffect(() => {
+    const measure = () => {
+      const node = calendarRef.current;
+      if (node) setCalendarViewport((prev) => ({ ...prev, height: node.clientHeight || prev.height }));
+    };
+    measure();
+    window.addEventListener("resize", measure);
+    return () => window.removeEventListener("resize", measure);
+  }, [calendarView]);
+
+  // Alto real de una fila (depende del CSS y del dispositivo)
+  useLayoutEffect(() => {
+    const row = calendarRef.current?.querySelector("tbody tr[data-day]");
+    const height = row?.offsetHeight;
+    if (height && Math.abs(height - calendarRowHeight) > 0.5) setCalendarRowHeight(height);
+  }, [visibleRows, calendarRowHeight, calendarView]);
+
+  // ---- Diario: clave "AAAA-MM-DD" de cada fila y número de día ----
+  const journalKeys = useMemo(() => gridRows.map((row) => journalDayKey(row.date, timeZone)), [gridRows, timeZone]);
+
+  const addJournalNote = useCallback((key, entry) => setJournal((prev) => addJournalEntry(prev, key, entry)), []);
+  const removeJournalNote = useCallback((key, id) => setJournal((prev) => removeJournalEntry(prev, key, id)), []);
+
+  // ---- Desvíos reales ----
+  const addDeviation = useCallback((entry) => {
+    const id = `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 7)}`;
+    setDeviations((prev) => [...prev, { ...entry, id }].sort((a, b) => a.at.localeCompare(b.at)));
+  }, []);
+  const removeDeviation = useCallback((id) => setDeviations((prev) => prev.filter((d) => d.id !== id)), []);
+
+  // ---- Escenarios ----
+  // Uno nuevo arranca como copia de la configuración activa
+  const addScenario = useCallback(() => {
+    setScenarios((prev) => (prev.length >= MAX_SCENARIOS ? prev : [...prev, {
+      id: `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 7)}`,
+      name: t("scenario.defaultName", { number: prev.length + 1 }),
+      phases: phases.map((p) => ({ ...p, segments: p.segments.map((seg) => ({ ...seg })) })),
+      durationDays,
+    }]));
+  }, [phases, durationDays, t]);
+  const updateScenario = useCallback((id, patch) => setScenarios((prev) => prev.map((sc) => (sc.id === id ? { ...sc, ...patch } : sc))), []);
+  const updateScenarioSegment = useCallback((id, phaseIndex, segIndex, hours) => {
+    setScenarios((prev) => prev.map((sc) => (sc.id !== id ? sc : {
+      ...sc,
+      phases: sc.phases.map((p, i) => (i !== phaseIndex ? p : { ...p, segments: p.segments.map((seg, j) => (j === segIndex ? { ...seg, hours } : seg)) })),
+    })));
+  }, []);
+  // Promover: el escenario pasa a ser la configuración activa y la activa queda en su
+  // lugar, así se puede volver atrás
+  const promoteScenario = useCallback((id) => {
+    const sc = scenarios.find((s) => s.id === id);
+    if (!sc) return;
+    setScenarios((prev) => prev.map((s) => (s.id === id ? { ...s, name: t("scenario.previous"), phases, durationDays } : s)));
+    setPhases(sc.phases);
+    setDurationDays(sc.durationDays);
+  }, [scenarios, phases, durationDays, t]);
+  const removeScenario = useCallback((id) => {
+    setScenarios((prev) => prev.filter((s) => s.id !== id));
+    setCompareScenarioId((prev) => (prev === id ? null : prev));
+  }, []);
 
-      rows.push(row);
+  // ---- Hitos ----
+  const addMilestone = useCallback((entry) => {
+    const id = `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 7)}`;
+    setMilestones((prev) => [...prev, { ...entry, id }]);
+  }, []);
+  const removeMilestone = useCallback((id) => setMilestones((prev) => prev.filter((m) => m.id !== id)), []);
+
+  // Fecha real de cada hito (los re-anclajes lo corren) y su celda en la grilla
+  const milestoneList = useMemo(() => {
+    return buildMilestones(history, milestones, startDateObj).map((m) => {
+      const day = gridRows.findIndex((row) => m.hours >= row.cells[0].hoursSinceStart && m.hours < row.cells[0].hoursSinceStart + row.dayHours);
+      const hour = day < 0 ? -1 : gridRows[day].cells.findIndex((c) => m.hours >= c.hoursSinceStart && m.hours < c.hoursSinceStart + c.duration);
+      const cell = hour < 0 ? null : gridRows[day].cells[hour];
+      return {
+        ...m,
+        day,
+        hour,
+        at: cell ? (m.hours - cell.hoursSinceStart) / cell.duration : 0,
+        dateLabel: formatInZone(m.date, timeZone, { day: "2-digit", month: "2-digit", year: "numeric", hour: "2-digit", minute: "2-digit", hourCycle: "h23" }, t.locale),
+        cycles: historyCompletedCycles(history, m.hours),
+        countLabel: t("milestone.count", { cycles: t.number(historyCompletedCycles(history, m.hours)), days: t.number(m.hours / 24, 1) }),
+      };
+    });
+  }, [history, milestones, startDateObj, gridRows, timeZone, t]);
+
+  // Hitos por día de la grilla (marcas, hoja del timer y planillas)
+  const milestonesByDay = useMemo(() => {
+    const byDay = {};
+    for (const m of milestoneList) {
+      if (m.day < 0) continue;
+      (byDay[m.day] = byDay[m.day] || []).push(m);
     }
-    return rows;
-  }, [durationDays, fractionalStartOffset, hoursLight, hoursDark, cycleLength, startDateObj]);
+    return byDay;
+  }, [milestoneList]);
+
+  // Celda de la hora actual (día calendario y hora de pared de la zona)
+  const nowCell = useMemo(() => {
+    const d = gridRows.findIndex((row) => hoursSinceStartNow >= row.cells[0].hoursSinceStart && hoursSinceStartNow < row.cells[0].hoursSinceStart + row.dayHours);
+    if (d < 0) return { day: -1, hour: -1 };
+    const hour = gridRows[d].cells.findIndex((c) => hoursSinceStartNow >= c.hoursSinceStart && hoursSinceStartNow < c.hoursSinceStart + c.duration);
+    return { day: d, hour };
+  }, [gridRows, hoursSinceStartNow]);
+
+  // ---- Vista por ciclos: un renglón por ciclo custom (el bloque ON siempre en el mismo lugar) ----
+  const cycleRows = useMemo(() => {
+    if (calendarView !== "cycles") return [];
+    const at = (h) => new Date(startDateObj.getTime() + h * 3600000);
+    const fmtDate = (h) => formatInZone(at(h), timeZone, { day: "2-digit", month: "2-digit", hour: "2-digit", minute: "2-digit", hourCycle: "h23" }, t.locale);
+    const fmtTime = (h) => formatInZone(at(h), timeZone, { hour: "2-digit", minute: "2-digit", hourCycle: "h23" }, t.locale);
+    return buildCycleRows(phaseTimeline, clamp(Number(durationDays) || 0, 1, 9999) * 24).map((row) => {
+      // Bloques ON/OFF en horas desde el comienzo del ciclo (recortados si el ciclo queda cortado)
+      const blocks = row.segments
+        .map((seg, i) => ({ isLight: seg.isLight, from: i === 0 ? 0 : row.offsets[i - 1], to: Math.min(row.offsets[i], row.end - row.start) }))
+        .filter((b) => b.to > b.from);
+      return {
+        ...row,
+        blocks,
+        startLabel: fmtDate(row.start),
+        onLabel: blocks.filter((b) => b.isLight).map((b) => `${fmtTime(row.start + b.from)}–${fmtTime(row.start + b.to)}`).join(" · "),
+      };
+    });
+  }, [calendarView, phaseTimeline, durationDays, startDateObj, timeZone, t]);
+
+  const maxCycleLength = useMemo(() => Math.max(1, ...cycleRows.map((r) => r.cycleLength)), [cycleRows]);
+  const nowCycleIndex = useMemo(
+    () => cycleRows.findIndex((r) => hoursSinceStartNow >= r.start && hoursSinceStartNow < r.end),
+    [cycleRows, hoursSinceStartNow]
+  );
+
+  // ---- Reloj de 24 h: ventanas de luz de hoy y mañana (hora de pared de la zona) ----
+  const clockDays = useMemo(() => {
+    if (calendarView !== "clock") return [];
+    const today = dayLightWindows(phaseTimeline, startDateObj, now, timeZone);
+    const tomorrow = dayLightWindows(phaseTimeline, startDateObj, new Date(today.date.getTime() + (today.dayHours + 1) * 3600000), timeZone);
+    return [{ ...today, label: t("clock.today") }, { ...tomorrow, label: t("clock.tomorrow") }];
+  }, [calendarView, phaseTimeline, startDateObj, now, timeZone, t]);
+
+  // ---- Programa diario del temporizador (lo que pasó de verdad, con los re-anclajes) ----
+  const timerSheet = useMemo(() => {
+    const toLocal = (tr) => formatInZone(new Date(startDateObj.getTime() + tr.hours * 3600000), LOCAL_TIME_ZONE, { hour: "2-digit", minute: "2-digit" }, t.locale);
+    return buildTimerProgram(actualRows).map((r, i) => {
+      const transitions = actualRows[i].cells.flatMap((c) => c.transitions);
+      return {
+        ...r,
+        dateDisplay: formatDayMonth(r.date),
+        localOnTimes: transitions.filter((tr) => tr.isLight).map(toLocal),
+        localOffTimes: transitions.filter((tr) => !tr.isLight).map(toLocal),
+      };
+    });
+  }, [actualRows, formatDayMonth, startDateObj, t]);
+
+  // ---- DLI por día calendario y por ciclo del superciclo ----
+  const dliEnabled = Number(light.ppfd) > 0 || phases.some((p) => Number(p.ppfd) > 0);
+  const calendarColumns = 26 + (dliEnabled ? 1 : 0) + (showLocalTime ? 1 : 0);
+
+  const dailyDli = useMemo(() => buildDailyDli(gridRows, phaseTimeline, light), [gridRows, phaseTimeline, light]);
+
+  const cycleDli = useMemo(() => {
+    return buildCycleDli(phaseTimeline, light, clamp(Number(durationDays) || 0, 1, 9999) * 24);
+  }, [phaseTimeline, light, durationDays]);
+
+  const dliStats = useMemo(() => {
+    const current = cycleDli.find((c) => hoursSinceStartNow >= c.start && hoursSinceStartNow < c.end) || null;
+    return {
+      today: nowCell.day >= 0 ? dailyDli[nowCell.day] : null,
+      currentCycle: current,
+      // con rampas, el PPFD de este momento según el dimmer
+      ppfdNow: phasePpfd(currentPhase, light) * (isNowLight && hasRamps(ramps) ? rampLevelAt(history, ramps, hoursSinceStartNow) * ramps.peak / 100 : 1),
+      molesSoFar: molesBetween(phaseTimeline, light, 0, Math.max(0, hoursSinceStartNow)),
+      daysOutOfRange: dailyDli.filter((d) => d.status).length,
+      cyclesOutOfRange: cycleDli.filter((c) => c.status).length,
+    };
+  }, [cycleDli, dailyDli, nowCell, hoursSinceStartNow, currentPhase, phaseTimeline, light, isNowLight, ramps, history]);
+
+  const timerChangesCount = useMemo(() => timerSheet.filter((r) => r.changed).length, [timerSheet]);
 
   // next event calc
   const nextChangeEvent = useMemo(() => {
-    let hoursToNext;
-    let nextState;
-    if (isNowLight) {
-      hoursToNext = Number(hoursLight) - currentInCycle;
-      nextState = 'OFF';
-    } else {
-      hoursToNext = cycleLength - currentInCycle;
-      nextState = 'ON';
+    const next = historyNextTransition(history, hoursSinceStartNow);
+    if (!next) {
+      return { hoursToNext: null, date: "--", time: "--:--", nextState: "—", action: t("event.none") };
     }
+    let hoursToNext = next.hours - hoursSinceStartNow;
+    const nextState = next.isLight ? 'ON' : 'OFF';
     if (!Number.isFinite(hoursToNext) || hoursToNext < 0) hoursToNext = 0;
     const nextDate = new Date(now.getTime() + Math.round(hoursToNext * 3600000));
     return {
       hoursToNext: hoursToNext,
-      date: nextDate.toLocaleDateString([], { month: 'short', day: 'numeric' }),
-      time: nextDate.toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' }),
+      date: formatInZone(nextDate, timeZone, { month: 'short', day: 'numeric' }, t.locale),
+      time: formatInZone(nextDate, timeZone, { hour: '2-digit', minute: '2-digit' }, t.locale),
+      localTime: formatLocal(nextDate),
       nextState,
-      action: nextState === 'ON' ? 'Encendido' : 'Apagado'
+      action: t(nextState === 'ON' ? "event.on" : "event.off")
     };
-  }, [now, isNowLight, currentInCycle, hoursLight, hoursDark, cycleLength]);
+  }, [now, history, hoursSinceStartNow, timeZone, formatLocal, t]);
+
+  // ---- Avisos (PWA) ----
+  useEffect(() => {
+    try {
+      localStorage.setItem(NOTIFY_STORAGE_KEY, JSON.stringify({ enabled: notifyEnabled, minutes: notifyMinutes }));
+    } catch (e) {
+      console.warn("No se pudo guardar en localStorage:", e);
+    }
+  }, [notifyEnabled, notifyMinutes]);
+
+  const nowHourBucket = Math.floor(now.getTime() / 3600000); // se recalcula una vez por hora
+  const upcomingAlerts = useMemo(() => {
+    if (!notifyEnabled) return [];
+    return upcomingNotifications({
+      timeline: phaseTimeline,
+      history,
+      startDateObj,
+      nowMs: nowHourBucket * 3600000,
+      minutesBefore: notifyMinutes,
+      nombreCiclo,
+      timeZone,
+      t,
+    });
+  }, [notifyEnabled, phaseTimeline, history, startDateObj, notifyMinutes, nombreCiclo, nowHourBucket, timeZone, t]);
+
+  // El service worker los programa aunque la app esté cerrada (si el navegador lo soporta)
+  useEffect(() => {
+    if (!notifyEnabled || !notificationsSupported() || Notification.permission !== "granted") return;
+    scheduleInServiceWorker(upcomingAlerts).catch((e) => console.warn("No se pudieron programar los avisos:", e));
+  }, [notifyEnabled, upcomingAlerts]);
+
+  // Respaldo con el ticker de 30 s (sigue corriendo con la pestaña en segundo plano)
+  useEffect(() => {
+    const nowMs = now.getTime();
+    upcomingAlerts
+      .filter((n) => n.at <= nowMs && nowMs < n.switchAt && !notifiedTagsRef.current.has(n.tag))
+      .forEach((n) => {
+        notifiedTagsRef.current.add(n.tag);
+        showNotification(n);
+      });
+  }, [now, upcomingAlerts]);
+
+  const toggleNotifications = useCallback(async () => {
+    if (notifyEnabled) { setNotifyEnabled(false); return; }
+    const permission = await requestNotificationPermission();
+    if (permission === "granted") {
+      setNotifyEnabled(true);
+    } else if (permission === "unsupported") {
+      alert(`⚠️ ${t("notify.unsupported")}`);
+    } else {
+      alert(`⚠️ ${t("notify.denied")}`);
+    }
+  }, [notifyEnabled, t]);
 
   // --- Export / Import / Reset ---
 
 const handleExport = useCallback(() => {
-  const payload = { startDate, hoursLight, hoursDark, durationDays, nombreCiclo };
+  const payload = serializeConfig({ startDate, timeZone, phases, durationDays, nombreCiclo, energy, light, journal, deviations, scenarios, milestones });
 
   // 🗓️ Nombre del archivo con formato: fecha_nombre_SUPERCICLO.json
   const fecha = startDate
-    ? new Date(startDate).toISOString().split("T")[0]
-    : new Date().toISOString().split("T")[0];
+    ? startDate.split("T")[0]
+    : toZonedInputValue(new Date(), timeZone).split("T")[0];
 
   const nombreArchivo = `${fecha}_${nombreCiclo?.trim() || "Superciclo"}_SUPERCICLO.json`
     .replace(/\s+/g, "_"); // Reemplaza espacios por guiones bajos
@@ -247,27 +1287,194 @@ const handleExport = useCallback(() => {
   a.download = nombreArchivo;
   a.click();
   URL.revokeObjectURL(url);
-}, [startDate, hoursLight, hoursDark, durationDays, nombreCiclo]);
+}, [startDate, timeZone, phases, durationDays, nombreCiclo, energy, light, journal, deviations, scenarios, milestones]);
+
+// --- Exportar a calendario (.ics) ---
+const handleExportICS = useCallback(() => {
+  const ics = buildICS({
+    timeline: phaseTimeline,
+    history,
+    startDateObj,
+    durationDays,
+    name: nombreCiclo,
+    mode: icsMode,
+    alarmMinutes: Number(icsAlarmMinutes),
+    timeZone,
+    milestones: milestoneList.map((m) => ({ ...m, description: `${milestoneRule(t, m)} · ${m.countLabel}` })),
+    labels: {
+      on: t("event.on"),
+      off: t("event.off"),
+      lightOn: t("ics.lightOn"),
+      alarm: (params) => t("ics.alarm", params),
+    },
+  });
+
+  const fecha = startDate
+    ? startDate.split("T")[0]
+    : toZonedInputValue(new Date(), timeZone).split("T")[0];
+
+  const nombreArchivo = `${fecha}_${nombreCiclo?.trim() || "Superciclo"}_SUPERCICLO.ics`
+    .replace(/\s+/g, "_");
+
+  const blob = new Blob([ics], { type: "text/calendar;charset=utf-8" });
+  const url = URL.createObjectURL(blob);
+  const a = document.createElement("a");
+  a.href = url;
+  a.download = nombreArchivo;
+  a.click();
+  URL.revokeObjectURL(url);
+}, [phaseTimeline, history, startDateObj, startDate, timeZone, durationDays, nombreCiclo, icsMode, icsAlarmMinutes, milestoneList, t]);
+
+// Encabezados de las planillas en el idioma elegido (claves "sheet.*")
+const sheetLabels = useMemo(() => Object.fromEntries(Object.keys(SHEET_LABELS).map((key) => [key, t(`sheet.${key}`)])), [t]);
+
+// --- Exportar grilla o lista de cambios a planilla (CSV / XLSX) ---
+const handleExportSheet = useCallback((kind, format) => {
+  const source = { rows: actualRows, keys: journalKeys, history, startDateObj, milestonesByDay, labels: sheetLabels };
+  const table = kind === "transitions" ? buildTransitionSheet(source) : buildGridSheet(source);
+  // En el XLSX los hitos van además en su propia hoja
+  const tables = milestoneList.length > 0 ? [table, buildMilestoneSheet(t, { milestones: milestoneList, timeZone })] : [table];
+
+  const fecha = startDate
+    ? startDate.split("T")[0]
+    : toZonedInputValue(new Date(), timeZone).split("T")[0];
+
+  const nombreArchivo = `${fecha}_${nombreCiclo?.trim() || "Superciclo"}_${kind === "transitions" ? "CAMBIOS" : "CALENDARIO"}.${format}`
+    .replace(/\s+/g, "_");
+
+  const blob = format === "xlsx"
+    ? new Blob([toXLSX(tables)], { type: "application/vnd.openxmlformats-officedocument.spreadsheetml.sheet" })
+    : new Blob([toCSV(table)], { type: "text/csv;charset=utf-8" });
+  const url = URL.createObjectURL(blob);
+  const a = document.createElement("a");
+  a.href = url;
+  a.download = nombreArchivo;
+  a.click();
+  URL.revokeObjectURL(url);
+}, [actualRows, journalKeys, history, startDateObj, startDate, timeZone, nombreCiclo, milestonesByDay, milestoneList, sheetLabels, t]);
+
+// --- Perfil del dimmer (hora → %) para controladores programables ---
+const handleExportProfile = useCallback((format) => {
+  const totalHours = clamp(Number(durationDays) || 0, 1, 9999) * 24;
+  const table = buildProfileSheet({ history, ramps, totalHours, startDateObj, timeZone, labels: sheetLabels });
 
-// --- Importar configuración ---
+  const fecha = startDate
+    ? startDate.split("T")[0]
+    : toZonedInputValue(new Date(), timeZone).split("T")[0];
+
+  const nombreArchivo = `${fecha}_${nombreCiclo?.trim() || "Superciclo"}_PERFIL_DIMMER.${format}`
+    .replace(/\s+/g, "_");
+
+  const blob = format === "json"
+    ? new Blob([JSON.stringify({
+      nombreCiclo,
+      timeZone,
+      startDate,
+      stepMinutes: PROFILE_STEP_MINUTES,
+      ramps,
+      milestones: milestoneList.map((m) => ({ name: m.name, at: m.date.toISOString(), local: toZonedInputValue(m.date, timeZone).replace("T", " "), hours: round2(m.hours) })),
+      // cada punto rige hasta el siguiente
+      points: table.rows.map(([local, at, hours, percent]) => ({ at, local, hours, percent })),
+    }, null, 2)], { type: "application/json" })
+    : new Blob([toCSV(table)], { type: "text/csv;charset=utf-8" });
+  const url = URL.createObjectURL(blob);
+  const a = document.createElement("a");
+  a.href = url;
+  a.download = nombreArchivo;
+  a.click();
+  URL.revokeObjectURL(url);
+}, [history, ramps, durationDays, startDateObj, startDate, timeZone, nombreCiclo, milestoneList, sheetLabels]);
+
+// --- Importar configuración (primero se muestra la vista previa) ---
 const handleImport = useCallback((file) => {
   if (!file) return;
   const reader = new FileReader();
   reader.onload = (e) => {
+    let obj;
     try {
-      const obj = JSON.parse(e.target.result);
-      if (obj.nombreCiclo) setNombreCiclo(String(obj.nombreCiclo));
-      if (obj.startDate) setStartDate(String(obj.startDate));
-      if (Number.isFinite(Number(obj.hoursLight))) setHoursLight(Number(obj.hoursLight));
-      if (Number.isFinite(Number(obj.hoursDark))) setHoursDark(Number(obj.hoursDark));
-      if (Number.isFinite(Number(obj.durationDays))) setDurationDays(Number(obj.durationDays));
-    } catch (err) {
-      alert("⚠️ Archivo inválido o con formato incorrecto.");
+      obj = JSON.parse(e.target.result);
+    } catch {
+      setImportPreview({ fileName: file.name, value: {}, errors: [{ field: "(archivo)", key: "json" }], fromVersion: null, fatal: true });
+      return;
+    }
+    // Biblioteca completa: sus ciclos se suman a los que hay
+    if (isLibraryFile(obj)) {
+      importLibraryFile(obj);
+      return;
     }
+    setImportPreview({ fileName: file.name, ...validateConfig(obj) });
   };
   reader.readAsText(file);
+}, [importLibraryFile]);
+
+const confirmImport = useCallback((keys, { save, asNewCycle }) => {
+  const value = {};
+  keys.forEach((key) => { value[key] = importPreview.value[key]; });
+  // Como ciclo nuevo de la biblioteca: lo que no trae el archivo queda de fábrica
+  if (asNewCycle) {
+    const { library: next, id } = addCycle(library);
+    setLibrary(next);
+    activateCycle(id, { config: serializeConfig({ ...defaultConfigFields(timeZone), ...value }) });
+    setImportPreview(null);
+    return;
+  }
+  if (save) takeSnapshot("import");
+  applyConfig(value);
+  setSharedMode(!save);
+  setImportPreview(null);
+}, [importPreview, applyConfig, takeSnapshot, library, activateCycle, timeZone]);
+
+// --- Restaurar una versión guardada (la actual queda en el historial) ---
+const restoreSnapshot = useCallback((id) => {
+  const snap = snapshots.find((s) => s.id === id);
+  if (!snap) return;
+  const { value, errors } = validateConfig(snap.config);
+  if (errors.length > 0) console.warn("Versión con campos inválidos (se ignoran):", errors);
+  if (value.journal) value.journal = restoreJournalPhotos(value.journal, journal);
+  takeSnapshot("restore");
+  applyConfig(value);
+  setSharedMode(false);
+  setSnapshotsOpen(false);
+}, [snapshots, journal, takeSnapshot, applyConfig]);
+
+// --- Enlace compartido (#sc=...): vista previa y confirmación antes de cargar ---
+const openSharedLink = useCallback(async (hash) => {
+  if (!hasShareHash(hash)) return;
+  const result = await readShareHash(hash);
+  setImportPreview({ ...result, fileName: "enlace compartido", source: "link" });
+  // Ya se leyó: se quita del hash para que recargar la página no lo vuelva a abrir
+  window.history.replaceState(null, "", window.location.pathname + window.location.search);
 }, []);
 
+useEffect(() => {
+  openSharedLink(window.location.hash);
+  const onHashChange = () => openSharedLink(window.location.hash);
+  window.addEventListener("hashchange", onHashChange);
+  return () => window.removeEventListener("hashchange", onHashChange);
+}, [openSharedLink]);
+
+// Deja de mirar el Superciclo compartido y vuelve a la configuración guardada
+const leaveSharedMode = useCallback(() => {
+  const saved = safeParseJSON(localStorage.getItem(STORAGE_KEY) ?? localStorage.getItem(LEGACY_STORAGE_KEY), null);
+  if (saved) applyConfig(validateConfig(saved).value);
+  setSharedMode(false);
+}, [applyConfig]);
+
+// --- Compartir: enlace con la configuración comprimida + QR ---
+const handleShare = useCallback(async () => {
+  const title = nombreCiclo?.trim() || "Superciclo";
+  const url = await buildShareUrl(
+    serializeConfig({ startDate, timeZone, phases, durationDays, nombreCiclo, energy, light, deviations, scenarios, milestones }),
+    window.location.href.split("#")[0],
+  );
+  try {
+    const qr = await QRCode.toDataURL(url, { errorCorrectionLevel: "M", margin: 2, width: 320 });
+    setShareInfo({ url, title, qr });
+  } catch {
+    setShareInfo({ url, title, qr: null, qrError: t("share.qrTooLarge") });
+  }
+}, [startDate, timeZone, phases, durationDays, nombreCiclo, energy, light, deviations, scenarios, milestones, t]);
+
 // === Drag & Drop para escritorio ===
 useEffect(() => {
   const dropZone = document.getElementById("import-dropzone");
@@ -293,12 +1500,9 @@ useEffect(() => {
   const handleDrop = (e) => {
     preventDefaults(e);
     unhighlight();
+    // El tipo MIME varía según el sistema (o viene vacío): la vista previa valida el contenido
     const file = e.dataTransfer.files[0];
-    if (file && file.type === "application/json") {
-      handleImport(file);
-    } else {
-      alert("⚠️ Solo se aceptan archivos .json válidos");
-    }
+    if (file) handleImport(file);
   };
 
   ["dragenter", "dragover", "dragleave", "drop"].forEach((event) => {
@@ -327,23 +1531,75 @@ useEffect(() => {
 }, [handleImport]);
 
 
-// --- Reset a valores por defecto ---
-const resetDefaults = useCallback(() => {
-  const d = new Date();
-  d.setHours(0, 0, 0, 0);
-  setStartDate(fmtDateTimeLocal(d));
-  setHoursLight(13);
-  setHoursDark(14);
-  setDurationDays(60);
-  setNombreCiclo(""); // 🔹 Limpia también el nombre del ciclo
+// --- Edición de fases ---
+const updatePhaseDays = useCallback((index, value) => {
+  setPhases((prev) => prev.map((p, i) => (i === index ? { ...p, days: clamp(Number(value), 0, 9999) } : p)));
+}, []);
+
+const updateSegment = useCallback((phaseIndex, segIndex, patch) => {
+  setPhases((prev) => prev.map((p, i) => (i !== phaseIndex ? p : {
+    ...p,
+    segments: p.segments.map((seg, j) => (j === segIndex ? { ...seg, ...patch } : seg)),
+  })));
+}, []);
+
+const addSegment = useCallback((phaseIndex) => {
+  setPhases((prev) => prev.map((p, i) => {
+    if (i !== phaseIndex) return p;
+    const last = p.segments[p.segments.length - 1];
+    return { ...p, segments: [...p.segments, { isLight: !last?.isLight, hours: 1 }] };
+  }));
+}, []);
+
+const removeSegment = useCallback((phaseIndex, segIndex) => {
+  setPhases((prev) => prev.map((p, i) => (i !== phaseIndex || p.segments.length <= 1 ? p : {
+    ...p,
+    segments: p.segments.filter((_, j) => j !== segIndex),
+  })));
+}, []);
+
+const addPhase = useCallback(() => {
+  setPhases((prev) => [...prev, { ...prev[prev.length - 1], days: 7 }]);
 }, []);
 
-// --- Formateo de fecha ---
-const formatStartDate = useCallback((dObj) => {
-  if (!dObj || isNaN(dObj.getTime())) return "--";
-  return dObj.toLocaleString();
+const removePhase = useCallback((index) => {
+  setPhases((prev) => (prev.length > 1 ? prev.filter((_, i) => i !== index) : prev));
 }, []);
 
+// PPFD / dimmer propios de la fase ("" = usar la luz general)
+const updatePhaseLight = useCallback((index, field, value) => {
+  setPhases((prev) => prev.map((p, i) => {
+    if (i !== index) return p;
+    const next = { ...p };
+    if (value === "") delete next[field];
+    else next[field] = clamp(Number(value), 0, field === "dimming" ? 100 : 5000);
+    return next;
+  }));
+}, []);
+
+// --- Edición de luminarias / precio ---
+const updateFixture = useCallback((index, patch) => {
+  setEnergy((prev) => ({ ...prev, fixtures: prev.fixtures.map((f, i) => (i === index ? { ...f, ...patch } : f)) }));
+}, []);
+
+const addFixture = useCallback(() => {
+  setEnergy((prev) => ({ ...prev, fixtures: [...prev.fixtures, { name: "", watts: 300, count: 1 }] }));
+}, []);
+
+const removeFixture = useCallback((index) => {
+  setEnergy((prev) => ({ ...prev, fixtures: prev.fixtures.filter((_, i) => i !== index) }));
+}, []);
+
+// --- Reset a valores por defecto ---
+const resetDefaults = useCallback(() => {
+  // Se confirma siempre; el mensaje recuerda cómo deshacerlo
+  const notes = journalStats(journal).entries;
+  if (!window.confirm(notes > 0 ? t("reset.confirmNotes", { notes }) : t("reset.confirm"))) return;
+  takeSnapshot("reset");
+  // Hoy a las 00:00 en la zona del cuarto de cultivo; también limpia el nombre del ciclo
+  applyConfig(defaultConfigFields(timeZone));
+}, [timeZone, journal, takeSnapshot, applyConfig, t]);
+
   // run validation to show errors early
   useEffect(() => { validateInputs(); }, [validateInputs]);
 
@@ -351,7 +1607,7 @@ const formatStartDate = useCallback((dObj) => {
 const downloadCalendarPDF = useCallback(() => {
   const node = document.querySelector(".calendar-wrapper");
   if (!node) {
-    alert("❌ No se encontró el calendario para exportar.");
+    alert(`❌ ${t("export.noCalendar")}`);
     return;
   }
 
@@ -362,6 +1618,8 @@ const downloadCalendarPDF = useCallback(() => {
     padding: node.style.padding,
     margin: node.style.margin,
     transform: node.style.transform,
+    maxHeight: node.style.maxHeight,
+    overflowY: node.style.overflowY,
   };
 
   // Aplicar fondo y ajustes base
@@ -375,6 +1633,8 @@ const downloadCalendarPDF = useCallback(() => {
     transform: "scale(1)",
     width: "max-content",
     maxWidth: "none",
+    maxHeight: "none", // sin el scroll de la grilla virtualizada
+    overflowY: "visible",
   });
   
  // === 🔹 Eliminar sombra y borde del contenedor durante exportación ===
@@ -444,10 +1704,18 @@ const hMM = realHeight * 0.2646 ; // 🔹 resta 2 mm para evitar salto de págin
   };
 
   // === Generar PDF ===
-  setTimeout(() => {
+  // Número de día de cada fecha con notas (para el anexo)
+  const dayNumbers = {};
+  journalKeys.forEach((key, i) => { dayNumbers[key] = i + 1; });
+
+  // Se resuelve cuando termina la descarga (así quien llama sabe cuándo restaurar la vista)
+  return new Promise((resolve) => setTimeout(() => {
     html2pdf()
       .set(opt)
       .from(node)
+      .toPdf()
+      .get("pdf")
+      .then((pdf) => appendJournalToPdf(t, pdf, { journal, timeZone, title: nombreCiclo?.trim() || "Superciclo", dayNumbers }))
       .save()
       .then(() => {
         Object.assign(node.style, prev);
@@ -457,11 +1725,50 @@ const hMM = realHeight * 0.2646 ; // 🔹 resta 2 mm para evitar salto de págin
       })
       .catch((err) => {
         console.error("❌ Error al generar PDF:", err);
-        alert("Error al generar el PDF.");
+        alert(t("export.pdfError"));
         Object.assign(node.style, prev);
-      });
-  }, 400);
-}, []);
+      })
+      .then(resolve);
+  }, 400));
+}, [journal, journalKeys, timeZone, nombreCiclo, t]);
+
+
+
+
+// === Descargar programa del temporizador en PDF (A4, paginado por filas) ===
+const downloadTimerSheetPDF = useCallback(() => {
+  // La tabla en pantalla está virtualizada: se exporta la copia completa fuera de pantalla
+  flushSync(() => setTimerSheetExport(true));
+  const node = document.querySelector("#timer-sheet-export .timer-sheet");
+  if (!node) {
+    setTimerSheetExport(false);
+    alert(`❌ ${t("export.noTimerSheet")}`);
+    return;
+  }
+
+  const fecha = startDate
+    ? startDate.split("T")[0]
+    : toZonedInputValue(new Date(), timeZone).split("T")[0];
+
+  const opt = {
+    margin: [8, 8, 8, 8],
+    filename: `${fecha}_${nombreCiclo?.trim() || "Superciclo"}_TEMPORIZADOR.pdf`.replace(/\s+/g, "_"),
+    image: { type: "jpeg", quality: 0.98 },
+    html2canvas: { scale: 2, useCORS: true, backgroundColor: "#111827", logging: false },
+    jsPDF: { unit: "mm", format: "a4", orientation: "portrait", compress: true },
+    pagebreak: { mode: ["css", "legacy"], avoid: "tr" },
+  };
+
+  html2pdf()
+    .set(opt)
+    .from(node)
+    .save()
+    .catch((err) => {
+      console.error("❌ Error al generar PDF:", err);
+      alert(t("export.pdfError"));
+    })
+    .then(() => setTimerSheetExport(false));
+}, [startDate, timeZone, nombreCiclo, t]);
 
 
 
@@ -473,7 +1780,7 @@ const handleDownloadPDF = async () => {
 
   const node = document.querySelector(".calendar-wrapper");
   if (!node) {
-    alert("❌ No se encontró el calendario.");
+    alert(`❌ ${t("export.noCalendar")}`);
     return;
   }
 
@@ -494,15 +1801,20 @@ const handleDownloadPDF = async () => {
     zIndex: 9999,
     backdropFilter: "blur(4px)",
   });
-  overlay.textContent = isMobile ? "📸 Generando imagen HD..." : "📄 Generando PDF HD...";
+  overlay.textContent = isMobile ? `📸 ${t("export.overlayImage")}` : `📄 ${t("export.overlayPdf")}`;
   document.body.appendChild(overlay);
 
+  // La grilla en pantalla está virtualizada: para exportar se dibujan todas las filas
+  flushSync(() => setRenderAllRows(true));
+
   try {
   if (isMobile) {
     // === MOBILE: exporta imagen JPG completa y nítida ===
     const prev = {
       width: node.style.width,
       overflowX: node.style.overflowX,
+      overflowY: node.style.overflowY,
+      maxHeight: node.style.maxHeight,
       transform: node.style.transform,
     };
 
@@ -510,6 +1822,8 @@ const handleDownloadPDF = async () => {
     Object.assign(node.style, {
       width: "max-content",
       overflowX: "visible",
+      overflowY: "visible",
+      maxHeight: "none",
       transform: "scale(1)",
     });
 
@@ -552,10 +1866,11 @@ ctx.drawImage(canvas, margin, margin);
   }
 } catch (err) {
   console.error("❌ Error durante exportación:", err);
-  alert("Ocurrió un error al generar la descarga.");
+  alert(t("export.error"));
 } finally {
-  // Elimina overlay y desbloquea botón
+  // Elimina overlay, vuelve a la grilla virtualizada y desbloquea botón
   document.body.removeChild(overlay);
+  setRenderAllRows(false);
   setTimeout(() => setIsExporting(false), 800);
 }
 
@@ -565,14 +1880,51 @@ ctx.drawImage(canvas, margin, margin);
 
 
 
-  // UI helpers
-  const balanceColor = energyBalance > 0 ? 'text-emerald-400' : energyBalance < 0 ? 'text-rose-400' : 'text-gray-400';
-  const balanceIcon = energyBalance > 0 ? '▲' : energyBalance < 0 ? '▼' : '—';
-  const balanceText = energyBalance > 0 ? 'Ahorro de' : energyBalance < 0 ? 'Gasto Extra de' : 'Balance Neutral de';
-
   /* ----------------- JSX ----------------- */
   return (
+    <I18nContext.Provider value={t}>
     <div className="app-root min-h-screen font-inter" style={{ backgroundColor: "#0b1020" }}>
+      {importPreview && (
+        <ImportPreviewDialog
+          preview={importPreview}
+          current={{ nombreCiclo, startDate, timeZone, durationDays, phases, energy, light, journal, deviations, scenarios, milestones }}
+          onConfirm={confirmImport}
+          onCancel={() => setImportPreview(null)}
+        />
+      )}
+      {shareInfo && <ShareDialog share={shareInfo} onClose={() => setShareInfo(null)} />}
+      {snapshotsOpen && (
+        <SnapshotDialog
+          snapshots={snapshots}
+          onSave={() => takeSnapshot("manual")}
+          onRestore={restoreSnapshot}
+          onRemove={removeSnapshot}
+          onClose={() => setSnapshotsOpen(false)}
+        />
+      )}
+      {journalDayIndex !== null && gridRows[journalDayIndex] && (
+        <JournalDialog
+          key={journalKeys[journalDayIndex]}
+          day={{ number: journalDayIndex + 1, key: journalKeys[journalDayIndex], label: formatInZone(gridRows[journalDayIndex].date, timeZone, { weekday: "long", day: "2-digit", month: "2-digit", year: "numeric" }, t.locale) }}
+          timeZone={timeZone}
+          now={now}
+          entries={journalEntries(journal, journalKeys[journalDayIndex])}
+          onAdd={(entry) => addJournalNote(journalKeys[journalDayIndex], entry)}
+          onRemove={(id) => removeJournalNote(journalKeys[journalDayIndex], id)}
+          onClose={() => setJournalDayIndex(null)}
+        />
+      )}
+      {sharedMode && (
+        <div className="shared-mode-banner">
+          <span>🔗 {t("shared.banner")}</span>
+          <button onClick={() => setSharedMode(false)} className="px-3 py-1 rounded-lg font-semibold bg-emerald-600 hover:bg-emerald-500 text-white">
+            💾 {t("shared.keep")}
+          </button>
+          <button onClick={leaveSharedMode} className="px-3 py-1 rounded-lg font-semibold bg-gray-700 hover:bg-gray-600 text-white">
+            ↩️ {t("shared.leave")}
+          </button>
+        </div>
+      )}
       <div className="max-w-6xl mx-auto rounded-3xl shadow-2xl p-4 sm:p-8 border border-gray-700" style={{ background: 'transparent' }}>
         <header className="flex flex-col sm:flex-row items-start sm:items-center justify-between gap-4 mb-6">
           <div className="flex items-center gap-4">
@@ -581,18 +1933,92 @@ ctx.drawImage(canvas, margin, margin);
             </div>
             <div>
               <h1 className="text-2xl sm:text-3xl font-extrabold leading-tight" style={{ color: 'var(--accent)' }}>SUPERCICLO</h1>
-              <p className="text-sm" style={{ color: 'var(--muted)' }}>Configura tu SuperCiclo y visualiza tu calendario</p>
+              <p className="text-sm" style={{ color: 'var(--muted)' }}>{t("app.subtitle")}</p>
 
             </div>
           </div>
 
           <div className="ml-auto flex items-center gap-3">
             <div className="text-sm text-gray-400 hide-sm"></div>
+            {/* Ciclo que se está editando (biblioteca: una carpa / cuarto por ciclo) */}
+            {library.cycles.length > 1 && (
+              <label className="flex items-center gap-1.5 text-sm text-gray-300">
+                <span aria-hidden="true">🏠</span>
+                <span className="sr-only">{t("library.title")}</span>
+                <select
+                  value={library.activeId}
+                  onChange={(e) => switchCycle(e.target.value)}
+                  title={t("library.title")}
+                  className="p-1 rounded-md bg-gray-900/70 border border-gray-700 text-white max-w-[12rem]"
+                >
+                  {libraryRows.filter((r) => !r.archived || r.active).map((r) => <option key={r.id} value={r.id}>{r.name}</option>)}
+                </select>
+              </label>
+            )}
+            {/* Idioma de la interfaz (fechas y números siguen al idioma) */}
+            <label className="flex items-center gap-1.5 text-sm text-gray-300">
+              <span aria-hidden="true">🌐</span>
+              <span className="sr-only">{t("app.language")}</span>
+              <select
+                value={language}
+                onChange={(e) => setLanguage(normalizeLanguage(e.target.value))}
+                title={t("app.language")}
+                className="p-1 rounded-md bg-gray-900/70 border border-gray-700 text-white"
+              >
+                {LANGUAGES.map((l) => <option key={l.id} value={l.id}>{l.label}</option>)}
+              </select>
+            </label>
           </div>
         </header>
 
         <main className="grid lg:grid-cols-2 gap-6 items-stretch">
 
+{/* === BIBLIOTECA: todos los ciclos / carpas de un vistazo === */}
+<section
+  id="library-area"
+  className="lg:col-span-3 p-3 rounded-xl border shadow-lg"
+  style={{
+    background: "rgba(255,255,255,0.02)",
+    boxShadow: "0 0 15px rgba(147,51,234,0.15), inset 0 0 15px rgba(255,255,255,0.05)",
+    borderColor: "rgba(147,51,234,0.3)"
+  }}
+>
+  <h2 className="section-title tracking-wide flex items-center justify-center gap-2 text-indigo-400 mb-2">
+    🏠 {t("library.title")}
+  </h2>
+  <LibraryPanel
+    rows={libraryRows}
+    onSwitch={switchCycle}
+    onCreate={createCycle}
+    onDuplicate={duplicateCycle}
+    onRename={renameCycle}
+    onArchive={archiveCycle}
+    onDelete={deleteCycle}
+    onExport={exportCycle}
+    onExportAll={exportLibrary}
+  />
+  <p className="mt-1.5 text-[0.65rem] text-indigo-200/70 leading-snug text-center">
+    {t("library.hint")}
+  </p>
+
+  <h3 className="mt-4 mb-2 text-sm font-semibold text-indigo-300 text-center">⚡ {t("load.title")}</h3>
+  <LoadPanel
+    rooms={loadRooms}
+    segments={loadSegments}
+    peak={loadPeak}
+    limit={library.circuitWatts}
+    onLimitChange={setCircuitWatts}
+    suggestion={loadSuggestion}
+    onSuggest={suggestLoadOffsets}
+    onApply={(id, hours) => applyLoadOffsets({ [id]: hours })}
+    onApplyAll={() => loadSuggestion && applyLoadOffsets(loadSuggestion.offsets)}
+    now={now}
+    timeZone={timeZone}
+  />
+  <p className="mt-1.5 text-[0.65rem] text-indigo-200/70 leading-snug text-center">
+    {t("load.hint")}
+  </p>
+</section>
 
 {/* === CONFIGURACIÓN === */}
 <section
@@ -605,7 +2031,7 @@ ctx.drawImage(canvas, margin, margin);
   }}
 >
   <h2 className="section-title mb-5 tracking-wide flex items-center justify-center gap-2 text-indigo-400 drop-shadow-[0_0_6px_rgba(147,51,234,0.6)]">
-  ⚙️ Configuración
+  ⚙️ {t("config.title")}
 </h2>
 
 <div className="w-full max-w-md mx-auto space-y-6">
@@ -616,7 +2042,7 @@ ctx.drawImage(canvas, margin, margin);
   className="p-2.5 rounded-xl bg-gradient-to-b from-indigo-950/40 to-purple-900/10 border border-indigo-500/30 shadow-[inset_0_0_8px_rgba(147,51,234,0.15)]"
 >
   <label className="block text-[10px] uppercase font-semibold text-indigo-300 mb-1 tracking-wider">
-    Inicio (Luz ON)
+    {t("field.startDate")}
   </label>
 
   <input
@@ -627,8 +2053,34 @@ ctx.drawImage(canvas, margin, margin);
   />
 
   <p className="mt-1.5 text-[0.65rem] text-indigo-200/70 leading-snug">
-    🕓 <b>Primer encendido</b> del Superciclo
+    🕓 <b>{t("config.firstOn")}</b> {t("config.firstOnSuffix")}
   </p>
+
+  <label className="block text-[10px] uppercase font-semibold text-indigo-300 mt-2 mb-1 tracking-wider">
+    {t("config.timeZone")}
+  </label>
+  <input
+    type="text"
+    list="time-zone-options"
+    value={timeZoneInput}
+    onChange={(e) => {
+      setTimeZoneInput(e.target.value);
+      if (isValidTimeZone(e.target.value)) setTimeZone(e.target.value);
+    }}
+    onBlur={() => setTimeZoneInput(timeZone)}
+    placeholder="America/Argentina/Buenos_Aires"
+    className={`w-full p-1.5 rounded-md text-center text-[13px] font-medium bg-gray-900/70 border text-white focus:ring-2 focus:ring-indigo-500 ${
+      isValidTimeZone(timeZoneInput) ? "border-gray-700" : "border-rose-500"
+    }`}
+  />
+  <datalist id="time-zone-options">
+    {TIME_ZONE_OPTIONS.map((tz) => <option key={tz} value={tz} />)}
+  </datalist>
+
+  <label className="mt-1.5 flex items-center gap-1.5 text-[0.65rem] text-indigo-200/70 leading-snug">
+    <input type="checkbox" checked={showLocalTime} onChange={(e) => setShowLocalTime(e.target.checked)} />
+    {t("config.showLocal", { zone: LOCAL_TIME_ZONE })}
+  </label>
 </div>
 
 
@@ -637,42 +2089,373 @@ ctx.drawImage(canvas, margin, margin);
       className="p-3 rounded-xl bg-gradient-to-b from-indigo-950/40 to-purple-900/10 border border-indigo-500/30 shadow-[inset_0_0_10px_rgba(147,51,234,0.15)]"
     >
       <label className="block text-xs uppercase font-semibold text-indigo-300 mb-1 tracking-wide">
-        Nombre del cultivo
+        {t("field.nombreCiclo")}
       </label>
       <input
         type="text"
         value={nombreCiclo}
         onChange={(e) => setNombreCiclo(e.target.value)}
-        placeholder="Ej: Auto Amnesia"
+        placeholder={t("config.namePlaceholder")}
         className="w-full p-2 rounded-md text-center text-sm font-medium bg-gray-900/70 border border-gray-700 text-white focus:ring-2 focus:ring-pink-500"
       />
     </div>
   </div>
 
-  {/* Horas */}
-  <div className="grid grid-cols-3 gap-3">
-    {[
-      { label: "ON (hs)", value: hoursLight, setter: setHoursLight },
-      { label: "OFF (hs)", value: hoursDark, setter: setHoursDark },
-      { label: "Dias", value: durationDays, setter: setDurationDays },
-    ].map((f, i) => (
+  {/* Fases (segmentos ON / OFF y días de cada fase) */}
+  <div className="space-y-3">
+    {phases.map((p, i) => {
+      const isLast = i === phases.length - 1;
+      const phase = phaseTimeline[i];
+      const remainingDays = Math.max(0, Number(durationDays) - phase.start / 24);
+      return (
+        <div
+          key={i}
+          className="p-3 rounded-xl bg-gradient-to-b from-indigo-950/40 to-purple-900/10 border border-indigo-500/30 shadow-[inset_0_0_10px_rgba(147,51,234,0.15)]"
+        >
+          <div className="flex items-center justify-between mb-2">
+            <span className="text-xs uppercase font-bold text-pink-300 tracking-wide">
+              {t("phase.name", { number: i + 1 })}{isLast && phases.length > 1 ? ` ${t("phase.untilEnd")}` : ""}
+            </span>
+            {phases.length > 1 && (
+              <button
+                onClick={() => removePhase(i)}
+                title={t("phase.remove")}
+                className="text-xs text-gray-300 bg-gray-800 rounded-md hover:bg-gray-700"
+                style={{ width: "auto", padding: "0.2rem 0.5rem" }}
+              >
+                ✖
+              </button>
+            )}
+          </div>
+
+          {/* Segmentos del ciclo, en orden */}
+          <div className="space-y-1.5">
+            {p.segments.map((seg, j) => (
+              <div key={j} className="flex items-center gap-2">
+                <button
+                  onClick={() => updateSegment(i, j, { isLight: !seg.isLight })}
+                  title={t("phase.toggle")}
+                  className={`text-xs font-bold rounded-md ${seg.isLight ? "bg-yellow-300/90 text-black" : "bg-indigo-600/90 text-white"}`}
+                  style={{ width: "4.5rem", padding: "0.35rem 0.5rem" }}
+                >
+                  {seg.isLight ? "ON 🔆" : "OFF 🌙"}
+                </button>
+                <input
+                  type="number"
+                  min="0"
+                  step="0.5"
+                  value={seg.hours}
+                  onChange={(e) => updateSegment(i, j, { hours: clamp(Number(e.target.value), 0, 9999) })}
+                  className="flex-1 min-w-0 p-1.5 rounded-md text-center text-sm font-medium bg-gray-900/70 border border-gray-700 text-white focus:ring-2 focus:ring-indigo-500"
+                />
+                <span className="text-xs text-gray-400">{t("unit.hours")}</span>
+                {p.segments.length > 1 && (
+                  <button
+                    onClick={() => removeSegment(i, j)}
+                    title={t("phase.removeSegment")}
+                    className="text-xs text-gray-300 bg-gray-800 rounded-md hover:bg-gray-700"
+                    style={{ width: "auto", padding: "0.2rem 0.5rem" }}
+                  >
+                    ✖
+                  </button>
+                )}
+              </div>
+            ))}
+          </div>
+
+          <div className="grid grid-cols-2 gap-3 items-end mt-2">
+            <button
+              onClick={() => addSegment(i)}
+              className="text-xs text-white bg-purple-800/80 rounded-md hover:bg-purple-700"
+              style={{ padding: "0.4rem 0.5rem" }}
+            >
+              ➕ {t("phase.addSegment")}
+            </button>
+            <div>
+              <label className="block text-xs uppercase font-semibold text-indigo-300 mb-1 tracking-wide">
+                {t("phase.days")}
+              </label>
+              <input
+                type="number"
+                min="0"
+                step="0.5"
+                value={isLast ? remainingDays : p.days}
+                disabled={isLast}
+                onChange={(e) => updatePhaseDays(i, e.target.value)}
+                className="w-full p-1.5 rounded-md text-center text-sm font-medium bg-gray-900/70 border border-gray-700 text-white focus:ring-2 focus:ring-indigo-500 disabled:opacity-60"
+              />
+            </div>
+          </div>
+
+          {/* Luz de la fase (opcional) */}
+          <div className="grid grid-cols-2 gap-3 mt-2">
+            <div>
+              <label className="block text-[10px] uppercase font-semibold text-indigo-300 mb-1 tracking-wide">
+                {t("phase.ppfd")}
+              </label>
+              <input
+                type="number"
+                min="0"
+                step="10"
+                value={p.ppfd ?? ""}
+                placeholder={light.ppfd ? `${light.ppfd} (${t("phase.general")})` : t("phase.general")}
+                onChange={(e) => updatePhaseLight(i, "ppfd", e.target.value)}
+                className="w-full p-1.5 rounded-md text-center text-sm bg-gray-900/70 border border-gray-700 text-white focus:ring-2 focus:ring-indigo-500"
+              />
+            </div>
+            <div>
+              <label className="block text-[10px] uppercase font-semibold text-indigo-300 mb-1 tracking-wide">
+                Dimmer %
+              </label>
+              <input
+                type="number"
+                min="0"
+                max="100"
+                step="5"
+                value={p.dimming ?? ""}
+                placeholder="100"
+                onChange={(e) => updatePhaseLight(i, "dimming", e.target.value)}
+                className="w-full p-1.5 rounded-md text-center text-sm bg-gray-900/70 border border-gray-700 text-white focus:ring-2 focus:ring-indigo-500"
+              />
+            </div>
+          </div>
+
+          <p className="mt-1.5 text-[0.65rem] text-indigo-200/70 leading-snug">
+            {describeSegments(p.segments)} · {t("phase.cycleOf", { hours: t.number(phase.cycleLength, 1) })}
+            {dliEnabled ? ` · ${t.number(phasePpfd(phase, light))} µmol/m²/s` : ""}
+          </p>
+        </div>
+      );
+    })}
+
+    <div className="grid grid-cols-2 gap-3 items-end">
+      <button
+        onClick={addPhase}
+        className="flex items-center justify-center gap-2 px-4 py-2 text-sm bg-purple-700 text-white rounded-lg hover:bg-purple-600 transition"
+      >
+        ➕ {t("phase.add")}
+      </button>
       <div
-        key={i}
         className="p-3 rounded-xl bg-gradient-to-b from-indigo-950/40 to-purple-900/10 border border-indigo-500/30 shadow-[inset_0_0_10px_rgba(147,51,234,0.15)]"
       >
         <label className="block text-xs uppercase font-semibold text-indigo-300 mb-1 tracking-wide">
-          {f.label}
+          {t("config.days")}
         </label>
         <input
           type="number"
-          min={i === 2 ? "1" : "0"}
+          min="1"
           step="0.5"
-          value={f.value}
-          onChange={(e) => f.setter(clamp(Number(e.target.value), 0, 9999))}
+          value={durationDays}
+          onChange={(e) => setDurationDays(clamp(Number(e.target.value), 0, 9999))}
           className="w-full p-2 rounded-md text-center text-sm font-medium bg-gray-900/70 border border-gray-700 text-white focus:ring-2 focus:ring-indigo-500"
         />
       </div>
-    ))}
+    </div>
+  </div>
+
+  {/* Luz: PPFD general y rango objetivo de DLI */}
+  <div
+    className="p-3 rounded-xl bg-gradient-to-b from-indigo-950/40 to-purple-900/10 border border-indigo-500/30 shadow-[inset_0_0_10px_rgba(147,51,234,0.15)]"
+  >
+    <p className="text-xs uppercase font-bold text-pink-300 tracking-wide mb-2">🌱 {t("field.light")}</p>
+    <div className="grid grid-cols-3 gap-2">
+      {[
+        { label: "PPFD µmol/m²/s", field: "ppfd", step: "10" },
+        { label: t("light.dliMin"), field: "dliMin", step: "1" },
+        { label: t("light.dliMax"), field: "dliMax", step: "1" },
+      ].map((f) => (
+        <div key={f.field}>
+          <label className="block text-[10px] uppercase font-semibold text-indigo-300 mb-1 tracking-wide">
+            {f.label}
+          </label>
+          <input
+            type="number"
+            min="0"
+            step={f.step}
+            value={light[f.field] ?? ""}
+            placeholder="—"
+            onChange={(e) => {
+              const v = e.target.value;
+              setLight((prev) => ({
+                ...prev,
+                [f.field]: v === "" ? (f.field === "ppfd" ? 0 : null) : clamp(Number(v), 0, 5000),
+              }));
+            }}
+            className="w-full p-1.5 rounded-md text-center text-sm bg-gray-900/70 border border-gray-700 text-white focus:ring-2 focus:ring-indigo-500"
+          />
+        </div>
+      ))}
+    </div>
+    <p className="mt-1.5 text-[0.65rem] text-indigo-200/70 leading-snug">
+      {t("light.hint")}
+    </p>
+
+    {/* Rampas del driver: amanecer (desde el encendido) y atardecer (hasta el apagado) */}
+    <div className="mt-2 pt-2 border-t border-indigo-500/20 space-y-1.5">
+      {[
+        { key: "sunrise", label: `🌅 ${t("ramp.sunrise")}` },
+        { key: "sunset", label: `🌇 ${t("ramp.sunset")}` },
+      ].map((r) => (
+        <div key={r.key} className="flex items-center gap-2">
+          <span className="w-24 text-left text-[0.7rem] font-semibold text-indigo-300">{r.label}</span>
+          <input
+            type="number"
+            min="0"
+            step="5"
+            value={ramps[r.key].minutes}
+            title={t("ramp.minutes")}
+            onChange={(e) => updateRamps({ [r.key]: { ...ramps[r.key], minutes: clamp(Number(e.target.value), 0, 720) } })}
+            className="w-16 p-1 rounded-md text-center text-sm bg-gray-900/70 border border-gray-700 text-white focus:ring-2 focus:ring-indigo-500"
+          />
+          <span className="text-xs text-gray-400">min</span>
+          <select
+            value={ramps[r.key].curve}
+            title={t("ramp.curve")}
+            onChange={(e) => updateRamps({ [r.key]: { ...ramps[r.key], curve: e.target.value } })}
+            className="flex-1 min-w-0 p-1 rounded-md text-xs bg-gray-900/70 border border-gray-700 text-white"
+          >
+            {RAMP_CURVES.map((c) => (
+              <option key={c.id} value={c.id}>{t.label("rampCurve", c)}</option>
+            ))}
+          </select>
+        </div>
+      ))}
+      <div className="flex items-center gap-2">
+        <span className="w-24 text-left text-[0.7rem] font-semibold text-indigo-300">🔆 {t("ramp.peak")}</span>
+        <input
+          type="number"
+          min="1"
+          max="100"
+          step="5"
+          value={ramps.peak}
+          title={t("ramp.peakTitle")}
+          onChange={(e) => updateRamps({ peak: clamp(Number(e.target.value), 1, 100) })}
+          className="w-16 p-1 rounded-md text-center text-sm bg-gray-900/70 border border-gray-700 text-white focus:ring-2 focus:ring-indigo-500"
+        />
+        <span className="text-xs text-gray-400">{t("ramp.peakUnit")}</span>
+      </div>
+    </div>
+    <p className="mt-1.5 text-[0.65rem] text-indigo-200/70 leading-snug">
+      {t("ramp.hint")}
+    </p>
+  </div>
+
+  {/* Desvíos reales: cortes, encendidos/apagados manuales y fallas del temporizador */}
+  <div
+    className="p-3 rounded-xl bg-gradient-to-b from-indigo-950/40 to-purple-900/10 border border-indigo-500/30 shadow-[inset_0_0_10px_rgba(147,51,234,0.15)]"
+  >
+    <p className="text-xs uppercase font-bold text-pink-300 tracking-wide mb-2">🔌 {t("field.deviations")}</p>
+    <DeviationLog
+      deviations={deviations}
+      timeZone={timeZone}
+      now={now}
+      onAdd={addDeviation}
+      onRemove={removeDeviation}
+    />
+    <p className="mt-1.5 text-[0.65rem] text-indigo-200/70 leading-snug">
+      {t("deviation.hint")}
+    </p>
+  </div>
+
+  {/* Hitos: cambio a floración, fin del estiramiento, lavado, cosecha… */}
+  <div
+    className="p-3 rounded-xl bg-gradient-to-b from-indigo-950/40 to-purple-900/10 border border-indigo-500/30 shadow-[inset_0_0_10px_rgba(147,51,234,0.15)]"
+  >
+    <p className="text-xs uppercase font-bold text-pink-300 tracking-wide mb-2">🏁 {t("field.milestones")}</p>
+    <MilestoneEditor
+      milestones={milestones}
+      phaseCount={phases.length}
+      onAdd={addMilestone}
+      onRemove={removeMilestone}
+    />
+    <p className="mt-1.5 text-[0.65rem] text-indigo-200/70 leading-snug">
+      {t("milestone.hint")}
+    </p>
+  </div>
+
+  {/* Consumo eléctrico: luminarias, precio y moneda */}
+  <div
+    className="p-3 rounded-xl bg-gradient-to-b from-indigo-950/40 to-purple-900/10 border border-indigo-500/30 shadow-[inset_0_0_10px_rgba(147,51,234,0.15)]"
+  >
+    <p className="text-xs uppercase font-bold text-pink-300 tracking-wide mb-2">⚡ {t("field.energy")}</p>
+    <div className="space-y-1.5">
+      {energy.fixtures.map((f, i) => (
+        <div key={i} className="flex items-center gap-2">
+          <input
+            type="text"
+            value={f.name}
+            placeholder={t("energy.fixture", { number: i + 1 })}
+            onChange={(e) => updateFixture(i, { name: e.target.value })}
+            className="flex-1 min-w-0 p-1.5 rounded-md text-center text-sm bg-gray-900/70 border border-gray-700 text-white focus:ring-2 focus:ring-pink-500"
+          />
+          <input
+            type="number"
+            min="0"
+            step="10"
+            value={f.watts}
+            title={t("energy.watts")}
+            onChange={(e) => updateFixture(i, { watts: clamp(Number(e.target.value), 0, 100000) })}
+            className="w-20 p-1.5 rounded-md text-center text-sm bg-gray-900/70 border border-gray-700 text-white focus:ring-2 focus:ring-indigo-500"
+          />
+          <span className="text-xs text-gray-400">W ×</span>
+          <input
+            type="number"
+            min="0"
+            step="1"
+            value={f.count}
+            title={t("energy.count")}
+            onChange={(e) => updateFixture(i, { count: clamp(Math.round(Number(e.target.value)), 0, 999) })}
+            className="w-12 p-1.5 rounded-md text-center text-sm bg-gray-900/70 border border-gray-700 text-white focus:ring-2 focus:ring-indigo-500"
+          />
+          <button
+            onClick={() => removeFixture(i)}
+            title={t("energy.remove")}
+            className="text-xs text-gray-300 bg-gray-800 rounded-md hover:bg-gray-700"
+            style={{ width: "auto", padding: "0.2rem 0.5rem" }}
+          >
+            ✖
+          </button>
+        </div>
+      ))}
+    </div>
+    <div className="grid grid-cols-3 gap-2 items-end mt-2">
+      <button
+        onClick={addFixture}
+        className="text-xs text-white bg-purple-800/80 rounded-md hover:bg-purple-700"
+        style={{ padding: "0.4rem 0.5rem" }}
+      >
+        ➕ {t("energy.add")}
+      </button>
+      <div>
+        <label className="block text-[10px] uppercase font-semibold text-indigo-300 mb-1 tracking-wide">
+          {t("energy.price")}
+        </label>
+        <input
+          type="number"
+          min="0"
+          step="0.01"
+          value={energy.pricePerKwh}
+          onChange={(e) => setEnergy((prev) => ({ ...prev, pricePerKwh: clamp(Number(e.target.value), 0, 1000000) }))}
+          className="w-full p-1.5 rounded-md text-center text-sm bg-gray-900/70 border border-gray-700 text-white focus:ring-2 focus:ring-indigo-500"
+        />
+      </div>
+      <div>
+        <label className="block text-[10px] uppercase font-semibold text-indigo-300 mb-1 tracking-wide">
+          {t("energy.currency")}
+        </label>
+        <input
+          type="text"
+          maxLength={3}
+          value={energy.currency}
+          onChange={(e) => setEnergy((prev) => ({ ...prev, currency: e.target.value.toUpperCase().replace(/[^A-Z]/g, "") }))}
+          placeholder="ARS"
+          className="w-full p-1.5 rounded-md text-center text-sm uppercase bg-gray-900/70 border border-gray-700 text-white focus:ring-2 focus:ring-indigo-500"
+        />
+      </div>
+    </div>
+    <p className="mt-1.5 text-[0.65rem] text-indigo-200/70 leading-snug">
+      {t("energy.total", { watts: t.number(totalWatts(energy)) })}
+    </p>
   </div>
 
   {/* Botones */}
@@ -680,18 +2463,21 @@ ctx.drawImage(canvas, margin, margin);
 
         {/* Aviso minimalista */}
         <p className="text-[0.7rem] text-gray-400 text-center mb-1 hidden sm:block">
-          Arrastrá tu archivo aquí o hacé clic
+          {t("config.dropHint")}
         </p>
 
         <label
           id="import-dropzone"
           className="relative flex items-center justify-center gap-2 px-4 py-2 text-sm bg-emerald-600 text-white rounded-lg cursor-pointer shadow-md hover:bg-emerald-700 transition"
         >
-          🚀 Cargar Superciclo
+          🚀 {t("config.load")}
           <input
             type="file"
-            accept="application/json"
-            onChange={(e) => handleImport(e.target.files?.[0])}
+            accept=".json,application/json"
+            onChange={(e) => {
+              handleImport(e.target.files?.[0]);
+              e.target.value = ""; // permite volver a elegir el mismo archivo
+            }}
             className="hidden"
           />
         </label>
@@ -701,9 +2487,80 @@ ctx.drawImage(canvas, margin, margin);
       onClick={handleExport}
       className="flex items-center justify-center gap-2 px-4 py-2 text-sm bg-indigo-600 text-white rounded-lg shadow-md hover:bg-indigo-500 transition"
     >
-      💾 Guardar Superciclo
+      💾 {t("config.save")}
+    </button>
+
+    <button
+      onClick={handleShare}
+      className="flex items-center justify-center gap-2 px-4 py-2 text-sm bg-fuchsia-700 text-white rounded-lg shadow-md hover:bg-fuchsia-600 transition"
+    >
+      🔗 {t("config.share")}
     </button>
 
+    {/* Exportar a calendario (.ics) con opciones */}
+    <div className="flex flex-col gap-2 w-full">
+      <button
+        onClick={handleExportICS}
+        className="flex items-center justify-center gap-2 px-4 py-2 text-sm bg-sky-700 text-white rounded-lg shadow-md hover:bg-sky-600 transition"
+      >
+        📅 {t("ics.export")}
+      </button>
+      <div className="flex items-center justify-center gap-2 text-[0.7rem] text-gray-300">
+        <select
+          value={icsMode}
+          onChange={(e) => setIcsMode(e.target.value)}
+          className="p-1 rounded-md bg-gray-900/70 border border-gray-700 text-white"
+        >
+          <option value="periods">{t("ics.periods")}</option>
+          <option value="transitions">{t("ics.transitions")}</option>
+        </select>
+        <label className="flex items-center gap-1" style={{ width: "auto", padding: 0, background: "none", boxShadow: "none" }}>
+          {t("ics.alarmLabel")}
+          <input
+            type="number"
+            min="0"
+            step="5"
+            value={icsAlarmMinutes}
+            onChange={(e) => setIcsAlarmMinutes(clamp(Number(e.target.value), 0, 1440))}
+            className="w-14 p-1 rounded-md text-center bg-gray-900/70 border border-gray-700 text-white"
+          />
+          min
+        </label>
+      </div>
+    </div>
+
+    {/* Exportar a planilla: grilla día × hora y lista de cambios */}
+    <div className="flex flex-col gap-1 w-full text-[0.7rem] text-gray-300">
+      {[["grid", `📊 ${t("sheet.grid")}`], ["transitions", `🔁 ${t("sheet.transitionsLabel")}`]].map(([kind, label]) => (
+        <div key={kind} className="flex items-center gap-2">
+          <span className="flex-1 text-left">{label}</span>
+          {["csv", "xlsx"].map((format) => (
+            <button
+              key={format}
+              onClick={() => handleExportSheet(kind, format)}
+              className="px-3 py-1 text-xs bg-emerald-700 text-white rounded-lg shadow-md hover:bg-emerald-600 transition"
+              style={{ width: "auto" }}
+            >
+              {format.toUpperCase()}
+            </button>
+          ))}
+        </div>
+      ))}
+      <div className="flex items-center gap-2" title={t("sheet.profileTitle")}>
+        <span className="flex-1 text-left">🌅 {t("sheet.profile")}</span>
+        {["csv", "json"].map((format) => (
+          <button
+            key={format}
+            onClick={() => handleExportProfile(format)}
+            className="px-3 py-1 text-xs bg-emerald-700 text-white rounded-lg shadow-md hover:bg-emerald-600 transition"
+            style={{ width: "auto" }}
+          >
+            {format.toUpperCase()}
+          </button>
+        ))}
+      </div>
+    </div>
+
     {/* Descargar calendario (PDF en PC / JPG en móvil) */}
 {(() => {
   const isMobile = window.innerWidth <= 768;
@@ -718,25 +2575,62 @@ ctx.drawImage(canvas, margin, margin);
       }`}
     >
       {isExporting
-        ? (isMobile ? "🖼️ Generando imagen..." : "📄 Generando PDF...")
-        : (isMobile ? "⬇️ Descargar JPG" : "⬇️ Descargar PDF")}
+        ? (isMobile ? `🖼️ ${t("export.generatingImage")}` : `📄 ${t("export.generatingPdf")}`)
+        : (isMobile ? `⬇️ ${t("export.downloadJpg")}` : `⬇️ ${t("export.downloadPdf")}`)}
     </button>
   );
 })()}
 
 
+    {storageError && (
+      <p className="text-xs text-rose-300 text-center">
+        ⚠️ {t("config.storageError")}
+      </p>
+    )}
+
+    {/* Deshacer / rehacer y versiones guardadas */}
+    <div className="flex gap-2 w-full">
+      <button
+        onClick={handleUndo}
+        disabled={undo.past.length === 0 && sameConfig(undo.present, configFields)}
+        title={t("undo.undoTitle")}
+        className="flex-1 px-3 py-2 text-sm bg-gray-700 text-white rounded-lg hover:bg-gray-600 disabled:opacity-40 transition"
+        style={{ width: "auto" }}
+      >
+        ↶ {t("undo.undo")}
+      </button>
+      <button
+        onClick={handleRedo}
+        disabled={undo.future.length === 0 || !sameConfig(undo.present, configFields)}
+        title={t("undo.redoTitle")}
+        className="flex-1 px-3 py-2 text-sm bg-gray-700 text-white rounded-lg hover:bg-gray-600 disabled:opacity-40 transition"
+        style={{ width: "auto" }}
+      >
+        ↷ {t("undo.redo")}
+      </button>
+      <button
+        onClick={() => setSnapshotsOpen(true)}
+        title={t("snapshot.title")}
+        className="flex-1 px-3 py-2 text-sm bg-gray-700 text-white rounded-lg hover:bg-gray-600 transition"
+        style={{ width: "auto" }}
+      >
+        🕘 {t("snapshot.open", { count: snapshots.length })}
+      </button>
+    </div>
+
     <button
       onClick={resetDefaults}
       className="flex items-center justify-center gap-2 px-4 py-2 text-sm bg-gray-700 text-white rounded-lg hover:bg-gray-600 transition"
     >
-     🔁 Resetear
+     🔁 {t("config.reset")}
     </button>
+    <p className="text-[0.65rem] text-gray-400 text-center -mt-1">{t("undo.resetHint")}</p>
   </div>
 
 {/* Recomendación */}
 <div className="mt-5 text-xs text-gray-300 bg-gray-900/60 border border-gray-700 p-3 rounded-lg leading-snug max-w-md mx-auto shadow-[0_0_10px_rgba(147,51,234,0.15)]">
-  ⚙️ <b>Recomendación:</b> para obtener la <b>máxima calidad de exportación</b>, usá un ordenador o laptop.
-  <br />📱 En dispositivos móviles, el calendario se genera automáticamente como <b>imagen JPG</b>. Puede demorar unos segundos en iniciarse.
+  ⚙️ <b>{t("tip.title")}</b> {t("tip.desktop")}
+  <br />📱 {t("tip.mobile")}
 </div>
 
   {errorMsg && (
@@ -761,23 +2655,27 @@ ctx.drawImage(canvas, margin, margin);
 >
    {/* --- Título --- */}
   <h2 className="section-title mb-2 tracking-wide flex items-center justify-center gap-2 text-indigo-300 drop-shadow-[0_0_6px_rgba(147,51,234,0.6)]">
-    🌗 Estado
+    🌗 {t("status.title")}
   </h2>
 
   {/* Superciclo + Hora actual */}
   <div className="border-b border-white/10 pb-5 mb-4 text-center">
     {nombreCiclo && (
       <p className="text-base text-indigo-200 font-semibold mb-2 tracking-wide">
-        - Superciclo -{" "}
+        - {t("status.superciclo")} -{" "}
         <span className="text-indigo-100 font-bold">"{nombreCiclo}"</span>
       </p>
     )}
     <div>
       <p className="text-sm text-gray-300 uppercase tracking-wider mb-1">
-        Hora actual
+        {t("status.now")}
       </p>
       <p className="font-mono text-3xl text-white font-bold">
-        {now.toLocaleTimeString([], { hour: "2-digit", minute: "2-digit" })}
+        {formatInZone(now, timeZone, { hour: "2-digit", minute: "2-digit" }, t.locale)}
+      </p>
+      <p className="text-[12px] text-gray-400 mt-1">
+        🌐 {timeZone}
+        {showLocalTime && ` · ${t("cell.local", { time: formatInZone(now, LOCAL_TIME_ZONE, { hour: "2-digit", minute: "2-digit" }, t.locale) })} (${LOCAL_TIME_ZONE})`}
       </p>
     </div>
   </div>
@@ -792,34 +2690,34 @@ ctx.drawImage(canvas, margin, margin);
     {/* Inicio */}
     <div className="text-left">
       <p className="text-[15px] text-gray-300 uppercase tracking-wide mb-1 font-semibold">
-        Inicio
+        {t("status.start")}
       </p>
       <p className="font-mono text-lg text-white font-bold leading-snug">
-        {startDateObj.toLocaleDateString("es-AR", {
+        {formatInZone(startDateObj, timeZone, {
           day: "2-digit",
           month: "2-digit",
           year: "numeric",
-        })}
+        }, t.locale)}
       </p>
       <p className="font-mono text-sm text-gray-400 mt-0.5">
-        {startDateObj.toLocaleTimeString([], {
+        {formatInZone(startDateObj, timeZone, {
           hour: "2-digit",
           minute: "2-digit",
-        })}
+        }, t.locale)}
       </p>
     </div>
 
     {/* Tiempo transcurrido */}
     <div className="text-right translate-y-[2px]">
       <p className="text-[15px] text-gray-300 uppercase tracking-wide mb-1 font-semibold leading-tight">
-        Tiempo<br />transcurrido
+        {t("status.elapsed1")}<br />{t("status.elapsed2")}
       </p>
       <p className="font-mono text-[21px] text-indigo-200 font-extrabold leading-none">
         {formattedTimeElapsed.days}d {formattedTimeElapsed.hours}h{" "}
         {formattedTimeElapsed.minutes}m
       </p>
       <p className="text-[12px] text-gray-400 mt-1 leading-none">
-        (equivalente a días 24h)
+        {t("status.elapsedHint")}
       </p>
     </div>
   </div>
@@ -829,7 +2727,7 @@ ctx.drawImage(canvas, margin, margin);
     {/* Ciclos y energía */}
     <div className="grid grid-cols-2 border-b border-white/10 pb-6 pt-4">
       <div>
-        <p className="text-sm text-rose-400 font-bold uppercase tracking-wide">Días Super Ciclo</p>
+        <p className="text-sm text-rose-400 font-bold uppercase tracking-wide">{t("status.days")}</p>
         <p className=" text-4xl font-extrabold text-rose-500 mt-1 leading-none flex items-center justify-center gap-2">
           <span className="emoji-fuego">🔥</span>
           <span>{Math.max(0, customCycleDayIndex)}</span>
@@ -837,11 +2735,13 @@ ctx.drawImage(canvas, margin, margin);
 
 
 
-        <p className="text-sub text-[12px] text-gray-400 mt-1">Ciclos de {cycleLength.toFixed(1)}h</p>
+        <p className="text-sub text-[12px] text-gray-400 mt-1">
+          {t("status.cyclesOf", { hours: t.number(cycleLength, 1) })}{phaseTimeline.length > 1 ? ` · ${t("phase.name", { number: `${currentPhase.index + 1}/${phaseTimeline.length}` })}` : ""}
+        </p>
       </div>
       <div>
   <p className="text-sm text-indigo-400 font-bold uppercase tracking-wide">
-    Balance Energético
+    {t("status.balance")}
   </p>
 
   <p
@@ -869,11 +2769,11 @@ ctx.drawImage(canvas, margin, margin);
         : "⚖️"} {/* equilibrio */}
     </span>
 
-    <span>{Math.abs(energyBalance).toFixed(2)}h</span>
+    <span>{t.number(Math.abs(energyBalance), 2)}h</span>
   </p>
 
   <p className="text-sub text-[12px] text-gray-400 mt-1">
-    vs ciclo estándar 12L / 12D
+    {t("status.balanceHint")}
   </p>
 </div>
 
@@ -881,9 +2781,94 @@ ctx.drawImage(canvas, margin, margin);
     </div>
 
 
+    {/* Hitos: cuenta regresiva */}
+    {milestoneList.length > 0 && (
+      <div className="border-b border-white/10 py-4 text-[13px]">
+        <p className="text-sm text-amber-300 font-bold uppercase tracking-wide mb-2">🏁 {t("field.milestones")}</p>
+        <ul className="space-y-1">
+          {milestoneList.map((m) => {
+            const hoursTo = m.hours - hoursSinceStartNow;
+            return (
+              <li key={m.id} className="flex items-baseline justify-between gap-2">
+                <span className="text-left">
+                  <b className="text-white">{m.name}</b>{" "}
+                  <span className="text-gray-400">{m.dateLabel}</span>
+                </span>
+                <span className={`font-mono whitespace-nowrap ${hoursTo <= 0 ? "text-emerald-400" : "text-amber-200"}`}>
+                  {milestoneCountdown(t, hoursTo)}
+                </span>
+              </li>
+            );
+          })}
+        </ul>
+      </div>
+    )}
+
+    {/* DLI (solo con PPFD cargado) */}
+    {dliEnabled && (
+      <div className="border-b border-white/10 py-4 text-[13px]">
+        <p className="text-sm text-lime-300 font-bold uppercase tracking-wide mb-2">DLI</p>
+        <div className="grid grid-cols-2 gap-3">
+          <div>
+            <p className="text-gray-400">{t("dli.today")}</p>
+            <p className={`font-mono text-lg font-bold ${dliStats.today?.status ? "text-rose-400" : "text-white"}`}>
+              {dliStats.today ? t.number(dliStats.today.dli, 1) : "—"} <span className="text-xs">mol/m²</span>
+            </p>
+            <p className="text-gray-400">{t("dli.ppfdNow", { ppfd: t.number(dliStats.ppfdNow) })}</p>
+          </div>
+          <div>
+            <p className="text-gray-400">{t("dli.cycle")}</p>
+            <p className={`font-mono text-lg font-bold ${dliStats.currentCycle?.status ? "text-rose-400" : "text-white"}`}>
+              {dliStats.currentCycle ? t.number(dliStats.currentCycle.moles, 1) : "—"} <span className="text-xs">mol/m²</span>
+            </p>
+            <p className="text-gray-400">
+              {dliStats.currentCycle ? t("dli.per24", { dli: t.number(dliStats.currentCycle.dli24, 1) }) : ""}
+            </p>
+          </div>
+        </div>
+        <p className="mt-2 text-gray-400">
+          {t("dli.total", { moles: t.number(dliStats.molesSoFar) })}
+          {(light.dliMin !== null || light.dliMax !== null) && (
+            <span className={dliStats.daysOutOfRange ? "text-rose-400" : "text-emerald-400"}>
+              {" "}· {dliStats.daysOutOfRange
+                ? `⚠️ ${t("dli.outOfRange", { days: dliStats.daysOutOfRange, cycles: dliStats.cyclesOutOfRange, min: light.dliMin ?? 0, max: light.dliMax ?? "∞" })}`
+                : `✅ ${t("dli.inRange")}`}
+            </span>
+          )}
+        </p>
+      </div>
+    )}
+
+    {/* Costo de energía (solo con luminarias cargadas) */}
+    {energyStats.watts > 0 && (
+      <div className="border-b border-white/10 py-4 text-[13px]">
+        <p className="text-sm text-amber-300 font-bold uppercase tracking-wide mb-2">{t("cost.title")}</p>
+        <div className="grid grid-cols-2 gap-3">
+          <div>
+            <p className="text-gray-400">{t("cost.soFar")}</p>
+            <p className="font-mono text-lg text-white font-bold">{fmtMoney(energyStats.costSoFar, energy.currency, t.locale)}</p>
+            <p className="text-gray-400">{t.number(energyStats.kwhSoFar, 1)} kWh</p>
+          </div>
+          <div>
+            <p className="text-gray-400">{t("cost.projection", { days: durationDays })}</p>
+            <p className="font-mono text-lg text-white font-bold">{fmtMoney(energyStats.costTotal, energy.currency, t.locale)}</p>
+            <p className="text-gray-400">{t.number(energyStats.kwhTotal, 1)} kWh</p>
+          </div>
+        </div>
+        <div className="mt-2 space-y-0.5">
+          {energyStats.references.map((ref) => (
+            <p key={ref.label} className={ref.costSaved >= 0 ? "text-emerald-400" : "text-rose-400"}>
+              {ref.costSaved >= 0 ? `▲ ${t("cost.saving")}` : `▼ ${t("cost.extra")}`} vs {ref.label}:{" "}
+              <b>{fmtMoney(Math.abs(ref.costSaved), energy.currency, t.locale)}</b> ({t.number(Math.abs(ref.kwhSaved), 1)} kWh)
+            </p>
+          ))}
+        </div>
+      </div>
+    )}
+
     {/* Estado del ciclo */}
     <div className="border-b border-white/10 py-5">
-      <p className="text-sm text-gray-400 uppercase tracking-wider mb-2">Estado del ciclo</p>
+      <p className="text-sm text-gray-400 uppercase tracking-wider mb-2">{t("status.cycleState")}</p>
       <div
         className={`inline-flex items-center justify-center gap-2 px-8 py-3 rounded-full font-semibold text-base shadow-lg transition-all ${
           isNowLight
@@ -898,20 +2883,78 @@ ctx.drawImage(canvas, margin, margin);
     {/* Próximo evento */}
     <div className="pt-4">
       <p className="text-sm text-gray-400 uppercase tracking-wider mb-1">
-        Próximo evento ({nextChangeEvent.action})
+        {t("status.next", { action: nextChangeEvent.action })}
       </p>
       <p className="text-xl font-bold text-white">
         {nextChangeEvent.nextState} — {nextChangeEvent.time} ({nextChangeEvent.date})
       </p>
+      {showLocalTime && nextChangeEvent.hoursToNext !== null && (
+        <p className="text-[12px] text-gray-400">{t("cell.local", { time: nextChangeEvent.localTime })}</p>
+      )}
       <p className="text-[13px] text-indigo-300 mt-1 font-medium">
-        En {nextChangeEvent.hoursToNext?.toFixed(2)} hrs
+        {nextChangeEvent.hoursToNext === null ? t("status.noChanges") : t("status.inHours", { hours: t.number(nextChangeEvent.hoursToNext, 2) })}
       </p>
+
+      {/* Avisos antes de cada cambio */}
+      <div className="mt-3 flex items-center justify-center gap-2 text-[12px] text-gray-300">
+        <button
+          onClick={toggleNotifications}
+          className={`px-3 py-1 rounded-lg font-semibold transition ${
+            notifyEnabled ? "bg-emerald-600 text-white" : "bg-gray-700 text-gray-200 hover:bg-gray-600"
+          }`}
+        >
+          {notifyEnabled ? `🔔 ${t("notify.on")}` : `🔕 ${t("notify.off")}`}
+        </button>
+        <input
+          type="number"
+          min="0"
+          step="5"
+          value={notifyMinutes}
+          onChange={(e) => setNotifyMinutes(clamp(Number(e.target.value), 0, 1440))}
+          className="w-14 p-1 rounded-md text-center bg-gray-900/70 border border-gray-700 text-white"
+        />
+        <span>{t("notify.minutesBefore")}</span>
+      </div>
     </div>
   </div>
 </aside>
 
 
 
+          {/* === ESCENARIOS: la configuración activa contra otros fotoperiodos === */}
+<section
+  id="scenario-area"
+  className="lg:col-span-3 mt-4 p-3 rounded-xl border shadow-lg"
+  style={{
+    background: "rgba(255,255,255,0.02)",
+    boxShadow: "0 0 15px rgba(147,51,234,0.15), inset 0 0 15px rgba(255,255,255,0.05)",
+    borderColor: "rgba(147,51,234,0.3)"
+  }}
+>
+  <h2 className="section-title tracking-wide flex items-center justify-center gap-2 text-indigo-400 mb-2">
+    ⚖️ {t("scenario.title")}
+  </h2>
+  <ScenarioPanel
+    columns={scenarioColumns}
+    currency={energy.currency}
+    showCost={energyStats.watts > 0}
+    timeZone={timeZone}
+    compare={compareScenarioId}
+    onCompare={(id) => {
+      setCompareScenarioId(id);
+      if (id) setCalendarView("grid");
+    }}
+    onAdd={addScenario}
+    onUpdate={updateScenario}
+    onUpdateSegment={updateScenarioSegment}
+    onPromote={promoteScenario}
+    onRemove={removeScenario}
+  />
+  <p className="mt-1.5 text-[0.65rem] text-indigo-200/70 leading-snug text-center">
+    {t("scenario.hint")}
+  </p>
+</section>
+
           {/* Calendar full width below */}
 <section
    id="export-area"
@@ -923,14 +2966,65 @@ ctx.drawImage(canvas, margin, margin);
   }}
  >
 
-  {/* Contenedor con scroll controlado */}
-<div className="calendar-wrapper calendar" ref={calendarRef}>
+  {/* Selector de vista (no se exporta) */}
+  <div className="calendar-view-switch" role="tablist">
+    {CALENDAR_VIEWS.map((v) => (
+      <button
+        key={v.id}
+        role="tab"
+        aria-selected={calendarView === v.id}
+        onClick={() => setCalendarView(v.id)}
+        className={`px-3 py-1 text-xs rounded-lg transition ${calendarView === v.id ? "bg-indigo-600 text-white" : "bg-gray-800 text-gray-300 hover:bg-gray-700"}`}
+        style={{ width: "auto" }}
+      >
+        {t(v.label)}
+      </button>
+    ))}
+    {/* Escenario comparado en la grilla */}
+    {comparedScenario && (
+      <span className="flex items-center gap-1 text-xs text-cyan-200">
+        ⚖️ {comparedScenario.name}:
+        {["overlay", "diff"].map((mode) => (
+          <button
+            key={mode}
+            onClick={() => setCompareMode(mode)}
+            className={`px-2 py-1 text-xs rounded-lg transition ${compareMode === mode ? "bg-cyan-700 text-white" : "bg-gray-800 text-gray-300 hover:bg-gray-700"}`}
+            style={{ width: "auto" }}
+          >
+            {t(`scenario.${mode}`)}
+          </button>
+        ))}
+        <button
+          onClick={() => setCompareScenarioId(null)}
+          title={t("scenario.stopCompare")}
+          className="px-2 py-1 text-xs rounded-lg bg-gray-800 text-gray-300 hover:bg-gray-700"
+          style={{ width: "auto" }}
+        >
+          ✖
+        </button>
+      </span>
+    )}
+  </div>
+
+  {/* Contenedor con scroll controlado (lo que se exporta a PDF/JPG) */}
+<div
+  className={`calendar-wrapper ${calendarView === "grid" ? "calendar calendar-virtual" : ""}`}
+  ref={calendarRef}
+  onScroll={calendarView === "grid" ? handleCalendarScroll : undefined}
+>
+  {calendarView === "cycles" && (
+    <CycleView rows={cycleRows} maxCycleLength={maxCycleLength} nowIndex={nowCycleIndex} hoursNow={hoursSinceStartNow} milestones={milestoneList} />
+  )}
+  {calendarView === "clock" && (
+    <ClockView days={clockDays} now={now} timeZone={timeZone} isLight={isNowLight} milestones={milestoneList} />
+  )}
+  {calendarView === "grid" && (
   <table className="min-w-full text-xs">
     <thead>
       {/* === Título principal === */}
       <tr>
-         <th colSpan={26} className="calendar-title" data-text="CALENDARIO SUPERCICLO">
-            CALENDARIO SUPERCICLO
+         <th colSpan={calendarColumns} className="calendar-title" data-text={t("grid.title")}>
+            {t("grid.title")}
           </th>
 
       </tr>
@@ -947,7 +3041,7 @@ ctx.drawImage(canvas, margin, margin);
         padding: "0.75rem 0.5rem",
       }}
     >
-      Día
+      {t("sheet.day")}
     </th>
     <th
       className="text-center sticky-col-2 font-bold uppercase tracking-wide"
@@ -959,8 +3053,22 @@ ctx.drawImage(canvas, margin, margin);
         padding: "0.75rem 0.5rem",
       }}
     >
-      Fecha
+      {t("sheet.date")}
     </th>
+    {showLocalTime && (
+      <th
+        className="text-center font-bold"
+        style={{
+          background: "rgba(30,30,63,0.95)",
+          color: "#a5b4fc",
+          fontSize: "0.8rem",
+          padding: "0.6rem 0.4rem",
+        }}
+        title={t("grid.localTitle", { zone: LOCAL_TIME_ZONE })}
+      >
+        {t("grid.local")}
+      </th>
+    )}
     {Array.from({ length: 24 }).map((_, h) => (
       <th
         key={h}
@@ -968,7 +3076,7 @@ ctx.drawImage(canvas, margin, margin);
         style={{
           background: "rgba(30,30,63,0.95)",
           position: "sticky",
-          top: "56px",
+          top: 0,
           zIndex: 49,
           fontSize: "0.9rem",
           padding: "0.6rem 0.3rem",
@@ -979,82 +3087,247 @@ ctx.drawImage(canvas, margin, margin);
         {h}h
       </th>
     ))}
+    {dliEnabled && (
+      <th
+        className="text-center font-bold"
+        style={{
+          background: "rgba(30,30,63,0.95)",
+          color: "#bef264",
+          fontSize: "0.9rem",
+          padding: "0.6rem 0.5rem",
+        }}
+      >
+        DLI
+      </th>
+    )}
   </tr>
 </thead>
 
 
     <tbody>
-  {calendar.map((row, d) => {
-    const isCurrentDay = d === currentDayIndex24h; // Día actual
+  {/* Espaciador de las filas de arriba que no se dibujan */}
+  {visibleRows.first > 0 && (
+    <tr aria-hidden="true" style={{ height: visibleRows.first * calendarRowHeight }}>
+      <td colSpan={calendarColumns} />
+    </tr>
+  )}
+  {calendar.slice(visibleRows.first, visibleRows.last).map((row, i) => {
+    const d = visibleRows.first + i;
+    const isCurrentDay = d === nowCell.day; // Día actual
+    const { dstShift } = gridRows[d];
 
     return (
       <tr
         key={d}
+        data-day={d}
         className={`${isCurrentDay ? "current-day-row" : ""} transition-all duration-500`}
       >
-        {/* Columna fija: Día */}
-        <td className="p-1 sticky-col font-semibold">{d + 1}</td>
-
-        {/* Columna fija: Fecha */}
-        <td className="p-1 sticky-col-2 font-semibold">{row[0].dateDisplay}</td>
+        {/* Columna fija: Día (abre el diario; 📓 = día con notas) */}
+        <td
+          className="p-1 sticky-col font-semibold calendar-day-cell"
+          onClick={() => setJournalDayIndex(d)}
+          title={t("grid.openJournal")}
+        >
+          {d + 1}
+          {journal[journalKeys[d]] && (
+            <span className="calendar-journal-marker">📓{journal[journalKeys[d]].length}</span>
+          )}
+          {milestonesByDay[d] && (
+            <span className="calendar-milestone-badge" title={milestonesByDay[d].map((m) => m.name).join(" · ")}>🏁</span>
+          )}
+        </td>
+
+        {/* Columna fija: Fecha (con aviso en los días de cambio de horario) */}
+        <td className="p-1 sticky-col-2 font-semibold">
+          {row[0].dateDisplay}
+          {dstShift !== 0 && (
+            <span
+              className="calendar-dst-badge"
+              title={t("grid.dst", { hours: 24 + dstShift })}
+            >
+              {dstShift < 0 ? "⏩" : "⏪"}{dstShift > 0 ? "+" : ""}{dstShift}h
+            </span>
+          )}
+        </td>
+
+        {showLocalTime && <td className="p-1 font-mono text-[11px] text-indigo-200 whitespace-nowrap">{cellLocalLabel(row[0])}</td>}
 
         {/* Horas */}
         {row.map((cell, h) => {
-          // 🔹 Hora actual del sistema
-          const currentDate = new Date();
-
-          // 🔹 Calcular día actual respecto al inicio del calendario (00:00 del día inicial)
-          const startOfDayStart = new Date(startDateObj);
-          startOfDayStart.setHours(0, 0, 0, 0);
-          const diffHours = (currentDate - startOfDayStart) / (1000 * 60 * 60);
-          const currentDayCycle = Math.floor(diffHours / 24);
-
-          // 🔹 Hora actual del sistema (0–23)
-          const currentHourCycle = currentDate.getHours();
-
-          // 🔹 Determina si esta celda es la actual (día y hora reales)
-          const isCurrent = d === currentDayCycle && h === currentHourCycle;
+          // 🔹 Determina si esta celda es la actual (día y hora de pared de la zona)
+          const isCurrent = d === nowCell.day && h === nowCell.hour;
+          const actual = actualCells?.[d]?.[h] ?? null;
+          const ramp = cell.skipped ? null : rampCells?.[d]?.[h] ?? null;
+          // Escenario comparado: franja superior (en "diff" solo donde cambia, el resto se atenúa)
+          const alt = scenarioCells?.[d]?.[h] ?? null;
+          const showAlt = alt && (compareMode === "overlay" || alt.differs);
+          // Hitos dentro de esta hora (línea vertical en el minuto exacto)
+          const marks = milestonesByDay[d]?.filter((m) => m.hour === h) ?? [];
 
           return (
             <td key={h} className="p-0.5">
               <div
+                title={cellDetail(t, cell, cellLocalLabel(cell), actual, alt && { name: comparedScenario.name, cell: alt }, marks)}
+                onClick={() => setSelectedCell(cell)}
                 className={`w-full h-7 rounded-sm flex items-center justify-center text-xs font-mono font-semibold calendar-cell-text ${
                   isCurrent ? "now-cell-active" : ""
-                }`}
+                } ${cell.transitions.length > 0 ? "calendar-cell-partial" : ""} ${cell.skipped ? "calendar-cell-skipped" : ""} ${actual ? "calendar-cell-deviated" : ""} ${showAlt ? "calendar-cell-compared" : ""} ${
+                  alt && compareMode === "diff" ? (alt.differs ? "calendar-cell-scenario-diff" : "calendar-cell-same") : ""
+                } ${marks.length > 0 ? "calendar-cell-marked" : ""}`}
                 style={{
-                  background: cell.isLight
-                    ? "linear-gradient(90deg,#f59e0b,#f472b6)"
-                    : "linear-gradient(90deg,#4338ca,#4338ca99)",
+                  // la capa de la rampa va encima del color ON/OFF
+                  background: cell.skipped ? undefined : ramp ? `${ramp},${cellBackground(cell)}` : cellBackground(cell),
                   color: "#fff",
                   transition: "all .12s ease",
                 }}
               >
-                {cell.isLight ? "ON" : "OFF"}
+                {cellLabel(cell)}
+                {/* Franja inferior: lo que pasó de verdad (plan arriba, real abajo) */}
+                {actual && <span className="calendar-cell-actual" style={{ background: cellBackground(actual) }} />}
+                {showAlt && <span className="calendar-cell-scenario" style={{ background: cellBackground(alt) }} />}
+                {marks.map((m) => <span key={m.id} className="calendar-cell-milestone" style={{ left: `${m.at * 100}%` }} />)}
               </div>
             </td>
           );
         })}
+
+        {/* DLI del día (mol/m²) con tinte y aviso fuera de rango */}
+        {dliEnabled && (
+          <td
+            className="calendar-dli-cell"
+            title={t(dailyDli[d].status === "low" ? "grid.dliLow" : dailyDli[d].status === "high" ? "grid.dliHigh" : "grid.dliDay")}
+            style={{ background: dliTint(dailyDli[d], light) }}
+          >
+            {dailyDli[d].status ? "⚠️" : ""}{t.number(dailyDli[d].dli, 1)}
+          </td>
+        )}
       </tr>
     );
   })}
+  {/* Espaciador de las filas de abajo */}
+  {visibleRows.last < calendar.length && (
+    <tr aria-hidden="true" style={{ height: (calendar.length - visibleRows.last) * calendarRowHeight }}>
+      <td colSpan={calendarColumns} />
+    </tr>
+  )}
 </tbody>
 
+    {(energyStats.watts > 0 || milestoneList.length > 0) && (
+      <tfoot>
+        {energyStats.watts > 0 && (
+        <tr>
+          <td colSpan={calendarColumns} className="calendar-energy-summary">
+            ⚡ {t.number(energyStats.watts)} W · {t("grid.energy", { days: durationDays, kwh: t.number(energyStats.kwhTotal, 1), cost: fmtMoney(energyStats.costTotal, energy.currency, t.locale) })}
+            {energyStats.references.map((ref) => (
+              <span key={ref.label}>
+                {" "}· vs {ref.label}: {t(ref.costSaved >= 0 ? "grid.saving" : "grid.extra")} {fmtMoney(Math.abs(ref.costSaved), energy.currency, t.locale)}
+              </span>
+            ))}
+          </td>
+        </tr>
+        )}
+        {milestoneList.length > 0 && (
+          <tr>
+            <td colSpan={calendarColumns} className="calendar-milestone-summary">
+              <MilestoneList items={milestoneList} />
+            </td>
+          </tr>
+        )}
+      </tfoot>
+    )}
   </table>
+  )}
 </div>
 
 
           <div className="p-3 text-xs border-t text-center text-gray-400">
-        🔆 <span className="text-yellow-300 font-semibold">ON</span> = Luz · 
-        🌙 <span className="text-indigo-300 font-semibold">OFF</span> = Oscuridad · 
-        <span className="text-pink-400 font-semibold">Celda resaltada</span> = hora actual del día · 
-        <span className="text-gray-300">Descargable como PDF (PC) o JPG (móvil)</span>
+        {calendarView === "grid" && selectedCell && (
+          <p className="mb-2 text-sm text-pink-200 font-semibold">
+            📍 {cellDetail(t, selectedCell, cellLocalLabel(selectedCell), actualCell(selectedCell, history), comparedScenario && { name: comparedScenario.name, cell: scenarioCell(selectedCell, comparedScenario.report.timeline) }, milestoneList.filter((m) => m.hours >= selectedCell.hoursSinceStart && m.hours < selectedCell.hoursSinceStart + selectedCell.duration))}
+          </p>
+        )}
+        {calendarView === "grid" && (
+          <>
+            🔆 <span className="text-yellow-300 font-semibold">ON</span> = {t("legend.on")} · 
+            🌙 <span className="text-indigo-300 font-semibold">OFF</span> = {t("legend.off")} · 
+            <span className="text-amber-300 font-semibold">↑mm / ↓mm</span> = {t("legend.minute")} · 
+            <span className="text-pink-400 font-semibold">{t("legend.current")}</span> = {t("legend.currentText")} · 
+            <span className="text-emerald-300 font-semibold">📓</span> = {t("legend.journal")} · 
+            <span className="text-sky-300 font-semibold">⏩ / ⏪</span> = {t("legend.dst")} · 
+            {deviations.length > 0 && (
+              <><span className="text-rose-300 font-semibold">{t("legend.actual")}</span> = {t("legend.actualText")} · </>
+            )}
+            {hasRamps(ramps) && (
+              <><span className="text-amber-300 font-semibold">{t("legend.ramp")}</span> = {t("legend.rampText")} · </>
+            )}
+            {milestoneList.length > 0 && (
+              <><span className="text-amber-300 font-semibold">🏁</span> = {t("legend.milestone")} · </>
+            )}
+            {comparedScenario && (
+              <><span className="text-cyan-300 font-semibold">{t("legend.scenario")}</span> = {t(compareMode === "diff" ? "legend.scenarioDiff" : "legend.scenarioText", { name: comparedScenario.name })} · </>
+            )}
+          </>
+        )}
+        {calendarView === "cycles" && (
+          <>
+            {t("legend.cyclesRow")} · 
+            <span className="text-pink-400 font-semibold">{t("legend.marker")}</span> = {t("legend.markerText")} · 
+            "·" = {t("legend.partial")} · 
+          </>
+        )}
+        {calendarView === "clock" && (
+          <>
+            {t("legend.rings")} · 
+            <span className="text-yellow-300 font-semibold">{t("legend.arcs")}</span> = {t("legend.arcsText")} · 
+            <span className="text-pink-400 font-semibold">{t("legend.hand")}</span> = {t("legend.handText")} · 
+          </>
+        )}
+        {t("legend.zone", { zone: timeZone })} · 
+        <span className="text-gray-300">{t("legend.download")}</span>
       </div>
 
         </section>
 
+{/* === PROGRAMA DEL TEMPORIZADOR (una fila por día) === */}
+<section
+  id="timer-sheet-area"
+  className="lg:col-span-3 mt-4 rounded-xl border shadow-lg"
+  style={{
+    background: "rgba(255,255,255,0.02)",
+    boxShadow: "0 0 15px rgba(147,51,234,0.15), inset 0 0 15px rgba(255,255,255,0.05)",
+    borderColor: "rgba(147,51,234,0.3)"
+  }}
+>
+  <div className="flex flex-col sm:flex-row items-center justify-between gap-3 mb-3">
+    <h2 className="section-title tracking-wide flex items-center justify-center gap-2 text-indigo-400">
+      🕒 {t("timer.title")}
+    </h2>
+    <button
+      onClick={downloadTimerSheetPDF}
+      className="flex items-center justify-center gap-2 px-4 py-2 text-sm font-semibold bg-pink-600 hover:bg-pink-500 text-white rounded-lg shadow-md transition"
+    >
+      ⬇️ {t("timer.download")}
+    </button>
+  </div>
+
+  <p className="text-xs text-gray-400 mb-3">
+    {t("timer.hint", { zone: timeZone })} · {t(timerChangesCount === 1 ? "timer.changesOne" : "timer.changesMany", { count: timerChangesCount })}
+  </p>
+
+  <TimerSheet rows={timerSheet} title={nombreCiclo?.trim() || "Superciclo"} showLocalTime={showLocalTime} milestonesByDay={milestonesByDay} />
+
+  {/* Copia completa para el PDF: solo existe mientras se exporta */}
+  {timerSheetExport && (
+    <div id="timer-sheet-export" aria-hidden="true">
+      <TimerSheet rows={timerSheet} title={nombreCiclo?.trim() || "Superciclo"} showLocalTime={showLocalTime} milestonesByDay={milestonesByDay} full />
+    </div>
+  )}
+</section>
+
         </main>
       </div>
     </div>
+    </I18nContext.Provider>
   );
 }
 
@@ -0,0 +1,154 @@
+/**
+ * CalendarViews.jsx — Vistas alternativas del calendario: un renglón por ciclo
+ * custom (CycleView) y el reloj de 24 h de cada día (ClockView)
+ */
+
+import { formatInZone, zonedParts } from "../lib/schedule";
+import { useI18n } from "./i18n";
+
+// Un renglón por ciclo custom: el eje es "horas desde el comienzo del ciclo"
+export function CycleView({ rows, maxCycleLength, nowIndex, hoursNow, milestones }) {
+  const t = useI18n();
+  const ticks = [];
+  for (let h = 0; h <= maxCycleLength + 1e-9; h += maxCycleLength > 36 ? 12 : 6) ticks.push(h);
+  const pct = (h) => `${(h / maxCycleLength) * 100}%`;
+
+  return (
+    <div className="calendar-alt">
+      <div className="calendar-alt-title">{t("cycles.title")}</div>
+      <table className="cycle-view">
+        <thead>
+          <tr>
+            <th>{t("cycles.cycle")}</th>
+            <th>{t("cycles.start")}</th>
+            <th>
+              <div className="cycle-track cycle-track-axis">
+                {ticks.map((h) => (
+                  <span key={h} style={{ left: pct(h) }}>+{h}h</span>
+                ))}
+              </div>
+            </th>
+            <th>{t("cycles.lightOn")}</th>
+          </tr>
+        </thead>
+        <tbody>
+          {rows.map((row, i) => (
+            <tr key={`${row.phaseIndex}-${row.start}`} className={i === nowIndex ? "cycle-row-current" : ""}>
+              <td title={row.partial ? t("cycles.partial") : t("phase.name", { number: row.phaseIndex + 1 })}>
+                {row.number ?? "·"}
+              </td>
+              <td className="whitespace-nowrap">{row.startLabel}</td>
+              <td>
+                <div className="cycle-track">
+                  {row.blocks.map((b, j) => (
+                    <span
+                      key={j}
+                      className={b.isLight ? "cycle-block-on" : "cycle-block-off"}
+                      style={{ left: pct(b.from), width: pct(b.to - b.from) }}
+                    />
+                  ))}
+                  {i === nowIndex && (
+                    <span className="cycle-now-marker now-cell-active" style={{ left: pct(hoursNow - row.start) }} />
+                  )}
+                  {milestones.filter((m) => m.hours >= row.start && m.hours < row.end).map((m) => (
+                    <span key={m.id} className="cycle-milestone-marker" style={{ left: pct(m.hours - row.start) }} title={`🏁 ${m.name}`} />
+                  ))}
+                </div>
+              </td>
+              <td className="whitespace-nowrap font-mono">{row.onLabel || "—"}</td>
+            </tr>
+          ))}
+        </tbody>
+      </table>
+      <MilestoneList items={milestones} />
+    </div>
+  );
+}
+
+// Arco SVG entre dos horas de pared (0 h arriba, sentido horario)
+function clockArc(cx, cy, r, fromHour, toHour) {
+  const point = (h) => {
+    const a = (h / 24) * 2 * Math.PI - Math.PI / 2;
+    return `${(cx + r * Math.cos(a)).toFixed(2)} ${(cy + r * Math.sin(a)).toFixed(2)}`;
+  };
+  const span = toHour - fromHour;
+  if (span >= 24 - 1e-6) return `M ${point(0)} A ${r} ${r} 0 1 1 ${point(12)} A ${r} ${r} 0 1 1 ${point(24)}`;
+  return `M ${point(fromHour)} A ${r} ${r} 0 ${span > 12 ? 1 : 0} 1 ${point(toHour)}`;
+}
+
+// Reloj de 24 h: anillo interior = hoy, exterior = mañana
+export function ClockView({ days, now, timeZone, isLight, milestones }) {
+  const t = useI18n();
+  const size = 340;
+  const c = size / 2;
+  const rings = [{ r: 92, width: 26 }, { r: 128, width: 22 }];
+  const wall = zonedParts(now, timeZone);
+  const nowHour = wall.hour + wall.minute / 60;
+  const nowAngle = (nowHour / 24) * 2 * Math.PI - Math.PI / 2;
+  const fmtTime = (d) => formatInZone(d, timeZone, { hour: "2-digit", minute: "2-digit", hourCycle: "h23" }, t.locale);
+
+  return (
+    <div className="calendar-alt">
+      <div className="calendar-alt-title">{t("clock.title")}</div>
+      <div className="clock-view">
+        <svg width={size} height={size} viewBox={`0 0 ${size} ${size}`} role="img" aria-label={t("clock.aria")}>
+          {days.map((day, i) => (
+            <g key={day.label}>
+              <circle cx={c} cy={c} r={rings[i].r} fill="none" stroke="#1e1b4b" strokeWidth={rings[i].width} />
+              {day.windows.map((w, j) => (
+                <path
+                  key={j}
+                  d={clockArc(c, c, rings[i].r, w.from, w.to)}
+                  fill="none"
+                  stroke={i === 0 ? "#fbbf24" : "#f59e0b"}
+                  strokeOpacity={i === 0 ? 1 : 0.75}
+                  strokeWidth={rings[i].width}
+                />
+              ))}
+            </g>
+          ))}
+          {Array.from({ length: 24 }, (_, h) => {
+            const a = (h / 24) * 2 * Math.PI - Math.PI / 2;
+            const major = h % 3 === 0;
+            return (
+              <g key={h}>
+                <line
+                  x1={c + 142 * Math.cos(a)} y1={c + 142 * Math.sin(a)}
+                  x2={c + (major ? 152 : 147) * Math.cos(a)} y2={c + (major ? 152 : 147) * Math.sin(a)}
+                  stroke="#94a3b8" strokeWidth={major ? 2 : 1}
+                />
+                {major && (
+                  <text x={c + 163 * Math.cos(a)} y={c + 163 * Math.sin(a)} fill="#cbd5e1" fontSize="11" textAnchor="middle" dominantBaseline="middle">
+                    {String(h).padStart(2, "0")}
+                  </text>
+                )}
+              </g>
+            );
+          })}
+          {/* Momento actual */}
+          <line
+            className="clock-now-hand"
+            x1={c} y1={c}
+            x2={c + 140 * Math.cos(nowAngle)} y2={c + 140 * Math.sin(nowAngle)}
+          />
+          <circle className="clock-now-dot" cx={c + rings[0].r * Math.cos(nowAngle)} cy={c + rings[0].r * Math.sin(nowAngle)} r="7" />
+          <text x={c} y={c - 8} fill="#fff" fontSize="22" fontWeight="700" textAnchor="middle">{fmtTime(now)}</text>
+          <text x={c} y={c + 16} fill={isLight ? "#fde68a" : "#a5b4fc"} fontSize="13" fontWeight="600" textAnchor="middle">
+            {isLight ? "🔆 ON" : "🌙 OFF"}
+          </text>
+        </svg>
+        <ul className="clock-legend">
+          {days.map((day) => (
+            <li key={day.label}>
+              <strong>{day.label}</strong> ({formatInZone(day.date, timeZone, { day: "2-digit", month: "2-digit" }, t.locale)}):{" "}
+              {day.windows.length > 0
+                ? day.windows.map((w) => `${fmtTime(w.start)}–${w.to >= 24 ? "24:00" : fmtTime(w.end)}`).join(" · ")
+                : t("clock.noLight")}
+            </li>
+          ))}
+        </ul>
+      </div>
+      <MilestoneList items={milestones} />
+    </div>
+  );
+}
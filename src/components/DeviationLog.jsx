@@ -0,0 +1,74 @@
+/**
+ * DeviationLog.jsx — Registro de desvíos reales (cortes, encendidos/apagados
+ * manuales, fallas del temporizador) con la opción de re-anclar el programa
+ */
+
+import { useState } from "react";
+import { DEVIATION_TYPES, deviationType, formatInZone, parseZonedDateTime, toZonedInputValue } from "../lib/schedule";
+import { useI18n } from "./i18n";
+import { clamp } from "./helpers";
+
+export default function DeviationLog({ deviations, timeZone, now, onAdd, onRemove }) {
+  const t = useI18n();
+  const [type, setType] = useState("corte");
+  const [at, setAt] = useState(() => toZonedInputValue(now, timeZone));
+  const [hours, setHours] = useState("1");
+  const [reanchor, setReanchor] = useState(false);
+  const [note, setNote] = useState("");
+  const fmt = (iso) => formatInZone(new Date(iso), timeZone, { day: "2-digit", month: "2-digit", hour: "2-digit", minute: "2-digit", hourCycle: "h23" }, t.locale);
+  const inputClass = "p-1.5 rounded-md text-sm bg-gray-900/70 border border-gray-700 text-white focus:ring-2 focus:ring-indigo-500";
+
+  const submit = () => {
+    const date = parseZonedDateTime(at, timeZone);
+    const h = Number(hours);
+    if (isNaN(date.getTime()) || !(h > 0)) return;
+    onAdd({ at: date.toISOString(), type, hours: clamp(h, 0.01, 10000), reanchor, note: note.trim() });
+    setNote("");
+  };
+
+  const sorted = [...deviations].sort((a, b) => b.at.localeCompare(a.at));
+  return (
+    <div>
+      {sorted.length > 0 && (
+        <ul className="space-y-1 mb-2 text-xs text-gray-200">
+          {sorted.map((d) => (
+            <li key={d.id} className="flex items-center gap-2">
+              <span className="flex-1 text-left">
+                {deviationType(d.type).icon} <b>{t.label("deviationType", deviationType(d.type))}</b> · {fmt(d.at)} · {t.number(d.hours, Number.isInteger(Number(d.hours)) ? 0 : 2)} h
+                {d.reanchor && <span className="text-amber-300"> · {t("deviation.reanchored")}</span>}
+                {d.note && <span className="text-gray-400"> · {d.note}</span>}
+              </span>
+              <button
+                onClick={() => onRemove(d.id)}
+                title={t("deviation.remove")}
+                className="text-xs text-gray-300 bg-gray-800 rounded-md hover:bg-gray-700"
+                style={{ width: "auto", padding: "0.2rem 0.5rem" }}
+              >
+                ✖
+              </button>
+            </li>
+          ))}
+        </ul>
+      )}
+      <div className="grid grid-cols-2 gap-2">
+        <select value={type} onChange={(e) => setType(e.target.value)} className={`${inputClass} col-span-2`}>
+          {DEVIATION_TYPES.map((dt) => <option key={dt.id} value={dt.id}>{dt.icon} {t.label("deviationType", dt)}</option>)}
+        </select>
+        <input type="datetime-local" value={at} onChange={(e) => setAt(e.target.value)} className={inputClass} title={t("deviation.from")} />
+        <input type="number" min="0.25" step="0.25" value={hours} onChange={(e) => setHours(e.target.value)} className={inputClass} title={t("deviation.hours")} />
+        <input type="text" value={note} onChange={(e) => setNote(e.target.value)} placeholder={t("deviation.note")} className={`${inputClass} col-span-2`} />
+      </div>
+      <label className="flex items-center gap-2 mt-2 text-[0.7rem] text-gray-300" style={{ width: "auto", padding: 0, background: "none", boxShadow: "none" }}>
+        <input type="checkbox" checked={reanchor} onChange={(e) => setReanchor(e.target.checked)} />
+        {t("deviation.reanchor")}
+      </label>
+      <button
+        onClick={submit}
+        className="mt-2 w-full text-xs text-white bg-purple-800/80 rounded-md hover:bg-purple-700"
+        style={{ padding: "0.4rem 0.5rem" }}
+      >
+        ➕ {t("deviation.add")}
+      </button>
+    </div>
+  );
+}
@@ -0,0 +1,141 @@
+/**
+ * ImportPreviewDialog.jsx — Vista previa antes de cargar un archivo o un enlace
+ * compartido: qué campos cambian, cuáles son inválidos (y por qué) y cuáles cargar
+ */
+
+import { useState } from "react";
+import { describeSegments, totalWatts, normalizeRamps, hasRamps } from "../lib/schedule";
+import { journalStats } from "../lib/journal";
+import { CONFIG_VERSION } from "../lib/config";
+import { useI18n } from "./i18n";
+import { milestoneRule } from "./helpers";
+
+// Campos que se pueden cargar de un archivo (clave → texto en src/locales)
+const CONFIG_FIELD_LABELS = {
+  nombreCiclo: "field.nombreCiclo",
+  startDate: "field.startDate",
+  timeZone: "field.timeZone",
+  durationDays: "field.durationDays",
+  phases: "field.phases",
+  energy: "field.energy",
+  light: "field.light",
+  journal: "field.journal",
+  deviations: "field.deviations",
+  scenarios: "field.scenarios",
+  milestones: "field.milestones",
+};
+
+// Resumen corto de un campo para comparar el valor actual con el del archivo
+function summarizeField(t, key, value) {
+  if (value === undefined || value === null) return "—";
+  if (key === "phases") return value.map((p, i) => `F${i + 1}: ${describeSegments(p.segments)}${i < value.length - 1 ? ` (${p.days} d)` : ""}`).join(" · ");
+  if (key === "energy") return t("summary.energy", { fixtures: value.fixtures.length, watts: totalWatts(value), currency: value.currency, price: value.pricePerKwh });
+  if (key === "light") {
+    const r = normalizeRamps(value.ramps);
+    const rampText = hasRamps(r) ? ` · ${t("summary.ramps", { sunrise: r.sunrise.minutes, sunset: r.sunset.minutes, peak: r.peak })}` : "";
+    return `PPFD ${value.ppfd} · DLI ${value.dliMin ?? "—"}–${value.dliMax ?? "—"}${rampText}`;
+  }
+  if (key === "startDate") return String(value).replace("T", " ");
+  if (key === "journal") {
+    const stats = journalStats(value);
+    return t("summary.journal", stats);
+  }
+  if (key === "deviations") return t("summary.deviations", { count: value.length, reanchored: value.filter((d) => d.reanchor).length });
+  if (key === "scenarios") return value.length === 0 ? "—" : value.map((sc) => `${sc.name} (${sc.phases.map((p) => describeSegments(p.segments)).join(" → ")})`).join(" · ");
+  if (key === "milestones") return value.length === 0 ? "—" : value.map((m) => `${m.name}: ${milestoneRule(t, m)}`).join(" · ");
+  return String(value);
+}
+
+export default function ImportPreviewDialog({ preview, current, onConfirm, onCancel }) {
+  const t = useI18n();
+  // Enlaces compartidos: por defecto solo se miran, sin pisar la configuración guardada
+  const [save, setSave] = useState(preview.source !== "link");
+  // Cargar como ciclo nuevo de la biblioteca (con todo lo que trae el archivo)
+  const [asNewCycle, setAsNewCycle] = useState(false);
+  const allFields = Object.keys(CONFIG_FIELD_LABELS).filter((key) => preview.value[key] !== undefined);
+  const changes = allFields.filter((key) => JSON.stringify(preview.value[key]) !== JSON.stringify(current[key]));
+  // Campos a cargar (destildar = conservar el valor actual)
+  const [selected, setSelected] = useState(() => new Set(changes));
+  const toggle = (key) => setSelected((prev) => {
+    const next = new Set(prev);
+    if (next.has(key)) next.delete(key); else next.add(key);
+    return next;
+  });
+
+  return (
+    <div className="app-dialog-backdrop" role="dialog" aria-modal="true" aria-labelledby="import-preview-title">
+      <div className="app-dialog">
+        <h3 id="import-preview-title" className="text-lg font-bold text-indigo-200 mb-1">
+          {preview.source === "link" ? `🔗 ${t("import.openShared")}` : `📥 ${t("import.load", { file: preview.fileName })}`}
+        </h3>
+        {preview.fromVersion !== null && preview.fromVersion < CONFIG_VERSION && (
+          <p className="text-xs text-sky-300 mb-2">{t("import.migrates", { from: preview.fromVersion, to: CONFIG_VERSION })}</p>
+        )}
+
+        {!preview.fatal && (
+          changes.length > 0 ? (
+            <table className="import-preview-table">
+              <thead>
+                <tr><th></th><th>{t("import.field")}</th><th>{t("import.current")}</th><th>{t("import.file")}</th></tr>
+              </thead>
+              <tbody>
+                {changes.map((key) => (
+                  <tr key={key} className={selected.has(key) ? "" : "import-preview-kept"}>
+                    <td><input type="checkbox" checked={selected.has(key)} onChange={() => toggle(key)} /></td>
+                    <td className="font-semibold">{t(CONFIG_FIELD_LABELS[key])}</td>
+                    <td>{summarizeField(t, key, current[key])}</td>
+                    <td className="text-emerald-300">{summarizeField(t, key, preview.value[key])}</td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          ) : (
+            <p className="text-sm text-gray-300 mb-2">{t("import.same")}</p>
+          )
+        )}
+
+        {preview.errors.length > 0 && (
+          <div className="mt-3">
+            <p className="text-sm font-semibold text-rose-300 mb-1">⚠️ {t("import.invalid", { count: preview.errors.length })}</p>
+            <ul className="import-preview-errors">
+              {preview.errors.map((err, i) => (
+                <li key={i}><code>{err.field}</code>: {t.reason(err)}</li>
+              ))}
+            </ul>
+          </div>
+        )}
+
+        {preview.source === "link" && !preview.fatal && !asNewCycle && (
+          <label className="mt-3 flex items-center gap-2 text-sm text-gray-300">
+            <input type="checkbox" checked={save} onChange={(e) => setSave(e.target.checked)} />
+            {t("import.saveAsMine")}
+          </label>
+        )}
+        {!preview.fatal && (
+          <label className="mt-3 flex items-center gap-2 text-sm text-gray-300">
+            <input type="checkbox" checked={asNewCycle} onChange={(e) => setAsNewCycle(e.target.checked)} />
+            {t("import.asNewCycle")}
+          </label>
+        )}
+
+        <div className="flex flex-wrap justify-end gap-2 mt-4">
+          <button
+            onClick={onCancel}
+            className="px-4 py-2 text-sm font-semibold bg-gray-700 hover:bg-gray-600 text-white rounded-lg"
+          >
+            {preview.fatal ? t("common.close") : t("import.keep")}
+          </button>
+          {!preview.fatal && (
+            <button
+              onClick={() => onConfirm(asNewCycle ? allFields : [...selected], { save, asNewCycle })}
+              disabled={!asNewCycle && selected.size === 0}
+              className="px-4 py-2 text-sm font-semibold bg-emerald-600 hover:bg-emerald-500 disabled:opacity-40 text-white rounded-lg"
+            >
+              {preview.errors.length > 0 ? t("import.loadValid") : t("import.confirm")} ({asNewCycle ? allFields.length : selected.size})
+            </button>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,183 @@
+/**
+ * JournalDialog.jsx — Diario de un día del calendario: notas con hora, pH/EC y
+ * fotos (reducidas antes de guardarlas, ver resizePhoto)
+ */
+
+import { useState } from "react";
+import { formatInZone, parseZonedDateTime } from "../lib/schedule";
+import { JOURNAL_TYPES, MAX_PHOTOS_PER_ENTRY, MAX_PHOTO_LENGTH, journalType, journalDayKey } from "../lib/journal";
+import { useI18n } from "./i18n";
+import { clamp } from "./helpers";
+
+// Lado mayor (px) y calidad JPEG que se prueban, en orden, hasta que la foto entra en MAX_PHOTO_LENGTH
+const PHOTO_ATTEMPTS = [[800, 0.7], [800, 0.5], [640, 0.5], [480, 0.4]];
+
+// Reduce una foto (JPEG) para que entre en el localStorage y en el JSON
+function resizePhoto(file, { readError, tooBig }) {
+  return new Promise((resolve, reject) => {
+    const url = URL.createObjectURL(file);
+    const img = new Image();
+    img.onload = () => {
+      URL.revokeObjectURL(url);
+      const canvas = document.createElement("canvas");
+      for (const [maxSize, quality] of PHOTO_ATTEMPTS) {
+        const scale = Math.min(1, maxSize / Math.max(img.width, img.height));
+        canvas.width = Math.round(img.width * scale);
+        canvas.height = Math.round(img.height * scale);
+        canvas.getContext("2d").drawImage(img, 0, 0, canvas.width, canvas.height);
+        const data = canvas.toDataURL("image/jpeg", quality);
+        if (data.length <= MAX_PHOTO_LENGTH) {
+          resolve(data);
+          return;
+        }
+      }
+      reject(new Error(tooBig));
+    };
+    img.onerror = () => {
+      URL.revokeObjectURL(url);
+      reject(new Error(readError));
+    };
+    img.src = url;
+  });
+}
+
+export default function JournalDialog({ day, timeZone, now, entries, onAdd, onRemove, onClose }) {
+  const t = useI18n();
+  const isToday = journalDayKey(now, timeZone) === day.key;
+  const [type, setType] = useState("riego");
+  const [time, setTime] = useState(() => (isToday ? formatInZone(now, timeZone, { hour: "2-digit", minute: "2-digit", hourCycle: "h23" }) : "12:00"));
+  const [text, setText] = useState("");
+  const [ph, setPh] = useState("");
+  const [ec, setEc] = useState("");
+  const [photos, setPhotos] = useState([]);
+  const [photoError, setPhotoError] = useState("");
+  const [expanded, setExpanded] = useState(null);
+
+  const addPhotos = async (files) => {
+    setPhotoError("");
+    const room = MAX_PHOTOS_PER_ENTRY - photos.length;
+    try {
+      const resized = await Promise.all([...files].slice(0, room).map((f) => resizePhoto(f, {
+        readError: t("journal.photoError", { file: f.name }),
+        tooBig: t("journal.photoTooBig", { file: f.name }),
+      })));
+      setPhotos((prev) => [...prev, ...resized]);
+      if (files.length > room) setPhotoError(t("journal.maxPhotos", { max: MAX_PHOTOS_PER_ENTRY }));
+    } catch (err) {
+      setPhotoError(err.message);
+    }
+  };
+
+  const submit = () => {
+    if (!text.trim() && photos.length === 0 && ph === "" && ec === "") return;
+    onAdd({
+      at: parseZonedDateTime(`${day.key}T${time || "12:00"}`, timeZone).toISOString(),
+      type,
+      text: text.trim(),
+      ph: ph === "" ? null : clamp(Number(ph), 0, 14),
+      ec: ec === "" ? null : clamp(Number(ec), 0, 20),
+      photos,
+    });
+    setText("");
+    setPh("");
+    setEc("");
+    setPhotos([]);
+  };
+
+  const inputClass = "p-1.5 rounded-md text-sm bg-gray-900/70 border border-gray-700 text-white focus:ring-2 focus:ring-indigo-500";
+
+  return (
+    <div className="app-dialog-backdrop" role="dialog" aria-modal="true" aria-labelledby="journal-title">
+      <div className="app-dialog">
+        <h3 id="journal-title" className="text-lg font-bold text-indigo-200 mb-3">
+          📓 {t("journal.day", { number: day.number })} · {day.label}
+        </h3>
+
+        {entries.length === 0 ? (
+          <p className="text-sm text-gray-400 mb-3">{t("journal.empty")}</p>
+        ) : (
+          <ul className="journal-entries">
+            {entries.map((entry) => (
+              <li key={entry.id}>
+                <div className="flex items-start justify-between gap-2">
+                  <p className="text-sm">
+                    <span className="font-mono text-pink-300">{formatInZone(entry.at, timeZone, { hour: "2-digit", minute: "2-digit" }, t.locale)}</span>{" "}
+                    <b>{journalType(entry.type).icon} {t.label("journalType", journalType(entry.type))}</b>
+                    {entry.ph !== null && <span className="text-sky-300"> · pH {entry.ph}</span>}
+                    {entry.ec !== null && <span className="text-sky-300"> · EC {entry.ec}</span>}
+                  </p>
+                  <button
+                    onClick={() => onRemove(entry.id)}
+                    className="text-xs text-rose-300 hover:text-rose-200"
+                    title={t("journal.remove")}
+                  >
+                    ✕
+                  </button>
+                </div>
+                {entry.text && <p className="text-sm text-gray-200 whitespace-pre-wrap">{entry.text}</p>}
+                {entry.photos.length > 0 && (
+                  <div className="flex flex-wrap gap-2 mt-1">
+                    {entry.photos.map((src, i) => (
+                      <img key={i} src={src} alt={t("journal.photo", { number: i + 1 })} className="journal-photo" onClick={() => setExpanded(src)} />
+                    ))}
+                  </div>
+                )}
+              </li>
+            ))}
+          </ul>
+        )}
+
+        {expanded && (
+          <img src={expanded} alt={t("journal.photoExpanded")} className="journal-photo-expanded" onClick={() => setExpanded(null)} />
+        )}
+
+        {/* Nueva nota */}
+        <div className="journal-form">
+          <div className="flex flex-wrap gap-2">
+            <select value={type} onChange={(e) => setType(e.target.value)} className={inputClass}>
+              {JOURNAL_TYPES.map((jt) => <option key={jt.id} value={jt.id}>{jt.icon} {t.label("journalType", jt)}</option>)}
+            </select>
+            <input type="time" value={time} onChange={(e) => setTime(e.target.value)} className={inputClass} />
+            <input type="number" step="0.1" min="0" max="14" value={ph} onChange={(e) => setPh(e.target.value)} placeholder="pH" className={`${inputClass} w-20`} />
+            <input type="number" step="0.1" min="0" max="20" value={ec} onChange={(e) => setEc(e.target.value)} placeholder="EC" className={`${inputClass} w-20`} />
+          </div>
+          <textarea
+            value={text}
+            onChange={(e) => setText(e.target.value)}
+            rows={3}
+            placeholder={t("journal.placeholder")}
+            className={`${inputClass} w-full mt-2`}
+          />
+          <div className="flex flex-wrap items-center gap-2 mt-2">
+            <label className="px-3 py-1.5 text-sm font-semibold bg-gray-700 hover:bg-gray-600 text-white rounded-lg cursor-pointer">
+              📷 {t("journal.photos")} ({photos.length}/{MAX_PHOTOS_PER_ENTRY})
+              <input
+                type="file"
+                accept="image/*"
+                multiple
+                className="hidden"
+                onChange={(e) => {
+                  addPhotos(e.target.files || []);
+                  e.target.value = "";
+                }}
+              />
+            </label>
+            {photos.map((src, i) => (
+              <img key={i} src={src} alt={t("journal.newPhoto", { number: i + 1 })} className="journal-photo" onClick={() => setPhotos((prev) => prev.filter((_, j) => j !== i))} title={t("journal.removePhoto")} />
+            ))}
+          </div>
+          {photoError && <p className="text-xs text-rose-300 mt-1">{photoError}</p>}
+        </div>
+
+        <div className="flex justify-end gap-2 mt-4">
+          <button onClick={onClose} className="px-4 py-2 text-sm font-semibold bg-gray-700 hover:bg-gray-600 text-white rounded-lg">
+            {t("common.close")}
+          </button>
+          <button onClick={submit} className="px-4 py-2 text-sm font-semibold bg-emerald-600 hover:bg-emerald-500 text-white rounded-lg">
+            ➕ {t("journal.add")}
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+}
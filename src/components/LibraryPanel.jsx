@@ -0,0 +1,98 @@
+/**
+ * LibraryPanel.jsx — Biblioteca de ciclos: un renglón por carpa / cuarto con su
+ * estado actual, el próximo cambio y las acciones sobre cada ciclo
+ */
+
+import { formatInZone } from "../lib/schedule";
+import { useI18n } from "./i18n";
+
+export default function LibraryPanel({ rows, onSwitch, onCreate, onDuplicate, onRename, onArchive, onDelete, onExport, onExportAll }) {
+  const t = useI18n();
+  const active = rows.filter((r) => !r.archived);
+  const archived = rows.filter((r) => r.archived);
+  const fmtNext = (r) => formatInZone(r.state.next.date, r.timeZone, { weekday: "short", day: "2-digit", month: "2-digit", hour: "2-digit", minute: "2-digit", hourCycle: "h23" }, t.locale);
+  const btn = "px-2 py-1 text-xs rounded-lg bg-gray-800 text-gray-200 hover:bg-gray-700";
+
+  const actions = (r) => (
+    <span className="flex flex-wrap justify-center gap-1">
+      {!r.active && (
+        <button onClick={() => onSwitch(r.id)} className="px-2 py-1 text-xs font-semibold rounded-lg bg-indigo-600 text-white hover:bg-indigo-500">
+          {t("library.open")}
+        </button>
+      )}
+      <button onClick={() => onRename(r.id)} title={t("library.rename")} className={btn}>✏️</button>
+      <button onClick={() => onDuplicate(r.id)} title={t("library.duplicate")} className={btn}>📑</button>
+      <button onClick={() => onExport(r.id)} title={t("library.export")} className={btn}>💾</button>
+      <button onClick={() => onArchive(r.id, !r.archived)} title={t(r.archived ? "library.unarchive" : "library.archive")} className={btn}>
+        {r.archived ? "📤" : "🗄️"}
+      </button>
+      <button onClick={() => onDelete(r.id)} disabled={rows.length <= 1} title={t("library.delete")} className={`${btn} disabled:opacity-40`}>🗑️</button>
+    </span>
+  );
+
+  return (
+    <div>
+      <div className="overflow-x-auto">
+        <table className="library-table min-w-full text-xs">
+          <thead>
+            <tr>
+              <th className="text-left">{t("library.cycle")}</th>
+              <th>{t("library.now")}</th>
+              <th>{t("library.next")}</th>
+              <th>{t("status.days")}</th>
+              <th>{t("scenario.actions")}</th>
+            </tr>
+          </thead>
+          <tbody>
+            {active.map((r) => (
+              <tr key={r.id} className={r.active ? "library-row-active" : ""}>
+                <td className="text-left font-semibold text-white">
+                  {r.active && <span title={t("library.editing")}>✏️ </span>}{r.name}
+                </td>
+                {r.state ? (
+                  <>
+                    <td className={`font-bold ${r.state.isLight ? "text-yellow-300" : "text-indigo-300"}`}>
+                      {!r.state.started ? `⏳ ${t("library.notStarted")}` : r.state.isLight ? "🔆 ON" : "🌙 OFF"}
+                    </td>
+                    <td className="font-mono">
+                      {r.state.next
+                        ? `${r.state.next.isLight ? "ON" : "OFF"} ${fmtNext(r)} · ${t("library.inHours", { hours: t.number(r.state.next.hoursToNext, 1) })}`
+                        : "—"}
+                    </td>
+                    <td className="font-mono text-rose-300">{Math.max(0, r.state.superCycleDays)}</td>
+                  </>
+                ) : (
+                  <td colSpan={3} className="text-gray-400">{t("library.noData")}</td>
+                )}
+                <td>{actions(r)}</td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      </div>
+
+      {archived.length > 0 && (
+        <details className="mt-2 text-xs text-gray-300">
+          <summary className="cursor-pointer">🗄️ {t("library.archived", { count: archived.length })}</summary>
+          <ul className="mt-1 space-y-1">
+            {archived.map((r) => (
+              <li key={r.id} className="flex items-center justify-between gap-2">
+                <span className="text-left">{r.active && "✏️ "}{r.name}</span>
+                {actions(r)}
+              </li>
+            ))}
+          </ul>
+        </details>
+      )}
+
+      <div className="flex flex-wrap justify-center gap-2 mt-3">
+        <button onClick={onCreate} className="px-3 py-1.5 text-xs font-semibold rounded-lg bg-purple-800/80 text-white hover:bg-purple-700">
+          ➕ {t("library.create")}
+        </button>
+        <button onClick={onExportAll} className="px-3 py-1.5 text-xs font-semibold rounded-lg bg-emerald-700 text-white hover:bg-emerald-600">
+          💾 {t("library.exportAll")}
+        </button>
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,145 @@
+/**
+ * LoadPanel.jsx — Carga eléctrica de los cuartos (ciclos sin archivar) en el
+ * mismo circuito: pico, tiempo sobre el límite y corrimientos sugeridos
+ */
+
+import { formatInZone } from "../lib/schedule";
+import { useI18n } from "./i18n";
+
+export default function LoadPanel({ rooms, segments, peak, limit, onLimitChange, suggestion, onSuggest, onApply, onApplyAll, now, timeZone }) {
+  const t = useI18n();
+  const fmtDate = (ms) => formatInZone(new Date(ms), timeZone, { weekday: "short", day: "2-digit", month: "2-digit", hour: "2-digit", minute: "2-digit", hourCycle: "h23" }, t.locale);
+  const fmtWatts = (w) => `${t.number(w, 0)} W`;
+  const names = Object.fromEntries(rooms.map((r) => [r.id, r.name]));
+  const powered = rooms.filter((r) => r.watts > 0);
+
+  const limitInput = (
+    <label className="flex items-center justify-center gap-2 text-xs text-gray-300">
+      {t("load.limit")}
+      <input
+        type="number"
+        min="0"
+        step="100"
+        value={limit ?? ""}
+        placeholder={t("load.noLimit")}
+        onChange={(e) => onLimitChange(e.target.value)}
+        className="w-28 p-1 rounded-lg bg-gray-900 border border-gray-700 text-white text-right"
+      />
+      W
+    </label>
+  );
+
+  if (powered.length === 0 || segments.length === 0) {
+    return (
+      <div className="space-y-2">
+        {limitInput}
+        <p className="text-xs text-gray-400">{t("load.noFixtures")}</p>
+      </div>
+    );
+  }
+
+  // Gráfico escalonado: carga total en el tiempo, con el límite y el momento actual
+  const width = 640;
+  const height = 150;
+  const pad = { left: 8, right: 8, top: 14, bottom: 18 };
+  const from = segments[0].start;
+  const to = segments[segments.length - 1].end;
+  const top = Math.max(peak.watts, limit || 0) * 1.1 || 1;
+  const x = (ms) => pad.left + ((ms - from) / (to - from)) * (width - pad.left - pad.right);
+  const y = (w) => height - pad.bottom - (w / top) * (height - pad.top - pad.bottom);
+  const line = segments.map((s) => `L ${x(s.start).toFixed(1)} ${y(s.watts).toFixed(1)} L ${x(s.end).toFixed(1)} ${y(s.watts).toFixed(1)}`).join(" ");
+  const area = `M ${x(from).toFixed(1)} ${y(0)} ${line} L ${x(to).toFixed(1)} ${y(0)} Z`;
+  const nowMs = now.getTime();
+  const over = limit && peak.watts > limit;
+
+  return (
+    <div className="space-y-3">
+      {limitInput}
+
+      <div className="load-chart">
+        <svg viewBox={`0 0 ${width} ${height}`} role="img" aria-label={t("load.chart")}>
+          <path d={area} className={over ? "load-area load-area-over" : "load-area"} />
+          {limit > 0 && (
+            <g>
+              <line className="load-limit" x1={pad.left} x2={width - pad.right} y1={y(limit)} y2={y(limit)} />
+              <text x={width - pad.right} y={y(limit) - 3} fill="#fca5a5" fontSize="10" textAnchor="end">{fmtWatts(limit)}</text>
+            </g>
+          )}
+          {nowMs > from && nowMs < to && <line className="load-now" x1={x(nowMs)} x2={x(nowMs)} y1={pad.top} y2={y(0)} />}
+          <text x={pad.left} y={pad.top - 3} fill="#cbd5e1" fontSize="10">{t("load.peakShort", { watts: fmtWatts(peak.watts) })}</text>
+          <text x={pad.left} y={height - 4} fill="#94a3b8" fontSize="10">{formatInZone(new Date(from), timeZone, { day: "2-digit", month: "2-digit" }, t.locale)}</text>
+          <text x={width - pad.right} y={height - 4} fill="#94a3b8" fontSize="10" textAnchor="end">{formatInZone(new Date(to), timeZone, { day: "2-digit", month: "2-digit" }, t.locale)}</text>
+        </svg>
+      </div>
+
+      <p className="text-xs text-gray-200">
+        ⚡ {t("load.peak", { watts: fmtWatts(peak.watts), date: fmtDate(peak.start) })}{" "}
+        <span className="text-gray-400">({peak.rooms.map((id) => names[id]).join(" + ")})</span>
+      </p>
+      {limit > 0 && (over ? (
+        <p className="text-xs font-semibold text-rose-300">
+          ⚠️ {t("load.over", { limit: fmtWatts(limit), hours: t.number(peak.overHours, 1), date: fmtDate(peak.firstOver) })}
+        </p>
+      ) : (
+        <p className="text-xs text-emerald-300">✅ {t("load.under", { limit: fmtWatts(limit) })}</p>
+      ))}
+
+      {powered.length > 1 && (
+        suggestion ? (
+          <div>
+            <div className="overflow-x-auto">
+              <table className="library-table min-w-full text-xs">
+                <thead>
+                  <tr>
+                    <th className="text-left">{t("library.cycle")}</th>
+                    <th>W</th>
+                    <th>{t("load.offset")}</th>
+                    <th />
+                  </tr>
+                </thead>
+                <tbody>
+                  {powered.map((r) => {
+                    const hours = suggestion.offsets[r.id] || 0;
+                    return (
+                      <tr key={r.id}>
+                        <td className="text-left font-semibold text-white">{r.name}</td>
+                        <td className="font-mono">{t.number(r.watts, 0)}</td>
+                        <td className="font-mono">{hours > 0 ? t("load.offsetHours", { hours: t.number(hours, Number.isInteger(hours) ? 0 : 1) }) : "—"}</td>
+                        <td>
+                          {hours > 0 && (
+                            <button onClick={() => onApply(r.id, hours)} className="px-2 py-1 text-xs rounded-lg bg-gray-800 text-gray-200 hover:bg-gray-700">
+                              {t("load.apply")}
+                            </button>
+                          )}
+                        </td>
+                      </tr>
+                    );
+                  })}
+                </tbody>
+              </table>
+            </div>
+            <p className={`mt-1 text-xs ${suggestion.fits ? "text-emerald-300" : "text-amber-300"}`}>
+              {suggestion.fits
+                ? t("load.fits", { watts: fmtWatts(suggestion.peak.watts) })
+                : t("load.noFit", { watts: fmtWatts(suggestion.peak.watts) })}
+            </p>
+            <div className="flex flex-wrap justify-center gap-2 mt-2">
+              {Object.values(suggestion.offsets).some((h) => h > 0) && (
+                <button onClick={onApplyAll} className="px-3 py-1.5 text-xs font-semibold rounded-lg bg-indigo-600 text-white hover:bg-indigo-500">
+                  {t("load.applyAll")}
+                </button>
+              )}
+              <button onClick={onSuggest} className="px-3 py-1.5 text-xs rounded-lg bg-gray-800 text-gray-200 hover:bg-gray-700">
+                🔀 {t("load.recalculate")}
+              </button>
+            </div>
+          </div>
+        ) : (
+          <button onClick={onSuggest} className="px-3 py-1.5 text-xs font-semibold rounded-lg bg-purple-800/80 text-white hover:bg-purple-700">
+            🔀 {t("load.suggest")}
+          </button>
+        )
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,98 @@
+/**
+ * Milestones.jsx — Hitos del ciclo (cambio a floración, cosecha…): el editor del
+ * panel lateral y la lista al pie del calendario
+ */
+
+import { useState } from "react";
+import { MILESTONE_UNITS } from "../lib/schedule";
+import { useI18n } from "./i18n";
+import { clamp, milestoneRule } from "./helpers";
+
+const MILESTONE_PRESETS = ["milestone.preset.flip", "milestone.preset.stretchEnd", "milestone.preset.flush", "milestone.preset.harvest"];
+
+export function MilestoneEditor({ milestones, phaseCount, onAdd, onRemove }) {
+  const t = useI18n();
+  const [name, setName] = useState("");
+  const [value, setValue] = useState("63");
+  const [unit, setUnit] = useState("cycles");
+  const [phase, setPhase] = useState("");
+  const inputClass = "p-1.5 rounded-md text-sm bg-gray-900/70 border border-gray-700 text-white focus:ring-2 focus:ring-indigo-500";
+
+  const submit = () => {
+    const n = Number(value);
+    if (!name.trim() || !(n >= 0)) return;
+    onAdd({ name: name.trim().slice(0, 60), value: clamp(n, 0, 9999), unit, phase: phase === "" ? null : Number(phase) });
+    setName("");
+  };
+
+  return (
+    <div>
+      {milestones.length > 0 && (
+        <ul className="space-y-1 mb-2 text-xs text-gray-200">
+          {milestones.map((m) => (
+            <li key={m.id} className="flex items-center gap-2">
+              <span className="flex-1 text-left">
+                🏁 <b>{m.name}</b> · {milestoneRule(t, m)}
+                {m.phase !== null && m.phase >= phaseCount && <span className="text-rose-300"> · {t("milestone.noPhase")}</span>}
+              </span>
+              <button
+                onClick={() => onRemove(m.id)}
+                title={t("milestone.remove")}
+                className="text-xs text-gray-300 bg-gray-800 rounded-md hover:bg-gray-700"
+                style={{ width: "auto", padding: "0.2rem 0.5rem" }}
+              >
+                ✖
+              </button>
+            </li>
+          ))}
+        </ul>
+      )}
+      <div className="grid grid-cols-2 gap-2">
+        <input
+          type="text"
+          list="milestone-presets"
+          value={name}
+          maxLength={60}
+          onChange={(e) => setName(e.target.value)}
+          placeholder={t("milestone.name")}
+          className={`${inputClass} col-span-2`}
+        />
+        <datalist id="milestone-presets">
+          {MILESTONE_PRESETS.map((key) => <option key={key} value={t(key)} />)}
+        </datalist>
+        <input type="number" min="0" step="1" value={value} onChange={(e) => setValue(e.target.value)} className={inputClass} title={t("milestone.value")} />
+        <select value={unit} onChange={(e) => setUnit(e.target.value)} className={inputClass}>
+          {MILESTONE_UNITS.map((u) => <option key={u.id} value={u.id}>{t.label("milestoneUnit", u)}</option>)}
+        </select>
+        <select value={phase} onChange={(e) => setPhase(e.target.value)} className={`${inputClass} col-span-2`}>
+          <option value="">{t("milestone.fromStart")}</option>
+          {Array.from({ length: phaseCount }, (_, i) => <option key={i} value={i}>{t("milestone.fromPhase", { number: i + 1 })}</option>)}
+        </select>
+      </div>
+      <button
+        onClick={submit}
+        className="mt-2 w-full text-xs text-white bg-purple-800/80 rounded-md hover:bg-purple-700"
+        style={{ padding: "0.4rem 0.5rem" }}
+      >
+        ➕ {t("milestone.add")}
+      </button>
+    </div>
+  );
+}
+
+// Lista de hitos al pie del calendario (también sale en el PDF/JPG); <p> y no <div>
+// porque dentro de la grilla las reglas de `.calendar td div` le fijarían el tamaño
+export function MilestoneList({ items }) {
+  const t = useI18n();
+  if (items.length === 0) return null;
+  return (
+    <p className="calendar-milestones">
+      {items.map((m) => (
+        <span key={m.id}>
+          🏁 <b>{m.name}</b> {m.dateLabel} · {m.countLabel}
+        </span>
+      ))}
+      <span className="text-gray-400">{t("milestone.legend")}</span>
+    </p>
+  );
+}
@@ -0,0 +1,173 @@
+/**
+ * ScenarioPanel.jsx — La configuración activa al lado de otros fotoperiodos
+ * (escenarios): horas de luz, consumo, costo y fin del cultivo de cada uno
+ */
+
+import { MAX_SCENARIOS, describeSegments, formatInZone } from "../lib/schedule";
+import { useI18n } from "./i18n";
+import { clamp, fmtMoney } from "./helpers";
+
+// `columns`: [{ id, name, phases, durationDays, report, active }], la activa primero.
+// Los números de cada escenario muestran la diferencia con la activa.
+export default function ScenarioPanel({ columns, currency, showCost, timeZone, compare, onCompare, onAdd, onUpdate, onUpdateSegment, onPromote, onRemove }) {
+  const t = useI18n();
+  const [base, ...others] = columns;
+  const inputClass = "p-1 rounded-md text-center text-xs bg-gray-900/70 border border-gray-700 text-white focus:ring-2 focus:ring-indigo-500";
+  const hours = (h) => `${t.number(h, Number.isInteger(Math.round(h * 100) / 100) ? 0 : 1)} h`;
+  const delta = (value, baseValue, format, higherIsBetter) => {
+    const diff = value - baseValue;
+    if (Math.abs(diff) < 0.005) return null;
+    const good = higherIsBetter ? diff > 0 : diff < 0;
+    return <span className={`block text-[0.65rem] ${good ? "text-emerald-400" : "text-rose-400"}`}>{diff > 0 ? "+" : "−"}{format(Math.abs(diff))}</span>;
+  };
+  const rows = [
+    { key: "cycle", label: t("scenario.cycle"), render: (c) => c.report.cycleLengths.map(hours).join(" → ") },
+    { key: "lit", label: t("scenario.litHours"), render: (c) => <>{hours(c.report.litHours)}{!c.active && delta(c.report.litHours, base.report.litHours, hours, false)}</> },
+    {
+      key: "balance",
+      label: t("scenario.balance"),
+      render: (c) => (
+        <>
+          <span className={c.report.energyBalance > 0 ? "text-emerald-400" : c.report.energyBalance < 0 ? "text-rose-400" : "text-blue-300"}>
+            {c.report.energyBalance > 0 ? "🔋" : c.report.energyBalance < 0 ? "⚡️" : "⚖️"} {hours(Math.abs(c.report.energyBalance))}
+          </span>
+          {!c.active && delta(c.report.energyBalance, base.report.energyBalance, hours, true)}
+        </>
+      ),
+    },
+    { key: "cycles", label: t("scenario.cycles"), render: (c) => <>{t.number(c.report.cycles)}{!c.active && delta(c.report.cycles, base.report.cycles, (n) => t.number(n), true)}</> },
+    {
+      key: "finish",
+      label: t("scenario.finish"),
+      render: (c) => formatInZone(c.report.finishDate, timeZone, { day: "2-digit", month: "2-digit", year: "numeric", hour: "2-digit", minute: "2-digit", hourCycle: "h23" }, t.locale),
+    },
+  ];
+  if (showCost) {
+    const money = (n) => fmtMoney(n, currency, t.locale);
+    rows.push({
+      key: "cost",
+      label: t("scenario.cost"),
+      render: (c) => <>{money(c.report.cost)}<span className="block text-[0.65rem] text-gray-400">{t.number(c.report.kwh, 1)} kWh</span>{!c.active && delta(c.report.cost, base.report.cost, money, false)}</>,
+    });
+  }
+
+  return (
+    <div>
+      <div className="overflow-x-auto">
+        <table className="w-full text-xs text-gray-200 scenario-table">
+          <thead>
+            <tr>
+              <th />
+              {columns.map((c) => (
+                <th key={c.id} className="p-1 align-top">
+                  {c.active ? (
+                    <span className="block py-1 text-pink-300 font-bold">★ {c.name || t("scenario.active")}</span>
+                  ) : (
+                    <input type="text" value={c.name} maxLength={60} onChange={(e) => onUpdate(c.id, { name: e.target.value })} className={`${inputClass} w-full font-bold`} />
+                  )}
+                </th>
+              ))}
+            </tr>
+          </thead>
+          <tbody>
+            <tr>
+              <td className="p-1 text-left text-indigo-300 font-semibold">{t("scenario.pattern")}</td>
+              {columns.map((c) => (
+                <td key={c.id} className="p-1 align-top">
+                  {c.phases.map((p, i) => (
+                    <span key={i} className="flex flex-wrap items-center justify-center gap-1 mb-1">
+                      {c.phases.length > 1 && <span className="text-gray-400">F{i + 1}</span>}
+                      {c.active
+                        ? describeSegments(p.segments)
+                        : p.segments.map((seg, j) => (
+                          <span key={j} className="inline-flex items-center gap-0.5">
+                            <input
+                              type="number"
+                              min="0"
+                              step="0.5"
+                              value={seg.hours}
+                              onChange={(e) => onUpdateSegment(c.id, i, j, clamp(Number(e.target.value), 0, 10000))}
+                              className={`${inputClass} w-12`}
+                            />
+                            <span className={seg.isLight ? "text-yellow-300" : "text-indigo-300"}>{seg.isLight ? "ON" : "OFF"}</span>
+                          </span>
+                        ))}
+                    </span>
+                  ))}
+                </td>
+              ))}
+            </tr>
+            <tr>
+              <td className="p-1 text-left text-indigo-300 font-semibold">{t("field.durationDays")}</td>
+              {columns.map((c) => (
+                <td key={c.id} className="p-1">
+                  {c.active ? c.durationDays : (
+                    <input
+                      type="number"
+                      min="1"
+                      max="9999"
+                      value={c.durationDays}
+                      onChange={(e) => onUpdate(c.id, { durationDays: clamp(Math.round(Number(e.target.value)) || 1, 1, 9999) })}
+                      className={`${inputClass} w-16`}
+                    />
+                  )}
+                </td>
+              ))}
+            </tr>
+            {rows.map((row) => (
+              <tr key={row.key}>
+                <td className="p-1 text-left text-indigo-300 font-semibold">{row.label}</td>
+                {columns.map((c) => <td key={c.id} className="p-1 font-mono">{row.render(c)}</td>)}
+              </tr>
+            ))}
+            {others.length > 0 && (
+              <tr>
+                <td className="p-1 text-left text-indigo-300 font-semibold">{t("scenario.actions")}</td>
+                {columns.map((c) => (
+                  <td key={c.id} className="p-1">
+                    {!c.active && (
+                      <span className="flex flex-wrap justify-center gap-1">
+                        <button
+                          onClick={() => onCompare(compare === c.id ? null : c.id)}
+                          title={t("scenario.compareTitle")}
+                          className={`text-[0.7rem] rounded-md ${compare === c.id ? "bg-cyan-700 text-white" : "bg-gray-800 text-gray-200 hover:bg-gray-700"}`}
+                          style={{ width: "auto", padding: "0.2rem 0.5rem" }}
+                        >
+                          📅 {t("scenario.compare")}
+                        </button>
+                        <button
+                          onClick={() => onPromote(c.id)}
+                          title={t("scenario.promoteTitle")}
+                          className="text-[0.7rem] text-white bg-purple-800/80 rounded-md hover:bg-purple-700"
+                          style={{ width: "auto", padding: "0.2rem 0.5rem" }}
+                        >
+                          ★ {t("scenario.promote")}
+                        </button>
+                        <button
+                          onClick={() => onRemove(c.id)}
+                          title={t("scenario.remove")}
+                          className="text-[0.7rem] text-gray-300 bg-gray-800 rounded-md hover:bg-gray-700"
+                          style={{ width: "auto", padding: "0.2rem 0.5rem" }}
+                        >
+                          ✖
+                        </button>
+                      </span>
+                    )}
+                  </td>
+                ))}
+              </tr>
+            )}
+          </tbody>
+        </table>
+      </div>
+      <button
+        onClick={onAdd}
+        disabled={others.length >= MAX_SCENARIOS}
+        className="mt-2 w-full text-xs text-white bg-purple-800/80 rounded-md hover:bg-purple-700 disabled:opacity-40"
+        style={{ padding: "0.4rem 0.5rem" }}
+      >
+        ➕ {t("scenario.add", { max: MAX_SCENARIOS })}
+      </button>
+    </div>
+  );
+}
@@ -0,0 +1,71 @@
+/**
+ * ShareDialog.jsx — Enlace para compartir el Superciclo y su código QR
+ */
+
+import { useState } from "react";
+import { useI18n } from "./i18n";
+
+export default function ShareDialog({ share, onClose }) {
+  const t = useI18n();
+  const [copied, setCopied] = useState(false);
+  const copy = async () => {
+    try {
+      await navigator.clipboard.writeText(share.url);
+      setCopied(true);
+    } catch {
+      alert(`⚠️ ${t("share.copyError")}`);
+    }
+  };
+
+  return (
+    <div className="app-dialog-backdrop" role="dialog" aria-modal="true" aria-labelledby="share-title">
+      <div className="app-dialog text-center">
+        <h3 id="share-title" className="text-lg font-bold text-indigo-200 mb-1">🔗 {t("share.title")}</h3>
+        <p className="text-xs text-gray-400 mb-3">
+          {t("share.hint")}
+        </p>
+
+        <input
+          readOnly
+          value={share.url}
+          onFocus={(e) => e.target.select()}
+          className="w-full p-2 rounded-md text-xs font-mono bg-gray-900/70 border border-gray-700 text-gray-200"
+        />
+        <div className="flex flex-wrap justify-center gap-2 mt-2">
+          <button onClick={copy} className="px-4 py-2 text-sm font-semibold bg-indigo-600 hover:bg-indigo-500 text-white rounded-lg">
+            {copied ? `✅ ${t("share.copied")}` : `📋 ${t("share.copy")}`}
+          </button>
+          {typeof navigator !== "undefined" && navigator.share && (
+            <button
+              onClick={() => navigator.share({ title: share.title, url: share.url }).catch(() => {})}
+              className="px-4 py-2 text-sm font-semibold bg-sky-700 hover:bg-sky-600 text-white rounded-lg"
+            >
+              📤 {t("share.send")}
+            </button>
+          )}
+        </div>
+
+        {share.qr ? (
+          <div className="mt-4 flex flex-col items-center gap-2">
+            <img src={share.qr} alt={t("share.qrAlt")} className="share-qr" />
+            <a
+              href={share.qr}
+              download={`${share.title.replace(/\s+/g, "_")}_QR.png`}
+              className="text-sm text-pink-300 underline"
+            >
+              ⬇️ {t("share.downloadQr")}
+            </a>
+          </div>
+        ) : (
+          <p className="mt-4 text-sm text-rose-300">⚠️ {share.qrError}</p>
+        )}
+
+        <div className="flex justify-end mt-4">
+          <button onClick={onClose} className="px-4 py-2 text-sm font-semibold bg-gray-700 hover:bg-gray-600 text-white rounded-lg">
+            {t("common.close")}
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,68 @@
+/**
+ * SnapshotDialog.jsx — Historial de versiones guardadas en el navegador:
+ * guardar una a mano, restaurarla o borrarla
+ */
+
+import { describeSegments, formatInZone } from "../lib/schedule";
+import { SNAPSHOT_REASONS } from "../lib/snapshots";
+import { useI18n } from "./i18n";
+import { LOCAL_TIME_ZONE } from "./helpers";
+
+export default function SnapshotDialog({ snapshots, onSave, onRestore, onRemove, onClose }) {
+  const t = useI18n();
+  const fmt = (iso) => formatInZone(new Date(iso), LOCAL_TIME_ZONE, { day: "2-digit", month: "2-digit", year: "numeric", hour: "2-digit", minute: "2-digit" }, t.locale);
+
+  return (
+    <div className="app-dialog-backdrop" role="dialog" aria-modal="true" aria-labelledby="snapshots-title">
+      <div className="app-dialog">
+        <h3 id="snapshots-title" className="text-lg font-bold text-indigo-200 mb-1">🕘 {t("snapshot.title")}</h3>
+        <p className="text-xs text-gray-400 mb-3">{t("snapshot.hint")}</p>
+
+        {snapshots.length === 0 ? (
+          <p className="text-sm text-gray-400">{t("snapshot.empty")}</p>
+        ) : (
+          <ul className="snapshot-list">
+            {snapshots.map((snap) => {
+              const reason = SNAPSHOT_REASONS.find((r) => r.id === snap.reason) || SNAPSHOT_REASONS[0];
+              const phases = Array.isArray(snap.config.phases) ? snap.config.phases : [];
+              return (
+                <li key={snap.id} className="flex items-center gap-2">
+                  <span className="flex-1 text-left text-xs">
+                    <span className="font-mono text-white">{fmt(snap.at)}</span>{" "}
+                    <span className="text-indigo-300">{reason.icon} {t.label("snapshotReason", reason)}</span>
+                    <br />
+                    <span className="text-gray-300">
+                      {snap.config.nombreCiclo?.trim() || "Superciclo"} · {String(snap.config.startDate || "").replace("T", " ")} · {phases.map((ph) => describeSegments(ph.segments || [])).join(" → ")}
+                    </span>
+                  </span>
+                  <button
+                    onClick={() => onRestore(snap.id)}
+                    className="px-3 py-1 text-xs font-semibold bg-emerald-700 hover:bg-emerald-600 text-white rounded-lg"
+                  >
+                    ⏪ {t("snapshot.restore")}
+                  </button>
+                  <button
+                    onClick={() => onRemove(snap.id)}
+                    title={t("snapshot.remove")}
+                    className="px-2 py-1 text-xs text-gray-300 bg-gray-800 rounded-lg hover:bg-gray-700"
+                  >
+                    ✖
+                  </button>
+                </li>
+              );
+            })}
+          </ul>
+        )}
+
+        <div className="flex flex-wrap justify-end gap-2 mt-4">
+          <button onClick={onSave} className="px-4 py-2 text-sm font-semibold bg-indigo-600 hover:bg-indigo-500 text-white rounded-lg">
+            📸 {t("snapshot.save")}
+          </button>
+          <button onClick={onClose} className="px-4 py-2 text-sm font-semibold bg-gray-700 hover:bg-gray-600 text-white rounded-lg">
+            {t("common.close")}
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+}
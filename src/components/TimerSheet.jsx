@@ -0,0 +1,107 @@
+/**
+ * TimerSheet.jsx — Programa del temporizador, una fila por día
+ * En pantalla solo dibuja las filas a la vista, como la grilla del calendario;
+ * con `full` dibuja todas (la copia fuera de pantalla que se exporta a PDF).
+ */
+
+import { useCallback, useEffect, useLayoutEffect, useRef, useState } from "react";
+import { dayMilestoneNames } from "../lib/sheets";
+import { useI18n } from "./i18n";
+import { visibleRange } from "./helpers";
+
+export default function TimerSheet({ rows, title, showLocalTime, milestonesByDay, full = false }) {
+  const t = useI18n();
+  const ref = useRef(null);
+  const scrollFrameRef = useRef(0);
+  const [viewport, setViewport] = useState({ top: 0, height: 480 });
+  const [rowHeight, setRowHeight] = useState(33);
+  const { first, last } = visibleRange({ count: rows.length, ...viewport, rowHeight, all: full });
+  const columns = showLocalTime ? 8 : 6;
+
+  // Como mucho una actualización por cuadro
+  const handleScroll = useCallback((e) => {
+    const node = e.currentTarget;
+    if (scrollFrameRef.current) return;
+    scrollFrameRef.current = requestAnimationFrame(() => {
+      scrollFrameRef.current = 0;
+      const headHeight = node.querySelector("thead")?.offsetHeight || 0;
+      setViewport({ top: Math.max(0, node.scrollTop - headHeight), height: node.clientHeight });
+    });
+  }, []);
+
+  useEffect(() => () => cancelAnimationFrame(scrollFrameRef.current), []);
+
+  useEffect(() => {
+    if (full) return undefined;
+    const measure = () => {
+      const node = ref.current;
+      if (node) setViewport((prev) => ({ ...prev, height: node.clientHeight || prev.height }));
+    };
+    measure();
+    window.addEventListener("resize", measure);
+    return () => window.removeEventListener("resize", measure);
+  }, [full]);
+
+  // Alto real de una fila (depende del CSS y del dispositivo)
+  useLayoutEffect(() => {
+    const height = ref.current?.querySelector("tbody tr[data-day]")?.offsetHeight;
+    if (height && Math.abs(height - rowHeight) > 0.5) setRowHeight(height);
+  }, [first, last, rowHeight]);
+
+  return (
+    <div className="timer-sheet" ref={ref} onScroll={full ? undefined : handleScroll}>
+      <table>
+        <thead>
+          <tr>
+            <th colSpan={columns} className="timer-sheet-title">
+              {title} — {t("timer.sheetTitle")}
+            </th>
+          </tr>
+          <tr>
+            <th>{t("sheet.day")}</th>
+            <th>{t("sheet.date")}</th>
+            <th>{t("timer.atMidnight")}</th>
+            <th>{t("timer.onAt")}</th>
+            <th>{t("timer.offAt")}</th>
+            {showLocalTime && <th>{t("timer.onLocal")}</th>}
+            {showLocalTime && <th>{t("timer.offLocal")}</th>}
+            <th>{t("timer.program")}</th>
+          </tr>
+        </thead>
+        <tbody>
+          {/* Espaciador de las filas de arriba que no se dibujan */}
+          {first > 0 && (
+            <tr aria-hidden="true" style={{ height: first * rowHeight }}>
+              <td colSpan={columns} />
+            </tr>
+          )}
+          {rows.slice(first, last).map((r, offset) => {
+            const i = first + offset;
+            return (
+              <tr key={r.day} data-day={i} className={r.changed ? "timer-row-changed" : ""}>
+                <td>{r.day}</td>
+                <td>{r.dateDisplay}</td>
+                <td>{r.startsLight ? "ON 🔆" : "OFF 🌙"}</td>
+                <td className="font-mono text-amber-300">{r.onTimes.length ? r.onTimes.join(" · ") : "—"}</td>
+                <td className="font-mono text-indigo-300">{r.offTimes.length ? r.offTimes.join(" · ") : "—"}</td>
+                {showLocalTime && <td className="font-mono text-amber-200/80">{r.localOnTimes.join(" · ") || "—"}</td>}
+                {showLocalTime && <td className="font-mono text-indigo-200/80">{r.localOffTimes.join(" · ") || "—"}</td>}
+                <td>
+                  {r.day === 1 ? t("timer.first") : r.changed ? `⚠️ ${t("timer.reprogram")}` : t("timer.same")}
+                  {r.dstShift !== 0 && ` · 🕐 ${t("timer.dst", { shift: `${r.dstShift > 0 ? "+" : ""}${r.dstShift}` })}`}
+                  {milestonesByDay[i] && <span className="text-amber-300"> · 🏁 {dayMilestoneNames(milestonesByDay, i)}</span>}
+                </td>
+              </tr>
+            );
+          })}
+          {/* Espaciador de las filas de abajo */}
+          {last < rows.length && (
+            <tr aria-hidden="true" style={{ height: (rows.length - last) * rowHeight }}>
+              <td colSpan={columns} />
+            </tr>
+          )}
+        </tbody>
+      </table>
+    </div>
+  );
+}
@@ -0,0 +1,47 @@
+/**
+ * helpers.js — Ayudas de formato que usan App.jsx y los componentes
+ */
+
+import { MILESTONE_UNITS, systemTimeZone } from "../lib/schedule";
+
+// Zona del navegador: la columna opcional "tu hora" se muestra en esta zona
+export const LOCAL_TIME_ZONE = systemTimeZone();
+
+export function clamp(n, min, max) { return Math.max(min, Math.min(max, n)); }
+
+// Tablas más largas que esto se virtualizan (solo se dibujan las filas a la vista, más un margen)
+export const VIRTUAL_MIN_ROWS = 60;
+const OVERSCAN_ROWS = 8;
+
+// Filas [first, last) a dibujar según el scroll; `all` = todas (para exportar)
+export function visibleRange({ count, top, height, rowHeight, all = false }) {
+  if (all || count <= VIRTUAL_MIN_ROWS) return { first: 0, last: count };
+  const first = Math.max(0, Math.floor(top / rowHeight) - OVERSCAN_ROWS);
+  const last = Math.min(count, Math.ceil((top + height) / rowHeight) + OVERSCAN_ROWS);
+  return { first: Math.min(first, last), last };
+}
+
+// Importe con el símbolo de la moneda (código ISO 4217) en el formato del idioma; si el código no existe, "XXX 12.34"
+export function fmtMoney(n, currency, locale = []) {
+  try {
+    return new Intl.NumberFormat(locale, { style: "currency", currency, maximumFractionDigits: 2 }).format(n);
+  } catch {
+    return `${currency} ${Number(n).toFixed(2)}`;
+  }
+}
+
+// "63 ciclos superciclo desde la fase 2"
+export function milestoneRule(t, m) {
+  const unit = MILESTONE_UNITS.find((u) => u.id === m.unit) || MILESTONE_UNITS[0];
+  return t("milestone.rule", {
+    value: t.number(m.value, Number.isInteger(Number(m.value)) ? 0 : 1),
+    unit: t.label("milestoneUnit", unit),
+    from: m.phase === null || m.phase === undefined ? t("milestone.fromStart") : t("milestone.fromPhase", { number: m.phase + 1 }),
+  });
+}
+
+// Cuenta regresiva: "en 12 d 5 h" o "✓ alcanzado"
+export function milestoneCountdown(t, hoursTo) {
+  if (hoursTo <= 0) return `✓ ${t("milestone.reached")}`;
+  return t("milestone.in", { days: Math.floor(hoursTo / 24), hours: Math.floor(hoursTo % 24) });
+}
@@ -0,0 +1,12 @@
+/**
+ * i18n.js — Idioma de la interfaz para los componentes
+ * App.jsx pone el traductor del idioma elegido en I18nContext; los paneles y
+ * diálogos de src/components lo leen con useI18n().
+ */
+
+import { createContext, useContext } from "react";
+import { createTranslator, DEFAULT_LANGUAGE } from "../i18n";
+
+export const I18nContext = createContext(createTranslator(DEFAULT_LANGUAGE));
+
+export const useI18n = () => useContext(I18nContext);
@@ -0,0 +1,197 @@
+/**
+ * devices.js — Adaptadores de enchufes inteligentes para el driver local
+ * - Tasmota (HTTP local: /cm?cmnd=Power)
+ * - Shelly Gen1 (/relay/N) y Gen2+ (/rpc/Switch.*)
+ * - MQTT genérico (publica ON/OFF en un tópico, ej. cmnd/<equipo>/POWER)
+ *
+ * Cada dispositivo expone: { label, setPower(on), getPower() → true/false/null, close() }.
+ * getPower devuelve null cuando el protocolo no permite leer el estado.
+ */
+
+import { createHash, randomBytes } from "node:crypto";
+
+const DEFAULT_TIMEOUT_MS = 5000;
+
+// `host` acepta "192.168.1.50", "192.168.1.50:8080" o una URL completa
+function baseUrl(host) {
+  const h = String(host || "").replace(/\/+$/, "");
+  if (!h) throw new Error("Falta `host` en el dispositivo");
+  return /^https?:\/\//.test(h) ? h : `http://${h}`;
+}
+
+// Desafío `WWW-Authenticate: Digest realm="…", nonce="…", …` → { realm, nonce, qop, algorithm, opaque }
+function parseDigestChallenge(header) {
+  if (!header || !/^Digest\s/i.test(header)) return null;
+  const out = {};
+  for (const m of header.slice(7).matchAll(/(\w+)=(?:"([^"]*)"|([^\s,]+))/g)) out[m[1].toLowerCase()] = m[2] ?? m[3];
+  return out.nonce ? out : null;
+}
+
+// Respuesta Digest (RFC 7616, qop=auth; MD5 o SHA-256 según pida el equipo)
+function digestAuthorization(challenge, { user, password }, method, url) {
+  const { pathname, search } = new URL(url);
+  const uri = pathname + search;
+  const algorithm = challenge.algorithm || "MD5";
+  const hash = (text) => createHash(/^SHA-256/i.test(algorithm) ? "sha256" : "md5").update(text).digest("hex");
+  const ha1 = hash(`${user}:${challenge.realm}:${password || ""}`);
+  const ha2 = hash(`${method}:${uri}`);
+  const fields = { username: user, realm: challenge.realm, nonce: challenge.nonce, uri, algorithm };
+  if (challenge.qop && challenge.qop.split(",").map((q) => q.trim()).includes("auth")) {
+    const nc = "00000001";
+    const cnonce = randomBytes(8).toString("hex");
+    Object.assign(fields, { qop: "auth", nc, cnonce, response: hash(`${ha1}:${challenge.nonce}:${nc}:${cnonce}:auth:${ha2}`) });
+  } else {
+    fields.response = hash(`${ha1}:${challenge.nonce}:${ha2}`);
+  }
+  if (challenge.opaque) fields.opaque = challenge.opaque;
+  const unquoted = new Set(["algorithm", "qop", "nc"]);
+  return `Digest ${Object.entries(fields).map(([k, v]) => (unquoted.has(k) ? `${k}=${v}` : `${k}="${v}"`)).join(", ")}`;
+}
+
+// `auth.scheme`: "basic" (por defecto) o "digest" (primero pide el desafío y responde con el 401)
+async function fetchJSON(fetchImpl, url, { timeoutMs = DEFAULT_TIMEOUT_MS, auth } = {}) {
+  const controller = new AbortController();
+  const id = setTimeout(() => controller.abort(), timeoutMs);
+  try {
+    const headers = {};
+    if (auth?.user && auth.scheme !== "digest") {
+      headers.Authorization = `Basic ${Buffer.from(`${auth.user}:${auth.password || ""}`).toString("base64")}`;
+    }
+    let res = await fetchImpl(url, { signal: controller.signal, headers });
+    if (res.status === 401 && auth?.scheme === "digest") {
+      const challenge = parseDigestChallenge(res.headers.get("www-authenticate"));
+      if (!challenge) throw new Error(`HTTP 401 sin desafío Digest en ${url}`);
+      await res.text();
+      res = await fetchImpl(url, { signal: controller.signal, headers: { Authorization: digestAuthorization(challenge, auth, "GET", url) } });
+    }
+    if (!res.ok) throw new Error(`HTTP ${res.status} en ${url}`);
+    const text = await res.text();
+    try { return JSON.parse(text); } catch { return { raw: text }; }
+  } finally {
+    clearTimeout(id);
+  }
+}
+
+function createTasmota(spec, { fetchImpl }) {
+  const base = baseUrl(spec.host);
+  const relay = spec.relay ? String(spec.relay) : ""; // Power, Power1, Power2...
+  const auth = spec.user ? `&user=${encodeURIComponent(spec.user)}&password=${encodeURIComponent(spec.password || "")}` : "";
+  const url = (cmnd) => `${base}/cm?cmnd=${encodeURIComponent(cmnd)}${auth}`;
+  const readPower = (res) => {
+    const value = res[`POWER${relay}`] ?? res.POWER;
+    return value === undefined ? null : String(value).toUpperCase() === "ON";
+  };
+  return {
+    label: `tasmota ${spec.host}${relay ? ` (Power${relay})` : ""}`,
+    async setPower(on) {
+      const res = await fetchJSON(fetchImpl, url(`Power${relay} ${on ? "On" : "Off"}`), spec);
+      const state = readPower(res);
+      if (state !== null && state !== on) throw new Error(`respondió ${state ? "ON" : "OFF"}`);
+    },
+    async getPower() {
+      return readPower(await fetchJSON(fetchImpl, url(`Power${relay}`), spec));
+    },
+    async close() {},
+  };
+}
+
+function createShelly(spec, { fetchImpl }) {
+  const base = baseUrl(spec.host);
+  const channel = Number(spec.channel) || 0;
+  const gen = Number(spec.gen) || 1;
+  // Gen1 usa Basic; Gen2+ usa Digest y el usuario es siempre "admin"
+  const auth = gen >= 2
+    ? (spec.password ? { user: spec.user || "admin", password: spec.password, scheme: "digest" } : null)
+    : (spec.user ? { user: spec.user, password: spec.password } : null);
+  const opts = { timeoutMs: spec.timeoutMs, auth };
+  const readGen2 = async () => {
+    const res = await fetchJSON(fetchImpl, `${base}/rpc/Switch.GetStatus?id=${channel}`, opts);
+    return typeof res.output === "boolean" ? res.output : null;
+  };
+  return {
+    label: `shelly gen${gen} ${spec.host} (canal ${channel})`,
+    async setPower(on) {
+      if (gen >= 2) {
+        // Switch.Set solo devuelve el estado anterior (`was_on`): se lee el actual
+        await fetchJSON(fetchImpl, `${base}/rpc/Switch.Set?id=${channel}&on=${on}`, opts);
+        const state = await readGen2();
+        if (state !== null && state !== on) throw new Error(`respondió ${state ? "ON" : "OFF"}`);
+      } else {
+        const res = await fetchJSON(fetchImpl, `${base}/relay/${channel}?turn=${on ? "on" : "off"}`, opts);
+        if (typeof res.ison === "boolean" && res.ison !== on) throw new Error(`respondió ${res.ison ? "ON" : "OFF"}`);
+      }
+    },
+    async getPower() {
+      if (gen >= 2) return readGen2();
+      const res = await fetchJSON(fetchImpl, `${base}/relay/${channel}`, opts);
+      return typeof res.ison === "boolean" ? res.ison : null;
+    },
+    async close() {},
+  };
+}
+
+function createMqtt(spec, { connectMqtt }) {
+  if (!spec.url) throw new Error("Falta `url` del broker MQTT");
+  if (!spec.topic) throw new Error("Falta `topic` MQTT");
+  const payloadOn = spec.payloadOn ?? "ON";
+  const payloadOff = spec.payloadOff ?? "OFF";
+  let clientPromise = null;
+  const client = () => {
+    if (!clientPromise) {
+      clientPromise = connectMqtt(spec.url, {
+        username: spec.user,
+        password: spec.password,
+        connectTimeout: spec.timeoutMs || DEFAULT_TIMEOUT_MS,
+        reconnectPeriod: 0,
+      }).catch((err) => {
+        clientPromise = null; // reintenta la conexión en el próximo intento
+        throw err;
+      });
+    }
+    return clientPromise;
+  };
+  return {
+    label: `mqtt ${spec.url} → ${spec.topic}`,
+    async setPower(on) {
+      const c = await client();
+      await c.publishAsync(spec.topic, on ? payloadOn : payloadOff, { qos: 1, retain: spec.retain !== false });
+    },
+    async getPower() {
+      return null; // MQTT no tiene lectura directa: se reconcilia republicando el estado
+    },
+    async close() {
+      if (clientPromise) {
+        const c = await clientPromise.catch(() => null);
+        clientPromise = null;
+        if (c) await c.endAsync();
+      }
+    },
+  };
+}
+
+// Conexión MQTT real (carga el paquete `mqtt` solo si hay dispositivos MQTT)
+async function defaultConnectMqtt(url, options) {
+  const { connectAsync } = await import("mqtt");
+  return connectAsync(url, options);
+}
+
+/**
+ * Crea un dispositivo a partir de su configuración.
+ * @param {{ type: "tasmota"|"shelly"|"mqtt", name?: string }} spec
+ * @param {{ fetchImpl?: Function, connectMqtt?: Function }} [deps]  inyectables para pruebas con mocks
+ */
+export function createDevice(spec, deps = {}) {
+  const fullDeps = {
+    fetchImpl: deps.fetchImpl || globalThis.fetch,
+    connectMqtt: deps.connectMqtt || defaultConnectMqtt,
+  };
+  let device;
+  switch (String(spec?.type || "").toLowerCase()) {
+    case "tasmota": device = createTasmota(spec, fullDeps); break;
+    case "shelly": device = createShelly(spec, fullDeps); break;
+    case "mqtt": device = createMqtt(spec, fullDeps); break;
+    default: throw new Error(`Tipo de dispositivo desconocido: ${spec?.type}`);
+  }
+  if (spec.name) device.label = `${spec.name} (${device.label})`;
+  return device;
+}
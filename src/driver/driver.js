@@ -0,0 +1,151 @@
+/**
+ * driver.js — Driver local que sigue el SuperCiclo con enchufes inteligentes
+ * - Calcula el estado con el mismo motor que la app (switchStateAt de src/lib/schedule.js)
+ * - En cada cambio ON/OFF envía el comando a todos los dispositivos, con reintentos
+ * - Al arrancar y cada `reconcileMinutes` lee/reenvía el estado (corrige reinicios,
+ *   cortes de luz o cambios manuales)
+ * - Modo dry-run: solo registra lo que haría
+ */
+
+import { loadConfig, switchStateAt, formatInZone } from "../lib/schedule.js";
+
+const MS_PER_MINUTE = 60 * 1000;
+const MAX_TIMER_MS = 60 * MS_PER_MINUTE; // setTimeout no admite esperas muy largas
+const SWITCH_MARGIN_MS = 250;            // despertar apenas después del cambio
+
+const wait = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+/**
+ * @param {object} options
+ * @param {object} options.config            configuración del superciclo (cruda o de loadConfig)
+ * @param {object[]} options.devices         dispositivos de createDevice
+ * @param {boolean} [options.dryRun=false]
+ * @param {{ attempts?: number, delayMs?: number }} [options.retry]
+ * @param {number} [options.reconcileMinutes=5]
+ * @param {() => Date} [options.now]         reloj inyectable
+ * @param {(msg: string) => void} [options.log]
+ */
+export function createDriver({
+  config: rawConfig,
+  devices,
+  dryRun = false,
+  retry = {},
+  reconcileMinutes = 5,
+  now = () => new Date(),
+  log = (msg) => console.log(`[${new Date().toISOString()}] ${msg}`),
+}) {
+  const config = loadConfig(rawConfig);
+  const attempts = Math.max(1, Number(retry.attempts) || 5);
+  const delayMs = Math.max(0, Number(retry.delayMs ?? 2000));
+  const reconcileMs = Math.max(1, Number(reconcileMinutes) || 5) * MS_PER_MINUTE;
+
+  // Último estado confirmado por dispositivo (null = desconocido)
+  const applied = new Map(devices.map((d) => [d, null]));
+  let timer = null;
+  let running = false;
+  let lastReconcile = 0;
+
+  async function withRetry(device, on) {
+    for (let i = 1; i <= attempts; i++) {
+      try {
+        await device.setPower(on);
+        return true;
+      } catch (err) {
+        log(`⚠️ ${device.label}: fallo al enviar ${on ? "ON" : "OFF"} (intento ${i}/${attempts}): ${err.message}`);
+        if (i < attempts) await wait(delayMs * 2 ** (i - 1));
+      }
+    }
+    return false;
+  }
+
+  async function applyTo(device, on, reason) {
+    if (dryRun) {
+      log(`[dry-run] ${on ? "ON" : "OFF"} → ${device.label} (${reason})`);
+      applied.set(device, on);
+      return true;
+    }
+    const ok = await withRetry(device, on);
+    applied.set(device, ok ? on : null);
+    if (ok) log(`${on ? "🔆 ON" : "🌙 OFF"} → ${device.label} (${reason})`);
+    return ok;
+  }
+
+  // Lee el estado real (si el dispositivo lo permite) y corrige diferencias
+  async function reconcile(device, desired) {
+    let actual = null;
+    if (!dryRun) {
+      try {
+        actual = await device.getPower();
+      } catch (err) {
+        log(`⚠️ ${device.label}: no se pudo leer el estado: ${err.message}`);
+      }
+    }
+    if (actual === desired) {
+      applied.set(device, desired);
+      return true;
+    }
+    const reason = actual === null ? "reconciliación" : `reconciliación: estaba ${actual ? "ON" : "OFF"}`;
+    return applyTo(device, desired, reason);
+  }
+
+  /**
+   * Aplica el estado que corresponde ahora. Con `forceReconcile` verifica cada
+   * dispositivo aunque el estado no haya cambiado.
+   * @returns {Promise<{ isLight: boolean, next: object|null, ok: boolean }>}
+   */
+  async function tick(forceReconcile = false) {
+    const current = now();
+    const state = switchStateAt(config, current);
+    const doReconcile = forceReconcile || current.getTime() - lastReconcile >= reconcileMs;
+    const results = await Promise.all(devices.map((device) => {
+      if (doReconcile) return reconcile(device, state.isLight);
+      if (applied.get(device) !== state.isLight) return applyTo(device, state.isLight, "cambio programado");
+      return true;
+    }));
+    if (doReconcile) lastReconcile = current.getTime();
+    return { isLight: state.isLight, next: state.next, ok: results.every(Boolean) };
+  }
+
+  function scheduleNext(result) {
+    if (!running) return;
+    const current = now().getTime();
+    let delay = reconcileMs - (current - lastReconcile);
+    if (result.next) delay = Math.min(delay, result.next.date.getTime() - current + SWITCH_MARGIN_MS);
+    if (!result.ok) delay = Math.min(delay, Math.max(delayMs, 1000) * attempts);
+    delay = Math.max(SWITCH_MARGIN_MS, Math.min(delay, MAX_TIMER_MS));
+    timer = setTimeout(loop, delay);
+  }
+
+  async function loop() {
+    let result;
+    try {
+      result = await tick();
+    } catch (err) {
+      log(`⚠️ Error inesperado: ${err.message}`);
+      result = { next: null, ok: false };
+    }
+    scheduleNext(result);
+  }
+
+  return {
+    config,
+    tick,
+
+    /** Reconciliación inicial y programación de los próximos cambios */
+    async start() {
+      if (running) return;
+      running = true;
+      log(`Superciclo "${config.nombreCiclo || "sin nombre"}" · ${devices.length} dispositivo(s)${dryRun ? " · DRY-RUN" : ""}`);
+      const result = await tick(true);
+      log(`Estado actual: ${result.isLight ? "ON" : "OFF"}${result.next ? ` · próximo ${result.next.isLight ? "ON" : "OFF"} ${formatInZone(result.next.date, config.timeZone)} (${config.timeZone})` : ""}`);
+      scheduleNext(result);
+    },
+
+    async stop() {
+      running = false;
+      if (timer) clearTimeout(timer);
+      timer = null;
+      await Promise.all(devices.map((d) => d.close()));
+    },
+  };
+}
@@ -0,0 +1,63 @@
+/**
+ * i18n.js — Idiomas de la interfaz (español, inglés y portugués)
+ * Cada idioma es un diccionario plano clave → texto con parámetros `{nombre}`
+ * (src/locales). Lo que falta en un idioma sale en español y, si tampoco está,
+ * se muestra la clave. Fechas, horas y números usan la configuración regional
+ * del idioma elegido, no la del navegador.
+ */
+
+import es from "./locales/es";
+import en from "./locales/en";
+import pt from "./locales/pt";
+
+export const LANGUAGES = [
+  { id: "es", label: "Español", locale: "es-AR" },
+  { id: "en", label: "English", locale: "en-US" },
+  { id: "pt", label: "Português", locale: "pt-BR" },
+];
+
+export const DEFAULT_LANGUAGE = "es";
+
+const DICTIONARIES = { es, en, pt };
+
+export function normalizeLanguage(id) {
+  return LANGUAGES.some((l) => l.id === id) ? id : DEFAULT_LANGUAGE;
+}
+
+export function languageLocale(id) {
+  return LANGUAGES.find((l) => l.id === normalizeLanguage(id)).locale;
+}
+
+// "Hola {nombre}" + { nombre: "Ana" } → "Hola Ana" (los parámetros sin valor quedan como están)
+function interpolate(text, params) {
+  if (!params) return text;
+  return text.replace(/\{(\w+)\}/g, (match, name) => (params[name] !== undefined && params[name] !== null ? String(params[name]) : match));
+}
+
+export function translate(lang, key, params) {
+  const text = DICTIONARIES[normalizeLanguage(lang)][key] ?? DICTIONARIES[DEFAULT_LANGUAGE][key] ?? key;
+  return interpolate(text, params);
+}
+
+/**
+ * Traductor de un idioma: `t(clave, parámetros)` más la configuración regional
+ * y ayudas de formato para no repetir el locale en cada llamada.
+ */
+export function createTranslator(lang) {
+  const id = normalizeLanguage(lang);
+  const locale = languageLocale(id);
+  const t = (key, params) => translate(id, key, params);
+  t.lang = id;
+  t.locale = locale;
+  // Números con los separadores del idioma (1.234,5 / 1,234.5)
+  t.number = (n, digits = 0) => new Intl.NumberFormat(locale, { minimumFractionDigits: digits, maximumFractionDigits: digits }).format(Number(n) || 0);
+  // Etiquetas de las listas de src/lib (tipos de desvío, curvas, tipos de nota) por id
+  t.label = (group, item) => {
+    const key = `${group}.${item.id}`;
+    const text = translate(id, key);
+    return text === key ? item.label : text;
+  };
+  // Motivo de validación de config.js/share.js: { key, params } → "reason.<key>"
+  t.reason = (issue) => translate(id, `reason.${issue.key}`, issue.params);
+  return t;
+}
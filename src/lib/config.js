@@ -0,0 +1,376 @@
+/**
+ * config.js — Esquema versionado de la configuración del SuperCiclo
+ * - Mismo formato para `_SUPERCICLO.json` y para lo guardado en el navegador
+ * - Migra archivos viejos a la versión actual (v1 = formato sin `version`,
+ *   el de `fotoperiodo_settings_v1`)
+ * - Valida campo por campo: lo válido se puede cargar aunque otros campos fallen
+ *
+ * Uso:
+ *   const { value, errors } = validateConfig(JSON.parse(texto));
+ *   // value: solo los campos válidos (ya migrados), errors: [{ field, key, params }]
+ *   // `key` es el motivo (clave `reason.<key>` de src/locales); la interfaz lo traduce
+ */
+
+import { normalizePhases, isValidTimeZone, DEVIATION_TYPES, RAMP_CURVES, MAX_SCENARIOS, MILESTONE_UNITS } from "./schedule.js";
+import { JOURNAL_TYPES, MAX_PHOTOS_PER_ENTRY, MAX_PHOTO_LENGTH } from "./journal.js";
+
+export const CONFIG_VERSION = 2;
+
+/**
+ * Error de un archivo o enlace que no se puede leer. `message` queda en español
+ * (CLI y consola); `key` y `params` son los del motivo, para traducirlo.
+ */
+export class ConfigError extends Error {
+  constructor(key, params, message) {
+    super(message);
+    this.name = "ConfigError";
+    this.key = key;
+    this.params = params;
+  }
+}
+
+/* ---------- Migraciones ---------- */
+// MIGRATIONS[n] convierte un objeto de la versión n a la n + 1
+const MIGRATIONS = {
+  // v1 → v2: `version` explícita y fases siempre en `phases` (sin hoursLight/hoursDark)
+  1: (obj) => {
+    const { hoursLight, hoursDark, ...rest } = obj;
+    if (!Array.isArray(rest.phases) && (hoursLight !== undefined || hoursDark !== undefined)) {
+      rest.phases = normalizePhases({ hoursLight, hoursDark, durationDays: rest.durationDays });
+    }
+    return { ...rest, version: 2 };
+  },
+};
+
+/**
+ * Lleva un objeto crudo a la versión actual.
+ * @returns {{ config: object, fromVersion: number }}
+ * @throws {ConfigError} si el objeto no es una configuración o es de una versión más nueva
+ */
+export function migrateConfig(raw) {
+  if (!raw || typeof raw !== "object" || Array.isArray(raw)) {
+    throw new ConfigError("notConfig", undefined, "El archivo no contiene una configuración de Superciclo");
+  }
+  const fromVersion = raw.version === undefined ? 1 : Number(raw.version);
+  if (!Number.isInteger(fromVersion) || fromVersion < 1) {
+    throw new ConfigError("badVersion", { version: raw.version }, `Versión de configuración inválida: ${raw.version}`);
+  }
+  if (fromVersion > CONFIG_VERSION) {
+    throw new ConfigError("newerVersion", { version: fromVersion }, `La configuración es de una versión más nueva (v${fromVersion}); actualizá la app`);
+  }
+  let config = { ...raw };
+  for (let v = fromVersion; v < CONFIG_VERSION; v++) config = MIGRATIONS[v](config);
+  return { config, fromVersion };
+}
+
+/* ---------- Validación ---------- */
+
+const isNumber = (v) => typeof v === "number" ? Number.isFinite(v) : v !== "" && v !== null && Number.isFinite(Number(v));
+
+// Número en [min, max]; null si es inválido (y registra el motivo)
+function checkNumber(v, field, errors, { min = 0, max = Infinity, integer = false } = {}) {
+  if (!isNumber(v)) {
+    errors.push({ field, key: "number" });
+    return null;
+  }
+  const n = Number(v);
+  if (integer && !Number.isInteger(n)) {
+    errors.push({ field, key: "integer" });
+    return null;
+  }
+  if (n < min || n > max) {
+    errors.push(max === Infinity ? { field, key: "min", params: { min } } : { field, key: "range", params: { min, max } });
+    return null;
+  }
+  return n;
+}
+
+function checkOptionalNumber(v, field, errors, range) {
+  if (v === null || v === undefined || v === "") return null;
+  return checkNumber(v, field, errors, range);
+}
+
+function validateStartDate(v, errors) {
+  if (typeof v !== "string" || !/^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}(:\d{2}(\.\d+)?)?$/.test(v)) {
+    errors.push({ field: "startDate", key: "dateFormat" });
+    return undefined;
+  }
+  if (isNaN(new Date(`${v.slice(0, 10)}T00:00:00Z`).getTime()) || Number(v.slice(11, 13)) > 23 || Number(v.slice(14, 16)) > 59) {
+    errors.push({ field: "startDate", key: "invalidDate" });
+    return undefined;
+  }
+  return v.slice(0, 16);
+}
+
+function validatePhases(v, errors) {
+  if (!Array.isArray(v) || v.length === 0) {
+    errors.push({ field: "phases", key: "phases" });
+    return undefined;
+  }
+  const before = errors.length;
+  const phases = v.map((p, i) => {
+    const at = `phases[${i}]`;
+    if (!p || typeof p !== "object") {
+      errors.push({ field: at, key: "object" });
+      return null;
+    }
+    const days = checkNumber(p.days ?? 0, `${at}.days`, errors, { max: 9999 });
+    if (!Array.isArray(p.segments) || p.segments.length === 0) {
+      errors.push({ field: `${at}.segments`, key: "segments" });
+      return null;
+    }
+    const segments = p.segments.map((seg, j) => {
+      if (typeof seg?.isLight !== "boolean") errors.push({ field: `${at}.segments[${j}].isLight`, key: "isLight" });
+      const hours = checkNumber(seg?.hours, `${at}.segments[${j}].hours`, errors, { max: 10000 });
+      return { isLight: Boolean(seg?.isLight), hours };
+    });
+    if (segments.every((seg) => seg.hours !== null) && segments.reduce((acc, seg) => acc + seg.hours, 0) <= 0) {
+      errors.push({ field: `${at}.segments`, key: "cycleZero" });
+    }
+    const phase = { days, segments };
+    const ppfd = checkOptionalNumber(p.ppfd, `${at}.ppfd`, errors, { max: 5000 });
+    const dimming = checkOptionalNumber(p.dimming, `${at}.dimming`, errors, { max: 100 });
+    if (ppfd !== null) phase.ppfd = ppfd;
+    if (dimming !== null) phase.dimming = dimming;
+    return phase;
+  });
+  // Una fase rota cambia todo el calendario: las fases se cargan completas o no se cargan
+  return errors.length === before ? phases : undefined;
+}
+
+function validateEnergy(v, errors) {
+  if (!v || typeof v !== "object") {
+    errors.push({ field: "energy", key: "object" });
+    return undefined;
+  }
+  const before = errors.length;
+  const fixtures = Array.isArray(v.fixtures) ? v.fixtures : [];
+  if (v.fixtures !== undefined && !Array.isArray(v.fixtures)) errors.push({ field: "energy.fixtures", key: "list" });
+  const energy = {
+    fixtures: fixtures.map((f, i) => ({
+      name: f?.name === undefined ? "" : String(f.name),
+      watts: checkNumber(f?.watts, `energy.fixtures[${i}].watts`, errors, { max: 100000 }),
+      count: checkNumber(f?.count ?? 1, `energy.fixtures[${i}].count`, errors, { max: 1000, integer: true }),
+    })),
+    pricePerKwh: checkNumber(v.pricePerKwh ?? 0, "energy.pricePerKwh", errors),
+    currency: String(v.currency ?? "ARS").toUpperCase(),
+  };
+  if (!/^[A-Z]{3}$/.test(energy.currency)) errors.push({ field: "energy.currency", key: "currency" });
+  return errors.length === before ? energy : undefined;
+}
+
+function validateLight(v, errors) {
+  if (!v || typeof v !== "object") {
+    errors.push({ field: "light", key: "object" });
+    return undefined;
+  }
+  const before = errors.length;
+  const light = {
+    ppfd: checkNumber(v.ppfd ?? 0, "light.ppfd", errors, { max: 5000 }),
+    dliMin: checkOptionalNumber(v.dliMin, "light.dliMin", errors, { max: 200 }),
+    dliMax: checkOptionalNumber(v.dliMax, "light.dliMax", errors, { max: 200 }),
+  };
+  if (light.dliMin !== null && light.dliMax !== null && light.dliMin > light.dliMax) {
+    errors.push({ field: "light.dliMax", key: "dliMax" });
+  }
+  if (v.ramps !== undefined && v.ramps !== null) light.ramps = validateRamps(v.ramps, errors);
+  return errors.length === before ? light : undefined;
+}
+
+// Rampas de amanecer/atardecer: { sunrise: { minutes, curve }, sunset: { minutes, curve }, peak }
+function validateRamps(v, errors) {
+  if (typeof v !== "object") {
+    errors.push({ field: "light.ramps", key: "object" });
+    return null;
+  }
+  const curves = RAMP_CURVES.map((c) => c.id);
+  const ramp = (r, at) => {
+    const curve = r?.curve ?? "linear";
+    if (!curves.includes(curve)) errors.push({ field: `${at}.curve`, key: "oneOf", params: { options: curves.join(", ") } });
+    return { minutes: checkNumber(r?.minutes ?? 0, `${at}.minutes`, errors, { max: 720 }), curve };
+  };
+  return {
+    sunrise: ramp(v.sunrise, "light.ramps.sunrise"),
+    sunset: ramp(v.sunset, "light.ramps.sunset"),
+    peak: checkNumber(v.peak ?? 100, "light.ramps.peak", errors, { min: 1, max: 100 }),
+  };
+}
+
+function validateJournalEntry(e, at, errors) {
+  if (!e || typeof e !== "object") {
+    errors.push({ field: at, key: "object" });
+    return null;
+  }
+  const before = errors.length;
+  if (typeof e.at !== "string" || isNaN(new Date(e.at).getTime())) errors.push({ field: `${at}.at`, key: "iso" });
+  if (!JOURNAL_TYPES.some((t) => t.id === e.type)) errors.push({ field: `${at}.type`, key: "oneOf", params: { options: JOURNAL_TYPES.map((t) => t.id).join(", ") } });
+  if (e.text !== undefined && typeof e.text !== "string") errors.push({ field: `${at}.text`, key: "text" });
+  const ph = checkOptionalNumber(e.ph, `${at}.ph`, errors, { max: 14 });
+  const ec = checkOptionalNumber(e.ec, `${at}.ec`, errors, { max: 20 });
+  const photos = e.photos ?? [];
+  if (!Array.isArray(photos) || photos.length > MAX_PHOTOS_PER_ENTRY || photos.some((p) => typeof p !== "string" || !p.startsWith("data:image/"))) {
+    errors.push({ field: `${at}.photos`, key: "photos", params: { max: MAX_PHOTOS_PER_ENTRY } });
+  } else if (photos.some((p) => p.length > MAX_PHOTO_LENGTH)) {
+    errors.push({ field: `${at}.photos`, key: "photoSize", params: { kb: MAX_PHOTO_LENGTH / 1024 } });
+  }
+  if (errors.length > before) return null;
+  return { id: e.id ? String(e.id) : `${at}`, at: new Date(e.at).toISOString(), type: e.type, text: e.text ?? "", ph, ec, photos };
+}
+
+// A diferencia de los otros campos, una nota inválida se descarta sola (no todo el diario)
+function validateJournal(v, errors) {
+  if (!v || typeof v !== "object" || Array.isArray(v)) {
+    errors.push({ field: "journal", key: "journal" });
+    return undefined;
+  }
+  const journal = {};
+  Object.entries(v).forEach(([key, entries]) => {
+    const at = `journal.${key}`;
+    if (!/^\d{4}-\d{2}-\d{2}$/.test(key)) {
+      errors.push({ field: at, key: "journalKey" });
+      return;
+    }
+    if (!Array.isArray(entries)) {
+      errors.push({ field: at, key: "notes" });
+      return;
+    }
+    const valid = entries.map((e, i) => validateJournalEntry(e, `${at}[${i}]`, errors)).filter(Boolean);
+    if (valid.length > 0) journal[key] = valid;
+  });
+  return journal;
+}
+
+function validateDeviation(d, at, errors) {
+  if (!d || typeof d !== "object") {
+    errors.push({ field: at, key: "object" });
+    return null;
+  }
+  const before = errors.length;
+  if (typeof d.at !== "string" || isNaN(new Date(d.at).getTime())) errors.push({ field: `${at}.at`, key: "iso" });
+  if (!DEVIATION_TYPES.some((t) => t.id === d.type)) errors.push({ field: `${at}.type`, key: "oneOf", params: { options: DEVIATION_TYPES.map((t) => t.id).join(", ") } });
+  const hours = checkNumber(d.hours, `${at}.hours`, errors, { max: 10000 });
+  if (hours === 0) errors.push({ field: `${at}.hours`, key: "positive" });
+  if (d.reanchor !== undefined && typeof d.reanchor !== "boolean") errors.push({ field: `${at}.reanchor`, key: "boolean" });
+  if (d.note !== undefined && typeof d.note !== "string") errors.push({ field: `${at}.note`, key: "text" });
+  if (errors.length > before) return null;
+  return { id: d.id ? String(d.id) : at, at: new Date(d.at).toISOString(), type: d.type, hours, reanchor: Boolean(d.reanchor), note: d.note ?? "" };
+}
+
+// Igual que el diario: un desvío inválido se descarta solo
+function validateDeviations(v, errors) {
+  if (!Array.isArray(v)) {
+    errors.push({ field: "deviations", key: "deviations" });
+    return undefined;
+  }
+  return v.map((d, i) => validateDeviation(d, `deviations[${i}]`, errors)).filter(Boolean);
+}
+
+// Hito: { id, name, value, unit: "days" | "cycles", phase: null | índice de la fase desde la que cuenta }
+function validateMilestone(m, at, errors) {
+  if (!m || typeof m !== "object") {
+    errors.push({ field: at, key: "object" });
+    return null;
+  }
+  const before = errors.length;
+  if (typeof m.name !== "string") errors.push({ field: `${at}.name`, key: "text" });
+  else if (m.name.length > 60) errors.push({ field: `${at}.name`, key: "maxLength", params: { max: 60 } });
+  if (!MILESTONE_UNITS.some((u) => u.id === m.unit)) errors.push({ field: `${at}.unit`, key: "oneOf", params: { options: MILESTONE_UNITS.map((u) => u.id).join(", ") } });
+  const value = checkNumber(m.value, `${at}.value`, errors, { max: 9999 });
+  const phase = checkOptionalNumber(m.phase, `${at}.phase`, errors, { max: 99, integer: true });
+  if (errors.length > before) return null;
+  return { id: m.id ? String(m.id) : at, name: m.name, value, unit: m.unit, phase };
+}
+
+// Igual que los desvíos: un hito inválido se descarta solo
+function validateMilestones(v, errors) {
+  if (!Array.isArray(v)) {
+    errors.push({ field: "milestones", key: "milestones" });
+    return undefined;
+  }
+  return v.map((m, i) => validateMilestone(m, `milestones[${i}]`, errors)).filter(Boolean);
+}
+
+// Escenario para comparar: { id, name, phases, durationDays }; los errores de sus
+// fases se informan con el prefijo del escenario (scenarios[0].phases[1]…)
+function validateScenario(sc, at, errors) {
+  if (!sc || typeof sc !== "object") {
+    errors.push({ field: at, key: "object" });
+    return null;
+  }
+  const before = errors.length;
+  if (typeof sc.name !== "string") errors.push({ field: `${at}.name`, key: "text" });
+  else if (sc.name.length > 60) errors.push({ field: `${at}.name`, key: "maxLength", params: { max: 60 } });
+  const phaseErrors = [];
+  const phases = validatePhases(sc.phases, phaseErrors);
+  phaseErrors.forEach((e) => errors.push({ ...e, field: `${at}.${e.field}` }));
+  const durationDays = checkNumber(sc.durationDays, `${at}.durationDays`, errors, { min: 1, max: 9999 });
+  if (errors.length > before) return null;
+  return { id: sc.id ? String(sc.id) : at, name: sc.name, phases, durationDays };
+}
+
+// Igual que los desvíos: un escenario inválido se descarta solo
+function validateScenarios(v, errors) {
+  if (!Array.isArray(v)) {
+    errors.push({ field: "scenarios", key: "scenarios" });
+    return undefined;
+  }
+  if (v.length > MAX_SCENARIOS) errors.push({ field: "scenarios", key: "maxScenarios", params: { max: MAX_SCENARIOS } });
+  return v.slice(0, MAX_SCENARIOS).map((sc, i) => validateScenario(sc, `scenarios[${i}]`, errors)).filter(Boolean);
+}
+
+// Validador de cada campo de primer nivel (devuelve undefined si el campo no se puede cargar)
+const FIELD_VALIDATORS = {
+  nombreCiclo: (v, errors) => {
+    if (typeof v !== "string") { errors.push({ field: "nombreCiclo", key: "text" }); return undefined; }
+    if (v.length > 100) { errors.push({ field: "nombreCiclo", key: "maxLength", params: { max: 100 } }); return undefined; }
+    return v;
+  },
+  startDate: validateStartDate,
+  timeZone: (v, errors) => {
+    if (isValidTimeZone(v)) return v;
+    errors.push({ field: "timeZone", key: "timeZone", params: { zone: v } });
+    return undefined;
+  },
+  durationDays: (v, errors) => checkNumber(v, "durationDays", errors, { min: 1, max: 9999 }) ?? undefined,
+  phases: validatePhases,
+  energy: validateEnergy,
+  light: validateLight,
+  journal: validateJournal,
+  deviations: validateDeviations,
+  scenarios: validateScenarios,
+  milestones: validateMilestones,
+};
+
+/**
+ * Migra y valida una configuración cruda.
+ * @returns {{ value: object, errors: { field: string, key: string, params?: object }[],
+ *   fromVersion: number|null, fatal: boolean }}
+ *   `value` tiene solo los campos válidos (más `version`); con `fatal` no hay nada para cargar.
+ */
+export function validateConfig(raw) {
+  let migrated;
+  try {
+    migrated = migrateConfig(raw);
+  } catch (err) {
+    return { value: {}, errors: [{ field: "(archivo)", key: err.key, params: err.params }], fromVersion: null, fatal: true };
+  }
+  const { config, fromVersion } = migrated;
+  const errors = [];
+  const value = { version: CONFIG_VERSION };
+  Object.entries(FIELD_VALIDATORS).forEach(([key, validate]) => {
+    if (config[key] === undefined) return;
+    const v = validate(config[key], errors);
+    if (v !== undefined) value[key] = v;
+  });
+  Object.keys(config)
+    .filter((key) => key !== "version" && !(key in FIELD_VALIDATORS))
+    .forEach((key) => errors.push({ field: key, key: "unknownField" }));
+  const loadable = Object.keys(value).some((key) => key !== "version");
+  if (!loadable && errors.length === 0) errors.push({ field: "(archivo)", key: "empty" });
+  return { value, errors, fromVersion, fatal: !loadable };
+}
+
+// Objeto listo para guardar/exportar con la versión actual
+export function serializeConfig(fields) {
+  return { version: CONFIG_VERSION, ...fields };
+}
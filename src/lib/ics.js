@@ -0,0 +1,135 @@
+/**
+ * ics.js — Exportación a calendario (iCalendar, RFC 5545)
+ * Eventos de luz (uno por período ON o uno por cambio) más los hitos, todo en
+ * UTC, con aviso (VALARM) opcional. Los textos llegan ya traducidos en `labels`
+ * (por defecto en español), así sirve igual para la app y para la CLI.
+ */
+
+import { listTransitions, listLightPeriods, isLightInTimeline, historyTransitions, historyIsLight } from "./schedule.js";
+
+const MS_PER_HOUR = 1000 * 60 * 60;
+
+export const ICS_LABELS = {
+  on: "Encendido",
+  off: "Apagado",
+  lightOn: "Luz ON",
+  alarm: ({ action, minutes, name }) => `${action} en ${minutes} min — ${name}`,
+};
+
+// 2025-03-01T12:00:00.000Z → 20250301T120000Z
+export function icsDate(d) {
+  return d.toISOString().replace(/[-:]/g, "").replace(/\.\d{3}/, "");
+}
+
+export function icsEscape(text) {
+  return String(text).replace(/\\/g, "\\\\").replace(/;/g, "\\;").replace(/,/g, "\\,").replace(/\r?\n/g, "\\n");
+}
+
+// Corta líneas largas a 75 octetos (continuación con un espacio al inicio)
+export function icsFold(line) {
+  const bytes = new TextEncoder().encode(line);
+  if (bytes.length <= 75) return line;
+  const parts = [];
+  let current = "";
+  let size = 0;
+  for (const ch of line) {
+    const chSize = new TextEncoder().encode(ch).length;
+    if (size + chSize > (parts.length === 0 ? 75 : 74)) {
+      parts.push(current);
+      current = "";
+      size = 0;
+    }
+    current += ch;
+    size += chSize;
+  }
+  parts.push(current);
+  return parts.join("\r\n ");
+}
+
+function icsAlarm(minutes, description, related) {
+  if (!(minutes > 0)) return [];
+  return [
+    "BEGIN:VALARM",
+    "ACTION:DISPLAY",
+    `TRIGGER${related === "END" ? ";RELATED=END" : ""}:-PT${Math.round(minutes)}M`,
+    `DESCRIPTION:${icsEscape(description)}`,
+    "END:VALARM",
+  ];
+}
+
+/**
+ * Archivo .ics completo.
+ * @param {object} options
+ * @param {object[]} options.timeline  resultado de buildPhaseTimeline
+ * @param {object} [options.history]  resultado de buildHistory: eventos según los desvíos y re-anclajes
+ * @param {"periods"|"transitions"} options.mode  un evento por período de luz o uno por cambio
+ * @param {{ name: string, date: Date, description?: string }[]} [options.milestones]  van siempre, como eventos aparte
+ * @param {Date} [options.now]  DTSTAMP de los eventos
+ * @returns {string}
+ */
+export function buildICS({ timeline, history = null, startDateObj, durationDays, name, mode, alarmMinutes, timeZone, milestones = [], labels = ICS_LABELS, now = new Date() }) {
+  const title = name?.trim() || "Superciclo";
+  const totalHours = Math.min(9999, Math.max(1, Number(durationDays) || 0)) * 24;
+  const toDate = (h) => new Date(startDateObj.getTime() + h * MS_PER_HOUR);
+  const stamp = icsDate(now);
+  const uidBase = `${startDateObj.getTime()}-${title.replace(/[^\w-]/g, "")}`;
+  const alarm = (action, related) => icsAlarm(alarmMinutes, labels.alarm({ action, minutes: Math.round(alarmMinutes), name: title }), related);
+  const lines = [
+    "BEGIN:VCALENDAR",
+    "VERSION:2.0",
+    "PRODID:-//Fotoperiodo//SuperCiclo//ES",
+    "CALSCALE:GREGORIAN",
+    "METHOD:PUBLISH",
+    `X-WR-CALNAME:${icsEscape(title)}`,
+    `X-WR-TIMEZONE:${timeZone}`,
+  ];
+
+  if (mode === "transitions") {
+    const events = history ? historyTransitions(history, 0, totalHours) : listTransitions(timeline, 0, totalHours);
+    if (history ? historyIsLight(history, 0) : isLightInTimeline(timeline, 0)) events.unshift({ hours: 0, isLight: true });
+    events.forEach((ev, i) => {
+      const action = ev.isLight ? labels.on : labels.off;
+      lines.push(
+        "BEGIN:VEVENT",
+        `UID:${uidBase}-t${i}@fotoperiodo`,
+        `DTSTAMP:${stamp}`,
+        `DTSTART:${icsDate(toDate(ev.hours))}`,
+        `SUMMARY:${icsEscape(`${ev.isLight ? "🔆" : "🌙"} ${title} — ${action}`)}`,
+        "TRANSP:TRANSPARENT",
+        ...alarm(action),
+        "END:VEVENT",
+      );
+    });
+  } else {
+    listLightPeriods(timeline, 0, totalHours, history).forEach((period, i) => {
+      lines.push(
+        "BEGIN:VEVENT",
+        `UID:${uidBase}-p${i}@fotoperiodo`,
+        `DTSTAMP:${stamp}`,
+        `DTSTART:${icsDate(toDate(period.start))}`,
+        `DTEND:${icsDate(toDate(period.end))}`,
+        `SUMMARY:${icsEscape(`🔆 ${title} — ${labels.lightOn}`)}`,
+        "TRANSP:TRANSPARENT",
+        ...alarm(labels.on),
+        ...alarm(labels.off, "END"),
+        "END:VEVENT",
+      );
+    });
+  }
+
+  milestones.forEach((m, i) => {
+    lines.push(
+      "BEGIN:VEVENT",
+      `UID:${uidBase}-m${i}@fotoperiodo`,
+      `DTSTAMP:${stamp}`,
+      `DTSTART:${icsDate(m.date)}`,
+      `SUMMARY:${icsEscape(`🏁 ${m.name} — ${title}`)}`,
+      ...(m.description ? [`DESCRIPTION:${icsEscape(m.description)}`] : []),
+      "TRANSP:TRANSPARENT",
+      "END:VEVENT",
+    );
+  });
+
+  lines.push("END:VCALENDAR");
+  return lines.map(icsFold).join("\r\n") + "\r\n";
+}
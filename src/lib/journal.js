@@ -0,0 +1,59 @@
+/**
+ * journal.js — Diario del cultivo por día calendario
+ * Notas con fecha y hora (riego, nutrientes, pH/EC, entrenamiento, problemas…) y
+ * fotos opcionales, agrupadas por día calendario de la zona del cultivo:
+ *   { "2025-03-01": [{ id, at, type, text, ph, ec, photos }], ... }
+ * `at` es un instante ISO (UTC); las fotos son data URLs ya reducidas por la app.
+ */
+
+import { toZonedInputValue } from "./schedule.js";
+
+export const JOURNAL_TYPES = [
+  { id: "riego", label: "Riego", icon: "💧" },
+  { id: "nutrientes", label: "Nutrientes", icon: "🧪" },
+  { id: "ph-ec", label: "pH / EC", icon: "📏" },
+  { id: "entrenamiento", label: "Entrenamiento", icon: "✂️" },
+  { id: "problema", label: "Problema", icon: "⚠️" },
+  { id: "nota", label: "Nota", icon: "📝" },
+];
+
+export const MAX_PHOTOS_PER_ENTRY = 4;
+// Largo máximo del data URL de cada foto: 4 por nota y unas cuantas notas tienen
+// que entrar en los ~5 MB del localStorage junto con el resto de la configuración
+export const MAX_PHOTO_LENGTH = 150 * 1024;
+
+export function journalType(id) {
+  return JOURNAL_TYPES.find((t) => t.id === id) || JOURNAL_TYPES[JOURNAL_TYPES.length - 1];
+}
+
+// Clave del día ("AAAA-MM-DD") de un instante en la zona del cultivo
+export function journalDayKey(date, timeZone) {
+  return toZonedInputValue(date, timeZone).slice(0, 10);
+}
+
+// Notas de un día, ordenadas por hora
+export function journalEntries(journal, key) {
+  return [...(journal?.[key] || [])].sort((a, b) => a.at.localeCompare(b.at));
+}
+
+export function addJournalEntry(journal, key, entry) {
+  const id = entry.id || `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 7)}`;
+  return { ...journal, [key]: [...(journal[key] || []), { ...entry, id }] };
+}
+
+export function removeJournalEntry(journal, key, id) {
+  const entries = (journal[key] || []).filter((e) => e.id !== id);
+  const next = { ...journal };
+  if (entries.length > 0) next[key] = entries;
+  else delete next[key];
+  return next;
+}
+
+export function journalStats(journal) {
+  const days = Object.values(journal || {});
+  return {
+    days: days.length,
+    entries: days.reduce((acc, entries) => acc + entries.length, 0),
+    photos: days.reduce((acc, entries) => acc + entries.reduce((n, e) => n + e.photos.length, 0), 0),
+  };
+}
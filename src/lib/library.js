@@ -0,0 +1,101 @@
+/**
+ * library.js — Biblioteca de ciclos (varias carpas / cuartos en la misma app)
+ *
+ * Índice (se guarda aparte de las configuraciones):
+ *   { version: 1, activeId, circuitWatts, cycles: [{ id, archived, createdAt }] }
+ * Cada ciclo es un `_SUPERCICLO.json` completo; el nombre es su `nombreCiclo`.
+ * La app guarda el ciclo activo donde siempre y los demás, uno por clave.
+ * `circuitWatts` es el límite del circuito que comparten los cuartos (null = sin límite).
+ *
+ * Archivo de biblioteca (exportar / importar todos los ciclos juntos):
+ *   { kind: "fotoperiodo-library", version: 1, exportedAt, activeIndex, cycles: [{ archived, config }] }
+ */
+
+export const LIBRARY_VERSION = 1;
+export const LIBRARY_FILE_KIND = "fotoperiodo-library";
+
+const newId = () => `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 7)}`;
+
+function libraryEntry(id = newId(), archived = false) {
+  return { id, archived, createdAt: new Date().toISOString() };
+}
+
+// Biblioteca con un solo ciclo (el que ya estaba guardado, si había)
+export function createLibrary() {
+  const entry = libraryEntry();
+  return { version: LIBRARY_VERSION, activeId: entry.id, circuitWatts: null, cycles: [entry] };
+}
+
+// Índice leído del localStorage; null si no sirve (se arma uno nuevo)
+export function normalizeLibrary(raw) {
+  if (!raw || typeof raw !== "object" || !Array.isArray(raw.cycles)) return null;
+  const seen = new Set();
+  const cycles = raw.cycles
+    .filter((c) => c && typeof c.id === "string" && c.id && !seen.has(c.id) && seen.add(c.id))
+    .map((c) => ({ id: c.id, archived: Boolean(c.archived), createdAt: typeof c.createdAt === "string" ? c.createdAt : new Date().toISOString() }));
+  if (cycles.length === 0) return null;
+  const activeId = cycles.some((c) => c.id === raw.activeId) ? raw.activeId : cycles[0].id;
+  return { version: LIBRARY_VERSION, activeId, circuitWatts: normalizeCircuitWatts(raw.circuitWatts), cycles };
+}
+
+// Límite del circuito en W: número > 0, o null
+export function normalizeCircuitWatts(value) {
+  const n = Number(value);
+  return value !== null && value !== "" && Number.isFinite(n) && n > 0 ? n : null;
+}
+
+/**
+ * Agrega un ciclo nuevo (después de `afterId`, o al final).
+ * @returns {{ library: object, id: string }}
+ */
+export function addCycle(library, { afterId = null, archived = false } = {}) {
+  const entry = libraryEntry(newId(), archived);
+  const at = afterId ? library.cycles.findIndex((c) => c.id === afterId) : -1;
+  const cycles = [...library.cycles];
+  cycles.splice(at < 0 ? cycles.length : at + 1, 0, entry);
+  return { library: { ...library, cycles }, id: entry.id };
+}
+
+export function setCycleArchived(library, id, archived) {
+  return { ...library, cycles: library.cycles.map((c) => (c.id === id ? { ...c, archived } : c)) };
+}
+
+// Quita un ciclo del índice; el activo no se puede quitar (primero hay que cambiar a otro)
+export function removeCycle(library, id) {
+  if (id === library.activeId || library.cycles.length <= 1) return library;
+  return { ...library, cycles: library.cycles.filter((c) => c.id !== id) };
+}
+
+// Ciclo al que pasar si se borra el activo: el siguiente sin archivar, o cualquiera
+export function fallbackCycleId(library, id) {
+  const others = library.cycles.filter((c) => c.id !== id);
+  return (others.find((c) => !c.archived) || others[0])?.id ?? null;
+}
+
+/**
+ * Archivo con todos los ciclos.
+ * @param {object} library índice
+ * @param {Record<string, object>} configs id → objeto de serializeConfig
+ */
+export function buildLibraryFile(library, configs) {
+  const cycles = library.cycles.filter((c) => configs[c.id]);
+  return {
+    kind: LIBRARY_FILE_KIND,
+    version: LIBRARY_VERSION,
+    exportedAt: new Date().toISOString(),
+    activeIndex: Math.max(0, cycles.findIndex((c) => c.id === library.activeId)),
+    cycles: cycles.map((c) => ({ archived: c.archived, config: configs[c.id] })),
+  };
+}
+
+export function isLibraryFile(obj) {
+  return Boolean(obj && typeof obj === "object" && obj.kind === LIBRARY_FILE_KIND);
+}
+
+// Ciclos de un archivo de biblioteca (sin validar: cada `config` pasa por validateConfig)
+export function libraryFileCycles(obj) {
+  if (!isLibraryFile(obj) || !Array.isArray(obj.cycles)) return [];
+  return obj.cycles
+    .filter((c) => c && c.config && typeof c.config === "object")
+    .map((c) => ({ archived: Boolean(c.archived), config: c.config }));
+}
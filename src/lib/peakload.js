@@ -0,0 +1,175 @@
+/**
+ * peakload.js — Carga eléctrica de varios cuartos en el mismo circuito
+ * Cada cuarto (un ciclo de la biblioteca) suma sus watts (totalWatts de sus
+ * luminarias) por el nivel del dimmer en cada momento: el perfil de su historial
+ * real (buildIntensityProfile: rampas, pico y dimmer de la fase), pasado a tiempo
+ * absoluto con su `startDate`.
+ *
+ * Escalonar = correr el inicio de un cuarto unas horas: sus horas de luz y de
+ * oscuridad no cambian, solo cuándo caen respecto de los otros cuartos.
+ */
+
+import { loadConfig, totalWatts, buildIntensityProfile } from "./schedule.js";
+
+const MS_PER_HOUR = 1000 * 60 * 60;
+// Escalones de las rampas de amanecer/atardecer
+const RAMP_STEP_MINUTES = 5;
+
+// Corrimientos que se prueban: de 0 al largo del superciclo, cada media hora
+export const OFFSET_STEP_HOURS = 0.5;
+
+// Máximo común divisor (enteros) para el largo del superciclo
+const gcd = (a, b) => (b === 0 ? a : gcd(b, a % b));
+
+/**
+ * Horas en las que el patrón de luz de todas las fases se repite (mínimo común
+ * múltiplo de sus ciclos, en pasos de OFFSET_STEP_HOURS). Correr un cuarto más que
+ * esto no cambia cómo se cruza con los demás; como mucho, el largo del cultivo.
+ */
+export function superCycleHours(timeline, maxHours) {
+  const maxSteps = Math.max(1, Math.round(maxHours / OFFSET_STEP_HOURS));
+  let steps = 1;
+  for (const phase of timeline) {
+    const n = Math.max(1, Math.round(phase.cycleLength / OFFSET_STEP_HOURS));
+    steps = (steps / gcd(steps, n)) * n;
+    if (steps >= maxSteps) return maxSteps * OFFSET_STEP_HOURS;
+  }
+  return steps * OFFSET_STEP_HOURS;
+}
+
+/**
+ * Perfil de un cuarto para el análisis: tramos con luz (ms absolutos) y el nivel
+ * del dimmer en cada uno (0–1; en las rampas, un tramo por escalón).
+ * @returns {{ id: string|null, name: string, watts: number, offsetRange: number, pieces: { start: number, end: number, level: number }[] }}
+ */
+export function roomLoad(rawConfig, { id = null, name = "" } = {}) {
+  const config = loadConfig(rawConfig);
+  const t0 = config.startDate.getTime();
+  const totalHours = config.durationDays * 24;
+  const profile = buildIntensityProfile(config.history, config.light.ramps, 0, totalHours, RAMP_STEP_MINUTES);
+  const pieces = [];
+  profile.forEach((p, i) => {
+    const end = i + 1 < profile.length ? profile[i + 1].hours : totalHours;
+    if (p.percent > 0 && end > p.hours) pieces.push({ start: t0 + p.hours * MS_PER_HOUR, end: t0 + end * MS_PER_HOUR, level: p.percent / 100 });
+  });
+  return {
+    id,
+    name: name || config.nombreCiclo?.trim() || "Superciclo",
+    watts: totalWatts(config.energy),
+    offsetRange: superCycleHours(config.timeline, totalHours),
+    pieces,
+  };
+}
+
+/**
+ * Carga total en el tiempo, en tramos constantes (incluye los tramos en 0 W entre medio).
+ * @param {object[]} rooms resultado de roomLoad
+ * @param {Record<string, number>} [offsets] id → horas que se corre cada cuarto
+ * @returns {{ start: number, end: number, watts: number, rooms: string[] }[]}
+ */
+export function loadTimeline(rooms, offsets = {}) {
+  const events = [];
+  rooms.forEach((r) => {
+    if (!(r.watts > 0)) return;
+    const shift = (offsets[r.id] || 0) * MS_PER_HOUR;
+    r.pieces.forEach((p) => {
+      const watts = r.watts * p.level;
+      events.push({ at: p.start + shift, delta: watts, id: r.id }, { at: p.end + shift, delta: -watts, id: r.id });
+    });
+  });
+  // En el mismo instante, los apagados van antes que los encendidos
+  events.sort((a, b) => a.at - b.at || a.delta - b.delta);
+  const segments = [];
+  const on = new Set();
+  let watts = 0;
+  events.forEach((e, i) => {
+    watts += e.delta;
+    if (e.delta > 0) on.add(e.id);
+    else on.delete(e.id);
+    const next = events[i + 1];
+    // Redondeo para que los escalones de las rampas no dejen restos de coma flotante
+    if (next && next.at > e.at) segments.push({ start: e.at, end: next.at, watts: Math.round(watts * 100) / 100, rooms: [...on] });
+  });
+  return segments;
+}
+
+/**
+ * Pico de carga (el primero, si se repite) y cuánto tiempo se pasa del límite.
+ * @returns {{ watts: number, start: number|null, rooms: string[], overHours: number, firstOver: number|null }}
+ */
+export function peakLoad(segments, limitWatts = null) {
+  let peak = { watts: 0, start: null, rooms: [] };
+  let overHours = 0;
+  let firstOver = null;
+  segments.forEach((s) => {
+    if (s.watts > peak.watts) peak = { watts: s.watts, start: s.start, rooms: s.rooms };
+    if (limitWatts > 0 && s.watts > limitWatts) {
+      overHours += (s.end - s.start) / MS_PER_HOUR;
+      if (firstOver === null) firstOver = s.start;
+    }
+  });
+  return { ...peak, overHours, firstOver };
+}
+
+// Carga máxima de `segments` (de loadTimeline, ordenados) más la del cuarto corrido
+// `shift` ms, mirando solo donde el cuarto tiene luz. Corta al llegar a `stopAt`.
+function peakWithRoom(segments, room, shift, stopAt) {
+  let max = 0;
+  let i = -1;
+  for (const p of room.pieces) {
+    const start = p.start + shift;
+    const end = p.end + shift;
+    // Los tramos están en orden: el índice solo avanza (búsqueda binaria la primera vez)
+    if (i < 0) {
+      let lo = 0;
+      let hi = segments.length;
+      while (lo < hi) {
+        const mid = (lo + hi) >> 1;
+        if (segments[mid].end <= start) lo = mid + 1;
+        else hi = mid;
+      }
+      i = lo;
+    }
+    while (i < segments.length && segments[i].end <= start) i++;
+    let base = 0;
+    for (let j = i; j < segments.length && segments[j].start < end; j++) base = Math.max(base, segments[j].watts);
+    max = Math.max(max, base + room.watts * p.level);
+    if (max >= stopAt) return max;
+  }
+  return max;
+}
+
+/**
+ * Corrimientos sugeridos para no pasar el límite. Se ubican primero los cuartos que
+ * más consumen y a cada uno se le da el menor corrimiento (de 0 a su superciclo, ver
+ * superCycleHours) que deja la carga bajo el límite con los ya ubicados; si ninguno
+ * alcanza (o no hay límite), el que deja el pico más bajo. Con ciclos de distinto
+ * largo los cuartos se van corriendo entre sí, así que puede no haber solución para
+ * todo el cultivo.
+ * @returns {{ offsets: Record<string, number>, peak: object, fits: boolean }}
+ */
+export function suggestOffsets(rooms, limitWatts = null) {
+  const order = rooms.filter((r) => r.watts > 0).sort((a, b) => b.watts - a.watts);
+  const offsets = {};
+  const placed = [];
+  order.forEach((room) => {
+    // El primero no se corre: no tiene con quién chocar
+    if (placed.length === 0) {
+      offsets[room.id] = 0;
+      placed.push(room);
+      return;
+    }
+    const segments = loadTimeline(placed, offsets);
+    const placedPeak = peakLoad(segments).watts;
+    let best = null;
+    for (let off = 0; off < room.offsetRange; off += OFFSET_STEP_HOURS) {
+      const watts = Math.max(placedPeak, peakWithRoom(segments, room, off * MS_PER_HOUR, best ? best.watts : Infinity));
+      if (!best || watts < best.watts) best = { off, watts };
+      if (limitWatts > 0 && watts <= limitWatts) break;
+    }
+    offsets[room.id] = best.off;
+    placed.push(room);
+  });
+  const peak = peakLoad(loadTimeline(rooms, offsets), limitWatts);
+  return { offsets, peak, fits: !(limitWatts > 0) || peak.watts <= limitWatts };
+}
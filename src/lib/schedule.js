@@ -0,0 +1,1204 @@
+/**
+ * schedule.js — Motor de horarios del SuperCiclo (sin React)
+ * - Misma lógica que usa la app web: fases, segmentos ON/OFF, cambios y calendario
+ * - Funciona en el navegador y en Node (CLI, scripts de controladores)
+ *
+ * API principal (acepta el JSON exportado como `_SUPERCICLO.json`):
+ *   loadConfig(obj)                 → configuración normalizada (reutilizable)
+ *   stateAt(config, date)           → estado ON/OFF, fase, días superciclo, energía, próximo cambio e hitos
+ *   switchStateAt(config, date)     → solo ON/OFF, próximo cambio y días superciclo (liviano)
+ *   nextTransitions(config, from, n) → los próximos `n` cambios ON/OFF
+ *   grid(config)                    → calendario días × 24 horas (igual al de la app)
+ *   timerProgram(config)            → programa diario para temporizadores de 24 h
+ *   intensityProfile(config)        → tabla hora → % del dimmer (con rampas) para controladores
+ *
+ * Las horas "desde el inicio" son horas reales transcurridas desde `startDate`;
+ * fechas y horarios de pared se expresan en la zona IANA de la configuración (`timeZone`).
+ */
+
+const MS_PER_HOUR = 1000 * 60 * 60;
+const MS_PER_DAY = MS_PER_HOUR * 24;
+
+function clamp(n, min, max) { return Math.max(min, Math.min(max, n)); }
+
+const pad = (n) => n.toString().padStart(2, "0");
+
+/* ---------- Fases ---------- */
+// Cada fase es una lista ordenada de segmentos ON/OFF que se repite como ciclo
+export const DEFAULT_PHASES = [{
+  days: 60,
+  segments: [{ isLight: true, hours: 13 }, { isLight: false, hours: 14 }],
+}];
+
+// Número opcional (>= 0): null si no se cargó
+function optionalNumber(v) {
+  if (v === null || v === undefined || v === "") return null;
+  return Number.isFinite(Number(v)) ? Math.max(0, Number(v)) : null;
+}
+
+// Acepta { phases: [...] } o el formato viejo { hoursLight, hoursDark } (una sola fase).
+// Las fases con hoursLight/hoursDark se convierten a dos segmentos ON + OFF.
+// `ppfd` y `dimming` (%) por fase son opcionales: sin ellos se usa la luz general.
+export function normalizePhases(obj) {
+  if (!obj) return null;
+  const num = (v, fallback) => (Number.isFinite(Number(v)) ? Math.max(0, Number(v)) : fallback);
+  const toSegments = (p, defLight, defDark) => {
+    if (Array.isArray(p?.segments) && p.segments.length > 0) {
+      return p.segments.map((seg) => ({ isLight: Boolean(seg?.isLight), hours: num(seg?.hours, 0) }));
+    }
+    return [
+      { isLight: true, hours: num(p?.hoursLight, defLight) },
+      { isLight: false, hours: num(p?.hoursDark, defDark) },
+    ];
+  };
+  if (Array.isArray(obj.phases) && obj.phases.length > 0) {
+    return obj.phases.map((p) => {
+      const phase = { days: num(p?.days, 0), segments: toSegments(p, 0, 0) };
+      const ppfd = optionalNumber(p?.ppfd);
+      const dimming = optionalNumber(p?.dimming);
+      if (ppfd !== null) phase.ppfd = ppfd;
+      if (dimming !== null) phase.dimming = Math.min(100, dimming);
+      return phase;
+    });
+  }
+  if (Number.isFinite(Number(obj.hoursLight)) || Number.isFinite(Number(obj.hoursDark))) {
+    return [{ days: num(obj.durationDays, 60), segments: toSegments(obj, 13, 14) }];
+  }
+  return null;
+}
+
+// Horas de luz totales de una lista de segmentos
+export function segmentsLightHours(segments) {
+  return segments.reduce((acc, seg) => acc + (seg.isLight ? Number(seg.hours) : 0), 0);
+}
+
+// Texto corto del patrón: "6 ON / 2 OFF / 6 ON / 10 OFF"
+export function describeSegments(segments) {
+  return segments.map((seg) => `${Number(seg.hours)} ${seg.isLight ? "ON" : "OFF"}`).join(" / ");
+}
+
+// Ubica cada fase en horas absolutas desde el inicio. La última fase no termina nunca.
+// Cada fase arranca con su primer segmento en el momento en que empieza.
+export function buildPhaseTimeline(phases) {
+  let start = 0;
+  return phases.map((p, i) => {
+    const isLast = i === phases.length - 1;
+    const end = isLast ? Infinity : start + Number(p.days) * 24;
+    const segments = p.segments.filter((seg) => Number(seg.hours) > 0);
+    // offsets: fin de cada segmento medido desde el inicio del ciclo
+    let acc = 0;
+    const offsets = segments.map((seg) => (acc += Number(seg.hours)));
+    const entry = {
+      index: i,
+      segments,
+      offsets,
+      lightPerCycle: segmentsLightHours(segments),
+      cycleLength: acc > 0 ? acc : 0.0000001, // avoid zero
+      ppfd: p.ppfd ?? null,
+      dimming: p.dimming ?? 100,
+      start,
+      end,
+    };
+    start = end;
+    return entry;
+  });
+}
+
+// Fase activa a una hora dada (antes del inicio se extiende la primera fase hacia atrás)
+export function phaseAtHours(timeline, hoursSinceStart) {
+  for (let i = timeline.length - 1; i > 0; i--) {
+    if (hoursSinceStart >= timeline[i].start) return timeline[i];
+  }
+  return timeline[0];
+}
+
+export function isLightInTimeline(timeline, hoursSinceStart) {
+  const phase = phaseAtHours(timeline, hoursSinceStart);
+  const rel = hoursSinceStart - phase.start;
+  const inCycle = ((rel % phase.cycleLength) + phase.cycleLength) % phase.cycleLength;
+  const idx = phase.offsets.findIndex((o) => inCycle < o);
+  return idx >= 0 ? phase.segments[idx].isLight : false;
+}
+
+// Horas de luz dentro de un ciclo, desde su inicio hasta `r`
+function litHoursInCycle(phase, r) {
+  let lit = 0;
+  let from = 0;
+  for (let i = 0; i < phase.segments.length && from < r; i++) {
+    const to = phase.offsets[i];
+    if (phase.segments[i].isLight) lit += Math.min(r, to) - from;
+    from = to;
+  }
+  return lit;
+}
+
+// Horas de luz acumuladas dentro de una fase entre su inicio y `t`
+function litHoursInPhase(phase, t) {
+  const rel = t - phase.start;
+  const k = Math.floor(rel / phase.cycleLength);
+  const r = rel - k * phase.cycleLength;
+  return k * phase.lightPerCycle + litHoursInCycle(phase, r);
+}
+
+// Horas de luz reales entre dos momentos (horas desde el inicio).
+// Con `weight(phase)` cada hora de luz se pondera según la fase (ej. PPFD).
+export function litHoursBetween(timeline, from, to, weight = null) {
+  if (!(to > from)) return 0;
+  let total = 0;
+  timeline.forEach((phase, i) => {
+    const a = Math.max(from, i === 0 ? -Infinity : phase.start);
+    const b = Math.min(to, phase.end);
+    if (b > a) total += (litHoursInPhase(phase, b) - litHoursInPhase(phase, a)) * (weight ? weight(phase) : 1);
+  });
+  return total;
+}
+
+// Próximo cambio de estado (ON↔OFF) después de `hoursSinceStart`; null si ya no cambia.
+// Recorre todos los límites de segmento, así detecta cada transición del ciclo.
+export function findNextTransition(timeline, hoursSinceStart) {
+  const current = isLightInTimeline(timeline, hoursSinceStart);
+  let h = hoursSinceStart;
+  for (let guard = 0; guard < 1000; guard++) {
+    const phase = phaseAtHours(timeline, h);
+    const k = Math.floor((h - phase.start) / phase.cycleLength);
+    const cycleStart = phase.start + k * phase.cycleLength;
+    const candidates = [...phase.offsets.map((o) => cycleStart + o), phase.end]
+      .filter((c) => c > h + 1e-9);
+    const boundary = Math.min(...candidates);
+    if (!Number.isFinite(boundary)) return null;
+    if (isLightInTimeline(timeline, boundary) !== current) {
+      return { hours: boundary, isLight: !current };
+    }
+    h = boundary;
+  }
+  return null;
+}
+
+// Ciclos custom completos hasta `hoursSinceStart`, sumando todas las fases
+export function completedCycles(timeline, hoursSinceStart) {
+  if (hoursSinceStart <= 0) return 0;
+  let total = 0;
+  for (const phase of timeline) {
+    if (hoursSinceStart <= phase.start) break;
+    const span = Math.min(hoursSinceStart, phase.end) - phase.start;
+    total += Math.floor(span / phase.cycleLength + 1e-9);
+  }
+  return total;
+}
+
+// Todos los cambios ON/OFF entre dos momentos (horas desde el inicio), en orden
+export function listTransitions(timeline, fromHours, toHours) {
+  const events = [];
+  let h = fromHours;
+  while (events.length < 100000) {
+    const next = findNextTransition(timeline, h);
+    if (!next || next.hours > toHours) break;
+    events.push(next);
+    h = next.hours;
+  }
+  return events;
+}
+
+// Períodos de luz [start, end) recortados al rango pedido.
+// Con `history` (buildHistory) son los que hubo de verdad.
+export function listLightPeriods(timeline, fromHours, toHours, history = null) {
+  const periods = [];
+  const startsLight = history ? historyIsLight(history, fromHours) : isLightInTimeline(timeline, fromHours);
+  let onSince = startsLight ? fromHours : null;
+  (history ? historyTransitions(history, fromHours, toHours) : listTransitions(timeline, fromHours, toHours)).forEach((t) => {
+    if (t.isLight) {
+      onSince = t.hours;
+    } else if (onSince !== null) {
+      periods.push({ start: onSince, end: t.hours });
+      onSince = null;
+    }
+  });
+  if (onSince !== null && toHours > onSince) periods.push({ start: onSince, end: toHours });
+  return periods;
+}
+
+// Balance de horas de luz contra un 12/12 (positivo = ahorro).
+// Con `history` (buildHistory) cuenta la luz que hubo de verdad.
+export function energyBalanceAt(timeline, hoursSinceStart, history = null) {
+  if (hoursSinceStart < 0) return 0;
+  const lit = history ? historyLitHours(history, 0, hoursSinceStart) : litHoursBetween(timeline, 0, hoursSinceStart);
+  return 0.5 * hoursSinceStart - lit;
+}
+
+/* ---------- Historial real: cortes, encendidos/apagados manuales, fallas ---------- */
+
+// Cada desvío fuerza la luz a ON u OFF durante `hours` horas desde `at`
+export const DEVIATION_TYPES = [
+  { id: "corte", label: "Corte de luz", icon: "🔌", isLight: false },
+  { id: "manual-on", label: "Encendido manual", icon: "💡", isLight: true },
+  { id: "manual-off", label: "Apagado manual", icon: "🌑", isLight: false },
+  { id: "falla-on", label: "Falla del temporizador (quedó ON)", icon: "⏱️", isLight: true },
+  { id: "falla-off", label: "Falla del temporizador (quedó OFF)", icon: "⏱️", isLight: false },
+];
+
+export function deviationType(id) {
+  return DEVIATION_TYPES.find((t) => t.id === id) || DEVIATION_TYPES[0];
+}
+
+/**
+ * Historial real a partir de los desvíos registrados:
+ *   [{ id, at: ISO, type, hours, reanchor, note }]
+ * Durante un desvío manda el estado forzado. Sin `reanchor` el plan sigue su
+ * curso por detrás; con `reanchor` el plan queda en pausa y todos los ciclos
+ * siguientes se corren lo que duró el desvío.
+ * @returns {{ timeline: object[], overrides: { from: number, to: number, isLight: boolean, reanchor: boolean }[] }}
+ */
+export function buildHistory(timeline, deviations, startDateObj) {
+  const overrides = (Array.isArray(deviations) ? deviations : [])
+    .map((d) => {
+      const from = (new Date(d.at).getTime() - startDateObj.getTime()) / MS_PER_HOUR;
+      return { from, to: from + Number(d.hours), isLight: deviationType(d.type).isLight, reanchor: Boolean(d.reanchor) };
+    })
+    .filter((o) => Number.isFinite(o.from) && o.to > o.from)
+    .sort((a, b) => a.from - b.from);
+  // Desvíos superpuestos: el que empieza después arranca cuando termina el anterior
+  const clean = [];
+  overrides.forEach((o) => {
+    const prev = clean[clean.length - 1];
+    const from = prev ? Math.max(o.from, prev.to) : o.from;
+    if (o.to > from) clean.push({ ...o, from });
+  });
+  return { timeline, overrides: clean };
+}
+
+// Hora del plan que corresponde a una hora real (descuenta las pausas por re-anclaje)
+export function historyPlanHours(history, hoursSinceStart) {
+  let shift = 0;
+  for (const o of history.overrides) {
+    if (hoursSinceStart < o.from) break;
+    if (hoursSinceStart < o.to) return o.reanchor ? o.from - shift : hoursSinceStart - shift;
+    if (o.reanchor) shift += o.to - o.from;
+  }
+  return hoursSinceStart - shift;
+}
+
+function overrideAt(history, hoursSinceStart) {
+  return history.overrides.find((o) => hoursSinceStart >= o.from && hoursSinceStart < o.to) || null;
+}
+
+export function historyIsLight(history, hoursSinceStart) {
+  const o = overrideAt(history, hoursSinceStart);
+  return o ? o.isLight : isLightInTimeline(history.timeline, historyPlanHours(history, hoursSinceStart));
+}
+
+// Como litHoursBetween, pero con lo que pasó de verdad
+export function historyLitHours(history, from, to, weight = null) {
+  if (!(to > from)) return 0;
+  const planLit = (a, b) => {
+    const p = historyPlanHours(history, a);
+    return litHoursBetween(history.timeline, p, p + (b - a), weight);
+  };
+  let total = 0;
+  let cursor = from;
+  for (const o of history.overrides) {
+    if (o.to <= cursor) continue;
+    if (o.from >= to) break;
+    if (o.from > cursor) {
+      total += planLit(cursor, o.from);
+      cursor = o.from;
+    }
+    const end = Math.min(o.to, to);
+    if (o.isLight) total += (end - cursor) * (weight ? weight(phaseAtHours(history.timeline, historyPlanHours(history, cursor))) : 1);
+    cursor = end;
+    if (cursor >= to) return total;
+  }
+  return total + planLit(cursor, to);
+}
+
+// Cambios ON/OFF reales entre dos momentos (mismo formato que listTransitions)
+export function historyTransitions(history, fromHours, toHours) {
+  const candidates = [];
+  const addPlan = (a, b) => {
+    const shift = a - historyPlanHours(history, a);
+    listTransitions(history.timeline, a - shift, b - shift).forEach((t) => candidates.push(t.hours + shift));
+  };
+  let cursor = fromHours;
+  for (const o of history.overrides) {
+    if (o.to <= fromHours) continue;
+    if (o.from > toHours) break;
+    if (o.from > cursor) addPlan(cursor, o.from);
+    candidates.push(o.from, o.to);
+    cursor = Math.max(cursor, o.to);
+  }
+  if (cursor < toHours) addPlan(cursor, toHours);
+
+  const events = [];
+  let state = historyIsLight(history, fromHours);
+  [...new Set(candidates)]
+    .filter((h) => h > fromHours && h <= toHours)
+    .sort((a, b) => a - b)
+    .forEach((h) => {
+      const isLight = historyIsLight(history, h);
+      if (isLight !== state) events.push({ hours: h, isLight });
+      state = isLight;
+    });
+  return events;
+}
+
+// Próximo cambio real después de `hoursSinceStart` (como findNextTransition)
+export function historyNextTransition(history, hoursSinceStart) {
+  const last = history.overrides.length > 0 ? history.overrides[history.overrides.length - 1].to : -Infinity;
+  let h = hoursSinceStart;
+  if (h < last) {
+    const found = historyTransitions(history, h, last)[0];
+    if (found) return found;
+    h = last;
+  }
+  // Después del último desvío rige el plan (corrido si hubo re-anclajes)
+  const shift = h - historyPlanHours(history, h);
+  const next = findNextTransition(history.timeline, h - shift);
+  return next && { ...next, hours: next.hours + shift };
+}
+
+// Ciclos completos vividos: los re-anclajes los atrasan, los demás desvíos no
+export function historyCompletedCycles(history, hoursSinceStart) {
+  return completedCycles(history.timeline, historyPlanHours(history, hoursSinceStart));
+}
+
+// Hora real en que el plan llega a `planHours` (inversa de historyPlanHours: suma las pausas por re-anclaje)
+export function historyRealHours(history, planHours) {
+  let shift = 0;
+  for (const o of history.overrides) {
+    if (!o.reanchor) continue;
+    if (planHours + shift <= o.from) break;
+    shift += o.to - o.from;
+  }
+  return planHours + shift;
+}
+
+/* ---------- Hitos: cambio a floración, fin del estiramiento, lavado, cosecha… ---------- */
+// Cada hito se cuenta en días de 24 h o en ciclos superciclo, desde el inicio o desde
+// que empieza una fase: { id, name, value, unit: "days" | "cycles", phase: null | índice }
+export const MILESTONE_UNITS = [
+  { id: "days", label: "días de 24 h" },
+  { id: "cycles", label: "ciclos superciclo" },
+];
+
+// Hora del plan en que se cumple el hito; null si cuenta desde una fase que no existe.
+// Como en completedCycles, el ciclo que corta un cambio de fase no cuenta.
+export function milestonePlanHours(timeline, { value, unit, phase = null }) {
+  const hasPhase = phase !== null && phase !== undefined;
+  if (hasPhase && !timeline[phase]) return null;
+  const origin = hasPhase ? timeline[phase].start : 0;
+  const n = Math.max(0, Number(value) || 0);
+  if (unit !== "cycles") return origin + n * 24;
+  let remaining = n;
+  for (const p of timeline) {
+    if (p.end <= origin) continue;
+    const available = Number.isFinite(p.end) ? Math.floor((p.end - p.start) / p.cycleLength + 1e-9) : Infinity;
+    if (remaining <= available) return p.start + remaining * p.cycleLength;
+    remaining -= available;
+  }
+  return null;
+}
+
+/**
+ * Hitos con su momento real (los re-anclajes los atrasan), ordenados por fecha.
+ * Los que no se pueden calcular (fase borrada) quedan afuera.
+ * @returns {{ id: string, name: string, value: number, unit: string, phase: number|null, hours: number, date: Date }[]}
+ */
+export function buildMilestones(history, milestones, startDateObj) {
+  return (Array.isArray(milestones) ? milestones : [])
+    .map((m) => {
+      const plan = milestonePlanHours(history.timeline, m);
+      if (plan === null) return null;
+      const hours = historyRealHours(history, plan);
+      return { ...m, phase: m.phase ?? null, hours, date: new Date(startDateObj.getTime() + hours * MS_PER_HOUR) };
+    })
+    .filter(Boolean)
+    .sort((a, b) => a.hours - b.hours);
+}
+
+/* ---------- Energía y costo ---------- */
+export const DEFAULT_ENERGY = { fixtures: [], pricePerKwh: 0, currency: "ARS" };
+
+// Fotoperiodos de referencia para comparar el consumo (fracción del día con luz)
+export const ENERGY_REFERENCES = [
+  { label: "12/12", lightFraction: 12 / 24 },
+  { label: "18/6", lightFraction: 18 / 24 },
+];
+
+// Acepta { energy: { fixtures: [{ name, watts, count }], pricePerKwh, currency } }
+export function normalizeEnergy(obj) {
+  const e = obj?.energy;
+  if (!e || typeof e !== "object") return { ...DEFAULT_ENERGY };
+  const num = (v) => (Number.isFinite(Number(v)) ? Math.max(0, Number(v)) : 0);
+  return {
+    fixtures: Array.isArray(e.fixtures)
+      ? e.fixtures.map((f) => ({
+        name: f?.name ? String(f.name) : "",
+        watts: num(f?.watts),
+        count: Number.isFinite(Number(f?.count)) ? Math.max(0, Math.round(Number(f.count))) : 1,
+      }))
+      : [],
+    pricePerKwh: num(e.pricePerKwh),
+    currency: /^[A-Za-z]{3}$/.test(String(e.currency || "")) ? String(e.currency).toUpperCase() : DEFAULT_ENERGY.currency,
+  };
+}
+
+export function totalWatts(energy) {
+  return (energy?.fixtures || []).reduce((acc, f) => acc + Number(f.watts) * Number(f.count), 0);
+}
+
+/**
+ * Consumo y costo: lo gastado hasta `hoursElapsed`, la proyección para todo el
+ * cultivo (`totalHours`) y el ahorro contra 12/12 y 18/6 en el mismo período.
+ * Con `ramps` (normalizeRamps) los amaneceres/atardeceres consumen según el dimmer;
+ * el dimmer de cada fase (`dimming`) baja el consumo de sus horas de luz.
+ */
+export function energyReport(timeline, energy, hoursElapsed, totalHours, history = null, ramps = null) {
+  const kw = totalWatts(energy) / 1000;
+  const price = Number(energy?.pricePerKwh) || 0;
+  const elapsed = clamp(hoursElapsed, 0, totalHours);
+  const source = history || planHistory(timeline);
+  const weight = (phase) => (phase.dimming ?? 100) / 100;
+  const lit = hasRamps(ramps)
+    ? (from, to) => rampedLitHours(source, ramps, from, to, weight) * ramps.peak / 100
+    : (from, to) => historyLitHours(source, from, to, weight);
+  const kwhSoFar = lit(0, elapsed) * kw;
+  const kwhTotal = lit(0, totalHours) * kw;
+  return {
+    watts: kw * 1000,
+    kwhSoFar,
+    costSoFar: kwhSoFar * price,
+    kwhTotal,
+    costTotal: kwhTotal * price,
+    references: ENERGY_REFERENCES.map((ref) => {
+      const kwhRef = ref.lightFraction * totalHours * kw;
+      return {
+        label: ref.label,
+        kwh: kwhRef,
+        cost: kwhRef * price,
+        kwhSaved: kwhRef - kwhTotal,
+        costSaved: (kwhRef - kwhTotal) * price,
+      };
+    }),
+  };
+}
+
+/* ---------- Escenarios: otros fotoperiodos para comparar ---------- */
+// Cada escenario es { id, name, phases, durationDays }; el resto (inicio, zona,
+// luminarias, rampas) se toma de la configuración activa. Con la activa se comparan
+// hasta 4 lado a lado.
+export const MAX_SCENARIOS = 3;
+
+/**
+ * Números de un escenario para compararlo con la configuración activa: largo del
+ * ciclo de cada fase, horas de luz, balance contra 12/12 y ciclos superciclo
+ * completos en `durationDays`, fecha de fin y consumo/costo con `energy` y `ramps`.
+ */
+export function scenarioReport({ phases, durationDays }, startDateObj, energy = null, ramps = null) {
+  const timeline = buildPhaseTimeline(phases);
+  const totalHours = clamp(Number(durationDays) || 0, 1, 9999) * 24;
+  const report = energyReport(timeline, energy, totalHours, totalHours, null, ramps);
+  return {
+    timeline,
+    cycleLengths: timeline.map((p) => p.cycleLength),
+    litHours: litHoursBetween(timeline, 0, totalHours),
+    energyBalance: energyBalanceAt(timeline, totalHours),
+    cycles: completedCycles(timeline, totalHours),
+    finishDate: new Date(startDateObj.getTime() + totalHours * MS_PER_HOUR),
+    kwh: report.kwhTotal,
+    cost: report.costTotal,
+  };
+}
+
+/* ---------- Luz: PPFD y DLI ---------- */
+// ppfd: µmol/m²/s con el dimmer al 100 %; dliMin/dliMax: rango objetivo (mol/m²/día);
+// ramps: amanecer/atardecer del driver (ver normalizeRamps)
+export const DEFAULT_LIGHT = { ppfd: 0, dliMin: null, dliMax: null, ramps: null };
+
+// 1 µmol/m²/s durante 1 hora = 0.0036 mol/m²
+const MOL_PER_PPFD_HOUR = 0.0036;
+
+export function normalizeLight(obj) {
+  const l = obj?.light;
+  if (!l || typeof l !== "object") return { ...DEFAULT_LIGHT, ramps: normalizeRamps(null) };
+  return {
+    ppfd: optionalNumber(l.ppfd) ?? 0,
+    dliMin: optionalNumber(l.dliMin),
+    dliMax: optionalNumber(l.dliMax),
+    ramps: normalizeRamps(l.ramps),
+  };
+}
+
+// PPFD efectivo de una fase: su PPFD (o el general) × dimmer
+export function phasePpfd(phase, light) {
+  const base = phase.ppfd ?? (Number(light?.ppfd) || 0);
+  return base * (phase.dimming ?? 100) / 100;
+}
+
+// Fotones acumulados (mol/m²) entre dos momentos; las rampas de `light` bajan el PPFD
+export function molesBetween(timeline, light, from, to) {
+  const weight = (phase) => phasePpfd(phase, light);
+  if (!hasRamps(light?.ramps)) return litHoursBetween(timeline, from, to, weight) * MOL_PER_PPFD_HOUR;
+  return rampedLitHours(planHistory(timeline), light.ramps, from, to, weight) * (light.ramps.peak / 100) * MOL_PER_PPFD_HOUR;
+}
+
+// "bajo" / "alto" / null según el rango objetivo
+export function dliStatus(dli, light) {
+  if (light?.dliMin !== null && light?.dliMin !== undefined && dli < light.dliMin) return "low";
+  if (light?.dliMax !== null && light?.dliMax !== undefined && dli > light.dliMax) return "high";
+  return null;
+}
+
+/**
+ * DLI de cada día calendario de la grilla (misma división en días que el calendario).
+ * @param {{ cells: object[] }[]} rows  resultado de buildGrid
+ * @returns {{ dli: number, status: "low"|"high"|null }[]}
+ */
+export function buildDailyDli(rows, timeline, light) {
+  return rows.map((row) => {
+    const from = row.cells[0].hoursSinceStart;
+    const dli = molesBetween(timeline, light, from, from + row.dayHours);
+    return { dli, status: dliStatus(dli, light) };
+  });
+}
+
+/**
+ * Cada ciclo del superciclo dentro del cultivo: fotones del ciclo y su
+ * equivalente por 24 h (para comparar ciclos de distinta duración).
+ * @returns {{ index: number, phaseIndex: number, start: number, end: number,
+ *   moles: number, dli24: number, status: "low"|"high"|null }[]}
+ */
+export function buildCycleDli(timeline, light, totalHours) {
+  const cycles = [];
+  for (const phase of timeline) {
+    if (phase.start >= totalHours) break;
+    const phaseEnd = Math.min(phase.end, totalHours);
+    for (let start = phase.start; start < phaseEnd - 1e-9 && cycles.length < 100000; start += phase.cycleLength) {
+      const end = Math.min(start + phase.cycleLength, phaseEnd);
+      const moles = molesBetween(timeline, light, start, end);
+      const dli24 = (moles / (end - start)) * 24;
+      cycles.push({ index: cycles.length, phaseIndex: phase.index, start, end, moles, dli24, status: dliStatus(dli24, light) });
+    }
+  }
+  return cycles;
+}
+
+/* ---------- Rampas de amanecer / atardecer (dimmer 0–10 V / PWM) ---------- */
+// El amanecer arranca en el encendido y sube hasta el pico en `minutes`; el atardecer
+// baja desde el pico y termina justo en el apagado. El período de luz no cambia de largo.
+// Cada curva va de 0 a 1 (f) con su integral (F) para calcular energía y DLI sin muestrear.
+const RAMP_SHAPES = {
+  linear: { f: (x) => x, F: (x) => (x * x) / 2 },
+  smooth: { f: (x) => x * x * (3 - 2 * x), F: (x) => x ** 3 - x ** 4 / 2 },
+  exponential: { f: (x) => x * x, F: (x) => x ** 3 / 3 },
+  logarithmic: { f: (x) => Math.sqrt(x), F: (x) => (2 / 3) * x ** 1.5 },
+};
+
+export const RAMP_CURVES = [
+  { id: "linear", label: "Lineal" },
+  { id: "smooth", label: "Suave (S)" },
+  { id: "exponential", label: "Exponencial (lenta al principio)" },
+  { id: "logarithmic", label: "Logarítmica (rápida al principio)" },
+];
+
+// minutes: largo de cada rampa; curve: RAMP_CURVES; peak: % del driver en la meseta.
+// El atardecer usa la curva espejada (es el amanecer al revés).
+export const DEFAULT_RAMPS = {
+  sunrise: { minutes: 0, curve: "linear" },
+  sunset: { minutes: 0, curve: "linear" },
+  peak: 100,
+};
+
+// Acepta { sunrise: { minutes, curve }, sunset: { minutes, curve }, peak }
+export function normalizeRamps(r) {
+  if (!r || typeof r !== "object") return { sunrise: { ...DEFAULT_RAMPS.sunrise }, sunset: { ...DEFAULT_RAMPS.sunset }, peak: DEFAULT_RAMPS.peak };
+  const ramp = (v) => ({
+    minutes: Math.min(720, optionalNumber(v?.minutes) ?? 0),
+    curve: RAMP_SHAPES[v?.curve] ? v.curve : "linear",
+  });
+  return { sunrise: ramp(r.sunrise), sunset: ramp(r.sunset), peak: Math.min(100, optionalNumber(r.peak) ?? 100) };
+}
+
+// Sin rampas ni pico reducido todo se calcula como ON/OFF instantáneo (más rápido)
+export function hasRamps(ramps) {
+  return Boolean(ramps) && (ramps.sunrise.minutes > 0 || ramps.sunset.minutes > 0 || ramps.peak < 100);
+}
+
+// El plan sin desvíos, con la misma forma que buildHistory
+function planHistory(timeline) {
+  return { timeline, overrides: [] };
+}
+
+// Períodos de luz reales con el largo de sus rampas (en horas). Si un período es más
+// corto que las dos rampas juntas, se achican en proporción. Se busca con margen para
+// conocer el inicio/fin verdadero; un período cortado por el margen no lleva esa rampa.
+function rampPeriods(history, ramps, from, to) {
+  const up = ramps.sunrise.minutes / 60;
+  const down = ramps.sunset.minutes / 60;
+  const pad = up + down;
+  const a = from - pad;
+  const b = to + pad;
+  const periods = [];
+  let onSince = historyIsLight(history, a) ? a : null;
+  const push = (start, end) => {
+    const clippedStart = start <= a;
+    const clippedEnd = end >= b;
+    const length = end - start;
+    const k = !clippedStart && !clippedEnd && up + down > length ? length / (up + down) : 1;
+    periods.push({ start, end, up: clippedStart ? 0 : up * k, down: clippedEnd ? 0 : down * k });
+  };
+  historyTransitions(history, a, b).forEach((t) => {
+    if (t.isLight) {
+      onSince = t.hours;
+    } else if (onSince !== null) {
+      push(onSince, t.hours);
+      onSince = null;
+    }
+  });
+  if (onSince !== null && b > onSince) push(onSince, b);
+  return periods;
+}
+
+// Nivel de la rampa (0–1) dentro de un período de luz
+function rampLevel(period, ramps, h) {
+  if (h < period.start || h >= period.end) return 0;
+  if (period.up > 0 && h < period.start + period.up) return RAMP_SHAPES[ramps.sunrise.curve].f((h - period.start) / period.up);
+  const sunsetFrom = period.end - period.down;
+  if (period.down > 0 && h > sunsetFrom) return RAMP_SHAPES[ramps.sunset.curve].f(1 - (h - sunsetFrom) / period.down);
+  return 1;
+}
+
+/**
+ * Nivel de la luz (0–1, sin contar pico ni dimmer de la fase) en un momento:
+ * 0 apagado, 1 meseta, intermedio durante una rampa.
+ * @param {{ timeline: object[], overrides: object[] }} history  buildHistory (o el plan)
+ */
+export function rampLevelAt(history, ramps, hoursSinceStart) {
+  if (!hasRamps(ramps)) return historyIsLight(history, hoursSinceStart) ? 1 : 0;
+  const period = rampPeriods(history, ramps, hoursSinceStart, hoursSinceStart)
+    .find((p) => hoursSinceStart >= p.start && hoursSinceStart < p.end);
+  return period ? rampLevel(period, ramps, hoursSinceStart) : 0;
+}
+
+/**
+ * Rampas (amaneceres y atardeceres) que tocan el rango, para dibujarlas.
+ * @returns {{ start: number, end: number, sunrise: boolean, curve: string }[]}
+ */
+export function listRamps(history, ramps, from, to) {
+  if (!hasRamps(ramps)) return [];
+  const out = [];
+  rampPeriods(history, ramps, from, to).forEach((p) => {
+    if (p.up > 0) out.push({ start: p.start, end: p.start + p.up, sunrise: true, curve: ramps.sunrise.curve });
+    if (p.down > 0) out.push({ start: p.end - p.down, end: p.end, sunrise: false, curve: ramps.sunset.curve });
+  });
+  return out.filter((r) => r.end > from && r.start < to);
+}
+
+// Nivel (0–1) de una rampa de listRamps en un momento dentro de ella
+export function rampWindowLevel(ramp, hoursSinceStart) {
+  const x = clamp((hoursSinceStart - ramp.start) / (ramp.end - ramp.start), 0, 1);
+  return RAMP_SHAPES[ramp.curve].f(ramp.sunrise ? x : 1 - x);
+}
+
+/**
+ * Horas de luz equivalentes a pleno entre dos momentos: cada rampa descuenta lo
+ * que le falta para llegar a 1 (un amanecer lineal de 30 min cuenta 15 min).
+ * Con `weight(phase)` se pondera como en litHoursBetween.
+ */
+export function rampedLitHours(history, ramps, from, to, weight = null) {
+  const full = historyLitHours(history, from, to, weight);
+  if (!hasRamps(ramps) || !(to > from)) return full;
+  const phaseWeight = (h) => (weight ? weight(phaseAtHours(history.timeline, historyPlanHours(history, h))) : 1);
+  // Faltante de una rampa entre sus posiciones relativas xa..xb (0–1)
+  const deficit = (start, length, curve, mirrored) => {
+    const xa = clamp((from - start) / length, 0, 1);
+    const xb = clamp((to - start) / length, 0, 1);
+    if (!(xb > xa)) return 0;
+    const { F } = RAMP_SHAPES[curve];
+    const area = mirrored ? F(1 - xa) - F(1 - xb) : F(xb) - F(xa);
+    return length * (xb - xa - area) * phaseWeight(start + length * (xa + xb) / 2);
+  };
+  let missing = 0;
+  rampPeriods(history, ramps, from, to).forEach((p) => {
+    if (p.up > 0) missing += deficit(p.start, p.up, ramps.sunrise.curve, false);
+    if (p.down > 0) missing += deficit(p.end - p.down, p.down, ramps.sunset.curve, true);
+  });
+  return full - missing;
+}
+
+/**
+ * Perfil del dimmer entre dos momentos para controladores programables: cada punto
+ * es el % que rige desde ese momento hasta el siguiente (escalones de `stepMinutes`
+ * durante las rampas). El % es nivel × pico × dimmer de la fase.
+ * @returns {{ hours: number, percent: number }[]}
+ */
+export function buildIntensityProfile(history, ramps, from, to, stepMinutes = 1) {
+  const r = ramps || normalizeRamps(null);
+  const step = Math.max(1 / 60, Number(stepMinutes) / 60 || 1 / 60);
+  const percentAt = (h, level) => {
+    const phase = phaseAtHours(history.timeline, historyPlanHours(history, h));
+    return Math.round(level * r.peak * (phase.dimming ?? 100)) / 100;
+  };
+  const candidates = [];
+  const add = (h, period) => {
+    if (h >= from && h < to) candidates.push({ h, period });
+  };
+  const periods = rampPeriods(history, r, from, to);
+  periods.forEach((p) => {
+    add(p.start, p);
+    for (let h = p.start + step; h < p.start + p.up - 1e-9; h += step) add(h, p);
+    add(p.start + p.up, p);
+    const sunsetFrom = p.end - p.down;
+    if (p.down > 0) for (let h = sunsetFrom; h < p.end - 1e-9; h += step) add(h, p);
+    add(p.end, null);
+  });
+  // El dimmer puede cambiar con la fase en medio de una meseta
+  history.timeline.slice(1).forEach((phase) => {
+    const real = phase.start + (phase.start - historyPlanHours(history, phase.start));
+    add(real, periods.find((p) => real >= p.start && real < p.end) || null);
+  });
+  add(from, periods.find((p) => from >= p.start && from < p.end) || null);
+
+  const points = [];
+  candidates
+    .sort((x, y) => x.h - y.h)
+    .forEach(({ h, period }) => {
+      const percent = percentAt(h, period ? rampLevel(period, r, h) : 0);
+      const last = points[points.length - 1];
+      if (last && Math.abs(last.hours - h) < 1e-9) last.percent = percent;
+      else if (!last || last.percent !== percent) points.push({ hours: h, percent });
+    });
+  return points;
+}
+
+/* ---------- Zona horaria (IANA) ---------- */
+// Las horas del cultivo se cuentan en tiempo real; la zona del cuarto de cultivo
+// solo define el reloj de pared (calendario, temporizador, textos y exportaciones).
+
+export function systemTimeZone() {
+  try {
+    return Intl.DateTimeFormat().resolvedOptions().timeZone || "UTC";
+  } catch {
+    return "UTC";
+  }
+}
+
+export function isValidTimeZone(tz) {
+  if (!tz || typeof tz !== "string") return false;
+  try {
+    new Intl.DateTimeFormat("en-US", { timeZone: tz });
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+// Zona guardada en la configuración; sin zona (archivos viejos) se usa la del sistema
+export function normalizeTimeZone(obj) {
+  return isValidTimeZone(obj?.timeZone) ? obj.timeZone : systemTimeZone();
+}
+
+const partsFormatters = new Map();
+
+function partsFormatter(tz) {
+  if (!partsFormatters.has(tz)) {
+    partsFormatters.set(tz, new Intl.DateTimeFormat("en-US", {
+      timeZone: tz,
+      hourCycle: "h23",
+      year: "numeric",
+      month: "2-digit",
+      day: "2-digit",
+      hour: "2-digit",
+      minute: "2-digit",
+      second: "2-digit",
+    }));
+  }
+  return partsFormatters.get(tz);
+}
+
+/**
+ * Fecha y hora de pared de un instante en la zona.
+ * @returns {{ year: number, month: number, day: number, hour: number, minute: number, second: number }}
+ */
+export function zonedParts(date, tz) {
+  const out = {};
+  partsFormatter(tz).formatToParts(new Date(date)).forEach((p) => {
+    if (p.type !== "literal") out[p.type] = Number(p.value);
+  });
+  return { year: out.year, month: out.month, day: out.day, hour: out.hour % 24, minute: out.minute, second: out.second };
+}
+
+// Adelanto (ms) del reloj de la zona respecto de UTC en ese instante
+function zoneOffsetMs(ms, tz) {
+  const p = zonedParts(ms, tz);
+  const wholeSeconds = ms - (((ms % 1000) + 1000) % 1000);
+  return Date.UTC(p.year, p.month - 1, p.day, p.hour, p.minute, p.second) - wholeSeconds;
+}
+
+/**
+ * Instante de una fecha/hora de pared en la zona. Igual que `new Date(y, m, d, h)`:
+ * una hora que no existe (adelanto de reloj) se corre hacia adelante y una hora
+ * repetida (atraso de reloj) toma la primera vez.
+ */
+export function zonedTimeToDate({ year, month, day, hour = 0, minute = 0, second = 0 }, tz) {
+  const wall = Date.UTC(year, month - 1, day, hour, minute, second);
+  const before = zoneOffsetMs(wall - MS_PER_DAY, tz);
+  const after = zoneOffsetMs(wall + MS_PER_DAY, tz);
+  const valid = [before, after]
+    .map((offset) => wall - offset)
+    .filter((ms) => wall - zoneOffsetMs(ms, tz) === ms);
+  return new Date(valid.length > 0 ? Math.min(...valid) : wall - before);
+}
+
+/**
+ * Interpreta "AAAA-MM-DDTHH:mm" (valor de <input type="datetime-local">) como hora
+ * de pared en la zona. Si el texto ya trae zona (Z / ±hh:mm) o es un timestamp, se respeta.
+ */
+export function parseZonedDateTime(value, tz) {
+  if (value instanceof Date) return new Date(value);
+  const m = /^(\d{4})-(\d{2})-(\d{2})(?:[T ](\d{2}):(\d{2})(?::(\d{2})(?:\.\d+)?)?)?$/.exec(String(value ?? "").trim());
+  if (!m) return new Date(value);
+  const [, year, month, day, hour, minute, second] = m.map((v) => Number(v ?? 0));
+  return zonedTimeToDate({ year, month, day, hour, minute, second }, tz);
+}
+
+// Instante → "AAAA-MM-DDTHH:mm" en la zona (formato de <input type="datetime-local">)
+export function toZonedInputValue(date, tz) {
+  const p = zonedParts(date, tz);
+  return `${p.year}-${pad(p.month)}-${pad(p.day)}T${pad(p.hour)}:${pad(p.minute)}`;
+}
+
+// Como `toLocaleString`, pero siempre en la zona indicada
+export function formatInZone(date, tz, options = {}, locale = []) {
+  return new Date(date).toLocaleString(locale, { ...options, timeZone: tz });
+}
+
+/* ---------- Calendario (días × 24 h) ---------- */
+
+/**
+ * Construye la grilla del calendario: una fila por día calendario de la zona
+ * (desde las 00:00 del día de inicio) y 24 celdas por fila (horas de pared),
+ * con la fracción iluminada exacta y el minuto de cada cambio dentro de la hora.
+ *
+ * Los días de cambio de horario duran 23 o 25 horas reales: la hora que se salta
+ * queda con `skipped` (duración 0) y la que se repite con `repeated` (duración 2).
+ * @param {object[]} timeline  resultado de buildPhaseTimeline
+ * @param {Date} startDateObj  primer encendido
+ * @param {number} durationDays
+ * @param {string} [timeZone]  zona IANA del cuarto de cultivo (por defecto la del sistema)
+ * @param {object} [history]  resultado de buildHistory: celdas y cambios según lo que pasó de verdad
+ * @returns {{ dayIndex: number, date: Date, dayHours: number, dstShift: number, cells: object[] }[]}
+ */
+export function buildGrid(timeline, startDateObj, durationDays, timeZone = systemTimeZone(), history = null) {
+  const rows = [];
+  const days = clamp(Number(durationDays) || 0, 1, 9999);
+  const startMs = startDateObj.getTime();
+  const toHours = (date) => (date.getTime() - startMs) / MS_PER_HOUR;
+
+  // Días civiles de la zona (se avanza con UTC para no depender del reloj del sistema)
+  const first = zonedParts(startDateObj, timeZone);
+  const civilDay = (d) => {
+    const c = new Date(Date.UTC(first.year, first.month - 1, first.day + d));
+    return { year: c.getUTCFullYear(), month: c.getUTCMonth() + 1, day: c.getUTCDate() };
+  };
+  const midnight = (d) => zonedTimeToDate(civilDay(d), timeZone);
+
+  // Todos los cambios del rango, calculados una vez y repartidos por celda
+  let nextDayStart = midnight(0);
+  const allTransitions = history
+    ? historyTransitions(history, toHours(nextDayStart), toHours(midnight(days)))
+    : listTransitions(timeline, toHours(nextDayStart), toHours(midnight(days)));
+  const isLightAt = (h) => (history ? historyIsLight(history, h) : isLightInTimeline(timeline, h));
+  const litHours = (from, to) => (history ? historyLitHours(history, from, to) : litHoursBetween(timeline, from, to));
+  let ti = 0;
+
+  for (let d = 0; d < days; d++) {
+    const dayStart = nextDayStart;
+    nextDayStart = midnight(d + 1);
+    const dayHours = (nextDayStart - dayStart) / MS_PER_HOUR;
+
+    // Bordes de las 24 horas de pared (el último es las 00:00 del día siguiente).
+    // Solo los días de cambio de horario necesitan calcular cada hora en la zona.
+    const edges = dayHours === 24
+      ? Array.from({ length: 25 }, (_, h) => new Date(dayStart.getTime() + h * MS_PER_HOUR))
+      : [...Array.from({ length: 24 }, (_, h) => zonedTimeToDate({ ...civilDay(d), hour: h }, timeZone)), nextDayStart];
+
+    const cells = [];
+    for (let h = 0; h < 24; h++) {
+      const hoursSinceStart = toHours(edges[h]);
+      const duration = toHours(edges[h + 1]) - hoursSinceStart;
+      const transitions = [];
+      while (ti < allTransitions.length && allTransitions[ti].hours < hoursSinceStart + duration) {
+        const t = allTransitions[ti];
+        const wall = zonedParts(startMs + t.hours * MS_PER_HOUR, timeZone);
+        const minute = Math.min(59, wall.minute + (wall.second >= 30 ? 1 : 0));
+        transitions.push({
+          minute,
+          at: (t.hours - hoursSinceStart) / duration, // posición dentro de la celda (0–1)
+          isLight: t.isLight,
+          time: `${pad(h)}:${pad(minute)}`,
+          hours: t.hours,
+        });
+        ti++;
+      }
+      cells.push({
+        hour: h,
+        hoursSinceStart,
+        duration,
+        isLight: isLightAt(hoursSinceStart),
+        litFraction: duration > 0 ? litHours(hoursSinceStart, hoursSinceStart + duration) / duration : 0,
+        transitions,
+        hourLabel: `${pad(h)}:00`,
+        skipped: duration < 1 - 1e-9,
+        repeated: duration > 1 + 1e-9,
+      });
+    }
+    rows.push({ dayIndex: d, date: dayStart, dayHours, dstShift: dayHours - 24, cells });
+  }
+  return rows;
+}
+
+/**
+ * Programa diario de un temporizador de 24 h a partir de la grilla: horarios de
+ * encendido/apagado de cada día y si cambia respecto del día anterior.
+ * @param {{ dayIndex: number, date: Date, cells: object[] }[]} rows  resultado de buildGrid
+ */
+export function buildTimerProgram(rows) {
+  let prevSignature = null;
+  return rows.map((row) => {
+    const transitions = row.cells.flatMap((cell) => cell.transitions);
+    const startsLight = row.cells[0].isLight;
+    const signature = `${startsLight}|${transitions.map((t) => `${t.isLight ? "ON" : "OFF"}${t.time}`).join(",")}`;
+    const changed = prevSignature !== null && signature !== prevSignature;
+    prevSignature = signature;
+    return {
+      day: row.dayIndex + 1,
+      date: row.date,
+      dstShift: row.dstShift,
+      startsLight,
+      onTimes: transitions.filter((t) => t.isLight).map((t) => t.time),
+      offTimes: transitions.filter((t) => !t.isLight).map((t) => t.time),
+      changed,
+    };
+  });
+}
+
+/* ---------- Vistas alternativas (ciclos y reloj de 24 h) ---------- */
+
+/**
+ * Un renglón por ciclo custom entre el inicio y `totalHours`: cada ciclo dura
+ * `cycleLength` horas, así el bloque de luz queda siempre en el mismo lugar.
+ * El último ciclo de una fase puede quedar cortado por el cambio de fase
+ * (`partial`, sin número: no cuenta como día superciclo).
+ * @returns {{ number: number|null, phaseIndex: number, start: number, end: number, cycleLength: number, segments: object[], offsets: number[], partial: boolean }[]}
+ */
+export function buildCycleRows(timeline, totalHours) {
+  const rows = [];
+  for (const phase of timeline) {
+    if (phase.start >= totalHours) break;
+    const limit = Math.min(phase.end, totalHours);
+    for (let k = 0; rows.length < 20000; k++) {
+      const start = phase.start + k * phase.cycleLength;
+      if (start >= limit - 1e-9) break;
+      const partial = start + phase.cycleLength > phase.end + 1e-9;
+      rows.push({
+        number: partial ? null : completedCycles(timeline, start) + 1,
+        phaseIndex: phase.index,
+        start,
+        end: Math.min(start + phase.cycleLength, limit),
+        cycleLength: phase.cycleLength,
+        segments: phase.segments,
+        offsets: phase.offsets,
+        partial,
+      });
+    }
+  }
+  return rows;
+}
+
+/**
+ * Ventanas de luz de un día calendario de la zona, en horas de pared (0–24),
+ * para dibujar un reloj de 24 h. No incluye luz anterior al inicio del cultivo.
+ * @param {Date} date  cualquier instante del día buscado
+ * @returns {{ date: Date, dayHours: number, windows: { from: number, to: number, start: Date, end: Date }[] }}
+ */
+export function dayLightWindows(timeline, startDateObj, date, timeZone) {
+  const p = zonedParts(date, timeZone);
+  const next = new Date(Date.UTC(p.year, p.month - 1, p.day + 1));
+  const dayStart = zonedTimeToDate({ year: p.year, month: p.month, day: p.day }, timeZone);
+  const dayEnd = zonedTimeToDate({ year: next.getUTCFullYear(), month: next.getUTCMonth() + 1, day: next.getUTCDate() }, timeZone);
+  const toHours = (d) => (d.getTime() - startDateObj.getTime()) / MS_PER_HOUR;
+  const toDate = (h) => new Date(startDateObj.getTime() + h * MS_PER_HOUR);
+  const wall = (h) => {
+    if (h >= toHours(dayEnd) - 1e-9) return 24;
+    const w = zonedParts(toDate(h), timeZone);
+    return w.hour + w.minute / 60 + w.second / 3600;
+  };
+  const windows = listLightPeriods(timeline, Math.max(0, toHours(dayStart)), toHours(dayEnd))
+    .filter((period) => period.end > period.start)
+    .map((period) => ({ from: wall(period.start), to: wall(period.end), start: toDate(period.start), end: toDate(period.end) }));
+  return { date: dayStart, dayHours: (dayEnd - dayStart) / MS_PER_HOUR, windows };
+}
+
+/* ---------- API de alto nivel ---------- */
+
+/**
+ * Normaliza una configuración (formato de `_SUPERCICLO.json` o del localStorage).
+ * Acepta tanto el formato con `phases` como el viejo `hoursLight`/`hoursDark`.
+ * @param {object} obj
+ * `startDate` es la hora de pared en `timeZone` (zona IANA del cuarto de cultivo).
+ * `deviations` (cortes y cambios manuales) arma el historial real (`history`, ver buildHistory).
+ * @returns {{ nombreCiclo: string, timeZone: string, startDate: Date, durationDays: number, phases: object[], timeline: object[], deviations: object[], history: object, milestones: object[], energy: object, light: object }}
+ */
+export function loadConfig(obj) {
+  if (obj && Array.isArray(obj.timeline) && obj.startDate instanceof Date) return obj;
+  const timeZone = normalizeTimeZone(obj);
+  const startDate = parseZonedDateTime(obj?.startDate, timeZone);
+  if (isNaN(startDate.getTime())) throw new Error("startDate inválida o ausente");
+  const phases = normalizePhases(obj);
+  if (!phases) throw new Error("La configuración no tiene fases ni horas ON/OFF");
+  const durationDays = Number.isFinite(Number(obj.durationDays)) ? Number(obj.durationDays) : 60;
+  const timeline = buildPhaseTimeline(phases);
+  const deviations = Array.isArray(obj.deviations) ? obj.deviations : [];
+  return {
+    nombreCiclo: obj.nombreCiclo ? String(obj.nombreCiclo) : "",
+    timeZone,
+    startDate,
+    durationDays,
+    phases,
+    timeline,
+    deviations,
+    history: buildHistory(timeline, deviations, startDate),
+    milestones: Array.isArray(obj.milestones) ? obj.milestones : [],
+    energy: normalizeEnergy(obj),
+    light: normalizeLight(obj),
+  };
+}
+
+function hoursSince(config, date) {
+  return (new Date(date).getTime() - config.startDate.getTime()) / MS_PER_HOUR;
+}
+
+/**
+ * Estado del SuperCiclo en un momento dado.
+ * @param {object} rawConfig  configuración (cruda o de loadConfig)
+ * @param {Date|string|number} [date=new Date()]
+ * @returns {{ date: Date, hoursSinceStart: number, started: boolean, isLight: boolean,
+ *   phaseIndex: number, cycleLength: number, superCycleDays: number, energyBalance: number, energy: object,
+ *   next: { date: Date, isLight: boolean, hoursToNext: number } | null,
+ *   milestones: { name: string, date: Date, hoursTo: number }[] }}
+ */
+export function stateAt(rawConfig, date = new Date()) {
+  const config = loadConfig(rawConfig);
+  const h = hoursSince(config, date);
+  // Estado, contadores y energía según el historial real (desvíos y re-anclajes)
+  const { history } = config;
+  const phase = phaseAtHours(config.timeline, historyPlanHours(history, h));
+  const isLight = historyIsLight(history, h);
+  const next = historyNextTransition(history, h);
+  return {
+    date: new Date(date),
+    hoursSinceStart: h,
+    started: h >= 0,
+    isLight,
+    phaseIndex: phase.index,
+    cycleLength: phase.cycleLength,
+    superCycleDays: historyCompletedCycles(history, h),
+    energyBalance: energyBalanceAt(config.timeline, h, history),
+    energy: energyReport(config.timeline, config.energy, h, config.durationDays * 24, history, config.light.ramps),
+    light: {
+      // % del dimmer ahora (rampas, pico y dimmer de la fase)
+      intensity: Math.round(rampLevelAt(history, config.light.ramps, h) * config.light.ramps.peak * phase.dimming) / 100,
+      ppfd: isLight ? phasePpfd(phase, config.light) * rampLevelAt(history, config.light.ramps, h) * config.light.ramps.peak / 100 : 0,
+      molesLast24h: molesBetween(config.timeline, config.light, h - 24, h),
+      molesSoFar: molesBetween(config.timeline, config.light, 0, Math.max(0, h)),
+    },
+    next: next && {
+      date: new Date(config.startDate.getTime() + next.hours * MS_PER_HOUR),
+      isLight: next.isLight,
+      hoursToNext: next.hours - h,
+    },
+    // Hitos con lo que falta (negativo = ya pasó)
+    milestones: buildMilestones(history, config.milestones, config.startDate).map((m) => ({ ...m, hoursTo: m.hours - h })),
+  };
+}
+
+/**
+ * Solo lo que necesita un tablero que se refresca seguido: ON/OFF, próximo cambio
+ * y día superciclo (stateAt calcula además energía, luz e hitos de todo el cultivo).
+ * Conviene pasarle la configuración ya cargada con loadConfig.
+ * @returns {{ hoursSinceStart: number, started: boolean, isLight: boolean, superCycleDays: number,
+ *   next: { date: Date, isLight: boolean, hoursToNext: number } | null }}
+ */
+export function switchStateAt(rawConfig, date = new Date()) {
+  const config = loadConfig(rawConfig);
+  const h = hoursSince(config, date);
+  const next = historyNextTransition(config.history, h);
+  return {
+    hoursSinceStart: h,
+    started: h >= 0,
+    isLight: historyIsLight(config.history, h),
+    superCycleDays: historyCompletedCycles(config.history, h),
+    next: next && {
+      date: new Date(config.startDate.getTime() + next.hours * MS_PER_HOUR),
+      isLight: next.isLight,
+      hoursToNext: next.hours - h,
+    },
+  };
+}
+
+/**
+ * Los próximos `n` cambios ON/OFF a partir de `from`.
+ * @param {object} rawConfig
+ * @param {Date|string|number} [from=new Date()]
+ * @param {number} [n=10]
+ * @returns {{ date: Date, isLight: boolean, hoursSinceStart: number }[]}
+ */
+export function nextTransitions(rawConfig, from = new Date(), n = 10) {
+  const config = loadConfig(rawConfig);
+  const events = [];
+  let h = hoursSince(config, from);
+  while (events.length < n) {
+    const next = historyNextTransition(config.history, h);
+    if (!next) break;
+    events.push({
+      date: new Date(config.startDate.getTime() + next.hours * MS_PER_HOUR),
+      isLight: next.isLight,
+      hoursSinceStart: next.hours,
+    });
+    h = next.hours;
+  }
+  return events;
+}
+
+/**
+ * Calendario completo (días × 24 h) de la configuración, con los desvíos y
+ * re-anclajes registrados; ver buildGrid.
+ * @param {object} rawConfig
+ */
+export function grid(rawConfig) {
+  const config = loadConfig(rawConfig);
+  return buildGrid(config.timeline, config.startDate, config.durationDays, config.timeZone, config.history);
+}
+
+/**
+ * Programa diario del temporizador de la configuración (según el historial real,
+ * como grid); ver buildTimerProgram.
+ * @param {object} rawConfig
+ */
+export function timerProgram(rawConfig) {
+  return buildTimerProgram(grid(rawConfig));
+}
+
+/**
+ * Perfil hora → % del dimmer de todo el cultivo (ver buildIntensityProfile).
+ * @param {object} rawConfig
+ * @param {number} [stepMinutes=1]  resolución de las rampas
+ * @returns {{ date: Date, hoursSinceStart: number, percent: number }[]}
+ */
+export function intensityProfile(rawConfig, stepMinutes = 1) {
+  const config = loadConfig(rawConfig);
+  return buildIntensityProfile(config.history, config.light.ramps, 0, config.durationDays * 24, stepMinutes).map((p) => ({
+    date: new Date(config.startDate.getTime() + p.hours * MS_PER_HOUR),
+    hoursSinceStart: p.hours,
+    percent: p.percent,
+  }));
+}
@@ -0,0 +1,89 @@
+/**
+ * share.js — Enlace para compartir un Superciclo sin servidor
+ * La configuración completa viaja en el hash de la URL (`#sc=...`), comprimida
+ * con deflate (CompressionStream del navegador) y en base64url. El hash no se
+ * envía al servidor, así que la app lo lee offline.
+ *
+ *   #sc=z.<base64url>   JSON comprimido
+ *   #sc=j.<base64url>   JSON sin comprimir (navegadores sin CompressionStream)
+ */
+
+import { ConfigError, validateConfig } from "./config.js";
+
+const HASH_KEY = "sc";
+
+function toBase64Url(bytes) {
+  let binary = "";
+  bytes.forEach((b) => { binary += String.fromCharCode(b); });
+  return btoa(binary).replace(/\+/g, "-").replace(/\//g, "_").replace(/=+$/, "");
+}
+
+function fromBase64Url(text) {
+  const base64 = text.replace(/-/g, "+").replace(/_/g, "/");
+  const binary = atob(base64 + "=".repeat((4 - (base64.length % 4)) % 4));
+  return Uint8Array.from(binary, (ch) => ch.charCodeAt(0));
+}
+
+async function pipeBytes(bytes, stream) {
+  const response = new Response(new Blob([bytes]).stream().pipeThrough(stream));
+  return new Uint8Array(await response.arrayBuffer());
+}
+
+const canCompress = () => typeof CompressionStream === "function" && typeof DecompressionStream === "function";
+
+/**
+ * Hash para compartir (sin "#"), ej. "sc=z.q1ZKzs8pTVWyMjI...".
+ * @param {object} config  configuración serializada (serializeConfig)
+ */
+export async function encodeShareHash(config) {
+  const bytes = new TextEncoder().encode(JSON.stringify(config));
+  if (!canCompress()) return `${HASH_KEY}=j.${toBase64Url(bytes)}`;
+  return `${HASH_KEY}=z.${toBase64Url(await pipeBytes(bytes, new CompressionStream("deflate-raw")))}`;
+}
+
+// ¿El hash trae un Superciclo compartido?
+export function hasShareHash(hash) {
+  return new URLSearchParams(String(hash || "").replace(/^#/, "")).has(HASH_KEY);
+}
+
+/**
+ * Configuración cruda del hash (sin validar: pasarla por validateConfig).
+ * @throws {ConfigError} si el enlace está incompleto o dañado
+ */
+export async function decodeShareHash(hash) {
+  const value = new URLSearchParams(String(hash || "").replace(/^#/, "")).get(HASH_KEY);
+  const match = /^([zj])\.([\w-]+)$/.exec(value || "");
+  if (!match) throw new ConfigError("noLink", undefined, "El enlace no contiene un Superciclo");
+  let bytes;
+  try {
+    bytes = fromBase64Url(match[2]);
+    if (match[1] === "z") {
+      if (!canCompress()) throw new ConfigError("noDecompress", undefined, "Este navegador no puede descomprimir el enlace");
+      bytes = await pipeBytes(bytes, new DecompressionStream("deflate-raw"));
+    }
+    return JSON.parse(new TextDecoder().decode(bytes));
+  } catch (err) {
+    if (err instanceof ConfigError) throw err;
+    throw new ConfigError("brokenLink", { detail: err.message }, `El enlace está incompleto o dañado (${err.message})`);
+  }
+}
+
+/**
+ * Lo que trae el enlace, listo para la vista previa de importación: el resultado
+ * de validateConfig o, si el enlace no se puede leer, un error `fatal` con su clave.
+ * @returns {Promise<{ value: object, errors: object[], fromVersion: number|null, fatal: boolean }>}
+ */
+export async function readShareHash(hash) {
+  try {
+    return validateConfig(await decodeShareHash(hash));
+  } catch (err) {
+    return { value: {}, errors: [{ field: "(enlace)", key: err.key, params: err.params }], fromVersion: null, fatal: true };
+  }
+}
+
+// URL completa para compartir a partir de la dirección actual de la app
+export async function buildShareUrl(config, baseUrl) {
+  const url = new URL(baseUrl);
+  url.hash = await encodeShareHash(config);
+  return url.toString();
+}
@@ -0,0 +1,102 @@
+/**
+ * sheets.js — Tablas para exportar a planilla (ver spreadsheet.js)
+ * Grilla día × hora, lista de cambios ON/OFF y perfil del dimmer, a partir de
+ * las filas de buildGrid y del historial real (buildHistory). Los encabezados
+ * llegan ya traducidos en `labels` (por defecto en español), así sirven igual
+ * para la app y para la CLI.
+ */
+
+import { historyLitHours, historyPlanHours, historyCompletedCycles, phaseAtHours, buildIntensityProfile, toZonedInputValue } from "./schedule.js";
+
+const MS_PER_HOUR = 1000 * 60 * 60;
+
+export const SHEET_LABELS = {
+  grid: "Calendario",
+  transitions: "Cambios",
+  profile: "Perfil dimmer",
+  day: "Día",
+  date: "Fecha",
+  dateTime: "Fecha y hora",
+  changes: "Cambios",
+  litHours: "Horas luz",
+  state: "Estado",
+  hoursSinceStart: "Horas desde inicio",
+  phase: "Fase",
+  cycle: "Ciclo superciclo",
+  dayLitHours: "Horas luz del día",
+  dayMilestones: "Hitos del día",
+  intensity: "Intensidad %",
+};
+
+// Resolución de las rampas en el perfil del dimmer (minutos)
+export const PROFILE_STEP_MINUTES = 1;
+
+export const round2 = (n) => Math.round(n * 100) / 100;
+
+// Horas de luz reales de una fila del calendario (23/24/25 h en días de cambio de horario)
+const rowLitHours = (history, row) => historyLitHours(history, row.cells[0].hoursSinceStart, row.cells[0].hoursSinceStart + row.dayHours);
+
+// Nombres de los hitos de un día ("" si no hay)
+export const dayMilestoneNames = (milestonesByDay, d) => (milestonesByDay[d] || []).map((m) => m.name).join(" · ");
+
+/**
+ * Grilla día × hora tal como la muestra el calendario (estado al comienzo de cada hora).
+ * @param {object} options
+ * @param {object[]} options.rows  filas de buildGrid (con el mismo `history`)
+ * @param {string[]} options.keys  fecha civil (AAAA-MM-DD) de cada fila
+ * @param {object} options.history  resultado de buildHistory
+ * @param {Object<number, {name: string}[]>} [options.milestonesByDay]  hitos por índice de día
+ */
+export function buildGridSheet({ rows, keys, history, milestonesByDay = {}, labels = SHEET_LABELS }) {
+  return {
+    name: labels.grid,
+    headers: [labels.day, labels.date, ...Array.from({ length: 24 }, (_, h) => `${String(h).padStart(2, "0")}:00`), labels.changes, labels.litHours, labels.dayMilestones],
+    rows: rows.map((row, d) => [
+      d + 1,
+      keys[d],
+      ...row.cells.map((cell) => (cell.skipped ? "" : cell.isLight ? "ON" : "OFF")),
+      row.cells.flatMap((cell) => cell.transitions).map((tr) => `${tr.isLight ? "ON" : "OFF"} ${tr.time}`).join(" · "),
+      round2(rowLitHours(history, row)),
+      dayMilestoneNames(milestonesByDay, d),
+    ]),
+  };
+}
+
+// Lista plana de cambios ON/OFF con el ciclo del superciclo y la luz del día
+export function buildTransitionSheet({ rows, keys, history, startDateObj, milestonesByDay = {}, labels = SHEET_LABELS }) {
+  const out = [];
+  rows.forEach((row, d) => {
+    const litHours = round2(rowLitHours(history, row));
+    const names = dayMilestoneNames(milestonesByDay, d);
+    row.cells.forEach((cell) => cell.transitions.forEach((tr) => {
+      out.push([
+        `${keys[d]} ${tr.time}`,
+        new Date(startDateObj.getTime() + tr.hours * MS_PER_HOUR).toISOString(),
+        tr.isLight ? "ON" : "OFF",
+        round2(tr.hours),
+        phaseAtHours(history.timeline, historyPlanHours(history, tr.hours)).index + 1,
+        historyCompletedCycles(history, tr.hours) + 1,
+        d + 1,
+        litHours,
+        names,
+      ]);
+    }));
+  });
+  return {
+    name: labels.transitions,
+    headers: [labels.dateTime, "UTC", labels.state, labels.hoursSinceStart, labels.phase, labels.cycle, labels.day, labels.dayLitHours, labels.dayMilestones],
+    rows: out,
+  };
+}
+
+// Perfil hora → % del dimmer de todo el cultivo: cada fila rige hasta la siguiente
+export function buildProfileSheet({ history, ramps, totalHours, startDateObj, timeZone, labels = SHEET_LABELS }) {
+  return {
+    name: labels.profile,
+    headers: [labels.dateTime, "UTC", labels.hoursSinceStart, labels.intensity],
+    rows: buildIntensityProfile(history, ramps, 0, totalHours, PROFILE_STEP_MINUTES).map((p) => {
+      const at = new Date(startDateObj.getTime() + p.hours * MS_PER_HOUR);
+      return [toZonedInputValue(at, timeZone).replace("T", " "), at.toISOString(), Math.round(p.hours * 10000) / 10000, p.percent];
+    }),
+  };
+}
@@ -0,0 +1,127 @@
+/**
+ * snapshots.js — Deshacer/rehacer y versiones guardadas de la configuración
+ *
+ * Deshacer: pila en memoria de configuraciones completas ({ startDate, phases, … }
+ * como las arma la app para serializeConfig). Los campos son inmutables, así que
+ * cada paso guarda referencias y no copias.
+ *   { past: [config, …], present: config | null, future: [config, …] }
+ *
+ * Versiones: lista persistente (la más nueva primero) para volver atrás después
+ * de recargar la página, por ejemplo tras restablecer o importar por error:
+ *   [{ id, at, reason: "auto" | "manual" | "reset" | "import" | "restore", config }]
+ * `config` es el objeto de serializeConfig sin las fotos del diario (no entrarían
+ * en el localStorage); al restaurar se recuperan las que sigan en el diario actual.
+ */
+
+export const MAX_UNDO_STEPS = 100;
+export const MAX_SNAPSHOTS = 30;
+// Versión automática como mucho cada 10 min (y solo si algo cambió)
+export const SNAPSHOT_INTERVAL_MINUTES = 10;
+
+export const SNAPSHOT_REASONS = [
+  { id: "auto", label: "Automática", icon: "🕘" },
+  { id: "manual", label: "Guardada a mano", icon: "📸" },
+  { id: "reset", label: "Antes de restablecer", icon: "🔁" },
+  { id: "import", label: "Antes de importar", icon: "📂" },
+  { id: "restore", label: "Antes de restaurar", icon: "⏪" },
+];
+
+/* ---------- Deshacer / rehacer ---------- */
+export function createUndo() {
+  return { past: [], present: null, future: [] };
+}
+
+// Misma configuración si todos los campos son el mismo objeto/valor
+export function sameConfig(a, b) {
+  if (a === b) return true;
+  if (!a || !b) return false;
+  const keys = new Set([...Object.keys(a), ...Object.keys(b)]);
+  for (const key of keys) if (a[key] !== b[key]) return false;
+  return true;
+}
+
+// Registra `current` como paso nuevo (si cambió); un cambio nuevo borra lo rehecho
+export function recordUndo(state, current) {
+  if (state.present === null) return { ...state, present: current };
+  if (sameConfig(state.present, current)) return state;
+  return {
+    past: [...state.past, state.present].slice(-MAX_UNDO_STEPS),
+    present: current,
+    future: [],
+  };
+}
+
+// Primero registra lo que todavía no entró (cambios dentro del debounce)
+export function undoStep(state, current) {
+  const s = recordUndo(state, current);
+  if (s.past.length === 0) return s;
+  return {
+    past: s.past.slice(0, -1),
+    present: s.past[s.past.length - 1],
+    future: [s.present, ...s.future],
+  };
+}
+
+export function redoStep(state, current) {
+  const s = recordUndo(state, current);
+  if (s.future.length === 0) return s;
+  return {
+    past: [...s.past, s.present],
+    present: s.future[0],
+    future: s.future.slice(1),
+  };
+}
+
+/* ---------- Versiones guardadas ---------- */
+function stripPhotos(journal) {
+  if (!journal || typeof journal !== "object") return journal;
+  const out = {};
+  Object.entries(journal).forEach(([key, entries]) => {
+    out[key] = Array.isArray(entries) ? entries.map((e) => ({ ...e, photos: [] })) : entries;
+  });
+  return out;
+}
+
+// Vuelve a poner las fotos de las notas que siguen en el diario actual (mismo id)
+export function restoreJournalPhotos(journal, currentJournal) {
+  if (!journal || typeof journal !== "object") return journal;
+  const photos = new Map();
+  Object.values(currentJournal || {}).forEach((entries) => entries.forEach((e) => photos.set(e.id, e.photos)));
+  const out = {};
+  Object.entries(journal).forEach(([key, entries]) => {
+    out[key] = entries.map((e) => (photos.has(e.id) ? { ...e, photos: photos.get(e.id) } : e));
+  });
+  return out;
+}
+
+/**
+ * Agrega una versión al principio de la lista. Si la configuración es igual a la
+ * más reciente no agrega nada (salvo las guardadas a mano, que solo cambian el motivo).
+ * @param {object[]} list versiones actuales
+ * @param {object} config objeto de serializeConfig
+ * @returns {object[]} nueva lista (como mucho MAX_SNAPSHOTS)
+ */
+export function addSnapshot(list, config, { reason = "auto", at = new Date() } = {}) {
+  const stored = { ...config, journal: stripPhotos(config.journal) };
+  const latest = list[0];
+  if (latest && JSON.stringify(latest.config) === JSON.stringify(stored)) {
+    if (reason === "auto" || latest.reason === reason) return list;
+  }
+  const id = `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 7)}`;
+  return [{ id, at: at.toISOString(), reason, config: stored }, ...list].slice(0, MAX_SNAPSHOTS);
+}
+
+// ¿Toca una versión automática? (la última tiene más de SNAPSHOT_INTERVAL_MINUTES)
+export function snapshotDue(list, now = new Date()) {
+  if (list.length === 0) return true;
+  return now.getTime() - new Date(list[0].at).getTime() >= SNAPSHOT_INTERVAL_MINUTES * 60000;
+}
+
+// Lista leída del localStorage: descarta lo que no tenga forma de versión
+export function normalizeSnapshots(raw) {
+  if (!Array.isArray(raw)) return [];
+  return raw
+    .filter((s) => s && typeof s.id === "string" && typeof s.at === "string" && !isNaN(new Date(s.at).getTime()) && s.config && typeof s.config === "object")
+    .map((s) => ({ ...s, reason: SNAPSHOT_REASONS.some((r) => r.id === s.reason) ? s.reason : "auto" }))
+    .slice(0, MAX_SNAPSHOTS);
+}
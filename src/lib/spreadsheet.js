@@ -0,0 +1,183 @@
+/**
+ * spreadsheet.js — Exportación a CSV y XLSX sin dependencias
+ * Una tabla es { name, headers: string[], rows: (string|number|null)[][] }.
+ * El XLSX se arma a mano (SpreadsheetML dentro de un ZIP sin compresión), así
+ * funciona igual en el navegador y en Node.
+ */
+
+/* ---------- CSV ---------- */
+
+function csvCell(v) {
+  if (v === null || v === undefined) return "";
+  const text = String(v);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+// CSV (RFC 4180) con BOM para que Excel detecte UTF-8
+export function toCSV(table) {
+  const lines = [table.headers, ...table.rows].map((row) => row.map(csvCell).join(","));
+  return `\uFEFF${lines.join("\r\n")}\r\n`;
+}
+
+/* ---------- ZIP (solo "stored") ---------- */
+
+const CRC_TABLE = Array.from({ length: 256 }, (_, n) => {
+  let c = n;
+  for (let k = 0; k < 8; k++) c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+  return c >>> 0;
+});
+
+export function crc32(bytes) {
+  let crc = 0xffffffff;
+  for (let i = 0; i < bytes.length; i++) crc = CRC_TABLE[(crc ^ bytes[i]) & 0xff] ^ (crc >>> 8);
+  return (crc ^ 0xffffffff) >>> 0;
+}
+
+function zipStored(files) {
+  const encoder = new TextEncoder();
+  const locals = [];
+  const centrals = [];
+  let offset = 0;
+  files.forEach(({ name, content }) => {
+    const nameBytes = encoder.encode(name);
+    const data = typeof content === "string" ? encoder.encode(content) : content;
+    const crc = crc32(data);
+
+    const local = new DataView(new ArrayBuffer(30));
+    local.setUint32(0, 0x04034b50, true);
+    local.setUint16(4, 20, true);           // versión necesaria
+    local.setUint16(8, 0, true);            // sin compresión
+    local.setUint32(14, crc, true);
+    local.setUint32(18, data.length, true);
+    local.setUint32(22, data.length, true);
+    local.setUint16(26, nameBytes.length, true);
+    locals.push(new Uint8Array(local.buffer), nameBytes, data);
+
+    const central = new DataView(new ArrayBuffer(46));
+    central.setUint32(0, 0x02014b50, true);
+    central.setUint16(4, 20, true);
+    central.setUint16(6, 20, true);
+    central.setUint32(16, crc, true);
+    central.setUint32(20, data.length, true);
+    central.setUint32(24, data.length, true);
+    central.setUint16(28, nameBytes.length, true);
+    central.setUint32(42, offset, true);
+    centrals.push(new Uint8Array(central.buffer), nameBytes);
+
+    offset += 30 + nameBytes.length + data.length;
+  });
+
+  const centralSize = centrals.reduce((acc, part) => acc + part.length, 0);
+  const end = new DataView(new ArrayBuffer(22));
+  end.setUint32(0, 0x06054b50, true);
+  end.setUint16(8, files.length, true);
+  end.setUint16(10, files.length, true);
+  end.setUint32(12, centralSize, true);
+  end.setUint32(16, offset, true);
+
+  const parts = [...locals, ...centrals, new Uint8Array(end.buffer)];
+  const out = new Uint8Array(parts.reduce((acc, part) => acc + part.length, 0));
+  let pos = 0;
+  parts.forEach((part) => {
+    out.set(part, pos);
+    pos += part.length;
+  });
+  return out;
+}
+
+/* ---------- XLSX ---------- */
+
+// Caracteres de control no permitidos en XML (tab, salto de línea y retorno sí van)
+const isXmlControl = (ch) => {
+  const code = ch.charCodeAt(0);
+  return code < 0x20 && code !== 0x09 && code !== 0x0a && code !== 0x0d;
+};
+
+const xmlEscape = (text) => Array.from(String(text)).filter((ch) => !isXmlControl(ch)).join("")
+  .replace(/&/g, "&amp;")
+  .replace(/</g, "&lt;")
+  .replace(/>/g, "&gt;")
+  .replace(/"/g, "&quot;");
+
+// 0 → "A", 25 → "Z", 26 → "AA"
+function columnName(index) {
+  let name = "";
+  for (let n = index + 1; n > 0; n = Math.floor((n - 1) / 26)) name = String.fromCharCode(65 + ((n - 1) % 26)) + name;
+  return name;
+}
+
+function sheetXml(table) {
+  const rowXml = (cells, r, style) => `<row r="${r}">${cells.map((v, c) => {
+    const ref = `${columnName(c)}${r}`;
+    if (v === null || v === undefined || v === "") return "";
+    if (typeof v === "number" && Number.isFinite(v)) return `<c r="${ref}"${style}><v>${v}</v></c>`;
+    return `<c r="${ref}" t="inlineStr"${style}><is><t xml:space="preserve">${xmlEscape(v)}</t></is></c>`;
+  }).join("")}</row>`;
+  const widths = table.headers.map((h, c) => Math.min(40, Math.max(String(h).length, ...table.rows.slice(0, 200).map((row) => String(row[c] ?? "").length)) + 2));
+  return '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>'
+    + '<worksheet xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main">'
+    + '<sheetViews><sheetView workbookViewId="0"><pane ySplit="1" topLeftCell="A2" activePane="bottomLeft" state="frozen"/></sheetView></sheetViews>'
+    + `<cols>${widths.map((w, c) => `<col min="${c + 1}" max="${c + 1}" width="${w}" customWidth="1"/>`).join("")}</cols>`
+    + `<sheetData>${rowXml(table.headers, 1, ' s="1"')}${table.rows.map((row, i) => rowXml(row, i + 2, "")).join("")}</sheetData>`
+    + "</worksheet>";
+}
+
+// Nombre de hoja válido para Excel (máx. 31 caracteres, sin []:*?/\)
+const sheetName = (name, i) => (String(name || `Hoja${i + 1}`).replace(/[[\]:*?/\\]/g, " ").slice(0, 31) || `Hoja${i + 1}`);
+
+/**
+ * Libro XLSX con una hoja por tabla.
+ * @param {{ name: string, headers: string[], rows: any[][] }[]} tables
+ * @returns {Uint8Array}
+ */
+export function toXLSX(tables) {
+  const files = [
+    {
+      name: "[Content_Types].xml",
+      content: '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>'
+        + '<Types xmlns="http://schemas.openxmlformats.org/package/2006/content-types">'
+        + '<Default Extension="rels" ContentType="application/vnd.openxmlformats-package.relationships+xml"/>'
+        + '<Default Extension="xml" ContentType="application/xml"/>'
+        + '<Override PartName="/xl/workbook.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.sheet.main+xml"/>'
+        + '<Override PartName="/xl/styles.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.styles+xml"/>'
+        + tables.map((_, i) => `<Override PartName="/xl/worksheets/sheet${i + 1}.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.worksheet+xml"/>`).join("")
+        + "</Types>",
+    },
+    {
+      name: "_rels/.rels",
+      content: '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>'
+        + '<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">'
+        + '<Relationship Id="rId1" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/officeDocument" Target="xl/workbook.xml"/>'
+        + "</Relationships>",
+    },
+    {
+      name: "xl/workbook.xml",
+      content: '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>'
+        + '<workbook xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main" xmlns:r="http://schemas.openxmlformats.org/officeDocument/2006/relationships">'
+        + `<sheets>${tables.map((t, i) => `<sheet name="${xmlEscape(sheetName(t.name, i))}" sheetId="${i + 1}" r:id="rId${i + 1}"/>`).join("")}</sheets>`
+        + "</workbook>",
+    },
+    {
+      name: "xl/_rels/workbook.xml.rels",
+      content: '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>'
+        + '<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">'
+        + tables.map((_, i) => `<Relationship Id="rId${i + 1}" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/worksheet" Target="worksheets/sheet${i + 1}.xml"/>`).join("")
+        + `<Relationship Id="rId${tables.length + 1}" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/styles" Target="styles.xml"/>`
+        + "</Relationships>",
+    },
+    {
+      // Estilo 1 = encabezado en negrita
+      name: "xl/styles.xml",
+      content: '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>'
+        + '<styleSheet xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main">'
+        + '<fonts count="2"><font><sz val="11"/><name val="Calibri"/></font><font><b/><sz val="11"/><name val="Calibri"/></font></fonts>'
+        + '<fills count="2"><fill><patternFill patternType="none"/></fill><fill><patternFill patternType="gray125"/></fill></fills>'
+        + '<borders count="1"><border><left/><right/><top/><bottom/><diagonal/></border></borders>'
+        + '<cellStyleXfs count="1"><xf numFmtId="0" fontId="0" fillId="0" borderId="0"/></cellStyleXfs>'
+        + '<cellXfs count="2"><xf numFmtId="0" fontId="0" fillId="0" borderId="0" xfId="0"/><xf numFmtId="0" fontId="1" fillId="0" borderId="0" xfId="0" applyFont="1"/></cellXfs>'
+        + "</styleSheet>",
+    },
+    ...tables.map((t, i) => ({ name: `xl/worksheets/sheet${i + 1}.xml`, content: sheetXml(t) })),
+  ];
+  return zipStored(files);
+}
@@ -0,0 +1,472 @@
+/**
+ * en.js — Textos en inglés
+ */
+
+export default {
+  // Generales
+  "app.subtitle": "Set up your SuperCycle and see your calendar",
+  "app.language": "Language",
+  "common.close": "Close",
+  "common.and": "and",
+  "unit.hours": "h",
+
+  // Vistas del calendario
+  "view.grid": "📅 Days × 24 h",
+  "view.cycles": "🔁 Cycles",
+  "view.clock": "🕒 24 h clock",
+
+  // Celdas de la grilla
+  "cell.skipped": "Does not exist (clocks go forward)",
+  "cell.repeated": "Repeated hour (clocks go back)",
+  "cell.turnsOn": "Turns on {time}",
+  "cell.turnsOff": "Turns off {time}",
+  "cell.lit": "{percent}% light",
+  "cell.actual": "Actual: {percent}% light (deviation)",
+  "cell.scenario": "{name}: {percent}% light",
+  "cell.local": "Your time: {time}",
+
+  // Cambios ON/OFF
+  "event.on": "Lights on",
+  "event.off": "Lights off",
+  "event.none": "no changes",
+
+  // Calendario (.ics)
+  "ics.export": "Export to calendar",
+  "ics.periods": "One event per light period",
+  "ics.transitions": "One event per switch",
+  "ics.alarmLabel": "Alert",
+  "ics.lightOn": "Light ON",
+  "ics.alarm": "{action} in {minutes} min — {name}",
+
+  // Planillas (CSV / XLSX) y perfil del dimmer
+  "sheet.grid": "Calendar",
+  "sheet.transitions": "Switches",
+  "sheet.transitionsLabel": "ON/OFF switches",
+  "sheet.profile": "Dimmer profile",
+  "sheet.profileTitle": "Time → dimmer % for the whole grow, with ramps (for 0–10 V / PWM controllers)",
+  "sheet.day": "Day",
+  "sheet.date": "Date",
+  "sheet.dateTime": "Date and time",
+  "sheet.changes": "Switches",
+  "sheet.litHours": "Light hours",
+  "sheet.state": "State",
+  "sheet.hoursSinceStart": "Hours since start",
+  "sheet.phase": "Phase",
+  "sheet.cycle": "Supercycle cycle",
+  "sheet.dayLitHours": "Light hours of the day",
+  "sheet.dayMilestones": "Milestones of the day",
+  "sheet.rule": "Rule",
+  "sheet.intensity": "Intensity %",
+
+  // Campos de la configuración (vista previa de importación)
+  "field.nombreCiclo": "Grow name",
+  "field.startDate": "Start (Light ON)",
+  "field.timeZone": "Time zone",
+  "field.durationDays": "Duration (days)",
+  "field.phases": "Phases",
+  "field.energy": "Power usage",
+  "field.light": "Light (PPFD / DLI)",
+  "field.journal": "Grow journal",
+  "field.deviations": "Real deviations",
+  "field.scenarios": "Scenarios",
+  "field.milestones": "Milestones",
+  "summary.energy": "{fixtures} fixture(s) · {watts} W · {currency} {price}/kWh",
+  "summary.ramps": "ramps {sunrise}/{sunset} min at {peak}%",
+  "summary.journal": "{entries} note(s) on {days} day(s) · {photos} photo(s)",
+  "summary.deviations": "{count} deviation(s) · {reanchored} re-anchored",
+
+  // Vista previa de importación
+  "import.openShared": "Open shared Supercycle",
+  "import.load": "Load {file}",
+  "import.migrates": "File v{from}: upgraded to format v{to}.",
+  "import.field": "Field",
+  "import.current": "Current",
+  "import.file": "File",
+  "import.same": "The valid fields in the file match the current configuration.",
+  "import.invalid": "{count} invalid field(s) — not loaded:",
+  "import.saveAsMine": "Save as my configuration (replaces the one saved in this browser)",
+  "import.asNewCycle": "Load as a new cycle in the library (leaves the current one untouched)",
+  "import.keep": "Keep current values",
+  "import.loadValid": "Load only the valid fields",
+  "import.confirm": "Load",
+
+  // Motivos de validación
+  "reason.number": "must be a number",
+  "reason.integer": "must be a whole number",
+  "reason.min": "must be greater than or equal to {min}",
+  "reason.range": "must be between {min} and {max}",
+  "reason.dateFormat": "must use the format YYYY-MM-DDTHH:mm",
+  "reason.invalidDate": "is not a valid date",
+  "reason.phases": "must be a list with at least one phase",
+  "reason.object": "must be an object",
+  "reason.segments": "must have at least one ON/OFF segment",
+  "reason.isLight": "must be true (ON) or false (OFF)",
+  "reason.cycleZero": "the cycle must last more than 0 h",
+  "reason.list": "must be a list",
+  "reason.currency": "must be a 3-letter currency code (e.g. USD, EUR)",
+  "reason.dliMax": "must be greater than or equal to dliMin",
+  "reason.oneOf": "must be one of: {options}",
+  "reason.iso": "must be an ISO date and time",
+  "reason.text": "must be text",
+  "reason.photos": "must be a list of up to {max} images (data URL)",
+  "reason.photoSize": "each photo must take up to {kb} KB",
+  "reason.journal": "must be an object { \"YYYY-MM-DD\": [notes] }",
+  "reason.journalKey": "the key must be a YYYY-MM-DD date",
+  "reason.notes": "must be a list of notes",
+  "reason.positive": "must be greater than 0",
+  "reason.boolean": "must be true or false",
+  "reason.deviations": "must be a list of deviations",
+  "reason.scenarios": "must be a list of scenarios",
+  "reason.maxScenarios": "cannot have more than {max} scenarios (the first ones are loaded)",
+  "reason.milestones": "must be a list of milestones",
+  "reason.maxLength": "cannot be longer than {max} characters",
+  "reason.timeZone": "unknown time zone: {zone}",
+  "reason.unknownField": "unknown field (ignored)",
+  "reason.empty": "has no configuration fields",
+  "reason.json": "is not valid JSON",
+  "reason.notConfig": "The file does not contain a Supercycle configuration",
+  "reason.badVersion": "Invalid configuration version: {version}",
+  "reason.newerVersion": "The configuration comes from a newer version (v{version}); update the app",
+  "reason.noLink": "The link does not contain a Supercycle",
+  "reason.noDecompress": "This browser cannot decompress the link",
+  "reason.brokenLink": "The link is incomplete or damaged ({detail})",
+
+  // Diario del cultivo
+  "journal.day": "Day {number}",
+  "journal.pdfTitle": "Grow journal - {title}",
+  "journal.empty": "No notes for this day yet.",
+  "journal.remove": "Delete note",
+  "journal.photo": "Photo {number}",
+  "journal.newPhoto": "New photo {number}",
+  "journal.photoExpanded": "Enlarged photo",
+  "journal.removePhoto": "Remove photo",
+  "journal.photos": "Photos",
+  "journal.placeholder": "E.g. 1.5 L per pot, 10 % runoff",
+  "journal.add": "Add note",
+  "journal.photoError": "Could not read the image {file}",
+  "journal.photoTooBig": "The image {file} is still too large after shrinking it.",
+  "journal.maxPhotos": "At most {max} photos per note.",
+  "journalType.riego": "Watering",
+  "journalType.nutrientes": "Nutrients",
+  "journalType.entrenamiento": "Training",
+  "journalType.problema": "Problem",
+  "journalType.nota": "Note",
+
+  // Desvíos reales
+  "deviation.reanchored": "re-anchored",
+  "deviation.remove": "Remove deviation",
+  "deviation.from": "From (grow room time)",
+  "deviation.hours": "Duration (hours)",
+  "deviation.note": "Note (optional)",
+  "deviation.reanchor": "Re-anchor from here (later cycles shift by its duration)",
+  "deviation.add": "Log deviation",
+  "deviation.hint": "Current state, supercycle days and power usage follow what really happened; the calendar shows plan and actual.",
+  "deviationType.corte": "Power outage",
+  "deviationType.manual-on": "Manual switch on",
+  "deviationType.manual-off": "Manual switch off",
+  "deviationType.falla-on": "Timer failure (stayed ON)",
+  "deviationType.falla-off": "Timer failure (stayed OFF)",
+
+  // Escenarios
+  "scenario.title": "Compare scenarios",
+  "scenario.active": "Active",
+  "scenario.defaultName": "Scenario {number}",
+  "scenario.previous": "Previous settings",
+  "scenario.pattern": "Pattern (h)",
+  "scenario.cycle": "Cycle",
+  "scenario.litHours": "Light hours",
+  "scenario.balance": "Balance vs 12/12",
+  "scenario.cycles": "Superciclo cycles",
+  "scenario.finish": "End",
+  "scenario.cost": "Energy cost",
+  "scenario.actions": "Actions",
+  "scenario.compare": "Show in grid",
+  "scenario.compareTitle": "Overlay this scenario on the calendar",
+  "scenario.promote": "Use",
+  "scenario.promoteTitle": "Make it the active settings (the current ones become a scenario)",
+  "scenario.remove": "Remove scenario",
+  "scenario.add": "Scenario from the current settings (up to {max})",
+  "scenario.hint": "Each scenario uses the start, time zone, fixtures and ramps of the active settings; green/red numbers are the difference from the active ones.",
+  "scenario.overlay": "Overlay",
+  "scenario.diff": "Differences",
+  "scenario.stopCompare": "Stop comparing",
+  "library.title": "Cycles",
+  "library.hint": "Each cycle is a full Supercycle (one tent or room). The one marked ✏️ is being edited; the rest keep running and show up here. 🚀 Load Supercycle accepts a single cycle or a whole library.",
+  "library.cycle": "Cycle",
+  "library.now": "Now",
+  "library.next": "Next change",
+  "library.inHours": "in {hours} h",
+  "library.notStarted": "not started",
+  "library.noData": "no saved data",
+  "library.editing": "This is the one being edited",
+  "library.open": "Open",
+  "library.rename": "Rename",
+  "library.renamePrompt": "Cycle name",
+  "library.duplicate": "Duplicate",
+  "library.export": "Export this cycle (_SUPERCICLO.json)",
+  "library.archive": "Archive (leaves the panel, not deleted)",
+  "library.unarchive": "Unarchive",
+  "library.delete": "Delete cycle",
+  "library.deleteConfirm": "Delete the cycle “{name}” and its journal? This cannot be undone (export it first to keep it).",
+  "library.archived": "Archived ({count})",
+  "library.create": "New cycle",
+  "library.exportAll": "Export library",
+  "library.newName": "Cycle {number}",
+  "library.copyName": "{name} (copy)",
+  "library.importConfirm": "{count} cycle(s) will be added to the library: {names}. Skipped as invalid: {invalid}.",
+  "library.importEmpty": "The library has no valid cycles.",
+  "load.title": "Electrical load (shared circuit)",
+  "load.limit": "Circuit limit",
+  "load.noLimit": "no limit",
+  "load.noFixtures": "No cycle has fixtures yet. Add them under ⚡ Power usage in each cycle to see the total load.",
+  "load.chart": "Total lighting load over time",
+  "load.peakShort": "peak {watts}",
+  "load.peak": "Peak: {watts} on {date}",
+  "load.over": "Goes over the {limit} limit for {hours} h in total; first on {date}.",
+  "load.under": "Never goes over the {limit} limit.",
+  "load.offset": "Shift start",
+  "load.offsetHours": "+{hours} h",
+  "load.apply": "Apply",
+  "load.applyAll": "Apply all",
+  "load.suggest": "Suggest offsets",
+  "load.recalculate": "Recalculate",
+  "load.fits": "With these offsets the peak is {watts}, within the limit.",
+  "load.noFit": "No offset is enough: the best one leaves the peak at {watts}. You need another circuit or fewer fixtures on at the same time.",
+  "load.hint": "Adds up the fixture power of each non-archived cycle while its lights are on, scaled by the dimmer level (ramps, peak and phase dimmer), deviations included. Shifting the start delays the whole cycle: light and dark hours stay the same.",
+  "milestone.name": "Milestone name",
+  "milestone.value": "Amount",
+  "milestone.rule": "{value} {unit} {from}",
+  "milestone.fromStart": "from the start",
+  "milestone.fromPhase": "from phase {number}",
+  "milestone.add": "Add milestone",
+  "milestone.remove": "Remove milestone",
+  "milestone.noPhase": "that phase does not exist",
+  "milestone.in": "in {days} d {hours} h",
+  "milestone.reached": "reached",
+  "milestone.count": "{cycles} superciclo cycles · {days} days",
+  "milestone.legend": "(actual date, with re-anchored deviations)",
+  "milestone.hint": "Days are 24 h days and cycles are superciclo cycles (a phase of 25 h cycles adds 25 h per cycle). Counting from a phase covers rules like “63 cycles after flip”.",
+  "milestone.preset.flip": "Flip to flower",
+  "milestone.preset.stretchEnd": "End of stretch",
+  "milestone.preset.flush": "Flush start",
+  "milestone.preset.harvest": "Harvest",
+  "milestoneUnit.days": "24 h days",
+  "milestoneUnit.cycles": "superciclo cycles",
+
+  // Compartir
+  "share.title": "Share Supercycle",
+  "share.hint": "The link carries the whole configuration (it never goes through a server). Opening it asks for confirmation.",
+  "share.copy": "Copy link",
+  "share.copied": "Copied",
+  "share.copyError": "Could not copy; select the link and copy it by hand.",
+  "share.send": "Send…",
+  "share.qrAlt": "Supercycle QR code",
+  "share.downloadQr": "Download QR",
+  "share.qrTooLarge": "The configuration is too large for a QR code; share the link instead.",
+  "shared.banner": "You are viewing a shared Supercycle: changes are not saved.",
+  "shared.keep": "Save as mine",
+  "shared.leave": "Back to mine",
+
+  // Vistas alternativas
+  "cycles.title": "SUPERCYCLE CYCLES",
+  "cycles.cycle": "Cycle",
+  "cycles.start": "Start",
+  "cycles.lightOn": "Light ON",
+  "cycles.partial": "Cycle cut short by the phase change (does not count as a supercycle day)",
+  "clock.title": "24 H CLOCK",
+  "clock.aria": "Light windows for today and tomorrow",
+  "clock.noLight": "no light",
+  "clock.today": "Today",
+  "clock.tomorrow": "Tomorrow",
+
+  // Validación del formulario
+  "error.startRequired": "The start date is required.",
+  "error.startFormat": "Invalid date format.",
+  "error.segmentHours": "Phase {number}: invalid segment hours.",
+  "error.cycleZero": "Phase {number}: the cycle must last more than 0 h.",
+  "error.duration": "Duration must be >= 1 day.",
+
+  // Avisos
+  "notify.unsupported": "This browser does not support notifications.",
+  "notify.denied": "Notification permission denied. Enable it in the browser settings.",
+  "notify.on": "Alerts on",
+  "notify.off": "Turn on alerts",
+  "notify.minutesBefore": "min before",
+  "notify.bodyOn": "🔆 Light ON at {time}",
+  "notify.bodyOff": "🌙 Light OFF at {time}",
+
+  // Exportación PDF / JPG
+  "export.noCalendar": "The calendar to export was not found.",
+  "export.noTimerSheet": "The timer program was not found.",
+  "export.pdfError": "Error while generating the PDF.",
+  "export.error": "Something went wrong while generating the download.",
+  "export.overlayImage": "Generating HD image...",
+  "export.overlayPdf": "Generating HD PDF...",
+  "export.generatingImage": "Generating image...",
+  "export.generatingPdf": "Generating PDF...",
+  "export.downloadJpg": "Download JPG",
+  "export.downloadPdf": "Download PDF",
+  "reset.confirm": "Reset everything? You can undo it with Ctrl+Z or from 🕘 History.",
+  "reset.confirmNotes": "Reset everything? The {notes} journal notes will be deleted too. You can undo it with Ctrl+Z or from 🕘 History.",
+
+  // Configuración
+  "config.title": "Settings",
+  "config.firstOn": "First light-on",
+  "config.firstOnSuffix": "of the Supercycle",
+  "config.timeZone": "Grow room time zone",
+  "config.showLocal": "Also show my time ({zone})",
+  "config.namePlaceholder": "E.g. Auto Amnesia",
+  "config.days": "Days",
+  "config.dropHint": "Drop your file here or click",
+  "config.load": "Load Supercycle",
+  "config.save": "Save Supercycle",
+  "config.share": "Share (link / QR)",
+  "config.storageError": "Could not save in this browser (out of space, too many journal photos?). Use 💾 Save Supercycle so you don't lose data.",
+  "config.reset": "Reset",
+  "undo.undo": "Undo",
+  "undo.redo": "Redo",
+  "undo.undoTitle": "Undo the last change (Ctrl+Z)",
+  "undo.redoTitle": "Redo (Ctrl+Shift+Z or Ctrl+Y)",
+  "undo.resetHint": "Reset, import and restore can be undone; a version is kept in 🕘 History first.",
+  "snapshot.title": "Version history",
+  "snapshot.open": "History ({count})",
+  "snapshot.hint": "Versions saved in this browser: an automatic one every 10 min if something changed, and one before each reset, import or restore. Journal photos are not kept here; restoring brings back the ones still in the journal.",
+  "snapshot.empty": "No saved versions yet.",
+  "snapshot.restore": "Restore",
+  "snapshot.remove": "Delete version",
+  "snapshot.save": "Save version now",
+  "snapshotReason.auto": "Automatic",
+  "snapshotReason.manual": "Saved manually",
+  "snapshotReason.reset": "Before reset",
+  "snapshotReason.import": "Before import",
+  "snapshotReason.restore": "Before restore",
+  "tip.title": "Tip:",
+  "tip.desktop": "for the best export quality, use a desktop or laptop computer.",
+  "tip.mobile": "On mobile devices the calendar is exported as a JPG image. It may take a few seconds to start.",
+
+  // Fases
+  "phase.name": "Phase {number}",
+  "phase.untilEnd": "(until the end)",
+  "phase.remove": "Remove phase",
+  "phase.toggle": "Toggle ON / OFF",
+  "phase.removeSegment": "Remove segment",
+  "phase.addSegment": "Segment",
+  "phase.days": "Phase days",
+  "phase.ppfd": "Phase PPFD",
+  "phase.general": "general",
+  "phase.cycleOf": "{hours}h cycle",
+  "phase.add": "Add phase",
+
+  // Luz y rampas
+  "light.dliMin": "DLI min",
+  "light.dliMax": "DLI max",
+  "light.hint": "DLI (mol/m²/day) = PPFD × light hours × 0.0036. Each phase can have its own PPFD and dimmer.",
+  "ramp.sunrise": "Sunrise",
+  "ramp.sunset": "Sunset",
+  "ramp.minutes": "Ramp duration (minutes)",
+  "ramp.curve": "Curve",
+  "ramp.peak": "Peak",
+  "ramp.peakTitle": "Driver output on the plateau (%)",
+  "ramp.peakUnit": "% of the driver",
+  "ramp.hint": "Sunrise ramps up from the switch-on and sunset ramps down to the switch-off; power usage and DLI count the dimmed light.",
+  "rampCurve.linear": "Linear",
+  "rampCurve.smooth": "Smooth (S)",
+  "rampCurve.exponential": "Exponential (slow at first)",
+  "rampCurve.logarithmic": "Logarithmic (fast at first)",
+
+  // Consumo eléctrico
+  "energy.fixture": "Fixture {number}",
+  "energy.watts": "Power (W)",
+  "energy.count": "Quantity",
+  "energy.remove": "Remove fixture",
+  "energy.add": "Fixture",
+  "energy.price": "kWh price",
+  "energy.currency": "Currency",
+  "energy.total": "Total: {watts} W on during each light period",
+
+  // Panel de estado
+  "status.title": "Status",
+  "status.superciclo": "Supercycle",
+  "status.now": "Current time",
+  "status.start": "Start",
+  "status.elapsed1": "Time",
+  "status.elapsed2": "elapsed",
+  "status.elapsedHint": "(in 24h days)",
+  "status.days": "Supercycle days",
+  "status.cyclesOf": "{hours}h cycles",
+  "status.balance": "Energy balance",
+  "status.balanceHint": "vs standard 12L / 12D cycle",
+  "status.cycleState": "Cycle state",
+  "status.next": "Next event ({action})",
+  "status.noChanges": "No scheduled changes",
+  "status.inHours": "In {hours} hrs",
+  "dli.today": "Today (24h day)",
+  "dli.ppfdNow": "Current PPFD {ppfd}",
+  "dli.cycle": "Current cycle",
+  "dli.per24": "≈ {dli} per 24h",
+  "dli.total": "Accumulated: {moles} mol/m²",
+  "dli.outOfRange": "{days} days and {cycles} cycles outside {min}–{max}",
+  "dli.inRange": "every day in range",
+  "cost.title": "Energy cost",
+  "cost.soFar": "So far",
+  "cost.projection": "Projection ({days} days)",
+  "cost.saving": "Saving",
+  "cost.extra": "Extra cost",
+
+  // Grilla y leyenda
+  "grid.title": "SUPERCYCLE CALENDAR",
+  "grid.local": "Your time",
+  "grid.localTitle": "Grow room 00:00 in your time zone ({zone})",
+  "grid.openJournal": "Open this day's journal",
+  "grid.dst": "Clock change: this day lasts {hours} h",
+  "grid.dliLow": "DLI below target",
+  "grid.dliHigh": "DLI above target",
+  "grid.dliDay": "Daily DLI",
+  "grid.energy": "Projection {days} days: {kwh} kWh ({cost})",
+  "grid.saving": "saving",
+  "grid.extra": "extra cost",
+  "legend.on": "Light",
+  "legend.off": "Dark",
+  "legend.minute": "exact minute it turns on / off",
+  "legend.current": "Highlighted cell",
+  "legend.currentText": "current hour",
+  "legend.journal": "day with notes (tap the day number to open the journal)",
+  "legend.dst": "clock change (\"—\" skipped hour, \"×2\" repeated hour)",
+  "legend.actual": "Bottom strip",
+  "legend.actualText": "actual light (logged deviation)",
+  "legend.ramp": "Shading",
+  "legend.rampText": "sunrise/sunset ramp",
+  "legend.scenario": "Top strip",
+  "legend.scenarioText": "scenario “{name}”",
+  "legend.scenarioDiff": "scenario “{name}” where it differs (matching hours are dimmed)",
+  "legend.milestone": "milestone (line at the exact time)",
+  "legend.cyclesRow": "One row per phase cycle (the ON block always stays in the same place)",
+  "legend.marker": "Pink mark",
+  "legend.markerText": "current moment",
+  "legend.partial": "cycle cut short by the phase change",
+  "legend.rings": "Inner ring = today · outer ring = tomorrow",
+  "legend.arcs": "Arcs",
+  "legend.arcsText": "light ON",
+  "legend.hand": "Hand",
+  "legend.handText": "current time",
+  "legend.zone": "Times in {zone}",
+  "legend.download": "Downloadable as PDF (desktop) or JPG (mobile)",
+
+  // Programa del temporizador
+  "timer.title": "Timer program",
+  "timer.download": "Download program PDF",
+  "timer.hint": "Times for a 24 h digital timer ({zone})",
+  "timer.changesOne": "{count} day needs reprogramming",
+  "timer.changesMany": "{count} days need reprogramming",
+  "timer.sheetTitle": "Daily program",
+  "timer.atMidnight": "At 00:00",
+  "timer.onAt": "Light ON at",
+  "timer.offAt": "Light OFF at",
+  "timer.onLocal": "ON your time",
+  "timer.offLocal": "OFF your time",
+  "timer.program": "Program",
+  "timer.first": "Start",
+  "timer.reprogram": "Reprogram",
+  "timer.same": "Same",
+  "timer.dst": "Clock change ({shift}h)",
+};
@@ -0,0 +1,474 @@
+/**
+ * es.js — Textos en español (idioma por defecto y respaldo de los demás)
+ * Las etiquetas de los tipos de desvío, curvas de rampa y tipos de nota salen
+ * directo de src/lib (DEVIATION_TYPES, RAMP_CURVES, JOURNAL_TYPES).
+ */
+
+export default {
+  // Generales
+  "app.subtitle": "Configura tu SuperCiclo y visualiza tu calendario",
+  "app.language": "Idioma",
+  "common.close": "Cerrar",
+  "common.and": "y",
+  "unit.hours": "hs",
+
+  // Vistas del calendario
+  "view.grid": "📅 Días × 24 h",
+  "view.cycles": "🔁 Ciclos",
+  "view.clock": "🕒 Reloj 24 h",
+
+  // Celdas de la grilla
+  "cell.skipped": "No existe (se adelanta el reloj)",
+  "cell.repeated": "Hora repetida (se atrasa el reloj)",
+  "cell.turnsOn": "Enciende {time}",
+  "cell.turnsOff": "Apaga {time}",
+  "cell.lit": "{percent}% luz",
+  "cell.actual": "Real: {percent}% luz (desvío)",
+  "cell.scenario": "{name}: {percent}% luz",
+  "cell.local": "Tu hora: {time}",
+
+  // Cambios ON/OFF
+  "event.on": "Encendido",
+  "event.off": "Apagado",
+  "event.none": "sin cambios",
+
+  // Calendario (.ics)
+  "ics.export": "Exportar a calendario",
+  "ics.periods": "Un evento por período de luz",
+  "ics.transitions": "Un evento por cambio",
+  "ics.alarmLabel": "Aviso",
+  "ics.lightOn": "Luz ON",
+  "ics.alarm": "{action} en {minutes} min — {name}",
+
+  // Planillas (CSV / XLSX) y perfil del dimmer
+  "sheet.grid": "Calendario",
+  "sheet.transitions": "Cambios",
+  "sheet.transitionsLabel": "Cambios ON/OFF",
+  "sheet.profile": "Perfil dimmer",
+  "sheet.profileTitle": "Hora → % del dimmer de todo el cultivo, con rampas (para controladores 0–10 V / PWM)",
+  "sheet.day": "Día",
+  "sheet.date": "Fecha",
+  "sheet.dateTime": "Fecha y hora",
+  "sheet.changes": "Cambios",
+  "sheet.litHours": "Horas luz",
+  "sheet.state": "Estado",
+  "sheet.hoursSinceStart": "Horas desde inicio",
+  "sheet.phase": "Fase",
+  "sheet.cycle": "Ciclo superciclo",
+  "sheet.dayLitHours": "Horas luz del día",
+  "sheet.dayMilestones": "Hitos del día",
+  "sheet.rule": "Regla",
+  "sheet.intensity": "Intensidad %",
+
+  // Campos de la configuración (vista previa de importación)
+  "field.nombreCiclo": "Nombre del cultivo",
+  "field.startDate": "Inicio (Luz ON)",
+  "field.timeZone": "Zona horaria",
+  "field.durationDays": "Duración (días)",
+  "field.phases": "Fases",
+  "field.energy": "Consumo eléctrico",
+  "field.light": "Luz (PPFD / DLI)",
+  "field.journal": "Diario del cultivo",
+  "field.deviations": "Desvíos reales",
+  "field.scenarios": "Escenarios",
+  "field.milestones": "Hitos",
+  "summary.energy": "{fixtures} luminaria(s) · {watts} W · {currency} {price}/kWh",
+  "summary.ramps": "rampas {sunrise}/{sunset} min al {peak}%",
+  "summary.journal": "{entries} nota(s) en {days} día(s) · {photos} foto(s)",
+  "summary.deviations": "{count} desvío(s) · {reanchored} con re-anclaje",
+
+  // Vista previa de importación
+  "import.openShared": "Abrir Superciclo compartido",
+  "import.load": "Cargar {file}",
+  "import.migrates": "Archivo v{from}: se actualiza al formato v{to}.",
+  "import.field": "Campo",
+  "import.current": "Actual",
+  "import.file": "Archivo",
+  "import.same": "Los campos válidos del archivo son iguales a la configuración actual.",
+  "import.invalid": "{count} campo(s) inválido(s) — no se cargan:",
+  "import.saveAsMine": "Guardar como mi configuración (reemplaza la guardada en este navegador)",
+  "import.asNewCycle": "Cargar como ciclo nuevo de la biblioteca (no toca el actual)",
+  "import.keep": "Conservar valores actuales",
+  "import.loadValid": "Cargar solo lo válido",
+  "import.confirm": "Cargar",
+
+  // Motivos de validación (config.js y share.js dan la clave, sin el prefijo)
+  "reason.number": "debe ser un número",
+  "reason.integer": "debe ser un número entero",
+  "reason.min": "debe ser mayor o igual a {min}",
+  "reason.range": "debe estar entre {min} y {max}",
+  "reason.dateFormat": "debe tener el formato AAAA-MM-DDTHH:mm",
+  "reason.invalidDate": "no es una fecha válida",
+  "reason.phases": "debe ser una lista con al menos una fase",
+  "reason.object": "debe ser un objeto",
+  "reason.segments": "debe tener al menos un segmento ON/OFF",
+  "reason.isLight": "debe ser true (ON) o false (OFF)",
+  "reason.cycleZero": "el ciclo debe durar más de 0 h",
+  "reason.list": "debe ser una lista",
+  "reason.currency": "debe ser un código de moneda de 3 letras (ej. ARS, USD)",
+  "reason.dliMax": "debe ser mayor o igual que dliMin",
+  "reason.oneOf": "debe ser uno de: {options}",
+  "reason.iso": "debe ser una fecha y hora ISO",
+  "reason.text": "debe ser texto",
+  "reason.photos": "debe ser una lista de hasta {max} imágenes (data URL)",
+  "reason.photoSize": "cada foto debe ocupar hasta {kb} KB",
+  "reason.journal": "debe ser un objeto { \"AAAA-MM-DD\": [notas] }",
+  "reason.journalKey": "la clave debe ser una fecha AAAA-MM-DD",
+  "reason.notes": "debe ser una lista de notas",
+  "reason.positive": "debe ser mayor que 0",
+  "reason.boolean": "debe ser true o false",
+  "reason.deviations": "debe ser una lista de desvíos",
+  "reason.scenarios": "debe ser una lista de escenarios",
+  "reason.maxScenarios": "no puede tener más de {max} escenarios (se cargan los primeros)",
+  "reason.milestones": "debe ser una lista de hitos",
+  "reason.maxLength": "no puede superar {max} caracteres",
+  "reason.timeZone": "zona horaria desconocida: {zone}",
+  "reason.unknownField": "campo desconocido (se ignora)",
+  "reason.empty": "no tiene ningún campo de configuración",
+  "reason.json": "no es un JSON válido",
+  "reason.notConfig": "El archivo no contiene una configuración de Superciclo",
+  "reason.badVersion": "Versión de configuración inválida: {version}",
+  "reason.newerVersion": "La configuración es de una versión más nueva (v{version}); actualizá la app",
+  "reason.noLink": "El enlace no contiene un Superciclo",
+  "reason.noDecompress": "Este navegador no puede descomprimir el enlace",
+  "reason.brokenLink": "El enlace está incompleto o dañado ({detail})",
+
+  // Diario del cultivo
+  "journal.day": "Día {number}",
+  "journal.pdfTitle": "Diario del cultivo - {title}",
+  "journal.empty": "Todavía no hay notas para este día.",
+  "journal.remove": "Borrar nota",
+  "journal.photo": "Foto {number}",
+  "journal.newPhoto": "Nueva foto {number}",
+  "journal.photoExpanded": "Foto ampliada",
+  "journal.removePhoto": "Quitar foto",
+  "journal.photos": "Fotos",
+  "journal.placeholder": "Ej: 1.5 L por maceta, runoff 10 %",
+  "journal.add": "Agregar nota",
+  "journal.photoError": "No se pudo leer la imagen {file}",
+  "journal.photoTooBig": "La imagen {file} sigue siendo muy pesada aun reducida.",
+  "journal.maxPhotos": "Máximo {max} fotos por nota.",
+  "journalType.riego": "Riego",
+  "journalType.nutrientes": "Nutrientes",
+  "journalType.entrenamiento": "Entrenamiento",
+  "journalType.problema": "Problema",
+  "journalType.nota": "Nota",
+
+  // Desvíos reales
+  "deviation.reanchored": "re-anclado",
+  "deviation.remove": "Quitar desvío",
+  "deviation.from": "Desde (hora del cultivo)",
+  "deviation.hours": "Duración (horas)",
+  "deviation.note": "Nota (opcional)",
+  "deviation.reanchor": "Re-anclar desde acá (los ciclos siguientes se corren lo que duró)",
+  "deviation.add": "Registrar desvío",
+  "deviation.hint": "El estado actual, los días superciclo y el consumo usan lo que pasó de verdad; el calendario muestra plan y real.",
+  "deviationType.corte": "Corte de luz",
+  "deviationType.manual-on": "Encendido manual",
+  "deviationType.manual-off": "Apagado manual",
+  "deviationType.falla-on": "Falla del temporizador (quedó ON)",
+  "deviationType.falla-off": "Falla del temporizador (quedó OFF)",
+
+  // Escenarios
+  "scenario.title": "Comparar escenarios",
+  "scenario.active": "Activa",
+  "scenario.defaultName": "Escenario {number}",
+  "scenario.previous": "Configuración anterior",
+  "scenario.pattern": "Patrón (h)",
+  "scenario.cycle": "Ciclo",
+  "scenario.litHours": "Horas de luz",
+  "scenario.balance": "Balance vs 12/12",
+  "scenario.cycles": "Ciclos superciclo",
+  "scenario.finish": "Fin",
+  "scenario.cost": "Costo de energía",
+  "scenario.actions": "Acciones",
+  "scenario.compare": "Ver en la grilla",
+  "scenario.compareTitle": "Superponer este escenario en el calendario",
+  "scenario.promote": "Usar",
+  "scenario.promoteTitle": "Pasar a configuración activa (la actual queda como escenario)",
+  "scenario.remove": "Quitar escenario",
+  "scenario.add": "Escenario desde la configuración actual (hasta {max})",
+  "scenario.hint": "Cada escenario usa el inicio, la zona, las luminarias y las rampas de la configuración activa; los números verdes/rojos son la diferencia con la activa.",
+  "scenario.overlay": "Superponer",
+  "scenario.diff": "Diferencias",
+  "scenario.stopCompare": "Dejar de comparar",
+  "library.title": "Ciclos",
+  "library.hint": "Cada ciclo es un Superciclo completo (una carpa o cuarto). Se edita el marcado con ✏️; los demás siguen corriendo y se ven acá. 🚀 Cargar Superciclo acepta un ciclo o una biblioteca entera.",
+  "library.cycle": "Ciclo",
+  "library.now": "Ahora",
+  "library.next": "Próximo cambio",
+  "library.inHours": "en {hours} h",
+  "library.notStarted": "sin empezar",
+  "library.noData": "sin datos guardados",
+  "library.editing": "Es el que se está editando",
+  "library.open": "Abrir",
+  "library.rename": "Renombrar",
+  "library.renamePrompt": "Nombre del ciclo",
+  "library.duplicate": "Duplicar",
+  "library.export": "Exportar este ciclo (_SUPERCICLO.json)",
+  "library.archive": "Archivar (sale del panel, no se borra)",
+  "library.unarchive": "Desarchivar",
+  "library.delete": "Borrar ciclo",
+  "library.deleteConfirm": "¿Borrar el ciclo «{name}» con su diario? No se puede deshacer (exportalo antes si lo querés guardar).",
+  "library.archived": "Archivados ({count})",
+  "library.create": "Ciclo nuevo",
+  "library.exportAll": "Exportar biblioteca",
+  "library.newName": "Ciclo {number}",
+  "library.copyName": "{name} (copia)",
+  "library.importConfirm": "Se agregan {count} ciclo(s) a la biblioteca: {names}. Descartados por inválidos: {invalid}.",
+  "library.importEmpty": "La biblioteca no trae ningún ciclo válido.",
+  "load.title": "Carga eléctrica (mismo circuito)",
+  "load.limit": "Límite del circuito",
+  "load.noLimit": "sin límite",
+  "load.noFixtures": "Ningún ciclo tiene luminarias cargadas. Agregalas en ⚡ Consumo eléctrico de cada ciclo para ver la carga total.",
+  "load.chart": "Carga total de las luces en el tiempo",
+  "load.peakShort": "pico {watts}",
+  "load.peak": "Pico: {watts} el {date}",
+  "load.over": "Pasa el límite de {limit} durante {hours} h en total; la primera vez, el {date}.",
+  "load.under": "Nunca pasa el límite de {limit}.",
+  "load.offset": "Correr inicio",
+  "load.offsetHours": "+{hours} h",
+  "load.apply": "Aplicar",
+  "load.applyAll": "Aplicar todos",
+  "load.suggest": "Sugerir corrimientos",
+  "load.recalculate": "Volver a calcular",
+  "load.fits": "Con estos corrimientos el pico queda en {watts}, dentro del límite.",
+  "load.noFit": "No hay corrimiento que alcance: lo mejor deja el pico en {watts}. Hace falta otro circuito o menos luminarias encendidas juntas.",
+  "load.hint": "Suma la potencia de las luminarias de cada ciclo sin archivar mientras tiene luz, por el nivel del dimmer (rampas, pico y dimmer de la fase) y con sus desvíos. Correr el inicio atrasa todo el ciclo: las horas de luz y oscuridad no cambian.",
+  "milestone.name": "Nombre del hito",
+  "milestone.value": "Cantidad",
+  "milestone.rule": "{value} {unit} {from}",
+  "milestone.fromStart": "desde el inicio",
+  "milestone.fromPhase": "desde la fase {number}",
+  "milestone.add": "Agregar hito",
+  "milestone.remove": "Quitar hito",
+  "milestone.noPhase": "esa fase no existe",
+  "milestone.in": "en {days} d {hours} h",
+  "milestone.reached": "alcanzado",
+  "milestone.count": "{cycles} ciclos superciclo · {days} días",
+  "milestone.legend": "(fecha real, con los desvíos re-anclados)",
+  "milestone.hint": "Los días son de 24 h y los ciclos, del superciclo (una fase de ciclos de 25 h suma 25 h por ciclo). Contar desde una fase sirve para «63 ciclos desde la floración».",
+  "milestone.preset.flip": "Cambio a floración",
+  "milestone.preset.stretchEnd": "Fin del estiramiento",
+  "milestone.preset.flush": "Inicio del lavado",
+  "milestone.preset.harvest": "Cosecha",
+  "milestoneUnit.days": "días de 24 h",
+  "milestoneUnit.cycles": "ciclos superciclo",
+
+  // Compartir
+  "share.title": "Compartir Superciclo",
+  "share.hint": "El enlace lleva toda la configuración (no pasa por ningún servidor). Al abrirlo se pide confirmación.",
+  "share.copy": "Copiar enlace",
+  "share.copied": "Copiado",
+  "share.copyError": "No se pudo copiar; seleccioná el enlace y copialo a mano.",
+  "share.send": "Enviar…",
+  "share.qrAlt": "Código QR del Superciclo",
+  "share.downloadQr": "Descargar QR",
+  "share.qrTooLarge": "La configuración es demasiado grande para un código QR; compartí el enlace.",
+  "shared.banner": "Estás viendo un Superciclo compartido: los cambios no se guardan.",
+  "shared.keep": "Guardar como mío",
+  "shared.leave": "Volver al mío",
+
+  // Vistas alternativas
+  "cycles.title": "CICLOS SUPERCICLO",
+  "cycles.cycle": "Ciclo",
+  "cycles.start": "Inicio",
+  "cycles.lightOn": "Luz ON",
+  "cycles.partial": "Ciclo cortado por el cambio de fase (no cuenta como día superciclo)",
+  "clock.title": "RELOJ 24 H",
+  "clock.aria": "Ventanas de luz de hoy y mañana",
+  "clock.noLight": "sin luz",
+  "clock.today": "Hoy",
+  "clock.tomorrow": "Mañana",
+
+  // Validación del formulario
+  "error.startRequired": "La fecha de inicio es requerida.",
+  "error.startFormat": "Formato de fecha inválido.",
+  "error.segmentHours": "Fase {number}: horas de segmento inválidas.",
+  "error.cycleZero": "Fase {number}: el ciclo debe durar más de 0 h.",
+  "error.duration": "Duración debe ser >= 1 día.",
+
+  // Avisos
+  "notify.unsupported": "Este navegador no soporta notificaciones.",
+  "notify.denied": "Permiso de notificaciones denegado. Habilitalo en la configuración del navegador.",
+  "notify.on": "Avisos activos",
+  "notify.off": "Activar avisos",
+  "notify.minutesBefore": "min antes",
+  "notify.bodyOn": "🔆 Luz ON a las {time}",
+  "notify.bodyOff": "🌙 Luz OFF a las {time}",
+
+  // Exportación PDF / JPG
+  "export.noCalendar": "No se encontró el calendario para exportar.",
+  "export.noTimerSheet": "No se encontró el programa del temporizador.",
+  "export.pdfError": "Error al generar el PDF.",
+  "export.error": "Ocurrió un error al generar la descarga.",
+  "export.overlayImage": "Generando imagen HD...",
+  "export.overlayPdf": "Generando PDF HD...",
+  "export.generatingImage": "Generando imagen...",
+  "export.generatingPdf": "Generando PDF...",
+  "export.downloadJpg": "Descargar JPG",
+  "export.downloadPdf": "Descargar PDF",
+  "reset.confirm": "¿Resetear todo? Se puede deshacer con Ctrl+Z o desde 🕘 Historial.",
+  "reset.confirmNotes": "¿Resetear todo? También se borran las {notes} notas del diario. Se puede deshacer con Ctrl+Z o desde 🕘 Historial.",
+
+  // Configuración
+  "config.title": "Configuración",
+  "config.firstOn": "Primer encendido",
+  "config.firstOnSuffix": "del Superciclo",
+  "config.timeZone": "Zona horaria del cultivo",
+  "config.showLocal": "Mostrar también mi hora ({zone})",
+  "config.namePlaceholder": "Ej: Auto Amnesia",
+  "config.days": "Dias",
+  "config.dropHint": "Arrastrá tu archivo aquí o hacé clic",
+  "config.load": "Cargar Superciclo",
+  "config.save": "Guardar Superciclo",
+  "config.share": "Compartir (enlace / QR)",
+  "config.storageError": "No se pudo guardar en este navegador (sin espacio, ¿muchas fotos en el diario?). Usá 💾 Guardar Superciclo para no perder datos.",
+  "config.reset": "Resetear",
+  "undo.undo": "Deshacer",
+  "undo.redo": "Rehacer",
+  "undo.undoTitle": "Deshacer el último cambio (Ctrl+Z)",
+  "undo.redoTitle": "Rehacer (Ctrl+Shift+Z o Ctrl+Y)",
+  "undo.resetHint": "Resetear, importar o restaurar se puede deshacer; antes queda una versión en 🕘 Historial.",
+  "snapshot.title": "Historial de versiones",
+  "snapshot.open": "Historial ({count})",
+  "snapshot.hint": "Versiones guardadas en este navegador: una automática cada 10 min si hubo cambios y una antes de resetear, importar o restaurar. Las fotos del diario no se guardan acá; al restaurar vuelven las que sigan en el diario.",
+  "snapshot.empty": "Todavía no hay versiones guardadas.",
+  "snapshot.restore": "Restaurar",
+  "snapshot.remove": "Borrar versión",
+  "snapshot.save": "Guardar versión ahora",
+  "snapshotReason.auto": "Automática",
+  "snapshotReason.manual": "Guardada a mano",
+  "snapshotReason.reset": "Antes de restablecer",
+  "snapshotReason.import": "Antes de importar",
+  "snapshotReason.restore": "Antes de restaurar",
+  "tip.title": "Recomendación:",
+  "tip.desktop": "para obtener la máxima calidad de exportación, usá un ordenador o laptop.",
+  "tip.mobile": "En dispositivos móviles, el calendario se genera automáticamente como imagen JPG. Puede demorar unos segundos en iniciarse.",
+
+  // Fases
+  "phase.name": "Fase {number}",
+  "phase.untilEnd": "(hasta el final)",
+  "phase.remove": "Quitar fase",
+  "phase.toggle": "Cambiar ON / OFF",
+  "phase.removeSegment": "Quitar segmento",
+  "phase.addSegment": "Segmento",
+  "phase.days": "Dias fase",
+  "phase.ppfd": "PPFD fase",
+  "phase.general": "general",
+  "phase.cycleOf": "ciclo de {hours}h",
+  "phase.add": "Agregar fase",
+
+  // Luz y rampas
+  "light.dliMin": "DLI mín",
+  "light.dliMax": "DLI máx",
+  "light.hint": "DLI (mol/m²/día) = PPFD × horas de luz × 0.0036. Cada fase puede tener su PPFD y dimmer.",
+  "ramp.sunrise": "Amanecer",
+  "ramp.sunset": "Atardecer",
+  "ramp.minutes": "Duración de la rampa (minutos)",
+  "ramp.curve": "Curva",
+  "ramp.peak": "Pico",
+  "ramp.peakTitle": "Salida del driver en la meseta (%)",
+  "ramp.peakUnit": "% del driver",
+  "ramp.hint": "El amanecer sube desde el encendido y el atardecer baja hasta el apagado; consumo y DLI cuentan la luz atenuada.",
+  "rampCurve.linear": "Lineal",
+  "rampCurve.smooth": "Suave (S)",
+  "rampCurve.exponential": "Exponencial (lenta al principio)",
+  "rampCurve.logarithmic": "Logarítmica (rápida al principio)",
+
+  // Consumo eléctrico
+  "energy.fixture": "Luminaria {number}",
+  "energy.watts": "Potencia (W)",
+  "energy.count": "Cantidad",
+  "energy.remove": "Quitar luminaria",
+  "energy.add": "Luminaria",
+  "energy.price": "Precio kWh",
+  "energy.currency": "Moneda",
+  "energy.total": "Total: {watts} W encendidos durante cada período de luz",
+
+  // Panel de estado
+  "status.title": "Estado",
+  "status.superciclo": "Superciclo",
+  "status.now": "Hora actual",
+  "status.start": "Inicio",
+  "status.elapsed1": "Tiempo",
+  "status.elapsed2": "transcurrido",
+  "status.elapsedHint": "(equivalente a días 24h)",
+  "status.days": "Días Super Ciclo",
+  "status.cyclesOf": "Ciclos de {hours}h",
+  "status.balance": "Balance Energético",
+  "status.balanceHint": "vs ciclo estándar 12L / 12D",
+  "status.cycleState": "Estado del ciclo",
+  "status.next": "Próximo evento ({action})",
+  "status.noChanges": "Sin cambios programados",
+  "status.inHours": "En {hours} hrs",
+  "dli.today": "Hoy (día 24h)",
+  "dli.ppfdNow": "PPFD actual {ppfd}",
+  "dli.cycle": "Ciclo actual",
+  "dli.per24": "≈ {dli} por 24h",
+  "dli.total": "Acumulado: {moles} mol/m²",
+  "dli.outOfRange": "{days} días y {cycles} ciclos fuera de {min}–{max}",
+  "dli.inRange": "todos los días en rango",
+  "cost.title": "Costo de energía",
+  "cost.soFar": "Hasta ahora",
+  "cost.projection": "Proyección ({days} días)",
+  "cost.saving": "Ahorro",
+  "cost.extra": "Gasto extra",
+
+  // Grilla y leyenda
+  "grid.title": "CALENDARIO SUPERCICLO",
+  "grid.local": "Tu hora",
+  "grid.localTitle": "00:00 del cultivo en tu zona ({zone})",
+  "grid.openJournal": "Abrir el diario de este día",
+  "grid.dst": "Cambio de horario: el día dura {hours} h",
+  "grid.dliLow": "DLI por debajo del objetivo",
+  "grid.dliHigh": "DLI por encima del objetivo",
+  "grid.dliDay": "DLI del día",
+  "grid.energy": "Proyección {days} días: {kwh} kWh ({cost})",
+  "grid.saving": "ahorro",
+  "grid.extra": "gasto extra",
+  "legend.on": "Luz",
+  "legend.off": "Oscuridad",
+  "legend.minute": "minuto exacto en que enciende / apaga",
+  "legend.current": "Celda resaltada",
+  "legend.currentText": "hora actual del día",
+  "legend.journal": "día con notas (tocá el número de día para abrir el diario)",
+  "legend.dst": "cambio de horario (\"—\" hora salteada, \"×2\" hora repetida)",
+  "legend.actual": "Franja inferior",
+  "legend.actualText": "luz real (desvío registrado)",
+  "legend.ramp": "Sombreado",
+  "legend.rampText": "rampa de amanecer/atardecer",
+  "legend.scenario": "Franja superior",
+  "legend.scenarioText": "escenario «{name}»",
+  "legend.scenarioDiff": "escenario «{name}» donde cambia (lo igual queda atenuado)",
+  "legend.milestone": "hito (línea en la hora exacta)",
+  "legend.cyclesRow": "Un renglón por ciclo de la fase (el bloque ON queda siempre en el mismo lugar)",
+  "legend.marker": "Marca rosa",
+  "legend.markerText": "momento actual",
+  "legend.partial": "ciclo cortado por el cambio de fase",
+  "legend.rings": "Anillo interior = hoy · anillo exterior = mañana",
+  "legend.arcs": "Arcos",
+  "legend.arcsText": "luz ON",
+  "legend.hand": "Aguja",
+  "legend.handText": "hora actual",
+  "legend.zone": "Horarios en {zone}",
+  "legend.download": "Descargable como PDF (PC) o JPG (móvil)",
+
+  // Programa del temporizador
+  "timer.title": "Programa del temporizador",
+  "timer.download": "Descargar programa PDF",
+  "timer.hint": "Horarios para un temporizador digital de 24 h ({zone})",
+  "timer.changesOne": "{count} día requiere reprogramar",
+  "timer.changesMany": "{count} días requieren reprogramar",
+  "timer.sheetTitle": "Programa diario",
+  "timer.atMidnight": "A las 00:00",
+  "timer.onAt": "Luz ON a las",
+  "timer.offAt": "Luz OFF a las",
+  "timer.onLocal": "ON tu hora",
+  "timer.offLocal": "OFF tu hora",
+  "timer.program": "Programa",
+  "timer.first": "Inicio",
+  "timer.reprogram": "Reprogramar",
+  "timer.same": "Igual",
+  "timer.dst": "Cambio de horario ({shift}h)",
+};
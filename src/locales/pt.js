@@ -0,0 +1,472 @@
+/**
+ * pt.js — Textos em português (Brasil)
+ */
+
+export default {
+  // Generales
+  "app.subtitle": "Configure seu SuperCiclo e veja seu calendário",
+  "app.language": "Idioma",
+  "common.close": "Fechar",
+  "common.and": "e",
+  "unit.hours": "h",
+
+  // Vistas del calendario
+  "view.grid": "📅 Dias × 24 h",
+  "view.cycles": "🔁 Ciclos",
+  "view.clock": "🕒 Relógio 24 h",
+
+  // Celdas de la grilla
+  "cell.skipped": "Não existe (o relógio adianta)",
+  "cell.repeated": "Hora repetida (o relógio atrasa)",
+  "cell.turnsOn": "Acende {time}",
+  "cell.turnsOff": "Apaga {time}",
+  "cell.lit": "{percent}% luz",
+  "cell.actual": "Real: {percent}% luz (desvio)",
+  "cell.scenario": "{name}: {percent}% luz",
+  "cell.local": "Sua hora: {time}",
+
+  // Cambios ON/OFF
+  "event.on": "Acendimento",
+  "event.off": "Desligamento",
+  "event.none": "sem mudanças",
+
+  // Calendario (.ics)
+  "ics.export": "Exportar para o calendário",
+  "ics.periods": "Um evento por período de luz",
+  "ics.transitions": "Um evento por mudança",
+  "ics.alarmLabel": "Aviso",
+  "ics.lightOn": "Luz ON",
+  "ics.alarm": "{action} em {minutes} min — {name}",
+
+  // Planillas (CSV / XLSX) y perfil del dimmer
+  "sheet.grid": "Calendário",
+  "sheet.transitions": "Mudanças",
+  "sheet.transitionsLabel": "Mudanças ON/OFF",
+  "sheet.profile": "Perfil do dimmer",
+  "sheet.profileTitle": "Hora → % do dimmer de todo o cultivo, com rampas (para controladores 0–10 V / PWM)",
+  "sheet.day": "Dia",
+  "sheet.date": "Data",
+  "sheet.dateTime": "Data e hora",
+  "sheet.changes": "Mudanças",
+  "sheet.litHours": "Horas de luz",
+  "sheet.state": "Estado",
+  "sheet.hoursSinceStart": "Horas desde o início",
+  "sheet.phase": "Fase",
+  "sheet.cycle": "Ciclo do superciclo",
+  "sheet.dayLitHours": "Horas de luz do dia",
+  "sheet.dayMilestones": "Marcos do dia",
+  "sheet.rule": "Regra",
+  "sheet.intensity": "Intensidade %",
+
+  // Campos de la configuración (vista previa de importación)
+  "field.nombreCiclo": "Nome do cultivo",
+  "field.startDate": "Início (Luz ON)",
+  "field.timeZone": "Fuso horário",
+  "field.durationDays": "Duração (dias)",
+  "field.phases": "Fases",
+  "field.energy": "Consumo elétrico",
+  "field.light": "Luz (PPFD / DLI)",
+  "field.journal": "Diário do cultivo",
+  "field.deviations": "Desvios reais",
+  "field.scenarios": "Cenários",
+  "field.milestones": "Marcos",
+  "summary.energy": "{fixtures} luminária(s) · {watts} W · {currency} {price}/kWh",
+  "summary.ramps": "rampas {sunrise}/{sunset} min a {peak}%",
+  "summary.journal": "{entries} nota(s) em {days} dia(s) · {photos} foto(s)",
+  "summary.deviations": "{count} desvio(s) · {reanchored} com reancoragem",
+
+  // Vista previa de importación
+  "import.openShared": "Abrir Superciclo compartilhado",
+  "import.load": "Carregar {file}",
+  "import.migrates": "Arquivo v{from}: atualizado para o formato v{to}.",
+  "import.field": "Campo",
+  "import.current": "Atual",
+  "import.file": "Arquivo",
+  "import.same": "Os campos válidos do arquivo são iguais à configuração atual.",
+  "import.invalid": "{count} campo(s) inválido(s) — não são carregados:",
+  "import.saveAsMine": "Salvar como minha configuração (substitui a salva neste navegador)",
+  "import.asNewCycle": "Carregar como novo ciclo da biblioteca (não altera o atual)",
+  "import.keep": "Manter valores atuais",
+  "import.loadValid": "Carregar só o que é válido",
+  "import.confirm": "Carregar",
+
+  // Motivos de validación
+  "reason.number": "deve ser um número",
+  "reason.integer": "deve ser um número inteiro",
+  "reason.min": "deve ser maior ou igual a {min}",
+  "reason.range": "deve estar entre {min} e {max}",
+  "reason.dateFormat": "deve ter o formato AAAA-MM-DDTHH:mm",
+  "reason.invalidDate": "não é uma data válida",
+  "reason.phases": "deve ser uma lista com pelo menos uma fase",
+  "reason.object": "deve ser um objeto",
+  "reason.segments": "deve ter pelo menos um segmento ON/OFF",
+  "reason.isLight": "deve ser true (ON) ou false (OFF)",
+  "reason.cycleZero": "o ciclo deve durar mais de 0 h",
+  "reason.list": "deve ser uma lista",
+  "reason.currency": "deve ser um código de moeda de 3 letras (ex. BRL, USD)",
+  "reason.dliMax": "deve ser maior ou igual a dliMin",
+  "reason.oneOf": "deve ser um de: {options}",
+  "reason.iso": "deve ser uma data e hora ISO",
+  "reason.text": "deve ser texto",
+  "reason.photos": "deve ser uma lista de até {max} imagens (data URL)",
+  "reason.photoSize": "cada foto deve ocupar até {kb} KB",
+  "reason.journal": "deve ser um objeto { \"AAAA-MM-DD\": [notas] }",
+  "reason.journalKey": "a chave deve ser uma data AAAA-MM-DD",
+  "reason.notes": "deve ser uma lista de notas",
+  "reason.positive": "deve ser maior que 0",
+  "reason.boolean": "deve ser true ou false",
+  "reason.deviations": "deve ser uma lista de desvios",
+  "reason.scenarios": "deve ser uma lista de cenários",
+  "reason.maxScenarios": "não pode ter mais de {max} cenários (os primeiros são carregados)",
+  "reason.milestones": "deve ser uma lista de marcos",
+  "reason.maxLength": "não pode ter mais de {max} caracteres",
+  "reason.timeZone": "fuso horário desconhecido: {zone}",
+  "reason.unknownField": "campo desconhecido (ignorado)",
+  "reason.empty": "não tem nenhum campo de configuração",
+  "reason.json": "não é um JSON válido",
+  "reason.notConfig": "O arquivo não contém uma configuração de Superciclo",
+  "reason.badVersion": "Versão de configuração inválida: {version}",
+  "reason.newerVersion": "A configuração é de uma versão mais nova (v{version}); atualize o app",
+  "reason.noLink": "O link não contém um Superciclo",
+  "reason.noDecompress": "Este navegador não consegue descomprimir o link",
+  "reason.brokenLink": "O link está incompleto ou danificado ({detail})",
+
+  // Diario del cultivo
+  "journal.day": "Dia {number}",
+  "journal.pdfTitle": "Diário do cultivo - {title}",
+  "journal.empty": "Ainda não há notas para este dia.",
+  "journal.remove": "Apagar nota",
+  "journal.photo": "Foto {number}",
+  "journal.newPhoto": "Nova foto {number}",
+  "journal.photoExpanded": "Foto ampliada",
+  "journal.removePhoto": "Remover foto",
+  "journal.photos": "Fotos",
+  "journal.placeholder": "Ex.: 1,5 L por vaso, runoff 10 %",
+  "journal.add": "Adicionar nota",
+  "journal.photoError": "Não foi possível ler a imagem {file}",
+  "journal.photoTooBig": "A imagem {file} continua pesada demais mesmo reduzida.",
+  "journal.maxPhotos": "No máximo {max} fotos por nota.",
+  "journalType.riego": "Rega",
+  "journalType.nutrientes": "Nutrientes",
+  "journalType.entrenamiento": "Treinamento",
+  "journalType.problema": "Problema",
+  "journalType.nota": "Nota",
+
+  // Desvíos reales
+  "deviation.reanchored": "reancorado",
+  "deviation.remove": "Remover desvio",
+  "deviation.from": "Desde (hora do cultivo)",
+  "deviation.hours": "Duração (horas)",
+  "deviation.note": "Nota (opcional)",
+  "deviation.reanchor": "Reancorar a partir daqui (os ciclos seguintes se deslocam pela duração)",
+  "deviation.add": "Registrar desvio",
+  "deviation.hint": "O estado atual, os dias do superciclo e o consumo usam o que aconteceu de verdade; o calendário mostra plano e real.",
+  "deviationType.corte": "Queda de energia",
+  "deviationType.manual-on": "Acendimento manual",
+  "deviationType.manual-off": "Desligamento manual",
+  "deviationType.falla-on": "Falha do temporizador (ficou ON)",
+  "deviationType.falla-off": "Falha do temporizador (ficou OFF)",
+
+  // Escenarios
+  "scenario.title": "Comparar cenários",
+  "scenario.active": "Ativa",
+  "scenario.defaultName": "Cenário {number}",
+  "scenario.previous": "Configuração anterior",
+  "scenario.pattern": "Padrão (h)",
+  "scenario.cycle": "Ciclo",
+  "scenario.litHours": "Horas de luz",
+  "scenario.balance": "Balanço vs 12/12",
+  "scenario.cycles": "Ciclos do superciclo",
+  "scenario.finish": "Fim",
+  "scenario.cost": "Custo de energia",
+  "scenario.actions": "Ações",
+  "scenario.compare": "Ver na grade",
+  "scenario.compareTitle": "Sobrepor este cenário no calendário",
+  "scenario.promote": "Usar",
+  "scenario.promoteTitle": "Tornar a configuração ativa (a atual fica como cenário)",
+  "scenario.remove": "Remover cenário",
+  "scenario.add": "Cenário a partir da configuração atual (até {max})",
+  "scenario.hint": "Cada cenário usa o início, o fuso, as luminárias e as rampas da configuração ativa; os números verdes/vermelhos são a diferença em relação à ativa.",
+  "scenario.overlay": "Sobrepor",
+  "scenario.diff": "Diferenças",
+  "scenario.stopCompare": "Parar de comparar",
+  "library.title": "Ciclos",
+  "library.hint": "Cada ciclo é um Superciclo completo (uma estufa ou sala). O marcado com ✏️ é o que está sendo editado; os demais continuam rodando e aparecem aqui. 🚀 Carregar Superciclo aceita um ciclo ou uma biblioteca inteira.",
+  "library.cycle": "Ciclo",
+  "library.now": "Agora",
+  "library.next": "Próxima mudança",
+  "library.inHours": "em {hours} h",
+  "library.notStarted": "não iniciado",
+  "library.noData": "sem dados salvos",
+  "library.editing": "É o que está sendo editado",
+  "library.open": "Abrir",
+  "library.rename": "Renomear",
+  "library.renamePrompt": "Nome do ciclo",
+  "library.duplicate": "Duplicar",
+  "library.export": "Exportar este ciclo (_SUPERCICLO.json)",
+  "library.archive": "Arquivar (sai do painel, não é apagado)",
+  "library.unarchive": "Desarquivar",
+  "library.delete": "Apagar ciclo",
+  "library.deleteConfirm": "Apagar o ciclo «{name}» com o diário? Não dá para desfazer (exporte antes se quiser guardar).",
+  "library.archived": "Arquivados ({count})",
+  "library.create": "Novo ciclo",
+  "library.exportAll": "Exportar biblioteca",
+  "library.newName": "Ciclo {number}",
+  "library.copyName": "{name} (cópia)",
+  "library.importConfirm": "Serão adicionados {count} ciclo(s) à biblioteca: {names}. Descartados por inválidos: {invalid}.",
+  "library.importEmpty": "A biblioteca não tem nenhum ciclo válido.",
+  "load.title": "Carga elétrica (mesmo circuito)",
+  "load.limit": "Limite do circuito",
+  "load.noLimit": "sem limite",
+  "load.noFixtures": "Nenhum ciclo tem luminárias cadastradas. Adicione-as em ⚡ Consumo elétrico de cada ciclo para ver a carga total.",
+  "load.chart": "Carga total das luzes ao longo do tempo",
+  "load.peakShort": "pico {watts}",
+  "load.peak": "Pico: {watts} em {date}",
+  "load.over": "Passa do limite de {limit} por {hours} h no total; a primeira vez em {date}.",
+  "load.under": "Nunca passa do limite de {limit}.",
+  "load.offset": "Atrasar início",
+  "load.offsetHours": "+{hours} h",
+  "load.apply": "Aplicar",
+  "load.applyAll": "Aplicar todos",
+  "load.suggest": "Sugerir deslocamentos",
+  "load.recalculate": "Recalcular",
+  "load.fits": "Com esses deslocamentos o pico fica em {watts}, dentro do limite.",
+  "load.noFit": "Nenhum deslocamento é suficiente: o melhor deixa o pico em {watts}. É preciso outro circuito ou menos luminárias acesas ao mesmo tempo.",
+  "load.hint": "Soma a potência das luminárias de cada ciclo não arquivado enquanto está com luz, pelo nível do dimmer (rampas, pico e dimmer da fase) e com os desvios. Atrasar o início desloca o ciclo inteiro: as horas de luz e escuro não mudam.",
+  "milestone.name": "Nome do marco",
+  "milestone.value": "Quantidade",
+  "milestone.rule": "{value} {unit} {from}",
+  "milestone.fromStart": "desde o início",
+  "milestone.fromPhase": "desde a fase {number}",
+  "milestone.add": "Adicionar marco",
+  "milestone.remove": "Remover marco",
+  "milestone.noPhase": "essa fase não existe",
+  "milestone.in": "em {days} d {hours} h",
+  "milestone.reached": "alcançado",
+  "milestone.count": "{cycles} ciclos superciclo · {days} dias",
+  "milestone.legend": "(data real, com os desvios reancorados)",
+  "milestone.hint": "Os dias são de 24 h e os ciclos, do superciclo (uma fase de ciclos de 25 h soma 25 h por ciclo). Contar a partir de uma fase serve para «63 ciclos desde a floração».",
+  "milestone.preset.flip": "Virada para floração",
+  "milestone.preset.stretchEnd": "Fim do estiramento",
+  "milestone.preset.flush": "Início da lavagem",
+  "milestone.preset.harvest": "Colheita",
+  "milestoneUnit.days": "dias de 24 h",
+  "milestoneUnit.cycles": "ciclos superciclo",
+
+  // Compartir
+  "share.title": "Compartilhar Superciclo",
+  "share.hint": "O link leva toda a configuração (não passa por nenhum servidor). Ao abri-lo, pede-se confirmação.",
+  "share.copy": "Copiar link",
+  "share.copied": "Copiado",
+  "share.copyError": "Não foi possível copiar; selecione o link e copie manualmente.",
+  "share.send": "Enviar…",
+  "share.qrAlt": "Código QR do Superciclo",
+  "share.downloadQr": "Baixar QR",
+  "share.qrTooLarge": "A configuração é grande demais para um código QR; compartilhe o link.",
+  "shared.banner": "Você está vendo um Superciclo compartilhado: as mudanças não são salvas.",
+  "shared.keep": "Salvar como meu",
+  "shared.leave": "Voltar ao meu",
+
+  // Vistas alternativas
+  "cycles.title": "CICLOS DO SUPERCICLO",
+  "cycles.cycle": "Ciclo",
+  "cycles.start": "Início",
+  "cycles.lightOn": "Luz ON",
+  "cycles.partial": "Ciclo cortado pela mudança de fase (não conta como dia do superciclo)",
+  "clock.title": "RELÓGIO 24 H",
+  "clock.aria": "Janelas de luz de hoje e amanhã",
+  "clock.noLight": "sem luz",
+  "clock.today": "Hoje",
+  "clock.tomorrow": "Amanhã",
+
+  // Validación del formulario
+  "error.startRequired": "A data de início é obrigatória.",
+  "error.startFormat": "Formato de data inválido.",
+  "error.segmentHours": "Fase {number}: horas de segmento inválidas.",
+  "error.cycleZero": "Fase {number}: o ciclo deve durar mais de 0 h.",
+  "error.duration": "A duração deve ser >= 1 dia.",
+
+  // Avisos
+  "notify.unsupported": "Este navegador não suporta notificações.",
+  "notify.denied": "Permissão de notificações negada. Habilite-a nas configurações do navegador.",
+  "notify.on": "Avisos ativos",
+  "notify.off": "Ativar avisos",
+  "notify.minutesBefore": "min antes",
+  "notify.bodyOn": "🔆 Luz ON às {time}",
+  "notify.bodyOff": "🌙 Luz OFF às {time}",
+
+  // Exportación PDF / JPG
+  "export.noCalendar": "O calendário para exportar não foi encontrado.",
+  "export.noTimerSheet": "O programa do temporizador não foi encontrado.",
+  "export.pdfError": "Erro ao gerar o PDF.",
+  "export.error": "Ocorreu um erro ao gerar o download.",
+  "export.overlayImage": "Gerando imagem HD...",
+  "export.overlayPdf": "Gerando PDF HD...",
+  "export.generatingImage": "Gerando imagem...",
+  "export.generatingPdf": "Gerando PDF...",
+  "export.downloadJpg": "Baixar JPG",
+  "export.downloadPdf": "Baixar PDF",
+  "reset.confirm": "Redefinir tudo? Dá para desfazer com Ctrl+Z ou em 🕘 Histórico.",
+  "reset.confirmNotes": "Redefinir tudo? As {notes} notas do diário também serão apagadas. Dá para desfazer com Ctrl+Z ou em 🕘 Histórico.",
+
+  // Configuración
+  "config.title": "Configuração",
+  "config.firstOn": "Primeiro acendimento",
+  "config.firstOnSuffix": "do Superciclo",
+  "config.timeZone": "Fuso horário do cultivo",
+  "config.showLocal": "Mostrar também minha hora ({zone})",
+  "config.namePlaceholder": "Ex.: Auto Amnesia",
+  "config.days": "Dias",
+  "config.dropHint": "Arraste seu arquivo aqui ou clique",
+  "config.load": "Carregar Superciclo",
+  "config.save": "Salvar Superciclo",
+  "config.share": "Compartilhar (link / QR)",
+  "config.storageError": "Não foi possível salvar neste navegador (sem espaço, muitas fotos no diário?). Use 💾 Salvar Superciclo para não perder dados.",
+  "config.reset": "Redefinir",
+  "undo.undo": "Desfazer",
+  "undo.redo": "Refazer",
+  "undo.undoTitle": "Desfazer a última alteração (Ctrl+Z)",
+  "undo.redoTitle": "Refazer (Ctrl+Shift+Z ou Ctrl+Y)",
+  "undo.resetHint": "Redefinir, importar ou restaurar pode ser desfeito; antes fica uma versão em 🕘 Histórico.",
+  "snapshot.title": "Histórico de versões",
+  "snapshot.open": "Histórico ({count})",
+  "snapshot.hint": "Versões salvas neste navegador: uma automática a cada 10 min se houve alterações e uma antes de redefinir, importar ou restaurar. As fotos do diário não ficam aqui; ao restaurar voltam as que ainda estiverem no diário.",
+  "snapshot.empty": "Ainda não há versões salvas.",
+  "snapshot.restore": "Restaurar",
+  "snapshot.remove": "Apagar versão",
+  "snapshot.save": "Salvar versão agora",
+  "snapshotReason.auto": "Automática",
+  "snapshotReason.manual": "Salva manualmente",
+  "snapshotReason.reset": "Antes de redefinir",
+  "snapshotReason.import": "Antes de importar",
+  "snapshotReason.restore": "Antes de restaurar",
+  "tip.title": "Recomendação:",
+  "tip.desktop": "para a melhor qualidade de exportação, use um computador ou notebook.",
+  "tip.mobile": "Em dispositivos móveis, o calendário é gerado automaticamente como imagem JPG. Pode levar alguns segundos para começar.",
+
+  // Fases
+  "phase.name": "Fase {number}",
+  "phase.untilEnd": "(até o final)",
+  "phase.remove": "Remover fase",
+  "phase.toggle": "Alternar ON / OFF",
+  "phase.removeSegment": "Remover segmento",
+  "phase.addSegment": "Segmento",
+  "phase.days": "Dias da fase",
+  "phase.ppfd": "PPFD da fase",
+  "phase.general": "geral",
+  "phase.cycleOf": "ciclo de {hours}h",
+  "phase.add": "Adicionar fase",
+
+  // Luz y rampas
+  "light.dliMin": "DLI mín",
+  "light.dliMax": "DLI máx",
+  "light.hint": "DLI (mol/m²/dia) = PPFD × horas de luz × 0,0036. Cada fase pode ter seu PPFD e dimmer.",
+  "ramp.sunrise": "Amanhecer",
+  "ramp.sunset": "Entardecer",
+  "ramp.minutes": "Duração da rampa (minutos)",
+  "ramp.curve": "Curva",
+  "ramp.peak": "Pico",
+  "ramp.peakTitle": "Saída do driver no patamar (%)",
+  "ramp.peakUnit": "% do driver",
+  "ramp.hint": "O amanhecer sobe a partir do acendimento e o entardecer desce até o desligamento; consumo e DLI contam a luz atenuada.",
+  "rampCurve.linear": "Linear",
+  "rampCurve.smooth": "Suave (S)",
+  "rampCurve.exponential": "Exponencial (lenta no começo)",
+  "rampCurve.logarithmic": "Logarítmica (rápida no começo)",
+
+  // Consumo eléctrico
+  "energy.fixture": "Luminária {number}",
+  "energy.watts": "Potência (W)",
+  "energy.count": "Quantidade",
+  "energy.remove": "Remover luminária",
+  "energy.add": "Luminária",
+  "energy.price": "Preço kWh",
+  "energy.currency": "Moeda",
+  "energy.total": "Total: {watts} W ligados durante cada período de luz",
+
+  // Panel de estado
+  "status.title": "Estado",
+  "status.superciclo": "Superciclo",
+  "status.now": "Hora atual",
+  "status.start": "Início",
+  "status.elapsed1": "Tempo",
+  "status.elapsed2": "decorrido",
+  "status.elapsedHint": "(equivalente a dias de 24h)",
+  "status.days": "Dias do Superciclo",
+  "status.cyclesOf": "Ciclos de {hours}h",
+  "status.balance": "Balanço energético",
+  "status.balanceHint": "vs ciclo padrão 12L / 12D",
+  "status.cycleState": "Estado do ciclo",
+  "status.next": "Próximo evento ({action})",
+  "status.noChanges": "Sem mudanças programadas",
+  "status.inHours": "Em {hours} h",
+  "dli.today": "Hoje (dia de 24h)",
+  "dli.ppfdNow": "PPFD atual {ppfd}",
+  "dli.cycle": "Ciclo atual",
+  "dli.per24": "≈ {dli} por 24h",
+  "dli.total": "Acumulado: {moles} mol/m²",
+  "dli.outOfRange": "{days} dias e {cycles} ciclos fora de {min}–{max}",
+  "dli.inRange": "todos os dias dentro da faixa",
+  "cost.title": "Custo de energia",
+  "cost.soFar": "Até agora",
+  "cost.projection": "Projeção ({days} dias)",
+  "cost.saving": "Economia",
+  "cost.extra": "Gasto extra",
+
+  // Grilla y leyenda
+  "grid.title": "CALENDÁRIO SUPERCICLO",
+  "grid.local": "Sua hora",
+  "grid.localTitle": "00:00 do cultivo no seu fuso ({zone})",
+  "grid.openJournal": "Abrir o diário deste dia",
+  "grid.dst": "Mudança de horário: o dia dura {hours} h",
+  "grid.dliLow": "DLI abaixo do objetivo",
+  "grid.dliHigh": "DLI acima do objetivo",
+  "grid.dliDay": "DLI do dia",
+  "grid.energy": "Projeção {days} dias: {kwh} kWh ({cost})",
+  "grid.saving": "economia",
+  "grid.extra": "gasto extra",
+  "legend.on": "Luz",
+  "legend.off": "Escuridão",
+  "legend.minute": "minuto exato em que acende / apaga",
+  "legend.current": "Célula destacada",
+  "legend.currentText": "hora atual do dia",
+  "legend.journal": "dia com notas (toque no número do dia para abrir o diário)",
+  "legend.dst": "mudança de horário (\"—\" hora pulada, \"×2\" hora repetida)",
+  "legend.actual": "Faixa inferior",
+  "legend.actualText": "luz real (desvio registrado)",
+  "legend.ramp": "Sombreado",
+  "legend.rampText": "rampa de amanhecer/entardecer",
+  "legend.scenario": "Faixa superior",
+  "legend.scenarioText": "cenário “{name}”",
+  "legend.scenarioDiff": "cenário “{name}” onde muda (o que é igual fica atenuado)",
+  "legend.milestone": "marco (linha na hora exata)",
+  "legend.cyclesRow": "Uma linha por ciclo da fase (o bloco ON fica sempre no mesmo lugar)",
+  "legend.marker": "Marca rosa",
+  "legend.markerText": "momento atual",
+  "legend.partial": "ciclo cortado pela mudança de fase",
+  "legend.rings": "Anel interno = hoje · anel externo = amanhã",
+  "legend.arcs": "Arcos",
+  "legend.arcsText": "luz ON",
+  "legend.hand": "Ponteiro",
+  "legend.handText": "hora atual",
+  "legend.zone": "Horários em {zone}",
+  "legend.download": "Disponível como PDF (PC) ou JPG (celular)",
+
+  // Programa del temporizador
+  "timer.title": "Programa do temporizador",
+  "timer.download": "Baixar programa PDF",
+  "timer.hint": "Horários para um temporizador digital de 24 h ({zone})",
+  "timer.changesOne": "{count} dia precisa ser reprogramado",
+  "timer.changesMany": "{count} dias precisam ser reprogramados",
+  "timer.sheetTitle": "Programa diário",
+  "timer.atMidnight": "Às 00:00",
+  "timer.onAt": "Luz ON às",
+  "timer.offAt": "Luz OFF às",
+  "timer.onLocal": "ON sua hora",
+  "timer.offLocal": "OFF sua hora",
+  "timer.program": "Programa",
+  "timer.first": "Início",
+  "timer.reprogram": "Reprogramar",
+  "timer.same": "Igual",
+  "timer.dst": "Mudança de horário ({shift}h)",
+};
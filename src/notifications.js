@@ -0,0 +1,74 @@
+/**
+ * notifications.js — PWA: service worker y avisos antes de cada cambio ON/OFF
+ */
+
+import { listTransitions, historyTransitions, formatInZone } from "./lib/schedule";
+import { createTranslator, DEFAULT_LANGUAGE } from "./i18n";
+
+const NOTIFY_HORIZON_HOURS = 48; // cuántos avisos se programan por adelantado
+
+export function registerServiceWorker() {
+  if (!("serviceWorker" in navigator)) return;
+  window.addEventListener("load", () => {
+    navigator.serviceWorker.register("/sw.js").catch((err) => {
+      console.warn("No se pudo registrar el service worker:", err);
+    });
+  });
+}
+
+export function notificationsSupported() {
+  return typeof window !== "undefined" && "Notification" in window;
+}
+
+export async function requestNotificationPermission() {
+  if (!notificationsSupported()) return "unsupported";
+  if (Notification.permission !== "default") return Notification.permission;
+  return Notification.requestPermission();
+}
+
+/**
+ * Avisos de los próximos cambios: `minutesBefore` minutos antes de cada uno
+ * (la hora del texto va en la zona del cuarto de cultivo). Con `history` se avisan
+ * los cambios reales (desvíos registrados y re-anclajes). `t` (createTranslator)
+ * da el idioma de los textos.
+ * @returns {{ at: number, title: string, body: string, tag: string }[]}
+ */
+export function upcomingNotifications({ timeline, history = null, startDateObj, nowMs, minutesBefore, nombreCiclo, timeZone, t = createTranslator(DEFAULT_LANGUAGE) }) {
+  const fromHours = (nowMs - startDateObj.getTime()) / 3600000;
+  const name = nombreCiclo?.trim() || "Superciclo";
+  const minutes = Math.max(0, Math.round(Number(minutesBefore) || 0));
+  const transitions = history
+    ? historyTransitions(history, fromHours, fromHours + NOTIFY_HORIZON_HOURS)
+    : listTransitions(timeline, fromHours, fromHours + NOTIFY_HORIZON_HOURS);
+  return transitions.map((tr) => {
+    const switchAt = startDateObj.getTime() + tr.hours * 3600000;
+    const action = t(tr.isLight ? "event.on" : "event.off");
+    return {
+      at: switchAt - minutes * 60000,
+      switchAt,
+      title: t("ics.alarm", { action, minutes, name }),
+      body: t(tr.isLight ? "notify.bodyOn" : "notify.bodyOff", { time: formatInZone(switchAt, timeZone, { hour: "2-digit", minute: "2-digit" }, t.locale) }),
+      tag: `fotoperiodo-${switchAt}`,
+    };
+  });
+}
+
+// Envía los avisos al service worker (los programa aunque la app se cierre, si el navegador lo soporta)
+export async function scheduleInServiceWorker(notifications) {
+  if (!("serviceWorker" in navigator)) return;
+  const registration = await navigator.serviceWorker.ready;
+  registration.active?.postMessage({ type: "schedule-notifications", notifications });
+}
+
+// Muestra un aviso ahora (vía service worker para que funcione con la pestaña en segundo plano)
+export async function showNotification({ title, body, tag }) {
+  if (!notificationsSupported() || Notification.permission !== "granted") return;
+  const options = { body, tag, icon: "/favicon.png", badge: "/favicon.png" };
+  try {
+    const registration = await navigator.serviceWorker?.getRegistration();
+    if (registration) return registration.showNotification(title, options);
+  } catch {
+    // sin service worker: se usa la API directa
+  }
+  new Notification(title, options);
+}
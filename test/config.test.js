@@ -0,0 +1,66 @@
+// Validación de configuraciones (src/lib/config.js) y enlaces (src/lib/share.js)
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { validateConfig, ConfigError } from "../src/lib/config.js";
+import { decodeShareHash } from "../src/lib/share.js";
+import { MAX_PHOTO_LENGTH } from "../src/lib/journal.js";
+import es from "../src/locales/es.js";
+import en from "../src/locales/en.js";
+import pt from "../src/locales/pt.js";
+
+test("validateConfig: los motivos son claves con parámetros, no frases", () => {
+  const { value, errors } = validateConfig({
+    version: 2,
+    durationDays: 0,
+    startDate: "ayer",
+    phases: [{ days: 10, segments: [{ isLight: "sí", hours: 12 }] }],
+    timeZone: "Marte/Olympus",
+    nombreCiclo: "x".repeat(101),
+    deviations: [{ at: "2026-01-01T00:00:00Z", type: "eclipse", hours: 2 }],
+    color: "verde",
+  });
+  const byField = Object.fromEntries(errors.map((e) => [e.field, e]));
+  assert.deepEqual(byField.durationDays, { field: "durationDays", key: "range", params: { min: 1, max: 9999 } });
+  assert.equal(byField.startDate.key, "dateFormat");
+  assert.equal(byField["phases[0].segments[0].isLight"].key, "isLight");
+  assert.deepEqual(byField.timeZone.params, { zone: "Marte/Olympus" });
+  assert.deepEqual(byField.nombreCiclo.params, { max: 100 });
+  assert.equal(byField["deviations[0].type"].key, "oneOf");
+  assert.equal(byField.color.key, "unknownField");
+  assert.equal(value.nombreCiclo, undefined);
+  errors.forEach((e) => assert.equal(e.reason, undefined));
+});
+
+test("validateConfig: los errores de archivo traen clave y el mensaje en español", () => {
+  assert.deepEqual(validateConfig({ version: 9 }).errors, [{ field: "(archivo)", key: "newerVersion", params: { version: 9 } }]);
+  assert.equal(validateConfig([]).errors[0].key, "notConfig");
+  assert.equal(validateConfig({ version: 2 }).errors[0].key, "empty");
+});
+
+test("validateConfig: acepta duraciones con medio día (también en archivos v1)", () => {
+  assert.equal(validateConfig({ version: 2, durationDays: 10.5 }).value.durationDays, 10.5);
+  const v1 = validateConfig({ startDate: "2026-01-01T00:00", hoursLight: 13, hoursDark: 14, durationDays: 45.5 });
+  assert.deepEqual(v1.errors, []);
+  assert.equal(v1.fromVersion, 1);
+  assert.equal(v1.value.durationDays, 45.5);
+});
+
+test("validateConfig: descarta las notas con fotos demasiado pesadas", () => {
+  const photo = (length) => "data:image/jpeg;base64," + "A".repeat(length);
+  const entry = (photos) => ({ at: "2026-01-01T10:00:00Z", type: "riego", photos });
+  const { value, errors } = validateConfig({ journal: { "2026-01-01": [entry([photo(1000)]), entry([photo(MAX_PHOTO_LENGTH)])] } });
+  assert.equal(value.journal["2026-01-01"].length, 1);
+  assert.deepEqual(errors, [{ field: "journal.2026-01-01[1].photos", key: "photoSize", params: { kb: 150 } }]);
+});
+
+test("decodeShareHash: los enlaces rotos dan ConfigError con su clave", async () => {
+  await assert.rejects(decodeShareHash("#otra=1"), (err) => err instanceof ConfigError && err.key === "noLink");
+  await assert.rejects(decodeShareHash("#sc=j.e3"), (err) => err instanceof ConfigError && err.key === "brokenLink" && typeof err.params.detail === "string");
+  assert.deepEqual(await decodeShareHash("#sc=j.eyJhIjoxfQ"), { a: 1 });
+});
+
+test("locales: los tres idiomas tienen las mismas claves", () => {
+  const keys = (dict) => Object.keys(dict).sort();
+  assert.deepEqual(keys(en), keys(es));
+  assert.deepEqual(keys(pt), keys(es));
+});
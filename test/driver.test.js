@@ -0,0 +1,245 @@
+// Driver local (src/driver): enchufe HTTP simulado y broker MQTT reemplazado por un stub
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import http from "node:http";
+import { createHash } from "node:crypto";
+import { createDevice } from "../src/driver/devices.js";
+import { createDriver } from "../src/driver/driver.js";
+
+// 12 ON / 12 OFF desde las 00:00 UTC: ON de 00 a 12, OFF de 12 a 24
+const CONFIG = {
+  startDate: "2026-01-01T00:00",
+  timeZone: "UTC",
+  durationDays: 10,
+  phases: [{ days: 10, segments: [{ isLight: true, hours: 12 }, { isLight: false, hours: 12 }] }],
+};
+const AT_ON = new Date("2026-01-01T06:00:00Z");
+const AT_OFF = new Date("2026-01-01T13:00:00Z");
+
+// Enchufe Tasmota simulado: /cm?cmnd=Power [On|Off]. `failures` respuestas 500 antes de andar
+async function startPlug({ power = false, failures = 0 } = {}) {
+  const plug = { power, failures, requests: [] };
+  const server = http.createServer((req, res) => {
+    const cmnd = new URL(req.url, "http://plug").searchParams.get("cmnd") || "";
+    plug.requests.push({ cmnd, at: Date.now() });
+    if (plug.failures > 0) {
+      plug.failures -= 1;
+      res.writeHead(500);
+      res.end();
+      return;
+    }
+    const set = /^Power (On|Off)$/i.exec(cmnd);
+    if (set) plug.power = set[1].toLowerCase() === "on";
+    res.setHeader("Content-Type", "application/json");
+    res.end(JSON.stringify({ POWER: plug.power ? "ON" : "OFF" }));
+  });
+  await new Promise((resolve) => server.listen(0, "127.0.0.1", resolve));
+  plug.host = `127.0.0.1:${server.address().port}`;
+  plug.close = () => new Promise((resolve) => server.close(resolve));
+  return plug;
+}
+
+function setup(plug, options = {}) {
+  const logs = [];
+  let clock = options.at || AT_ON;
+  const driver = createDriver({
+    config: CONFIG,
+    devices: [createDevice({ type: "tasmota", host: plug.host })],
+    retry: { attempts: 3, delayMs: 20 },
+    reconcileMinutes: 1000,
+    now: () => clock,
+    log: (msg) => logs.push(msg),
+    ...options,
+  });
+  return { driver, logs, setClock: (d) => { clock = d; } };
+}
+
+test("reintenta con espera exponencial hasta que el enchufe responde", async (t) => {
+  const plug = await startPlug({ failures: 3 });
+  t.after(() => plug.close());
+  const { driver, logs } = setup(plug, { retry: { attempts: 4, delayMs: 30 } });
+
+  const result = await driver.tick(true);
+  assert.equal(result.ok, true);
+  assert.equal(plug.power, true);
+  // Lectura fallida + 3 envíos (2 fallidos) con esperas de 30 y 60 ms entre envíos
+  assert.deepEqual(plug.requests.map((r) => r.cmnd), ["Power", "Power On", "Power On", "Power On"]);
+  const [, first, second, third] = plug.requests.map((r) => r.at);
+  assert.ok(second - first >= 28, `espera 1: ${second - first} ms`);
+  assert.ok(third - second >= 58, `espera 2: ${third - second} ms`);
+  assert.equal(logs.filter((l) => l.includes("intento")).length, 2);
+  await driver.stop();
+});
+
+test("si se agotan los intentos queda pendiente y se reenvía en el próximo tick", async (t) => {
+  const plug = await startPlug({ failures: 100 });
+  t.after(() => plug.close());
+  const { driver } = setup(plug, { retry: { attempts: 2, delayMs: 5 } });
+
+  assert.equal((await driver.tick(true)).ok, false);
+  assert.equal(plug.power, false);
+
+  plug.failures = 0;
+  const before = plug.requests.length;
+  assert.equal((await driver.tick()).ok, true);
+  assert.deepEqual(plug.requests.slice(before).map((r) => r.cmnd), ["Power On"]);
+  await driver.stop();
+});
+
+test("reconcilia al arrancar: corrige un cambio manual y no reenvía si ya coincide", async (t) => {
+  const plug = await startPlug({ power: true });
+  t.after(() => plug.close());
+
+  // Alguien lo dejó prendido en horario de oscuridad
+  const first = setup(plug, { at: AT_OFF });
+  await first.driver.tick(true);
+  assert.equal(plug.power, false);
+  assert.deepEqual(plug.requests.map((r) => r.cmnd), ["Power", "Power Off"]);
+  assert.ok(first.logs.some((l) => l.includes("estaba ON")));
+  await first.driver.stop();
+
+  // Reinicio con el enchufe ya en OFF: solo lee el estado
+  plug.requests.length = 0;
+  const second = setup(plug, { at: AT_OFF });
+  await second.driver.tick(true);
+  assert.deepEqual(plug.requests.map((r) => r.cmnd), ["Power"]);
+  await second.driver.stop();
+
+  // Reinicio después de un corte que lo volvió a prender
+  plug.power = true;
+  plug.requests.length = 0;
+  const third = setup(plug, { at: AT_OFF });
+  await third.driver.tick(true);
+  assert.equal(plug.power, false);
+  assert.deepEqual(plug.requests.map((r) => r.cmnd), ["Power", "Power Off"]);
+  await third.driver.stop();
+});
+
+test("en el cambio programado envía el comando sin leer el estado", async (t) => {
+  const plug = await startPlug();
+  t.after(() => plug.close());
+  const { driver, setClock } = setup(plug);
+
+  await driver.tick(true);
+  assert.equal(plug.power, true);
+  plug.requests.length = 0;
+
+  setClock(AT_OFF);
+  const result = await driver.tick();
+  assert.equal(result.isLight, false);
+  assert.equal(plug.power, false);
+  assert.deepEqual(plug.requests.map((r) => r.cmnd), ["Power Off"]);
+  await driver.stop();
+});
+
+test("dry-run no toca el enchufe", async (t) => {
+  const plug = await startPlug();
+  t.after(() => plug.close());
+  const { driver, logs, setClock } = setup(plug, { dryRun: true });
+
+  await driver.start();
+  setClock(AT_OFF);
+  await driver.tick();
+  await driver.stop();
+
+  assert.equal(plug.requests.length, 0);
+  assert.equal(plug.power, false);
+  assert.ok(logs.some((l) => l.includes("[dry-run] ON")));
+  assert.ok(logs.some((l) => l.includes("[dry-run] OFF")));
+});
+
+test("MQTT: reconecta tras un fallo y republica el estado al reconciliar", async () => {
+  const published = [];
+  let connects = 0;
+  let ended = false;
+  const connectMqtt = async (url, options) => {
+    connects += 1;
+    if (connects === 1) throw new Error("broker caído");
+    assert.equal(url, "mqtt://broker.local:1883");
+    assert.equal(options.username, "carpa");
+    return {
+      publishAsync: async (topic, payload, opts) => { published.push({ topic, payload, retain: opts.retain }); },
+      endAsync: async () => { ended = true; },
+    };
+  };
+  const device = createDevice({ type: "mqtt", url: "mqtt://broker.local:1883", topic: "cmnd/carpa1/POWER", user: "carpa" }, { connectMqtt });
+  let clock = AT_ON;
+  const driver = createDriver({ config: CONFIG, devices: [device], retry: { attempts: 2, delayMs: 5 }, reconcileMinutes: 1000, now: () => clock, log: () => {} });
+
+  assert.equal((await driver.tick(true)).ok, true);
+  assert.equal(connects, 2);
+  // Sin lectura de estado: cada reconciliación vuelve a publicar (retenido)
+  await driver.tick(true);
+  clock = AT_OFF;
+  await driver.tick();
+  assert.deepEqual(published, [
+    { topic: "cmnd/carpa1/POWER", payload: "ON", retain: true },
+    { topic: "cmnd/carpa1/POWER", payload: "ON", retain: true },
+    { topic: "cmnd/carpa1/POWER", payload: "OFF", retain: true },
+  ]);
+  await driver.stop();
+  assert.equal(ended, true);
+});
+
+// Shelly Gen2 con autenticación: responde 401 con un desafío Digest SHA-256
+async function startShellyGen2({ password }) {
+  const shelly = { output: false, stuck: false, unauthorized: 0 };
+  const realm = "shellyplus1-a8032ab12345";
+  const nonce = "6a3b9e1f";
+  const sha = (text) => createHash("sha256").update(text).digest("hex");
+  const server = http.createServer((req, res) => {
+    const header = req.headers.authorization || "";
+    const fields = Object.fromEntries([...header.matchAll(/(\w+)=(?:"([^"]*)"|([^\s,]+))/g)].map((m) => [m[1], m[2] ?? m[3]]));
+    const ha1 = sha(`admin:${realm}:${password}`);
+    const ha2 = sha(`GET:${req.url}`);
+    const expected = sha(`${ha1}:${nonce}:${fields.nc}:${fields.cnonce}:auth:${ha2}`);
+    if (!header.startsWith("Digest ") || fields.username !== "admin" || fields.uri !== req.url || fields.response !== expected) {
+      shelly.unauthorized += 1;
+      res.writeHead(401, { "WWW-Authenticate": `Digest qop="auth", realm="${realm}", nonce="${nonce}", algorithm=SHA-256` });
+      res.end();
+      return;
+    }
+    const url = new URL(req.url, "http://shelly");
+    const wasOn = shelly.output;
+    // Con `stuck` el relé no conmuta (contacto pegado): acepta el comando y sigue igual
+    if (url.pathname === "/rpc/Switch.Set" && !shelly.stuck) shelly.output = url.searchParams.get("on") === "true";
+    res.setHeader("Content-Type", "application/json");
+    res.end(JSON.stringify(url.pathname === "/rpc/Switch.Set" ? { was_on: wasOn } : { id: 0, output: shelly.output }));
+  });
+  await new Promise((resolve) => server.listen(0, "127.0.0.1", resolve));
+  shelly.host = `127.0.0.1:${server.address().port}`;
+  shelly.close = () => new Promise((resolve) => server.close(resolve));
+  return shelly;
+}
+
+test("Shelly Gen2: autenticación Digest", async (t) => {
+  const shelly = await startShellyGen2({ password: "clave-carpa" });
+  t.after(() => shelly.close());
+
+  const device = createDevice({ type: "shelly", gen: 2, host: shelly.host, password: "clave-carpa" });
+  await device.setPower(true);
+  assert.equal(shelly.output, true);
+  assert.equal(await device.getPower(), true);
+
+  const wrong = createDevice({ type: "shelly", gen: 2, host: shelly.host, password: "otra" });
+  await assert.rejects(wrong.getPower(), /HTTP 401/);
+});
+
+test("Shelly Gen2: un relé que no conmutó da error y el driver reintenta", async (t) => {
+  const shelly = await startShellyGen2({ password: "clave-carpa" });
+  t.after(() => shelly.close());
+  shelly.stuck = true;
+
+  const device = createDevice({ type: "shelly", gen: 2, host: shelly.host, password: "clave-carpa" });
+  await assert.rejects(device.setPower(true), /respondió OFF/);
+
+  const logs = [];
+  const driver = createDriver({ config: CONFIG, devices: [device], retry: { attempts: 2, delayMs: 5 }, now: () => AT_ON, log: (msg) => logs.push(msg) });
+  assert.equal((await driver.tick(true)).ok, false);
+  assert.equal(logs.filter((msg) => msg.includes("respondió OFF")).length, 2);
+
+  // Se destraba: el próximo tick vuelve a enviar y confirma
+  shelly.stuck = false;
+  assert.equal((await driver.tick()).ok, true);
+  assert.equal(shelly.output, true);
+});
@@ -0,0 +1,77 @@
+// Exportación a calendario (src/lib/ics.js)
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { buildPhaseTimeline, buildHistory } from "../src/lib/schedule.js";
+import { buildICS, icsEscape, icsFold } from "../src/lib/ics.js";
+
+const segs = (...pairs) => pairs.map(([isLight, hours]) => ({ isLight, hours }));
+
+// Fase 1 (1 día): 6 ON / 2 OFF / 6 ON / 10 OFF; fase 2: 12/12
+const TIMELINE = buildPhaseTimeline([
+  { days: 1, segments: segs([true, 6], [false, 2], [true, 6], [false, 10]) },
+  { days: 30, segments: segs([true, 12], [false, 12]) },
+]);
+
+const ics = (options) => buildICS({
+  timeline: TIMELINE,
+  startDateObj: new Date("2026-01-01T06:00:00Z"),
+  durationDays: 3,
+  name: "Carpa 1",
+  mode: "periods",
+  alarmMinutes: 0,
+  timeZone: "Europe/Madrid",
+  now: new Date("2026-01-01T00:00:00Z"),
+  ...options,
+});
+
+const values = (text, prop) => text.split("\r\n").filter((l) => l.startsWith(`${prop}:`)).map((l) => l.slice(prop.length + 1));
+
+test("icsFold: corta a 75 octetos sin partir caracteres multibyte", () => {
+  assert.equal(icsFold("a".repeat(75)), "a".repeat(75));
+  assert.equal(icsFold("a".repeat(76)), `${"a".repeat(75)}\r\n a`);
+  // Las líneas de continuación llevan el espacio: 74 octetos de contenido
+  assert.equal(icsFold("a".repeat(150)), `${"a".repeat(75)}\r\n ${"a".repeat(74)}\r\n a`);
+  // "ñ" ocupa 2 octetos: no entra en el octeto 75 y pasa entera a la línea siguiente
+  const folded = icsFold(`${"a".repeat(74)}ñb`);
+  assert.equal(folded, `${"a".repeat(74)}\r\n ñb`);
+  folded.split("\r\n").forEach((line) => assert.ok(new TextEncoder().encode(line).length <= 75));
+});
+
+test("icsEscape: comas, punto y coma, saltos de línea y barras", () => {
+  assert.equal(icsEscape("a,b;c\nd\r\ne\\f"), "a\\,b\\;c\\nd\\ne\\\\f");
+});
+
+test("buildICS: un evento por período de luz en varias fases", () => {
+  const text = ics();
+  assert.ok(text.endsWith("END:VCALENDAR\r\n"));
+  assert.equal(values(text, "BEGIN").filter((v) => v === "VEVENT").length, 4);
+  assert.deepEqual(values(text, "DTSTART"), ["20260101T060000Z", "20260101T140000Z", "20260102T060000Z", "20260103T060000Z"]);
+  assert.deepEqual(values(text, "DTEND"), ["20260101T120000Z", "20260101T200000Z", "20260102T180000Z", "20260103T180000Z"]);
+  assert.deepEqual(values(text, "X-WR-TIMEZONE"), ["Europe/Madrid"]);
+  assert.equal(values(text, "BEGIN").filter((v) => v === "VALARM").length, 0);
+});
+
+test("buildICS: con el historial, los eventos siguen a un re-anclaje", () => {
+  const deviations = [{ at: "2026-01-02T06:00:00Z", type: "corte", hours: 3, reanchor: true }];
+  const history = buildHistory(TIMELINE, deviations, new Date("2026-01-01T06:00:00Z"));
+  const text = ics({ history });
+  assert.deepEqual(values(text, "DTSTART"), ["20260101T060000Z", "20260101T140000Z", "20260102T090000Z", "20260103T090000Z"]);
+  assert.deepEqual(values(text, "DTEND"), ["20260101T120000Z", "20260101T200000Z", "20260102T210000Z", "20260103T210000Z"]);
+  assert.deepEqual(values(ics({ history, mode: "transitions" }), "DTSTART").slice(4), ["20260102T090000Z", "20260102T210000Z", "20260103T090000Z", "20260103T210000Z"]);
+});
+
+test("buildICS: un evento por cambio, avisos e hitos", () => {
+  const text = ics({
+    mode: "transitions",
+    alarmMinutes: 15,
+    milestones: [{ name: "Floración", date: new Date("2026-01-02T06:00:00Z"), description: "1 día, desde el inicio" }],
+  });
+  assert.deepEqual(values(text, "DTSTART"), [
+    "20260101T060000Z", "20260101T120000Z", "20260101T140000Z", "20260101T200000Z",
+    "20260102T060000Z", "20260102T180000Z", "20260103T060000Z", "20260103T180000Z", "20260104T060000Z",
+    "20260102T060000Z",
+  ]);
+  assert.deepEqual(values(text, "TRIGGER"), Array(9).fill("-PT15M"));
+  assert.equal(values(text, "DESCRIPTION").at(-1), "1 día\\, desde el inicio");
+  assert.equal(values(text, "DESCRIPTION")[0], "Encendido en 15 min — Carpa 1");
+});
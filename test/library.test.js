@@ -0,0 +1,88 @@
+// Biblioteca de ciclos (src/lib/library.js)
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import {
+  LIBRARY_FILE_KIND,
+  createLibrary,
+  normalizeLibrary,
+  normalizeCircuitWatts,
+  addCycle,
+  setCycleArchived,
+  removeCycle,
+  fallbackCycleId,
+  buildLibraryFile,
+  isLibraryFile,
+  libraryFileCycles,
+} from "../src/lib/library.js";
+
+const entry = (id, archived = false) => ({ id, archived, createdAt: "2026-01-01T00:00:00.000Z" });
+const library = (activeId, ...cycles) => ({ version: 1, activeId, circuitWatts: null, cycles });
+
+test("normalizeLibrary: descarta duplicados y entradas sin id", () => {
+  const lib = normalizeLibrary({
+    activeId: "b",
+    circuitWatts: "3500",
+    cycles: [entry("a"), { ...entry("a"), archived: true }, { id: "" }, null, { id: 7 }, { id: "b", archived: 1 }],
+  });
+  assert.deepEqual(lib.cycles.map((c) => [c.id, c.archived]), [["a", false], ["b", true]]);
+  assert.equal(typeof lib.cycles[1].createdAt, "string");
+  assert.equal(lib.activeId, "b");
+  assert.equal(lib.circuitWatts, 3500);
+});
+
+test("normalizeLibrary: activo inexistente pasa al primero; sin ciclos no sirve", () => {
+  assert.equal(normalizeLibrary({ activeId: "z", cycles: [entry("a"), entry("b")] }).activeId, "a");
+  assert.equal(normalizeLibrary({ activeId: "a", cycles: [] }), null);
+  assert.equal(normalizeLibrary({ cycles: "a" }), null);
+  assert.equal(normalizeLibrary(null), null);
+});
+
+test("normalizeCircuitWatts: número positivo o null", () => {
+  assert.equal(normalizeCircuitWatts(2000), 2000);
+  assert.equal(normalizeCircuitWatts("1500.5"), 1500.5);
+  [null, "", 0, -10, "mucho", undefined].forEach((v) => assert.equal(normalizeCircuitWatts(v), null));
+});
+
+test("addCycle / setCycleArchived: agrega después del indicado y archiva sin mover", () => {
+  const base = library("a", entry("a"), entry("b"));
+  const { library: added, id } = addCycle(base, { afterId: "a" });
+  assert.deepEqual(added.cycles.map((c) => c.id), ["a", id, "b"]);
+  const appended = addCycle(base);
+  assert.equal(appended.library.cycles.at(-1).id, appended.id);
+  assert.deepEqual(setCycleArchived(added, "b", true).cycles.map((c) => c.archived), [false, false, true]);
+});
+
+test("removeCycle: no quita el activo ni el último", () => {
+  const lib = library("a", entry("a"), entry("b"));
+  assert.equal(removeCycle(lib, "a"), lib);
+  assert.deepEqual(removeCycle(lib, "b").cycles.map((c) => c.id), ["a"]);
+  const single = createLibrary();
+  assert.equal(removeCycle({ ...single, activeId: "otro" }, single.cycles[0].id).cycles.length, 1);
+});
+
+test("fallbackCycleId: el siguiente sin archivar, o cualquiera, o null", () => {
+  assert.equal(fallbackCycleId(library("a", entry("a"), entry("b", true), entry("c")), "a"), "c");
+  assert.equal(fallbackCycleId(library("a", entry("a"), entry("b", true)), "a"), "b");
+  assert.equal(fallbackCycleId(library("a", entry("a")), "a"), null);
+});
+
+test("buildLibraryFile → libraryFileCycles: ida y vuelta con el activo y los archivados", () => {
+  const lib = library("c", entry("a"), entry("b", true), entry("c"));
+  // "a" no tiene configuración guardada: no va en el archivo
+  const configs = { b: { version: 2, nombreCiclo: "Madres" }, c: { version: 2, nombreCiclo: "Flora" } };
+  const file = JSON.parse(JSON.stringify(buildLibraryFile(lib, configs)));
+  assert.equal(file.kind, LIBRARY_FILE_KIND);
+  assert.ok(isLibraryFile(file));
+  assert.equal(file.activeIndex, 1);
+  assert.deepEqual(libraryFileCycles(file), [
+    { archived: true, config: configs.b },
+    { archived: false, config: configs.c },
+  ]);
+});
+
+test("libraryFileCycles: ignora archivos ajenos y ciclos sin configuración", () => {
+  assert.deepEqual(libraryFileCycles({ version: 2, phases: [] }), []);
+  assert.deepEqual(libraryFileCycles({ kind: LIBRARY_FILE_KIND, cycles: [null, { archived: true }, { config: "x" }, { config: { a: 1 } }] }), [
+    { archived: false, config: { a: 1 } },
+  ]);
+});
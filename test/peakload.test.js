@@ -0,0 +1,84 @@
+// Carga eléctrica de varios cuartos (src/lib/peakload.js)
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { buildPhaseTimeline } from "../src/lib/schedule.js";
+import { roomLoad, loadTimeline, peakLoad, suggestOffsets, superCycleHours } from "../src/lib/peakload.js";
+
+const segs = (...pairs) => pairs.map(([isLight, hours]) => ({ isLight, hours }));
+
+function room(id, watts, phases = [{ days: 30, segments: segs([true, 12], [false, 12]) }]) {
+  return roomLoad({
+    startDate: "2026-01-01T00:00",
+    timeZone: "UTC",
+    durationDays: 10,
+    phases,
+    energy: { fixtures: [{ name: "LED", watts, count: 1 }] },
+  }, { id });
+}
+
+test("loadTimeline / peakLoad: suma los cuartos prendidos a la vez", () => {
+  const rooms = [room("a", 600), room("b", 800)];
+  const peak = peakLoad(loadTimeline(rooms), 1000);
+  assert.equal(peak.watts, 1400);
+  assert.deepEqual([...peak.rooms].sort(), ["a", "b"]);
+  assert.equal(peak.overHours, 120); // 12 h por día durante 10 días
+  assert.equal(new Date(peak.firstOver).toISOString(), "2026-01-01T00:00:00.000Z");
+
+  // Con uno corrido 12 h nunca coinciden
+  const shifted = peakLoad(loadTimeline(rooms, { a: 12 }), 1000);
+  assert.equal(shifted.watts, 800);
+  assert.equal(shifted.overHours, 0);
+});
+
+test("suggestOffsets: escalona para quedar bajo el límite", () => {
+  const result = suggestOffsets([room("a", 600), room("b", 800)], 1000);
+  assert.deepEqual(result.offsets, { b: 0, a: 12 });
+  assert.equal(result.fits, true);
+  assert.equal(result.peak.watts, 800);
+});
+
+test("suggestOffsets: sin solución propone el pico más bajo", () => {
+  const result = suggestOffsets([room("a", 600), room("b", 800)], 500);
+  assert.equal(result.fits, false);
+  assert.equal(result.peak.watts, 800);
+});
+
+test("suggestOffsets: tres cuartos de 8 h en 24 h se reparten el día", () => {
+  const phases = [{ days: 30, segments: segs([true, 8], [false, 16]) }];
+  const result = suggestOffsets([room("a", 500, phases), room("b", 500, phases), room("c", 500, phases)], 500);
+  assert.equal(result.fits, true);
+  assert.deepEqual(Object.values(result.offsets).sort((x, y) => x - y), [0, 8, 16]);
+});
+
+test("superCycleHours: mínimo común múltiplo de los ciclos de todas las fases", () => {
+  const timeline = buildPhaseTimeline([
+    { days: 5, segments: segs([true, 18], [false, 6]) },
+    { days: 30, segments: segs([true, 12], [false, 6]) },
+  ]);
+  assert.equal(superCycleHours(timeline, 1000), 72);
+  assert.equal(superCycleHours(timeline, 48), 48);
+  // Una fase de 18 h: el rango de búsqueda no se queda en el ciclo de la primera
+  assert.equal(room("a", 100, [{ days: 1, segments: segs([true, 12], [false, 12]) }, { days: 30, segments: segs([true, 12], [false, 6]) }]).offsetRange, 72);
+});
+
+test("roomLoad: las rampas cargan según el nivel del dimmer", () => {
+  const ramps = { sunrise: { minutes: 60, curve: "linear" }, sunset: { minutes: 60, curve: "linear" }, peak: 100 };
+  const withRamps = (id) => roomLoad({
+    startDate: "2026-01-01T00:00",
+    timeZone: "UTC",
+    durationDays: 3,
+    phases: [{ days: 30, segments: segs([true, 12], [false, 12]) }],
+    energy: { fixtures: [{ name: "LED", watts: 1000, count: 1 }] },
+    light: { ramps },
+  }, { id });
+  const a = withRamps("a");
+  const b = withRamps("b");
+  assert.equal(Math.max(...a.pieces.map((p) => p.level)), 1);
+  assert.ok(a.pieces.some((p) => p.level > 0 && p.level < 1));
+
+  // b se prende a las 11:30, mientras a se apaga: el atardecer y el amanecer se compensan
+  const peak = peakLoad(loadTimeline([a, b], { b: 11.5 }));
+  assert.equal(peak.watts, 1000);
+  const flat = [room("a", 1000), room("b", 1000)];
+  assert.equal(peakLoad(loadTimeline(flat, { b: 11.5 })).watts, 2000);
+});
@@ -0,0 +1,216 @@
+// Motor de horarios (src/lib/schedule.js): estado, próximos cambios, grilla y temporizador
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { stateAt, switchStateAt, nextTransitions, grid, buildGrid, buildPhaseTimeline, timerProgram, loadConfig, energyReport, normalizeRamps } from "../src/lib/schedule.js";
+
+const segs = (...pairs) => pairs.map(([isLight, hours]) => ({ isLight, hours }));
+
+// Fase 1 (1 día): 6 ON / 2 OFF / 6 ON / 10 OFF; fase 2 (hasta el final): 12/12
+const TWO_PHASES = {
+  startDate: "2026-01-01T06:00",
+  timeZone: "UTC",
+  durationDays: 3,
+  phases: [
+    { days: 1, segments: segs([true, 6], [false, 2], [true, 6], [false, 10]) },
+    { days: 30, segments: segs([true, 12], [false, 12]) },
+  ],
+};
+
+const iso = (d) => d.toISOString().slice(0, 16);
+
+test("stateAt: estado y próximo cambio dentro de un patrón de varios segmentos", () => {
+  const s = stateAt(TWO_PHASES, "2026-01-01T07:00:00Z");
+  assert.equal(s.started, true);
+  assert.equal(s.isLight, true);
+  assert.equal(s.phaseIndex, 0);
+  assert.equal(s.cycleLength, 24);
+  assert.equal(iso(s.next.date), "2026-01-01T12:00");
+  assert.equal(s.next.isLight, false);
+  assert.equal(s.next.hoursToNext, 5);
+
+  // El OFF corto de 2 h entre los dos bloques de luz
+  const gap = stateAt(TWO_PHASES, "2026-01-01T13:00:00Z");
+  assert.equal(gap.isLight, false);
+  assert.equal(iso(gap.next.date), "2026-01-01T14:00");
+});
+
+test("stateAt: cambio de fase", () => {
+  // Última hora de la fase 1 (oscuridad): el próximo cambio es el inicio de la fase 2
+  const before = stateAt(TWO_PHASES, "2026-01-02T05:00:00Z");
+  assert.equal(before.phaseIndex, 0);
+  assert.equal(before.isLight, false);
+  assert.equal(iso(before.next.date), "2026-01-02T06:00");
+  assert.equal(before.next.isLight, true);
+  assert.equal(before.superCycleDays, 0);
+
+  const after = stateAt(TWO_PHASES, "2026-01-02T07:00:00Z");
+  assert.equal(after.phaseIndex, 1);
+  assert.equal(after.cycleLength, 24);
+  assert.equal(after.isLight, true);
+  assert.equal(iso(after.next.date), "2026-01-02T18:00");
+  assert.equal(after.superCycleDays, 1);
+});
+
+test("stateAt: antes del inicio", () => {
+  const s = stateAt(TWO_PHASES, "2025-12-31T23:00:00Z");
+  assert.equal(s.started, false);
+  assert.equal(s.hoursSinceStart, -7);
+  assert.equal(s.superCycleDays, 0);
+});
+
+test("switchStateAt: lo mismo que stateAt para ON/OFF, próximo cambio y día superciclo", () => {
+  const config = loadConfig(TWO_PHASES);
+  ["2025-12-31T23:00:00Z", "2026-01-01T13:00:00Z", "2026-01-02T05:00:00Z", "2026-01-03T20:30:00Z"].forEach((at) => {
+    const full = stateAt(config, at);
+    const light = switchStateAt(config, at);
+    assert.deepEqual(light, {
+      hoursSinceStart: full.hoursSinceStart,
+      started: full.started,
+      isLight: full.isLight,
+      superCycleDays: full.superCycleDays,
+      next: full.next,
+    });
+  });
+});
+
+test("nextTransitions: recorre los segmentos y cruza el cambio de fase", () => {
+  const events = nextTransitions(TWO_PHASES, "2026-01-01T06:00:00Z", 5);
+  assert.deepEqual(
+    events.map((e) => [iso(e.date), e.isLight, e.hoursSinceStart]),
+    [
+      ["2026-01-01T12:00", false, 6],
+      ["2026-01-01T14:00", true, 8],
+      ["2026-01-01T20:00", false, 14],
+      ["2026-01-02T06:00", true, 24],
+      ["2026-01-02T18:00", false, 36],
+    ]
+  );
+});
+
+test("nextTransitions: patrón sin cambios (siempre encendido)", () => {
+  const always = { ...TWO_PHASES, phases: [{ days: 10, segments: segs([true, 24]) }] };
+  assert.deepEqual(nextTransitions(always, "2026-01-01T06:00:00Z", 3), []);
+});
+
+test("grid: celdas, fracciones y minutos de cada cambio", () => {
+  const rows = grid(TWO_PHASES);
+  assert.equal(rows.length, 3);
+  const [day1] = rows;
+  assert.equal(day1.dayHours, 24);
+  assert.equal(day1.cells.length, 24);
+  // Antes del inicio (00–06) la primera fase se extiende hacia atrás: oscuridad
+  assert.equal(day1.cells[5].isLight, false);
+  assert.equal(day1.cells[6].isLight, true);
+  assert.deepEqual(day1.cells[6].transitions.map((t) => [t.time, t.isLight]), [["06:00", true]]);
+  assert.deepEqual(day1.cells[12].transitions.map((t) => [t.time, t.isLight]), [["12:00", false]]);
+  assert.equal(day1.cells[13].isLight, false);
+  assert.equal(day1.cells[14].isLight, true);
+});
+
+test("buildGrid: encendido a mitad de hora", () => {
+  const timeline = buildPhaseTimeline([{ days: 5, segments: segs([true, 10.5], [false, 13.5]) }]);
+  const [row] = buildGrid(timeline, new Date("2026-01-01T00:00:00Z"), 1, "UTC");
+  const cell = row.cells[10];
+  assert.equal(cell.litFraction, 0.5);
+  assert.deepEqual(cell.transitions.map((t) => [t.time, t.at]), [["10:30", 0.5]]);
+});
+
+test("timerProgram: horarios por día y días que cambian", () => {
+  const program = timerProgram(TWO_PHASES);
+  assert.deepEqual(
+    program.map((d) => [d.day, d.startsLight, d.onTimes, d.offTimes, d.changed]),
+    [
+      [1, false, ["06:00", "14:00"], ["12:00", "20:00"], false],
+      [2, false, ["06:00"], ["18:00"], true],
+      [3, false, ["06:00"], ["18:00"], false],
+    ]
+  );
+});
+
+test("timerProgram: un corte con re-anclaje corre los horarios de los días siguientes", () => {
+  const program = timerProgram({
+    ...TWO_PHASES,
+    deviations: [{ at: "2026-01-02T06:00:00Z", type: "corte", hours: 3, reanchor: true }],
+  });
+  assert.deepEqual(
+    program.map((d) => [d.day, d.onTimes, d.offTimes, d.changed]),
+    [
+      [1, ["06:00", "14:00"], ["12:00", "20:00"], false],
+      [2, ["09:00"], ["21:00"], true],
+      [3, ["09:00"], ["21:00"], false],
+    ]
+  );
+  // Sin re-anclaje el plan sigue por detrás: el día 2 enciende al terminar el corte, el 3 vuelve al horario
+  const [, day2, day3] = timerProgram({
+    ...TWO_PHASES,
+    deviations: [{ at: "2026-01-02T06:00:00Z", type: "corte", hours: 3 }],
+  });
+  assert.deepEqual([day2.onTimes, day2.offTimes], [["09:00"], ["18:00"]]);
+  assert.deepEqual([day3.onTimes, day3.offTimes, day3.changed], [["06:00"], ["18:00"], true]);
+});
+
+test("energyReport: el dimmer de cada fase baja el consumo", () => {
+  // 2 días 12/12 al 50 %, después 12/12 al 100 %; 100 W
+  const timeline = buildPhaseTimeline([
+    { days: 2, segments: segs([true, 12], [false, 12]), dimming: 50 },
+    { days: 30, segments: segs([true, 12], [false, 12]) },
+  ]);
+  const energy = { fixtures: [{ watts: 100, count: 1 }], pricePerKwh: 1 };
+  const report = energyReport(timeline, energy, 48, 96);
+  const near = (a, b) => assert.ok(Math.abs(a - b) < 1e-9, `${a} ≠ ${b}`);
+  near(report.kwhSoFar, 1.2);
+  near(report.kwhTotal, 3.6);
+  // Con rampas (pico 80 %) el dimmer de la fase se suma al del pico
+  const ramped = energyReport(timeline, energy, 48, 96, null, normalizeRamps({ peak: 80 }));
+  near(ramped.kwhSoFar, 0.96);
+});
+
+test("grid: día de 23 h (adelanto de horario)", () => {
+  const config = { startDate: "2026-03-28T00:00", timeZone: "Europe/Madrid", durationDays: 3, phases: [{ days: 30, segments: segs([true, 12], [false, 12]) }] };
+  const rows = grid(config);
+  assert.deepEqual(rows.map((r) => r.dayHours), [24, 23, 24]);
+  assert.equal(rows[1].dstShift, -1);
+  assert.equal(rows[1].cells.length, 24);
+  assert.equal(rows[1].cells[2].skipped, true);
+  assert.equal(rows[1].cells[2].duration, 0);
+  assert.equal(rows[1].cells.filter((c) => c.skipped).length, 1);
+
+  // Los ciclos son de horas reales: después del cambio, el horario de pared se corre una hora
+  const program = timerProgram(config);
+  assert.deepEqual(
+    program.map((d) => [d.dstShift, d.onTimes, d.offTimes]),
+    [
+      [0, [], ["12:00"]],
+      [-1, ["00:00"], ["13:00"]],
+      [0, ["01:00"], ["13:00"]],
+    ]
+  );
+});
+
+test("grid: día de 25 h (atraso de horario)", () => {
+  const config = { startDate: "2026-10-24T00:00", timeZone: "Europe/Madrid", durationDays: 3, phases: [{ days: 30, segments: segs([true, 12], [false, 12]) }] };
+  const rows = grid(config);
+  assert.deepEqual(rows.map((r) => r.dayHours), [24, 25, 24]);
+  assert.equal(rows[1].dstShift, 1);
+  assert.equal(rows[1].cells[2].repeated, true);
+  assert.equal(rows[1].cells[2].duration, 2);
+  assert.equal(rows[1].cells.reduce((acc, c) => acc + c.duration, 0), 25);
+
+  const program = timerProgram(config);
+  assert.deepEqual(
+    program.map((d) => [d.dstShift, d.onTimes, d.offTimes]),
+    [
+      [0, [], ["12:00"]],
+      [1, ["00:00", "23:00"], ["11:00"]],
+      [0, ["23:00"], ["11:00"]],
+    ]
+  );
+});
+
+test("loadConfig: formato viejo hoursLight/hoursDark", () => {
+  const config = loadConfig({ startDate: "2026-01-01T00:00", timeZone: "UTC", hoursLight: 18, hoursDark: 6, durationDays: 10 });
+  assert.equal(config.timeline.length, 1);
+  assert.equal(config.timeline[0].cycleLength, 24);
+  assert.equal(config.timeline[0].lightPerCycle, 18);
+  assert.throws(() => loadConfig({ timeZone: "UTC", hoursLight: 12, hoursDark: 12 }), /startDate/);
+});
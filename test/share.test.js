@@ -0,0 +1,63 @@
+// Enlaces para compartir (src/lib/share.js)
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { ConfigError, serializeConfig } from "../src/lib/config.js";
+import { encodeShareHash, decodeShareHash, hasShareHash, readShareHash, buildShareUrl } from "../src/lib/share.js";
+
+const segs = (...pairs) => pairs.map(([isLight, hours]) => ({ isLight, hours }));
+
+const CONFIG = serializeConfig({
+  startDate: "2026-01-01T06:00",
+  timeZone: "America/Argentina/Buenos_Aires",
+  durationDays: 63,
+  nombreCiclo: "Carpa ñandú 🌱",
+  phases: [
+    { days: 21, segments: segs([true, 6], [false, 2], [true, 6], [false, 10]) },
+    { days: 42, segments: segs([true, 12], [false, 12]) },
+  ],
+});
+
+const brokenLink = (err) => err instanceof ConfigError && err.key === "brokenLink";
+
+test("encodeShareHash → decodeShareHash: ida y vuelta comprimida (deflate-raw + base64url)", async () => {
+  const hash = await encodeShareHash(CONFIG);
+  assert.match(hash, /^sc=z\.[\w-]+$/);
+  assert.ok(hasShareHash(`#${hash}`));
+  assert.deepEqual(await decodeShareHash(`#${hash}`), CONFIG);
+  // El JSON repetitivo queda más corto comprimido que en base64 plano
+  assert.ok(hash.length < Buffer.from(JSON.stringify(CONFIG)).toString("base64url").length);
+});
+
+test("buildShareUrl: conserva la dirección y la consulta, el Superciclo va en el hash", async () => {
+  const url = new URL(await buildShareUrl(CONFIG, "https://ejemplo.org/app/?lang=es#viejo"));
+  assert.equal(url.pathname, "/app/");
+  assert.equal(url.search, "?lang=es");
+  assert.deepEqual(await decodeShareHash(url.hash), CONFIG);
+});
+
+test("decodeShareHash: rechaza enlaces cortados o con basura", async () => {
+  const hash = await encodeShareHash(CONFIG);
+  await assert.rejects(decodeShareHash(`#${hash.slice(0, -12)}`), brokenLink);
+  await assert.rejects(decodeShareHash("#sc=z.bm8gZXMgZGVmbGF0ZQ"), brokenLink);
+  await assert.rejects(decodeShareHash("#sc=j.bm8gZXMganNvbg"), brokenLink);
+  await assert.rejects(decodeShareHash("#sc=z.a+b/c"), (err) => err instanceof ConfigError && err.key === "noLink");
+  assert.equal(hasShareHash("#otra=1"), false);
+});
+
+test("readShareHash: lo que trae el enlace pasa por validateConfig", async () => {
+  const ok = await readShareHash(`#${await encodeShareHash(CONFIG)}`);
+  assert.deepEqual(ok.errors, []);
+  assert.equal(ok.value.nombreCiclo, CONFIG.nombreCiclo);
+  assert.equal(ok.value.phases.length, 2);
+
+  // Un enlace armado a mano con campos inválidos: se descartan con su motivo
+  const tampered = await readShareHash(`#${await encodeShareHash({ ...CONFIG, durationDays: -5, color: "verde" })}`);
+  assert.deepEqual(tampered.errors.map((e) => [e.field, e.key]), [["durationDays", "range"], ["color", "unknownField"]]);
+  assert.equal(tampered.value.durationDays, undefined);
+  assert.equal(tampered.fatal, false);
+
+  const broken = await readShareHash("#sc=z.AAAA");
+  assert.equal(broken.fatal, true);
+  assert.deepEqual(broken.value, {});
+  assert.equal(broken.errors[0].key, "brokenLink");
+});
@@ -0,0 +1,95 @@
+// Deshacer/rehacer y versiones guardadas (src/lib/snapshots.js)
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import {
+  MAX_UNDO_STEPS,
+  MAX_SNAPSHOTS,
+  SNAPSHOT_INTERVAL_MINUTES,
+  createUndo,
+  recordUndo,
+  undoStep,
+  redoStep,
+  addSnapshot,
+  snapshotDue,
+  normalizeSnapshots,
+  restoreJournalPhotos,
+} from "../src/lib/snapshots.js";
+
+const config = (durationDays) => ({ durationDays, nombreCiclo: "Carpa" });
+
+test("deshacer: la pila guarda como mucho MAX_UNDO_STEPS pasos", () => {
+  let state = createUndo();
+  for (let i = 0; i <= MAX_UNDO_STEPS + 5; i++) state = recordUndo(state, config(i));
+  assert.equal(state.past.length, MAX_UNDO_STEPS);
+  assert.equal(state.present.durationDays, MAX_UNDO_STEPS + 5);
+  // Se descartan los más viejos
+  assert.equal(state.past[0].durationDays, 5);
+});
+
+test("deshacer: la misma configuración no agrega un paso y un cambio nuevo borra lo rehecho", () => {
+  const first = config(1);
+  let state = recordUndo(createUndo(), first);
+  assert.equal(recordUndo(state, { ...first }), state);
+
+  state = recordUndo(state, config(2));
+  // Deshacer registra antes lo que todavía no entró (config 3)
+  state = undoStep(state, config(3));
+  assert.equal(state.present.durationDays, 2);
+  assert.deepEqual(state.future.map((c) => c.durationDays), [3]);
+  state = undoStep(state, state.present);
+  assert.equal(state.present, first);
+  assert.equal(undoStep(state, first).present, first);
+
+  state = redoStep(state, first);
+  assert.equal(state.present.durationDays, 2);
+  state = recordUndo(state, config(9));
+  assert.deepEqual(state.future, []);
+  assert.equal(redoStep(state, state.present).present.durationDays, 9);
+});
+
+test("versiones: una automática como mucho cada SNAPSHOT_INTERVAL_MINUTES", () => {
+  const at = new Date("2026-01-01T10:00:00Z");
+  const list = addSnapshot([], config(1), { at });
+  assert.equal(snapshotDue([]), true);
+  assert.equal(snapshotDue(list, new Date(at.getTime() + (SNAPSHOT_INTERVAL_MINUTES - 1) * 60000)), false);
+  assert.equal(snapshotDue(list, new Date(at.getTime() + SNAPSHOT_INTERVAL_MINUTES * 60000)), true);
+
+  // Igual a la más reciente: la automática no se agrega, la guardada a mano sí
+  assert.equal(addSnapshot(list, config(1)), list);
+  const manual = addSnapshot(list, config(1), { reason: "manual" });
+  assert.deepEqual(manual.map((s) => s.reason), ["manual", "auto"]);
+  assert.equal(addSnapshot(manual, config(1), { reason: "manual" }), manual);
+});
+
+test("versiones: la lista se corta en MAX_SNAPSHOTS, la más nueva primero", () => {
+  let list = [];
+  for (let i = 0; i < MAX_SNAPSHOTS + 3; i++) list = addSnapshot(list, config(i));
+  assert.equal(list.length, MAX_SNAPSHOTS);
+  assert.equal(list[0].config.durationDays, MAX_SNAPSHOTS + 2);
+  assert.equal(new Set(list.map((s) => s.id)).size, MAX_SNAPSHOTS);
+});
+
+test("versiones: se guardan sin fotos y al restaurar vuelven las del diario actual", () => {
+  const journal = {
+    "2026-01-01": [
+      { id: "a", type: "riego", photos: ["data:image/jpeg;base64,AAAA"] },
+      { id: "b", type: "poda", photos: ["data:image/jpeg;base64,BBBB"] },
+    ],
+  };
+  const [snapshot] = addSnapshot([], { ...config(1), journal }, { reason: "reset" });
+  assert.deepEqual(snapshot.config.journal["2026-01-01"].map((e) => e.photos), [[], []]);
+  // El original no se toca
+  assert.equal(journal["2026-01-01"][0].photos.length, 1);
+
+  // Solo la nota "a" sigue en el diario actual
+  const current = { "2026-01-02": [{ id: "a", type: "riego", photos: ["data:image/jpeg;base64,AAAA"] }] };
+  const restored = restoreJournalPhotos(snapshot.config.journal, current);
+  assert.deepEqual(restored["2026-01-01"].map((e) => e.photos.length), [1, 0]);
+});
+
+test("normalizeSnapshots: descarta lo que no tiene forma de versión", () => {
+  const ok = { id: "x", at: "2026-01-01T00:00:00.000Z", reason: "reset", config: {} };
+  const list = normalizeSnapshots([ok, { ...ok, at: "ayer" }, { ...ok, id: 3 }, { ...ok, config: null }, { ...ok, id: "y", reason: "otra" }, null]);
+  assert.deepEqual(list.map((s) => [s.id, s.reason]), [["x", "reset"], ["y", "auto"]]);
+  assert.deepEqual(normalizeSnapshots("no"), []);
+});
@@ -0,0 +1,98 @@
+// Planillas: formatos (src/lib/spreadsheet.js) y tablas (src/lib/sheets.js)
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { buildPhaseTimeline, buildGrid, buildHistory } from "../src/lib/schedule.js";
+import { toCSV, toXLSX, crc32 } from "../src/lib/spreadsheet.js";
+import { buildGridSheet, buildTransitionSheet } from "../src/lib/sheets.js";
+
+const segs = (...pairs) => pairs.map(([isLight, hours]) => ({ isLight, hours }));
+
+// Lee un ZIP "stored" recorriendo las cabeceras locales → { nombre: { text, crc, data } }
+function unzipStored(bytes) {
+  const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+  const decoder = new TextDecoder();
+  const files = {};
+  let pos = 0;
+  while (view.getUint32(pos, true) === 0x04034b50) {
+    const crc = view.getUint32(pos + 14, true);
+    const size = view.getUint32(pos + 18, true);
+    const nameLength = view.getUint16(pos + 26, true);
+    const name = decoder.decode(bytes.subarray(pos + 30, pos + 30 + nameLength));
+    const data = bytes.subarray(pos + 30 + nameLength, pos + 30 + nameLength + size);
+    files[name] = { crc, data, text: decoder.decode(data) };
+    pos += 30 + nameLength + size;
+  }
+  return files;
+}
+
+test("toCSV: BOM, CRLF y comillas solo donde hacen falta", () => {
+  const csv = toCSV({ headers: ["a", "b"], rows: [['di "hola"', "1,5"], ["dos\nlíneas", null], [3, "simple"]] });
+  assert.ok(csv.startsWith("\uFEFF"));
+  assert.equal(csv, '\uFEFFa,b\r\n"di ""hola""","1,5"\r\n"dos\nlíneas",\r\n3,simple\r\n');
+});
+
+test("crc32: vector conocido", () => {
+  assert.equal(crc32(new TextEncoder().encode("123456789")), 0xcbf43926);
+  assert.equal(crc32(new Uint8Array(0)), 0);
+});
+
+test("toXLSX: ZIP válido, nombres de hoja saneados y texto escapado", () => {
+  const files = unzipStored(toXLSX([
+    { name: "Cambios [1/2]: ¿ok?*", headers: ["Nota"], rows: [['<b>"A&B"</b>\u0007'], [12.5]] },
+    { name: "x".repeat(40), headers: ["h"], rows: [] },
+    { name: "", headers: ["h"], rows: [] },
+  ]));
+  Object.values(files).forEach((file) => assert.equal(file.crc, crc32(file.data)));
+  assert.ok(files["[Content_Types].xml"]);
+
+  const names = [...files["xl/workbook.xml"].text.matchAll(/<sheet name="([^"]*)"/g)].map((m) => m[1]);
+  assert.deepEqual(names, ["Cambios  1 2   ¿ok  ", "x".repeat(31), "Hoja3"]);
+
+  const sheet = files["xl/worksheets/sheet1.xml"].text;
+  assert.ok(sheet.includes("&lt;b&gt;&quot;A&amp;B&quot;&lt;/b&gt;</t>"));
+  assert.ok(!sheet.includes("\u0007"));
+  assert.ok(sheet.includes('<c r="A3"><v>12.5</v></c>'));
+});
+
+// Fase 1 (1 día) 12/12, fase 2 18/6; días en UTC desde la medianoche
+const TIMELINE = buildPhaseTimeline([
+  { days: 1, segments: segs([true, 12], [false, 12]) },
+  { days: 30, segments: segs([true, 18], [false, 6]) },
+]);
+const START = new Date("2026-01-01T00:00:00Z");
+const HISTORY = buildHistory(TIMELINE, [], START);
+const ROWS = buildGrid(TIMELINE, START, 2, "UTC");
+const KEYS = ["2026-01-01", "2026-01-02"];
+
+test("buildGridSheet: una fila por día con estado por hora, cambios, luz e hitos", () => {
+  const table = buildGridSheet({ rows: ROWS, keys: KEYS, history: HISTORY, milestonesByDay: { 1: [{ name: "Flora" }, { name: "Poda" }] } });
+  assert.equal(table.name, "Calendario");
+  assert.equal(table.headers.length, 2 + 24 + 3);
+  const [day1, day2] = table.rows;
+  assert.deepEqual(day1.slice(0, 2), [1, "2026-01-01"]);
+  assert.deepEqual(day1.slice(2, 26), [...Array(12).fill("ON"), ...Array(12).fill("OFF")]);
+  assert.deepEqual(day1.slice(26), ["OFF 12:00", 12, ""]);
+  assert.deepEqual(day2.slice(26), ["ON 00:00 · OFF 18:00", 18, "Flora · Poda"]);
+});
+
+test("buildTransitionSheet: un renglón por cambio con fase y ciclo", () => {
+  const table = buildTransitionSheet({ rows: ROWS, keys: KEYS, history: HISTORY, startDateObj: START, labels: { transitions: "Changes" } });
+  assert.equal(table.name, "Changes");
+  assert.deepEqual(table.rows, [
+    ["2026-01-01 12:00", "2026-01-01T12:00:00.000Z", "OFF", 12, 1, 1, 1, 12, ""],
+    ["2026-01-02 00:00", "2026-01-02T00:00:00.000Z", "ON", 24, 2, 2, 2, 18, ""],
+    ["2026-01-02 18:00", "2026-01-02T18:00:00.000Z", "OFF", 42, 2, 2, 2, 18, ""],
+  ]);
+});
+
+test("buildTransitionSheet: con un re-anclaje, fase y ciclo siguen al plan corrido", () => {
+  // Corte de 3 h al comenzar la fase 2: la fase arranca 3 h tarde
+  const history = buildHistory(TIMELINE, [{ at: "2026-01-02T00:00:00Z", type: "corte", hours: 3, reanchor: true }], START);
+  const rows = buildGrid(TIMELINE, START, 2, "UTC", history);
+  const table = buildTransitionSheet({ rows, keys: KEYS, history, startDateObj: START });
+  assert.deepEqual(table.rows.map((row) => row.slice(0, 8)), [
+    ["2026-01-01 12:00", "2026-01-01T12:00:00.000Z", "OFF", 12, 1, 1, 1, 12],
+    ["2026-01-02 03:00", "2026-01-02T03:00:00.000Z", "ON", 27, 2, 2, 2, 18],
+    ["2026-01-02 21:00", "2026-01-02T21:00:00.000Z", "OFF", 45, 2, 2, 2, 18],
+  ]);
+});
@@ -1,8 +1,38 @@
 import { defineConfig } from 'vite'
 import react from '@vitejs/plugin-react'
+import { createHash } from 'node:crypto'
+import { readFileSync, writeFileSync } from 'node:fs'
+import { join, resolve } from 'node:path'
+
+// El service worker (public/sw.js) precachea los archivos del build: sus nombres
+// llevan hash, así que la lista y la versión de la caché se completan al compilar
+function serviceWorkerPrecache() {
+  let outDir
+  let files = []
+  return {
+    name: 'fotoperiodo-sw-precache',
+    apply: 'build',
+    configResolved(config) {
+      outDir = resolve(config.root, config.build.outDir)
+    },
+    generateBundle(_, bundle) {
+      files = Object.keys(bundle).filter((f) => !f.endsWith('.map')).map((f) => `/${f}`)
+    },
+    writeBundle() {
+      const file = join(outDir, 'sw.js')
+      const source = readFileSync(file, 'utf8')
+      const marker = 'const BUILD_FILES = [];'
+      if (!source.includes(marker)) throw new Error(`sw.js: falta "${marker}"`)
+      const version = createHash('sha256').update(files.join('\n')).digest('hex').slice(0, 10)
+      writeFileSync(file, source
+        .replace(marker, `const BUILD_FILES = ${JSON.stringify(files)};`)
+        .replace('const CACHE_VERSION = "dev";', `const CACHE_VERSION = "${version}";`))
+    },
+  }
+}
 
 export default defineConfig({
-  plugins: [react()],
+  plugins: [react(), serviceWorkerPrecache()],
   build: {
     rollupOptions: {
       output: {
@@ -10,4 +40,4 @@ export default defineConfig({
       }
     }
   }
-})
\ No newline at end of file
+})